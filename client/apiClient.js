@@ -1,9 +1,55 @@
 /**
  * APIClient handles all HTTP communication with the server
+ * Requests are sent with the customer's API key, which identifies them to the server.
  */
 class APIClient {
-  constructor(baseUrl = '') {
+  constructor(baseUrl = '', apiKey = null) {
     this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Set the API key sent with every request
+   * @param {string|null} apiKey - Customer API key
+   */
+  setApiKey(apiKey) {
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Headers identifying the customer
+   * @returns {Object} Authorization header, if an API key is set
+   */
+  authHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Get the customer or support agent the API key belongs to
+   * @returns {Promise<Object>} { customer } or { agent }
+   */
+  async getCurrentUser() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/me`, { headers: this.authHeaders() });
+
+      if (response.status === 429) {
+        const data = await response.json();
+        this.handleRateLimitError(data.retryAfter);
+        throw new Error(data.message);
+      }
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || 'Failed to sign in');
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.message.includes('fetch')) {
+        throw new Error('Network error. Please check your connection and try again.');
+      }
+      throw error;
+    }
   }
 
   /**
@@ -18,7 +64,8 @@ class APIClient {
       const response = await fetch(`${this.baseUrl}/api/chat`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
         },
         body: JSON.stringify({
           customerId,
@@ -54,7 +101,7 @@ class APIClient {
    */
   async getSubscriptions(customerId) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/subscriptions/${customerId}`);
+      const response = await fetch(`${this.baseUrl}/api/subscriptions/${customerId}`, { headers: this.authHeaders() });
 
       if (response.status === 429) {
         const data = await response.json();
@@ -83,7 +130,7 @@ class APIClient {
    */
   async getBillingHistory(customerId) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/billing/${customerId}`);
+      const response = await fetch(`${this.baseUrl}/api/billing/${customerId}`, { headers: this.authHeaders() });
 
       if (response.status === 429) {
         const data = await response.json();
@@ -112,7 +159,7 @@ class APIClient {
    */
   async getRecommendations(customerId) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/recommendations/${customerId}`);
+      const response = await fetch(`${this.baseUrl}/api/recommendations/${customerId}`, { headers: this.authHeaders() });
 
       if (response.status === 429) {
         const data = await response.json();
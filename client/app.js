@@ -8,15 +8,59 @@ const chatInterface = new ChatInterface(apiClient);
 // Get DOM elements
 const chatForm = document.getElementById('chatForm');
 const messageInput = document.getElementById('messageInput');
-const customerIdSelect = document.getElementById('customerId');
+const signInForm = document.getElementById('signInForm');
+const apiKeyInput = document.getElementById('apiKey');
+const signedInAs = document.getElementById('signedInAs');
 const actionButtons = document.querySelectorAll('.action-btn');
 
+// The signed-in customer, worked out by the server from their API key.
+// Support agents sign in with their own key and switch between customers in chat.
+let customerId = null;
+let agent = null;
+
+/**
+ * Sign in with an API key and remember it for this tab
+ * The key is kept in sessionStorage, so it survives a reload but not closing the tab.
+ * @param {string} apiKey - Customer or agent API key
+ */
+async function signIn(apiKey) {
+  apiClient.setApiKey(apiKey);
+
+  try {
+    const me = await apiClient.getCurrentUser();
+    agent = me.agent || null;
+    customerId = me.customer ? me.customer.id : null;
+    signedInAs.textContent = agent
+      ? `Agent mode: ${agent.name}, no customer selected`
+      : `Signed in as ${me.customer.name}`;
+    sessionStorage.setItem('apiKey', apiKey);
+  } catch (error) {
+    customerId = null;
+    agent = null;
+    signedInAs.textContent = '';
+    sessionStorage.removeItem('apiKey');
+    chatInterface.displayError(error.message);
+  }
+}
+
+// In agent mode, follow the customer the agent switches to
+chatInterface.onResponse = (response) => {
+  if (agent && response.action === 'customer_switched') {
+    customerId = response.customerId;
+    signedInAs.textContent = `Agent mode: ${agent.name}, helping ${response.data.customer.name}`;
+  }
+};
+
 // Handle chat form submission
 chatForm.addEventListener('submit', async (e) => {
   e.preventDefault();
   
   const message = messageInput.value.trim();
-  const customerId = customerIdSelect.value;
+
+  if (!customerId && !agent) {
+    chatInterface.displayError('Sign in with your API key first.');
+    return;
+  }
 
   if (message) {
     await chatInterface.sendMessage(message, customerId);
@@ -27,7 +71,16 @@ chatForm.addEventListener('submit', async (e) => {
 actionButtons.forEach(button => {
   button.addEventListener('click', async () => {
     const action = button.dataset.action;
-    const customerId = customerIdSelect.value;
+
+    if (agent) {
+      chatInterface.displayError('Quick actions are for customers. In agent mode, ask the assistant instead.');
+      return;
+    }
+
+    if (!customerId) {
+      chatInterface.displayError('Sign in with your API key first.');
+      return;
+    }
 
     // Show typing indicator
     chatInterface.showTypingIndicator();
@@ -46,8 +99,14 @@ actionButtons.forEach(button => {
               response.subscriptions.map(s => 
                 `📦 ${s.planName}\n` +
                 `   Status: ${s.status}\n` +
-                `   Price: $${s.amount}/${s.billingCycle}\n` +
-                `   Next billing: ${new Date(s.nextBillingDate).toLocaleDateString()}`
+                `   Price: ${s.formatted.amountWithTax}/${s.billingCycle}${s.tax ? ` incl. ${s.tax.name}` : ''}\n` +
+                (s.seats ? `   Seats: ${s.seats.total} (${s.seats.included} included)\n` : '') +
+                (s.items.length > 0 ? `   Add-ons: ${s.items.map(i => `${i.quantity} × ${i.name}`).join(', ')}\n` : '') +
+                (s.cancelAtPeriodEnd && s.status !== 'cancelled'
+                  ? `   Cancels on: ${new Date(s.endDate).toLocaleDateString(undefined, { timeZone: s.timeZone })}`
+                  : s.status === 'trialing'
+                  ? `   Free trial ends: ${new Date(s.trialEnd).toLocaleDateString(undefined, { timeZone: s.timeZone })}`
+                  : `   Next billing: ${new Date(s.nextBillingDate).toLocaleDateString(undefined, { timeZone: s.timeZone })}`)
               ).join('\n\n');
           }
           break;
@@ -60,7 +119,7 @@ actionButtons.forEach(button => {
             message = `Recent billing transactions:\n\n` +
               response.transactions.slice(0, 5).map(t => 
                 `💳 ${new Date(t.date).toLocaleDateString()}\n` +
-                `   Amount: $${t.amount}\n` +
+                `   Amount: ${t.formatted.amount}\n` +
                 `   Status: ${t.status}\n` +
                 `   ${t.description}`
               ).join('\n\n');
@@ -93,8 +152,17 @@ actionButtons.forEach(button => {
   });
 });
 
-// Handle customer change - clear conversation
-customerIdSelect.addEventListener('change', () => {
+// Handle sign in - clear conversation
+signInForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const apiKey = apiKeyInput.value.trim();
+  if (!apiKey) {
+    return;
+  }
+
+  await signIn(apiKey);
+  apiKeyInput.value = '';
   chatInterface.clearHistory();
   
   // Clear chat messages except welcome message
@@ -107,6 +175,11 @@ customerIdSelect.addEventListener('change', () => {
   });
 });
 
+// Sign back in after a reload of the same tab
+if (sessionStorage.getItem('apiKey')) {
+  signIn(sessionStorage.getItem('apiKey'));
+}
+
 // Focus input on load
 messageInput.focus();
 
@@ -8,6 +8,8 @@ class ChatInterface {
     this.chatMessages = document.getElementById('chatMessages');
     this.messageInput = document.getElementById('messageInput');
     this.loadingIndicator = document.getElementById('loadingIndicator');
+    // Called with each server response, e.g. to follow the customer an agent switched to
+    this.onResponse = null;
   }
 
   /**
@@ -22,8 +24,18 @@ class ChatInterface {
     const contentDiv = document.createElement('div');
     contentDiv.className = 'message-content';
 
-    // Convert newlines to <br> and preserve formatting
-    const formattedMessage = message.replace(/\n/g, '<br>');
+    // Escape first, so only the <br> and links added below are markup (replies
+    // can repeat what customers typed), then convert newlines to <br>
+    let formattedMessage = escapeHtml(message).replace(/\n/g, '<br>');
+
+    // Make links from the assistant (e.g. invoice downloads) clickable;
+    // a link ends at any escaped character other than &
+    if (sender === 'bot') {
+      formattedMessage = formattedMessage.replace(
+        /(https?:\/\/(?:[^\s<&]|&amp;)+)/g,
+        '<a href="$1" target="_blank" rel="noopener">$1</a>'
+      );
+    }
     contentDiv.innerHTML = formattedMessage;
 
     messageDiv.appendChild(contentDiv);
@@ -91,6 +103,10 @@ class ChatInterface {
     if (response.action && response.action !== 'none') {
       console.log('Action performed:', response.action, response.data);
     }
+
+    if (this.onResponse) {
+      this.onResponse(response);
+    }
   }
 
   /**
@@ -174,4 +190,18 @@ class ChatInterface {
   }
 }
 
+/**
+ * Escape text for use in HTML, including inside attribute values
+ * @param {string} text - Plain text
+ * @returns {string} Text with HTML special characters escaped
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 export default ChatInterface;
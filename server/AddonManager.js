@@ -0,0 +1,227 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import { cyclesPerYear } from './billingCalendar.js';
+import { decompressPlanFeatures } from './compression.js';
+import { DEFAULT_LOCALE, formatMoney, fromMinorUnits } from './money.js';
+
+/**
+ * Add-on that sells seats beyond those included in a plan
+ */
+export const SEAT_ADDON_ID = 'seat';
+
+/**
+ * AddonManager handles the add-on catalog and the add-on quantities on subscriptions
+ * Plans declare the add-ons they allow in their compressed features
+ * (features.addons), and the seats they include in features.users. Add-ons are
+ * priced per unit per month and charged per billing period of the plan they are
+ * added to, in the subscription's currency.
+ */
+class AddonManager {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Get an add-on by ID
+   * @param {string} addonId - Add-on ID
+   * @returns {Promise<Object>} Add-on row
+   * @throws {Error} 404 ADDON_NOT_FOUND if the add-on doesn't exist
+   */
+  async getAddon(addonId) {
+    const addon = await this.db.queryOne('SELECT * FROM addons WHERE id = ?', [addonId]);
+
+    if (!addon) {
+      throw createError(`Add-on ${addonId} does not exist`, 404, 'ADDON_NOT_FOUND');
+    }
+
+    return addon;
+  }
+
+  /**
+   * List the add-on catalog with monthly prices in a currency
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {Promise<Array>} Add-ons with monthly_amount (minor units, null when not sold in the currency)
+   */
+  async listAddons(currency) {
+    try {
+      return await this.db.query(
+        `SELECT a.*, ap.unit_amount as monthly_amount
+         FROM addons a
+         LEFT JOIN addon_prices ap ON ap.addon_id = a.id AND ap.currency = ?
+         ORDER BY a.name`,
+        [currency]
+      );
+    } catch (error) {
+      console.error('List add-ons error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the add-on rules from a plan's compressed features
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} addonIds the plan allows, and includedSeats (null when unlimited)
+   */
+  async getPlanAddonRules(planId) {
+    const plan = await this.db.queryOne('SELECT features_compressed FROM plans WHERE id = ?', [planId]);
+    const features = plan && plan.features_compressed
+      ? await decompressPlanFeatures(plan.features_compressed)
+      : {};
+
+    return {
+      addonIds: Array.isArray(features.addons) ? features.addons : [],
+      includedSeats: Number.isInteger(features.users) ? features.users : null
+    };
+  }
+
+  /**
+   * Get the price of one unit of an add-on for a billing period
+   * @param {string} addonId - Add-on ID
+   * @param {string} currency - ISO 4217 currency code
+   * @param {string} billingCycle - Billing cycle of the plan the add-on is on
+   * @returns {Promise<number>} Price per unit per period, in minor units
+   * @throws {Error} 409 PRICE_NOT_AVAILABLE if the add-on isn't sold in the currency
+   */
+  async getPeriodUnitAmount(addonId, currency, billingCycle) {
+    const price = await this.db.queryOne(
+      'SELECT unit_amount FROM addon_prices WHERE addon_id = ? AND currency = ?',
+      [addonId, currency]
+    );
+
+    if (!price) {
+      throw createError(`Add-on ${addonId} is not available in ${currency}`, 409, 'PRICE_NOT_AVAILABLE');
+    }
+
+    return Math.round(price.unit_amount * 12 / cyclesPerYear(billingCycle));
+  }
+
+  /**
+   * Check that a plan allows an add-on
+   * @param {string} planId - Plan ID
+   * @param {Object} addon - Add-on row
+   * @throws {Error} 409 ADDON_NOT_ALLOWED if the plan doesn't offer the add-on
+   */
+  async assertAllowed(planId, addon) {
+    const { addonIds } = await this.getPlanAddonRules(planId);
+
+    if (!addonIds.includes(addon.id)) {
+      throw createError(`${addon.name} is not available on plan ${planId}`, 409, 'ADDON_NOT_ALLOWED');
+    }
+  }
+
+  /**
+   * Get the add-ons on a subscription, priced for a billing period
+   * @param {Object} subscription - Subscription row
+   * @param {string} billingCycle - Billing cycle to price the add-ons for
+   * @returns {Promise<Array>} Items with addon_id, name, unit, quantity, unit_amount and amount (minor units)
+   */
+  async getSubscriptionItems(subscription, billingCycle) {
+    const items = await this.db.query(
+      `SELECT si.addon_id, si.quantity, a.name, a.unit
+       FROM subscription_items si
+       JOIN addons a ON si.addon_id = a.id
+       WHERE si.subscription_id = ?
+       ORDER BY a.name`,
+      [subscription.id]
+    );
+
+    for (const item of items) {
+      item.unit_amount = await this.getPeriodUnitAmount(item.addon_id, subscription.currency, billingCycle);
+      item.amount = item.unit_amount * item.quantity;
+    }
+
+    return items;
+  }
+
+  /**
+   * Get the quantity of an add-on on a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} addonId - Add-on ID
+   * @returns {Promise<number>} Quantity, 0 when the add-on isn't on the subscription
+   */
+  async getQuantity(subscriptionId, addonId) {
+    const item = await this.db.queryOne(
+      'SELECT quantity FROM subscription_items WHERE subscription_id = ? AND addon_id = ?',
+      [subscriptionId, addonId]
+    );
+
+    return item ? item.quantity : 0;
+  }
+
+  /**
+   * Set the quantity of an add-on on a subscription
+   * A quantity of 0 removes the add-on.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} addonId - Add-on ID
+   * @param {number} quantity - New quantity
+   */
+  async setQuantity(subscriptionId, addonId, quantity) {
+    if (quantity === 0) {
+      await this.db.execute(
+        'DELETE FROM subscription_items WHERE subscription_id = ? AND addon_id = ?',
+        [subscriptionId, addonId]
+      );
+      return;
+    }
+
+    await this.db.execute(
+      `INSERT INTO subscription_items (id, subscription_id, addon_id, quantity)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(subscription_id, addon_id) DO UPDATE SET
+         quantity = excluded.quantity, updated_at = CURRENT_TIMESTAMP`,
+      [randomUUID(), subscriptionId, addonId, quantity]
+    );
+  }
+
+  /**
+   * Work out a subscription's seats
+   * @param {Object} rules - Plan add-on rules from getPlanAddonRules
+   * @param {Array} items - Subscription items
+   * @returns {Object|null} included, additional and total seats, or null when seats are unlimited
+   */
+  getSeats(rules, items) {
+    if (rules.includedSeats === null) {
+      return null;
+    }
+
+    const additional = items.find(item => item.addon_id === SEAT_ADDON_ID)?.quantity || 0;
+    return {
+      included: rules.includedSeats,
+      additional,
+      total: rules.includedSeats + additional
+    };
+  }
+
+  /**
+   * Describe add-on quantities for transaction descriptions
+   * @param {Array} items - Subscription items
+   * @returns {string} e.g. "2 × Extra seat, 1 × Storage pack"
+   */
+  describeItems(items) {
+    return items.map(item => `${item.quantity} × ${item.name}`).join(', ');
+  }
+
+  /**
+   * Format a subscription item for API responses
+   * @param {Object} item - Item from getSubscriptionItems
+   * @param {string} currency - Currency of the subscription
+   * @param {string} locale - Locale to format amounts for
+   * @returns {Object} Formatted item
+   */
+  formatItem(item, currency, locale = DEFAULT_LOCALE) {
+    return {
+      addonId: item.addon_id,
+      name: item.name,
+      unit: item.unit,
+      quantity: item.quantity,
+      unitAmount: fromMinorUnits(item.unit_amount, currency),
+      amount: fromMinorUnits(item.amount, currency),
+      formatted: {
+        unitAmount: formatMoney(item.unit_amount, currency, locale),
+        amount: formatMoney(item.amount, currency, locale)
+      }
+    };
+  }
+}
+
+export default AddonManager;
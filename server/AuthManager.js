@@ -0,0 +1,374 @@
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { createError } from './errors.js';
+import { EMAIL_PATTERN } from './CustomerManager.js';
+
+const CUSTOMER_KEY_PREFIX = 'ck_';
+const AGENT_KEY_PREFIX = 'ak_';
+const KEY_PREFIX_LENGTH = 11;
+const MAX_KEYS_PER_CUSTOMER = 10;
+const LINK_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Generate an API key
+ * @param {string} prefix - Key prefix, telling customer and agent keys apart
+ * @returns {string} New key
+ */
+function generateKey(prefix) {
+  return `${prefix}${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * AuthManager issues API keys and works out who a request comes from
+ * Each customer can hold several keys (one per app or device); a key acts as
+ * that customer and nobody else. Keys are shown once when created and only a
+ * hash is stored, so a lost key is revoked and replaced rather than recovered.
+ * Support agents each have their own key, which opens the /api/admin routes
+ * and acts for any customer there, so what they do is recorded against them.
+ * ADMIN_API_KEY does the same without a name attached, and is the only key
+ * that can add or disable agents.
+ * Links opened in a browser (invoice downloads) can't send a key, so they are
+ * signed instead and expire after an hour.
+ */
+class AuthManager {
+  constructor(database, {
+    adminApiKey = process.env.ADMIN_API_KEY || null,
+    linkSecret = process.env.LINK_SIGNING_SECRET || randomBytes(32).toString('hex')
+  } = {}) {
+    this.db = database;
+    this.adminApiKey = adminApiKey;
+    this.linkSecret = linkSecret;
+  }
+
+  /**
+   * Issue an API key for a customer
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - Key options
+   * @param {string} options.name - What the key is for, e.g. "Mobile app" (optional)
+   * @returns {Promise<Object>} Key row, with the key itself in key (never shown again)
+   * @throws {Error} 409 TOO_MANY_API_KEYS if the customer already has the maximum number of active keys
+   */
+  async createApiKey(customerId, { name = null } = {}) {
+    try {
+      const { count } = await this.db.queryOne(
+        'SELECT COUNT(*) as count FROM api_keys WHERE customer_id = ? AND revoked_at IS NULL',
+        [customerId]
+      );
+      if (count >= MAX_KEYS_PER_CUSTOMER) {
+        throw createError(
+          `Customers can have at most ${MAX_KEYS_PER_CUSTOMER} active API keys; revoke one first`,
+          409,
+          'TOO_MANY_API_KEYS'
+        );
+      }
+
+      const id = randomUUID();
+      const key = generateKey(CUSTOMER_KEY_PREFIX);
+      await this.db.execute(
+        'INSERT INTO api_keys (id, customer_id, name, key_prefix, key_hash) VALUES (?, ?, ?, ?, ?)',
+        [id, customerId, name ? String(name).trim().slice(0, 100) : null, key.slice(0, KEY_PREFIX_LENGTH), hashKey(key)]
+      );
+
+      const apiKey = await this.db.queryOne('SELECT * FROM api_keys WHERE id = ?', [id]);
+      return { ...apiKey, key };
+    } catch (error) {
+      console.error('Create API key error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a customer's API keys, newest first
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Key rows, including revoked keys
+   */
+  async listApiKeys(customerId) {
+    try {
+      return await this.db.query(
+        'SELECT * FROM api_keys WHERE customer_id = ? ORDER BY created_at DESC, rowid DESC',
+        [customerId]
+      );
+    } catch (error) {
+      console.error('List API keys error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a customer's API keys
+   * @param {string} customerId - Customer ID
+   * @param {string} keyId - API key ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Revoked key row
+   * @throws {Error} 404 API_KEY_NOT_FOUND if the customer has no such key
+   */
+  async revokeApiKey(customerId, keyId, now = new Date()) {
+    try {
+      const apiKey = await this.db.queryOne(
+        'SELECT * FROM api_keys WHERE id = ? AND customer_id = ?',
+        [keyId, customerId]
+      );
+      if (!apiKey) {
+        throw createError(`API key ${keyId} not found`, 404, 'API_KEY_NOT_FOUND');
+      }
+
+      if (!apiKey.revoked_at) {
+        await this.db.execute('UPDATE api_keys SET revoked_at = ? WHERE id = ?', [now.toISOString(), keyId]);
+      }
+
+      return await this.db.queryOne('SELECT * FROM api_keys WHERE id = ?', [keyId]);
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a support agent
+   * @param {Object} agent - Agent details
+   * @param {string} agent.name - Name, shown in the audit log
+   * @param {string} agent.email - Email address, unique across agents
+   * @returns {Promise<Object>} Agent row, with their API key in key (never shown again)
+   * @throws {Error} 400 INVALID_AGENT for a missing name or invalid email, 409 AGENT_EXISTS if the email is taken
+   */
+  async createAgent({ name, email }) {
+    try {
+      const agent = {
+        id: randomUUID(),
+        name: String(name || '').trim(),
+        email: String(email || '').trim().toLowerCase()
+      };
+      if (!agent.name || agent.name.length > 100 || !EMAIL_PATTERN.test(agent.email)) {
+        throw createError('Agents need a name (1-100 characters) and a valid email address', 400, 'INVALID_AGENT');
+      }
+
+      const existing = await this.db.queryOne('SELECT id FROM agents WHERE email = ?', [agent.email]);
+      if (existing) {
+        throw createError(`An agent with email ${agent.email} already exists`, 409, 'AGENT_EXISTS');
+      }
+
+      const key = generateKey(AGENT_KEY_PREFIX);
+      await this.db.execute(
+        'INSERT INTO agents (id, name, email, key_prefix, key_hash) VALUES (?, ?, ?, ?, ?)',
+        [agent.id, agent.name, agent.email, key.slice(0, KEY_PREFIX_LENGTH), hashKey(key)]
+      );
+
+      return { ...(await this.getAgent(agent.id)), key };
+    } catch (error) {
+      console.error('Create agent error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a support agent
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} Agent row
+   * @throws {Error} 404 AGENT_NOT_FOUND if there is no such agent
+   */
+  async getAgent(agentId) {
+    const agent = await this.db.queryOne('SELECT * FROM agents WHERE id = ?', [agentId]);
+
+    if (!agent) {
+      throw createError(`Agent ${agentId} not found`, 404, 'AGENT_NOT_FOUND');
+    }
+
+    return agent;
+  }
+
+  /**
+   * List support agents, including disabled ones
+   * @returns {Promise<Array>} Agent rows, by name
+   */
+  async listAgents() {
+    try {
+      return await this.db.query('SELECT * FROM agents ORDER BY name, created_at');
+    } catch (error) {
+      console.error('List agents error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable a support agent; their key stops working straight away
+   * Agents are kept rather than deleted, since the audit log refers to them.
+   * @param {string} agentId - Agent ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Disabled agent row
+   */
+  async disableAgent(agentId, now = new Date()) {
+    try {
+      const agent = await this.getAgent(agentId);
+
+      if (!agent.disabled_at) {
+        await this.db.execute('UPDATE agents SET disabled_at = ? WHERE id = ?', [now.toISOString(), agentId]);
+      }
+
+      return await this.getAgent(agentId);
+    } catch (error) {
+      console.error('Disable agent error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give a support agent a new API key, replacing their old one
+   * Also re-enables a disabled agent.
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} Agent row, with the new key in key (never shown again)
+   */
+  async resetAgentKey(agentId) {
+    try {
+      await this.getAgent(agentId);
+
+      const key = generateKey(AGENT_KEY_PREFIX);
+      await this.db.execute(
+        'UPDATE agents SET key_prefix = ?, key_hash = ?, disabled_at = NULL WHERE id = ?',
+        [key.slice(0, KEY_PREFIX_LENGTH), hashKey(key), agentId]
+      );
+
+      return { ...(await this.getAgent(agentId)), key };
+    } catch (error) {
+      console.error('Reset agent key error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out who a key belongs to
+   * @param {string} key - API key from the Authorization header
+   * @param {Date} now - Current time, recorded as the key's last use
+   * @returns {Promise<Object>} { type: 'customer', customerId, keyId }, { type: 'agent', agentId, name }
+   *   or { type: 'admin', agentId: null, name: 'Admin' }
+   * @throws {Error} 401 INVALID_API_KEY if the key is unknown, revoked or belongs to a disabled agent
+   */
+  async authenticate(key, now = new Date()) {
+    if (this.isAdminKey(key)) {
+      return { type: 'admin', agentId: null, name: 'Admin' };
+    }
+
+    if (key && key.startsWith(AGENT_KEY_PREFIX)) {
+      const agent = await this.db.queryOne('SELECT * FROM agents WHERE key_hash = ?', [hashKey(key)]);
+      if (!agent || agent.disabled_at) {
+        throw createError('Invalid or revoked API key', 401, 'INVALID_API_KEY');
+      }
+
+      await this.db.execute('UPDATE agents SET last_used_at = ? WHERE id = ?', [now.toISOString(), agent.id]);
+      return { type: 'agent', agentId: agent.id, name: agent.name };
+    }
+
+    const apiKey = key && key.startsWith(CUSTOMER_KEY_PREFIX)
+      ? await this.db.queryOne('SELECT * FROM api_keys WHERE key_hash = ?', [hashKey(key)])
+      : null;
+    if (!apiKey || apiKey.revoked_at) {
+      throw createError('Invalid or revoked API key', 401, 'INVALID_API_KEY');
+    }
+
+    await this.db.execute('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [now.toISOString(), apiKey.id]);
+    return { type: 'customer', customerId: apiKey.customer_id, keyId: apiKey.id };
+  }
+
+  /**
+   * Check a key against ADMIN_API_KEY in constant time
+   * @param {string} key - API key
+   * @returns {boolean} Whether it is the admin key
+   */
+  isAdminKey(key) {
+    if (!this.adminApiKey || !key) {
+      return false;
+    }
+
+    const expected = Buffer.from(hashKey(this.adminApiKey));
+    const actual = Buffer.from(hashKey(key));
+    return timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Sign a path so it can be opened without an API key until it expires
+   * @param {string} path - URL path, without the query string
+   * @param {Date} now - Current time
+   * @returns {{expires: number, signature: string}} Query parameters to add to the link
+   */
+  signLink(path, now = new Date()) {
+    const expires = Math.floor((now.getTime() + LINK_TTL_MS) / 1000);
+    return { expires, signature: this.linkSignature(path, expires) };
+  }
+
+  /**
+   * Check a signed link
+   * @param {string} path - URL path, without the query string
+   * @param {Object} query - Link query parameters (expires, signature)
+   * @param {Date} now - Current time
+   * @returns {boolean} Whether the signature is valid and hasn't expired
+   */
+  verifyLink(path, { expires, signature } = {}, now = new Date()) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || !signature || expiresAt * 1000 < now.getTime()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.linkSignature(path, expiresAt));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * HMAC of a path and its expiry
+   * @param {string} path - URL path
+   * @param {number} expires - Expiry, in seconds since the epoch
+   * @returns {string} Hex signature
+   */
+  linkSignature(path, expires) {
+    return createHmac('sha256', this.linkSecret).update(`${path}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Format a support agent for API responses
+   * The key itself is only included straight after it is issued.
+   * @param {Object} agent - Agent row
+   * @returns {Object} Formatted agent
+   */
+  formatAgent(agent) {
+    return {
+      id: agent.id,
+      name: agent.name,
+      email: agent.email,
+      prefix: agent.key_prefix,
+      key: agent.key,
+      createdAt: agent.created_at,
+      lastUsedAt: agent.last_used_at,
+      disabled: agent.disabled_at !== null,
+      disabledAt: agent.disabled_at
+    };
+  }
+
+  /**
+   * Format an API key for API responses
+   * The key itself is only included straight after it is created.
+   * @param {Object} apiKey - Key row
+   * @returns {Object} Formatted key
+   */
+  formatApiKey(apiKey) {
+    return {
+      id: apiKey.id,
+      customerId: apiKey.customer_id,
+      name: apiKey.name,
+      prefix: apiKey.key_prefix,
+      key: apiKey.key,
+      createdAt: apiKey.created_at,
+      lastUsedAt: apiKey.last_used_at,
+      revoked: apiKey.revoked_at !== null,
+      revokedAt: apiKey.revoked_at
+    };
+  }
+}
+
+export default AuthManager;
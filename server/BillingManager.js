@@ -1,45 +1,402 @@
 import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import { DEFAULT_CURRENCY, DEFAULT_LOCALE, formatMoney, fromMinorUnits, toMinorUnits } from './money.js';
+import { SYSTEM_ACTOR } from './EventLog.js';
+
+/**
+ * Result of a charge made without a payment gateway, which always succeeds
+ */
+const UNCOLLECTED_PAYMENT = {
+  status: 'success',
+  failureCode: null,
+  failureReason: null,
+  paymentMethod: null,
+  paymentMethodId: null,
+  gatewayReference: null
+};
 
 /**
  * BillingManager handles billing history and transaction operations
+ * Amounts are stored in minor units of the transaction's currency and only
+ * converted to major units when formatted for API responses.
+ * With a PaymentManager, charges and refunds are made through the payment
+ * gateway before they are recorded.
  */
 class BillingManager {
-  constructor(database) {
+  constructor(database, invoiceManager = null, eventLog = null, paymentManager = null) {
     this.db = database;
+    this.invoiceManager = invoiceManager;
+    this.eventLog = eventLog;
+    this.paymentManager = paymentManager;
+  }
+
+  /**
+   * Charge a customer through the payment gateway
+   * Nothing is collected for amounts of zero or less, or when no gateway is configured.
+   * @param {string} customerId - Customer ID
+   * @param {number} amount - Amount in minor units
+   * @param {string} currency - ISO 4217 currency code
+   * @param {string} description - What the charge is for
+   * @returns {Promise<Object>} Payment result (see PaymentManager), to pass to recordTransaction as payment
+   */
+  async chargeCustomer(customerId, amount, currency, description) {
+    if (!this.paymentManager || amount <= 0) {
+      return UNCOLLECTED_PAYMENT;
+    }
+
+    return await this.paymentManager.charge(customerId, amount, currency, description);
+  }
+
+  /**
+   * Stop a customer-initiated change whose payment failed
+   * @param {Object} payment - Payment result from chargeCustomer
+   * @throws {Error} 402 PAYMENT_FAILED if the payment failed
+   */
+  assertPaymentAccepted(payment) {
+    if (payment.status === 'failed') {
+      throw createError(`Payment failed: ${payment.failureReason || 'payment declined'}`, 402, 'PAYMENT_FAILED');
+    }
+  }
+
+  /**
+   * Add a billing action to the history of the transaction's subscription
+   * @param {string} type - Event type
+   * @param {Object} transaction - Transaction row the action concerns
+   * @param {Object} options - Event options (see EventLog.record)
+   */
+  async recordEvent(type, transaction, options) {
+    if (!this.eventLog || !transaction.subscription_id) {
+      return;
+    }
+
+    await this.eventLog.record(type, { id: transaction.subscription_id, customer_id: transaction.customer_id }, options);
   }
 
   /**
    * Record a billing transaction
+   * Successful charges are invoiced as soon as they are recorded.
    * @param {string} customerId - Customer ID
    * @param {string} subscriptionId - Subscription ID
-   * @param {number} amount - Transaction amount
-   * @param {string} status - Transaction status (success, failed, pending, refunded)
+   * @param {number} amount - Transaction amount in minor units
+   * @param {string} status - Transaction status (success, failed, pending, refunded, disputed)
    * @param {string} paymentMethod - Payment method used
    * @param {string} description - Transaction description
+   * @param {Object} options - Additional transaction fields
+   * @param {string} options.currency - Currency of the amount (defaults to the subscription's currency)
+   * @param {string} options.transactionDate - Transaction date (ISO format, defaults to now)
+   * @param {string} options.refundedTransactionId - Original transaction, for refunds
+   * @param {string} options.refundReason - Reason, for refunds
+   * @param {Object} options.discount - Coupon discount already taken off the amount ({ amount, code })
+   * @param {Object} options.tax - Tax included in the amount (see TaxManager.calculateTax); untaxed when omitted
+   * @param {Array} options.items - Add-on lines to itemize on the invoice ({ description, quantity, unitAmount })
+   * @param {Object} options.actor - Who made the charge, for the event log
+   * @param {Object} options.payment - Payment gateway result (see chargeCustomer); its payment method
+   *   label is used when paymentMethod is not given
    * @returns {Promise<Object>} Created transaction
    */
-  async recordTransaction(customerId, subscriptionId, amount, status, paymentMethod = null, description = null) {
+  async recordTransaction(customerId, subscriptionId, amount, status, paymentMethod = null, description = null, {
+    currency = null,
+    transactionDate = new Date().toISOString(),
+    refundedTransactionId = null,
+    refundReason = null,
+    discount = null,
+    tax = null,
+    items = [],
+    actor = SYSTEM_ACTOR,
+    payment = null
+  } = {}) {
     try {
       const transactionId = randomUUID();
-      const transactionDate = new Date().toISOString();
+      paymentMethod = paymentMethod || payment?.paymentMethod || null;
+
+      if (!currency) {
+        const subscription = await this.db.queryOne('SELECT currency FROM subscriptions WHERE id = ?', [subscriptionId]);
+        currency = subscription?.currency || DEFAULT_CURRENCY;
+      }
 
       await this.db.execute(
         `INSERT INTO billing_history 
-         (id, customer_id, subscription_id, amount, status, payment_method, transaction_date, description)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [transactionId, customerId, subscriptionId, amount, status, paymentMethod, transactionDate, description]
+         (id, customer_id, subscription_id, amount, currency, status, payment_method, transaction_date, description,
+          refunded_transaction_id, refund_reason, discount_amount, discount_code,
+          net_amount, tax_amount, tax_rate, tax_name, tax_inclusive,
+          payment_method_id, gateway_reference, failure_code)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          transactionId, customerId, subscriptionId, amount, currency, status, paymentMethod, transactionDate, description,
+          refundedTransactionId, refundReason, discount?.amount || 0, discount?.code || null,
+          tax ? tax.netAmount : amount, tax?.taxAmount || 0, tax?.rate ?? null, tax?.name || null, tax?.inclusive ? 1 : 0,
+          payment?.paymentMethodId || null, payment?.gatewayReference || null, payment?.failureCode || null
+        ]
       );
 
-      return await this.db.queryOne(
+      if (this.invoiceManager && status === 'success' && amount > 0 && !refundedTransactionId) {
+        await this.invoiceManager.issueInvoice(transactionId, new Date(transactionDate), { items });
+      }
+
+      const transaction = await this.db.queryOne(
         'SELECT * FROM billing_history WHERE id = ?',
         [transactionId]
       );
+
+      const type = refundedTransactionId ? 'refund.issued'
+        : status === 'failed' ? 'payment.failed'
+        : amount < 0 ? 'credit.issued'
+        : status === 'success' ? 'payment.succeeded'
+        : `payment.${status}`;
+      await this.recordEvent(type, transaction, {
+        actor,
+        after: transaction,
+        details: { transactionId, amount, currency, description, reason: refundReason },
+        occurredAt: transactionDate
+      });
+
+      return transaction;
     } catch (error) {
       console.error('Record transaction error:', error);
       throw error;
     }
   }
 
+  /**
+   * Currency, discount and tax of a recorded charge, to record another attempt at the same charge
+   * @param {Object} transaction - Transaction row
+   * @returns {Object} currency, discount and tax options for recordTransaction
+   */
+  getChargeDetails(transaction) {
+    return {
+      currency: transaction.currency,
+      discount: transaction.discount_amount
+        ? { amount: transaction.discount_amount, code: transaction.discount_code }
+        : null,
+      tax: transaction.tax_name
+        ? {
+          netAmount: transaction.net_amount,
+          taxAmount: transaction.tax_amount,
+          rate: transaction.tax_rate,
+          name: transaction.tax_name,
+          inclusive: transaction.tax_inclusive === 1
+        }
+        : null
+    };
+  }
+
+  /**
+   * Get the payment method most recently used for a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<string|null>} Payment method, or null if none recorded
+   */
+  async getLastPaymentMethod(subscriptionId) {
+    try {
+      const transaction = await this.db.queryOne(
+        `SELECT payment_method FROM billing_history
+         WHERE subscription_id = ? AND payment_method IS NOT NULL
+         ORDER BY transaction_date DESC
+         LIMIT 1`,
+        [subscriptionId]
+      );
+
+      return transaction?.payment_method || null;
+    } catch (error) {
+      console.error('Get last payment method error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record how a pending charge ended
+   * A settled charge is invoiced; one that failed is marked failed. Either way
+   * the outcome is added to the subscription's history.
+   * @param {string} transactionId - Pending transaction ID
+   * @param {Object} outcome - status (success or failed), failureCode and failureReason
+   * @param {Date} now - Settlement time
+   * @param {Object} options - Settlement options
+   * @param {Object} options.actor - Who reported the outcome, for the event log
+   * @returns {Promise<Object>} Updated transaction (unchanged if it was no longer pending)
+   */
+  async settlePayment(transactionId, { status, failureCode = null, failureReason = null }, now = new Date(), {
+    actor = SYSTEM_ACTOR
+  } = {}) {
+    try {
+      const before = await this.db.queryOne('SELECT * FROM billing_history WHERE id = ?', [transactionId]);
+      if (!before) {
+        throw createError(`Transaction with ID ${transactionId} not found`, 404, 'TRANSACTION_NOT_FOUND');
+      }
+
+      // Settling only from pending makes repeated notices of the same outcome harmless
+      const { changes } = await this.db.execute(
+        "UPDATE billing_history SET status = ?, failure_code = ? WHERE id = ? AND status = 'pending'",
+        [status, failureCode, transactionId]
+      );
+      const transaction = await this.db.queryOne('SELECT * FROM billing_history WHERE id = ?', [transactionId]);
+      if (changes === 0) {
+        return transaction;
+      }
+
+      if (this.invoiceManager && status === 'success' && transaction.amount > 0) {
+        await this.invoiceManager.issueInvoice(transactionId, now);
+      }
+
+      await this.recordEvent(status === 'success' ? 'payment.succeeded' : 'payment.failed', transaction, {
+        actor,
+        before,
+        after: transaction,
+        details: {
+          transactionId,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          description: transaction.description,
+          reason: failureReason
+        },
+        occurredAt: now
+      });
+
+      return transaction;
+    } catch (error) {
+      console.error('Settle payment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the transaction for a payment gateway charge or refund
+   * @param {string} gatewayReference - Gateway reference
+   * @returns {Promise<Object|null>} Transaction, or null if none has that reference
+   */
+  async findByGatewayReference(gatewayReference) {
+    return await this.db.queryOne(
+      'SELECT * FROM billing_history WHERE gateway_reference = ?',
+      [gatewayReference]
+    ) || null;
+  }
+
+  /**
+   * Mark a successful charge as disputed by the customer with their bank
+   * A disputed charge can't be refunded until the dispute is closed.
+   * @param {string} transactionId - Charge transaction ID
+   * @param {string} reason - Reason given for the dispute
+   * @param {Date} now - Time of the dispute
+   * @param {Object} options - Dispute options
+   * @param {Object} options.actor - Who reported the dispute, for the event log
+   * @returns {Promise<Object|null>} Disputed transaction, or null if it wasn't a successful charge
+   */
+  async markDisputed(transactionId, reason, now = new Date(), { actor = SYSTEM_ACTOR } = {}) {
+    try {
+      const before = await this.db.queryOne('SELECT * FROM billing_history WHERE id = ?', [transactionId]);
+      const { changes } = await this.db.execute(
+        "UPDATE billing_history SET status = 'disputed' WHERE id = ? AND status = 'success'",
+        [transactionId]
+      );
+      if (changes === 0) {
+        return null;
+      }
+
+      const transaction = await this.db.queryOne('SELECT * FROM billing_history WHERE id = ?', [transactionId]);
+      await this.recordEvent('payment.disputed', transaction, {
+        actor,
+        before,
+        after: transaction,
+        details: {
+          transactionId,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          description: transaction.description,
+          reason
+        },
+        occurredAt: now
+      });
+
+      return transaction;
+    } catch (error) {
+      console.error('Mark disputed error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record how a dispute ended
+   * A won dispute makes the charge successful again. A lost one means the bank
+   * returned the money, which is recorded as a refund of what was left.
+   * @param {string} transactionId - Charge transaction ID
+   * @param {string} outcome - won or lost
+   * @param {Date} now - Time the dispute closed
+   * @param {Object} options - Dispute options
+   * @param {string} options.reference - Gateway reference of the returned payment, for lost disputes
+   * @param {Object} options.actor - Who reported the outcome, for the event log
+   * @returns {Promise<Object>} Updated charge transaction
+   */
+  async closeDispute(transactionId, outcome, now = new Date(), { reference = null, actor = SYSTEM_ACTOR } = {}) {
+    try {
+      const before = await this.db.queryOne('SELECT * FROM billing_history WHERE id = ?', [transactionId]);
+      if (!before) {
+        throw createError(`Transaction with ID ${transactionId} not found`, 404, 'TRANSACTION_NOT_FOUND');
+      }
+
+      await this.db.execute(
+        "UPDATE billing_history SET status = 'success' WHERE id = ? AND status = 'disputed'",
+        [transactionId]
+      );
+
+      if (outcome === 'lost') {
+        const { remaining } = await this.getRefundableAmount(transactionId);
+        if (remaining > 0) {
+          await this.refundTransaction(transactionId, null, 'Payment returned to the customer after a lost dispute', {
+            actor,
+            gatewayRefund: { gatewayReference: reference }
+          });
+        }
+      }
+
+      const transaction = await this.db.queryOne('SELECT * FROM billing_history WHERE id = ?', [transactionId]);
+      await this.recordEvent(outcome === 'lost' ? 'payment.dispute_lost' : 'payment.dispute_won', transaction, {
+        actor,
+        before,
+        after: transaction,
+        details: {
+          transactionId,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          description: transaction.description
+        },
+        occurredAt: now
+      });
+
+      return transaction;
+    } catch (error) {
+      console.error('Close dispute error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the payment gateway how pending charges ended and record the outcomes
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Transactions that settled or failed
+   */
+  async settlePendingPayments(now = new Date()) {
+    if (!this.paymentManager) {
+      return [];
+    }
+
+    try {
+      const pending = await this.db.query(
+        "SELECT id, gateway_reference FROM billing_history WHERE status = 'pending' AND gateway_reference IS NOT NULL"
+      );
+
+      const settled = [];
+      for (const transaction of pending) {
+        const outcome = await this.paymentManager.getChargeStatus(transaction.gateway_reference);
+        if (outcome.status !== 'pending') {
+          settled.push(await this.settlePayment(transaction.id, outcome, now));
+        }
+      }
+
+      return settled;
+    } catch (error) {
+      console.error('Settle pending payments error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get billing history for a customer
    * @param {string} customerId - Customer ID
@@ -49,10 +406,11 @@ class BillingManager {
   async getBillingHistory(customerId, limit = 50) {
     try {
       const transactions = await this.db.query(
-        `SELECT bh.*, s.plan_id, p.name as plan_name
+        `SELECT bh.*, s.plan_id, p.name as plan_name, c.locale
          FROM billing_history bh
          JOIN subscriptions s ON bh.subscription_id = s.id
          JOIN plans p ON s.plan_id = p.id
+         JOIN customers c ON bh.customer_id = c.id
          WHERE bh.customer_id = ?
          ORDER BY bh.transaction_date DESC
          LIMIT ?`,
@@ -60,7 +418,7 @@ class BillingManager {
       );
 
       // Format transactions for display
-      return transactions.map(tx => this.formatTransaction(tx));
+      return transactions.map(tx => this.formatTransaction(tx, tx.locale || DEFAULT_LOCALE));
     } catch (error) {
       console.error('Get billing history error:', error);
       throw error;
@@ -75,7 +433,7 @@ class BillingManager {
   async getTransactionDetails(transactionId) {
     try {
       const transaction = await this.db.queryOne(
-        `SELECT bh.*, s.plan_id, p.name as plan_name, c.name as customer_name, c.email
+        `SELECT bh.*, s.plan_id, p.name as plan_name, c.name as customer_name, c.email, c.locale
          FROM billing_history bh
          JOIN subscriptions s ON bh.subscription_id = s.id
          JOIN plans p ON s.plan_id = p.id
@@ -88,29 +446,441 @@ class BillingManager {
         throw new Error(`Transaction with ID ${transactionId} not found`);
       }
 
-      return this.formatTransaction(transaction);
+      return this.formatTransaction(transaction, transaction.locale || DEFAULT_LOCALE);
     } catch (error) {
       console.error('Get transaction details error:', error);
       throw error;
     }
   }
 
+  /**
+   * Get how much of a transaction can still be refunded
+   * Only successful charges are refundable; earlier refunds reduce what remains
+   * @param {string} transactionId - Original transaction ID
+   * @returns {Promise<Object>} Original transaction, amount already refunded and amount remaining (minor units)
+   */
+  async getRefundableAmount(transactionId) {
+    const original = await this.db.queryOne(
+      'SELECT * FROM billing_history WHERE id = ?',
+      [transactionId]
+    );
+
+    if (!original) {
+      throw createError(`Transaction with ID ${transactionId} not found`, 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    if (original.refunded_transaction_id || original.amount <= 0) {
+      throw createError('Only charges can be refunded', 400, 'TRANSACTION_NOT_REFUNDABLE');
+    }
+
+    // Refund rows are stored as negative amounts linked to the original charge
+    const { refunded } = await this.db.queryOne(
+      'SELECT COALESCE(-SUM(amount), 0) as refunded FROM billing_history WHERE refunded_transaction_id = ?',
+      [transactionId]
+    );
+
+    const remaining = original.status === 'success' || original.status === 'refunded'
+      ? original.amount - refunded
+      : 0;
+
+    return { original, refunded, remaining };
+  }
+
+  /**
+   * Refund all or part of a transaction
+   * @param {string} transactionId - Original transaction ID
+   * @param {number|null} amount - Amount to refund in major units, e.g. 4.50 (defaults to everything still refundable)
+   * @param {string} reason - Reason for the refund
+   * @param {Object} options - Refund options
+   * @param {Object} options.actor - Who issued the refund, for the event log
+   * @param {Object} options.gatewayRefund - Refund the gateway has already made, such as one reported by
+   *   its webhook ({ gatewayReference }); it is recorded without refunding through the gateway again
+   * @returns {Promise<Object>} Refund transaction, updated original and remaining refundable amount (minor units)
+   */
+  async refundTransaction(transactionId, amount, reason, { actor = SYSTEM_ACTOR, gatewayRefund = null } = {}) {
+    try {
+      if (!reason || !String(reason).trim()) {
+        throw createError('A reason is required for every refund', 400, 'REFUND_REASON_REQUIRED');
+      }
+
+      const { original, remaining } = await this.getRefundableAmount(transactionId);
+      const refundAmount = amount === null || amount === undefined
+        ? remaining
+        : toMinorUnits(amount, original.currency);
+
+      if (!(refundAmount > 0)) {
+        throw createError(
+          remaining > 0 ? 'Refund amount must be greater than zero' : 'Transaction has nothing left to refund',
+          400,
+          'INVALID_REFUND_AMOUNT'
+        );
+      }
+
+      if (refundAmount > remaining) {
+        throw createError(
+          `Refund of ${formatMoney(refundAmount, original.currency)} exceeds the ` +
+            `${formatMoney(remaining, original.currency)} still refundable on this transaction`,
+          400,
+          'REFUND_EXCEEDS_AMOUNT'
+        );
+      }
+
+      // Tax is refunded in proportion, and the final refund returns whatever tax is left
+      let refundTax = 0;
+      if (original.tax_amount) {
+        const { refundedTax } = await this.db.queryOne(
+          'SELECT COALESCE(SUM(-tax_amount), 0) as refundedTax FROM billing_history WHERE refunded_transaction_id = ?',
+          [original.id]
+        );
+        refundTax = refundAmount === remaining
+          ? original.tax_amount - refundedTax
+          : Math.round(refundAmount * original.tax_amount / original.amount);
+      }
+
+      // Charges taken through the gateway are refunded through it before the refund is recorded
+      let payment = gatewayRefund ? { ...gatewayRefund } : null;
+      if (!payment && this.paymentManager && original.gateway_reference) {
+        payment = await this.paymentManager.refund(original, refundAmount);
+        if (payment.status === 'failed') {
+          throw createError(`Refund failed: ${payment.failureReason || 'refund declined'}`, 402, 'REFUND_FAILED');
+        }
+      }
+      if (payment) {
+        payment.paymentMethodId = original.payment_method_id;
+      }
+
+      const refund = await this.recordTransaction(
+        original.customer_id,
+        original.subscription_id,
+        -refundAmount,
+        'refunded',
+        original.payment_method,
+        `Refund for ${original.description || 'payment'}`,
+        {
+          currency: original.currency,
+          refundedTransactionId: original.id,
+          refundReason: String(reason).trim(),
+          tax: original.tax_name
+            ? {
+              netAmount: -(refundAmount - refundTax),
+              taxAmount: -refundTax,
+              rate: original.tax_rate,
+              name: original.tax_name,
+              inclusive: original.tax_inclusive === 1
+            }
+            : null,
+          actor,
+          payment
+        }
+      );
+
+      const remainingAfter = remaining - refundAmount;
+      if (remainingAfter === 0) {
+        await this.db.execute(
+          'UPDATE billing_history SET status = ? WHERE id = ?',
+          ['refunded', original.id]
+        );
+      }
+
+      return {
+        refund,
+        original: await this.db.queryOne('SELECT * FROM billing_history WHERE id = ?', [original.id]),
+        remainingRefundable: remainingAfter
+      };
+    } catch (error) {
+      console.error('Refund transaction error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund part of what a subscription has paid, such as unused time given back by a downgrade
+   * The amount is taken from the subscription's charges, newest first, up to what
+   * each still has to refund. Time that was never paid for, e.g. under a 100%
+   * coupon, isn't refunded, so the refunds can add up to less than the amount.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {number} amount - Amount to refund in minor units, with tax
+   * @param {string} reason - Reason for the refund
+   * @param {Object} options - Refund options
+   * @param {Object} options.actor - Who caused the refund, for the event log
+   * @returns {Promise<Array>} Refund transactions, newest charge first (empty if nothing was refundable)
+   */
+  async refundSubscription(subscriptionId, amount, reason, { actor = SYSTEM_ACTOR } = {}) {
+    try {
+      const charges = await this.db.query(
+        `SELECT id, currency FROM billing_history
+         WHERE subscription_id = ? AND status = 'success' AND amount > 0 AND refunded_transaction_id IS NULL
+         ORDER BY transaction_date DESC, rowid DESC`,
+        [subscriptionId]
+      );
+
+      const refunds = [];
+      let outstanding = amount;
+      for (const charge of charges) {
+        if (outstanding <= 0) {
+          break;
+        }
+
+        const { remaining } = await this.getRefundableAmount(charge.id);
+        const refundAmount = Math.min(outstanding, remaining);
+        if (refundAmount <= 0) {
+          continue;
+        }
+
+        const { refund } = await this.refundTransaction(
+          charge.id,
+          fromMinorUnits(refundAmount, charge.currency),
+          reason,
+          { actor }
+        );
+        refunds.push(refund);
+        outstanding -= refundAmount;
+      }
+
+      return refunds;
+    } catch (error) {
+      console.error('Refund subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a refund request for an admin to review
+   * @param {string} customerId - Customer requesting the refund
+   * @param {string} transactionId - Transaction to refund
+   * @param {number|null} amount - Amount requested in major units (defaults to everything still refundable)
+   * @param {string} reason - Customer's reason
+   * @param {Object} options - Request options
+   * @param {Object} options.actor - Who asked for the refund, for the event log
+   * @returns {Promise<Object>} Created refund request
+   */
+  async createRefundRequest(customerId, transactionId, amount, reason, { actor = SYSTEM_ACTOR } = {}) {
+    try {
+      if (!reason || !String(reason).trim()) {
+        throw createError('Please give a reason for the refund', 400, 'REFUND_REASON_REQUIRED');
+      }
+
+      const { original, remaining } = await this.getRefundableAmount(transactionId);
+
+      if (original.customer_id !== customerId) {
+        throw createError(`Transaction with ID ${transactionId} not found`, 404, 'TRANSACTION_NOT_FOUND');
+      }
+
+      const requestAmount = amount === null || amount === undefined
+        ? remaining
+        : toMinorUnits(amount, original.currency);
+
+      if (!(requestAmount > 0) || requestAmount > remaining) {
+        throw createError(
+          `Refund amount must be between 0 and ${formatMoney(remaining, original.currency)}`,
+          400,
+          'INVALID_REFUND_AMOUNT'
+        );
+      }
+
+      const pending = await this.db.queryOne(
+        "SELECT id FROM refund_requests WHERE transaction_id = ? AND status = 'pending'",
+        [transactionId]
+      );
+      if (pending) {
+        throw createError('A refund request for this transaction is already pending', 409, 'REFUND_REQUEST_PENDING');
+      }
+
+      const requestId = randomUUID();
+      await this.db.execute(
+        `INSERT INTO refund_requests
+         (id, customer_id, transaction_id, amount, currency, reason, status, requested_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          requestId, customerId, transactionId, requestAmount, original.currency,
+          String(reason).trim(), 'pending', new Date().toISOString()
+        ]
+      );
+
+      const request = await this.getRefundRequest(requestId);
+      await this.recordEvent('refund.requested', original, {
+        actor,
+        after: request,
+        details: { requestId, transactionId, amount: requestAmount, currency: original.currency, reason: request.reason }
+      });
+
+      return request;
+    } catch (error) {
+      console.error('Create refund request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a refund request by ID
+   * @param {string} requestId - Refund request ID
+   * @returns {Promise<Object>} Refund request
+   */
+  async getRefundRequest(requestId) {
+    const request = await this.db.queryOne(
+      'SELECT * FROM refund_requests WHERE id = ?',
+      [requestId]
+    );
+
+    if (!request) {
+      throw createError(`Refund request with ID ${requestId} not found`, 404, 'REFUND_REQUEST_NOT_FOUND');
+    }
+
+    return request;
+  }
+
+  /**
+   * List refund requests
+   * @param {string|null} status - Only return requests with this status
+   * @returns {Promise<Array>} Refund requests, oldest first
+   */
+  async listRefundRequests(status = null) {
+    try {
+      return await this.db.query(
+        `SELECT rr.*, bh.description as transaction_description, c.name as customer_name
+         FROM refund_requests rr
+         JOIN billing_history bh ON rr.transaction_id = bh.id
+         JOIN customers c ON rr.customer_id = c.id
+         WHERE (? IS NULL OR rr.status = ?)
+         ORDER BY rr.requested_at`,
+        [status, status]
+      );
+    } catch (error) {
+      console.error('List refund requests error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending refund request and issue the refund
+   * @param {string} requestId - Refund request ID
+   * @param {string} reviewedBy - Admin approving the request
+   * @returns {Promise<Object>} Updated request and the refund result
+   */
+  async approveRefundRequest(requestId, reviewedBy) {
+    try {
+      const request = await this.getRefundRequest(requestId);
+
+      if (request.status !== 'pending') {
+        throw createError(`Refund request is already ${request.status}`, 409, 'REFUND_REQUEST_CLOSED');
+      }
+
+      const result = await this.refundTransaction(
+        request.transaction_id,
+        fromMinorUnits(request.amount, request.currency),
+        request.reason,
+        { actor: { type: 'admin', id: reviewedBy } }
+      );
+
+      await this.db.execute(
+        `UPDATE refund_requests
+         SET status = ?, reviewed_at = ?, reviewed_by = ?, refund_transaction_id = ?
+         WHERE id = ?`,
+        ['approved', new Date().toISOString(), reviewedBy, result.refund.id, requestId]
+      );
+
+      return { request: await this.getRefundRequest(requestId), ...result };
+    } catch (error) {
+      console.error('Approve refund request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending refund request
+   * @param {string} requestId - Refund request ID
+   * @param {string} reviewedBy - Admin rejecting the request
+   * @param {string} note - Reason for rejecting
+   * @returns {Promise<Object>} Updated request
+   */
+  async rejectRefundRequest(requestId, reviewedBy, note = null) {
+    try {
+      const request = await this.getRefundRequest(requestId);
+
+      if (request.status !== 'pending') {
+        throw createError(`Refund request is already ${request.status}`, 409, 'REFUND_REQUEST_CLOSED');
+      }
+
+      await this.db.execute(
+        `UPDATE refund_requests
+         SET status = ?, reviewed_at = ?, reviewed_by = ?, review_note = ?
+         WHERE id = ?`,
+        ['rejected', new Date().toISOString(), reviewedBy, note, requestId]
+      );
+
+      const rejected = await this.getRefundRequest(requestId);
+      const transaction = await this.db.queryOne('SELECT * FROM billing_history WHERE id = ?', [request.transaction_id]);
+      await this.recordEvent('refund.rejected', transaction, {
+        actor: { type: 'admin', id: reviewedBy },
+        before: request,
+        after: rejected,
+        details: { requestId, transactionId: transaction.id, amount: request.amount, currency: request.currency, note }
+      });
+
+      return rejected;
+    } catch (error) {
+      console.error('Reject refund request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a refund request for API responses
+   * @param {Object} request - Refund request row
+   * @param {string} locale - Locale to format the amount for
+   * @returns {Object} Refund request with the amount in major units
+   */
+  formatRefundRequest(request, locale = DEFAULT_LOCALE) {
+    return {
+      ...request,
+      amount: fromMinorUnits(request.amount, request.currency),
+      formatted: { amount: formatMoney(request.amount, request.currency, locale) }
+    };
+  }
+
   /**
    * Format transaction for display
+   * Amounts are converted to major units, with locale-formatted copies in formatted.
    * @param {Object} transaction - Raw transaction from database
+   * @param {string} locale - Locale to format amounts for
    * @returns {Object} Formatted transaction
    */
-  formatTransaction(transaction) {
+  formatTransaction(transaction, locale = DEFAULT_LOCALE) {
+    const { currency } = transaction;
+    const netAmount = transaction.net_amount ?? transaction.amount;
+    const taxAmount = transaction.tax_amount || 0;
+    const format = minorUnits => formatMoney(minorUnits, currency, locale);
+
     return {
       id: transaction.id,
       date: transaction.transaction_date,
-      amount: transaction.amount,
+      amount: fromMinorUnits(transaction.amount, currency),
+      currency,
+      netAmount: fromMinorUnits(netAmount, currency),
+      taxAmount: fromMinorUnits(taxAmount, currency),
+      tax: transaction.tax_name
+        ? { name: transaction.tax_name, rate: transaction.tax_rate, inclusive: transaction.tax_inclusive === 1 }
+        : null,
       status: transaction.status,
       paymentMethod: transaction.payment_method,
+      paymentMethodId: transaction.payment_method_id || null,
+      gatewayReference: transaction.gateway_reference || null,
+      failureCode: transaction.failure_code || null,
       description: transaction.description || `Payment for ${transaction.plan_name || 'subscription'}`,
       planName: transaction.plan_name,
       customerId: transaction.customer_id,
-      subscriptionId: transaction.subscription_id
+      subscriptionId: transaction.subscription_id,
+      refundedTransactionId: transaction.refunded_transaction_id || null,
+      refundReason: transaction.refund_reason || null,
+      discount: transaction.discount_amount
+        ? { code: transaction.discount_code, amount: fromMinorUnits(transaction.discount_amount, currency) }
+        : null,
+      formatted: {
+        amount: format(transaction.amount),
+        netAmount: format(netAmount),
+        taxAmount: format(taxAmount),
+        discount: transaction.discount_amount ? format(transaction.discount_amount) : null
+      }
     };
   }
 }
@@ -0,0 +1,410 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_LOCALE,
+  formatMoney,
+  fromMinorUnits,
+  normalizeCurrency,
+  toMinorUnits
+} from './money.js';
+import { SYSTEM_ACTOR } from './EventLog.js';
+
+const DISCOUNT_TYPES = ['percent', 'amount'];
+const DURATIONS = ['once', 'repeating', 'forever'];
+
+/**
+ * CouponManager handles promo codes and the discounts they give
+ * A coupon is redeemed against a subscription and discounts its renewal
+ * charges for the coupon's duration: the next charge only (once), a fixed
+ * number of billing cycles (repeating) or every charge (forever).
+ * Amount-off coupons are fixed in one currency and only apply to
+ * subscriptions billed in it.
+ */
+class CouponManager {
+  constructor(database, eventLog = null) {
+    this.db = database;
+    this.eventLog = eventLog;
+  }
+
+  /**
+   * Normalize a promo code for lookup
+   * @param {string} code - Code as entered
+   * @returns {string} Upper-case code without surrounding whitespace
+   */
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Create a coupon
+   * @param {Object} coupon - Coupon definition
+   * @param {string} coupon.code - Promo code
+   * @param {string} coupon.description - Description shown to customers
+   * @param {string} coupon.discountType - percent or amount
+   * @param {number} coupon.discountValue - Percent off (1-100) or amount off in major units (e.g. 5.50)
+   * @param {string} coupon.currency - Currency of an amount-off coupon (defaults to DEFAULT_CURRENCY)
+   * @param {string} coupon.duration - once, repeating or forever
+   * @param {number} coupon.durationCycles - Billing cycles discounted, for repeating coupons
+   * @param {number} coupon.maxRedemptions - Total redemptions allowed (null for unlimited)
+   * @param {string} coupon.expiresAt - Last date the code can be redeemed (ISO format)
+   * @returns {Promise<Object>} Created coupon
+   */
+  async createCoupon({
+    code,
+    description = null,
+    discountType,
+    discountValue,
+    currency = DEFAULT_CURRENCY,
+    duration = 'once',
+    durationCycles = null,
+    maxRedemptions = null,
+    expiresAt = null
+  }) {
+    try {
+      const normalizedCode = this.normalizeCode(code);
+      const couponCurrency = discountType === 'amount' ? normalizeCurrency(currency) : null;
+      // Amount-off coupons are stored in minor units, like every other amount
+      const value = couponCurrency ? toMinorUnits(discountValue, couponCurrency) : Number(discountValue);
+
+      if (!/^[A-Z0-9_-]{3,32}$/.test(normalizedCode)) {
+        throw createError('Coupon code must be 3-32 letters, digits, dashes or underscores', 400, 'INVALID_COUPON');
+      }
+      if (!DISCOUNT_TYPES.includes(discountType)) {
+        throw createError(`discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`, 400, 'INVALID_COUPON');
+      }
+      if (!(value > 0) || (discountType === 'percent' && value > 100)) {
+        throw createError('discountValue must be positive, and at most 100 for percent coupons', 400, 'INVALID_COUPON');
+      }
+      if (!DURATIONS.includes(duration)) {
+        throw createError(`duration must be one of: ${DURATIONS.join(', ')}`, 400, 'INVALID_COUPON');
+      }
+      if (duration === 'repeating' && !(Number.isInteger(durationCycles) && durationCycles > 0)) {
+        throw createError('Repeating coupons need a positive whole number of durationCycles', 400, 'INVALID_COUPON');
+      }
+      if (maxRedemptions !== null && !(Number.isInteger(maxRedemptions) && maxRedemptions > 0)) {
+        throw createError('maxRedemptions must be a positive whole number', 400, 'INVALID_COUPON');
+      }
+      if (expiresAt !== null && isNaN(new Date(expiresAt).getTime())) {
+        throw createError(`Invalid expiresAt date: ${expiresAt}`, 400, 'INVALID_DATE');
+      }
+
+      const existing = await this.db.queryOne('SELECT id FROM coupons WHERE code = ?', [normalizedCode]);
+      if (existing) {
+        throw createError(`Coupon ${normalizedCode} already exists`, 409, 'COUPON_EXISTS');
+      }
+
+      const couponId = randomUUID();
+      await this.db.execute(
+        `INSERT INTO coupons
+         (id, code, description, discount_type, discount_value, currency, duration, duration_cycles, max_redemptions, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          couponId,
+          normalizedCode,
+          description,
+          discountType,
+          value,
+          couponCurrency,
+          duration,
+          duration === 'repeating' ? durationCycles : null,
+          maxRedemptions,
+          expiresAt ? new Date(expiresAt).toISOString() : null
+        ]
+      );
+
+      return await this.db.queryOne('SELECT * FROM coupons WHERE id = ?', [couponId]);
+    } catch (error) {
+      console.error('Create coupon error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all coupons, newest first
+   * @returns {Promise<Array>} Coupons
+   */
+  async listCoupons() {
+    try {
+      return await this.db.query('SELECT * FROM coupons ORDER BY created_at DESC, code');
+    } catch (error) {
+      console.error('List coupons error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a coupon by its code
+   * @param {string} code - Promo code
+   * @returns {Promise<Object>} Coupon row
+   */
+  async getCoupon(code) {
+    const coupon = await this.db.queryOne(
+      'SELECT * FROM coupons WHERE code = ?',
+      [this.normalizeCode(code)]
+    );
+
+    if (!coupon) {
+      throw createError(`Coupon code ${this.normalizeCode(code)} is not valid`, 404, 'COUPON_NOT_FOUND');
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Get a coupon and check that a customer can redeem it now
+   * @param {string} code - Promo code
+   * @param {string} customerId - Customer redeeming the code
+   * @param {Date} now - Current time
+   * @param {Object} options - Redemption options
+   * @param {string} options.currency - Currency of the subscription the coupon is for
+   * @returns {Promise<Object>} Coupon row
+   */
+  async getRedeemableCoupon(code, customerId, now = new Date(), { currency = null } = {}) {
+    const coupon = await this.getCoupon(code);
+
+    if (!coupon.active) {
+      throw createError(`Coupon ${coupon.code} is no longer available`, 400, 'COUPON_INACTIVE');
+    }
+    if (coupon.expires_at && new Date(coupon.expires_at) < now) {
+      throw createError(`Coupon ${coupon.code} expired on ${coupon.expires_at.slice(0, 10)}`, 400, 'COUPON_EXPIRED');
+    }
+    if (coupon.max_redemptions !== null && coupon.times_redeemed >= coupon.max_redemptions) {
+      throw createError(`Coupon ${coupon.code} has reached its redemption limit`, 409, 'COUPON_LIMIT_REACHED');
+    }
+    if (currency && coupon.currency && coupon.currency !== currency) {
+      throw createError(
+        `Coupon ${coupon.code} can only be used on payments in ${coupon.currency}`,
+        400,
+        'COUPON_CURRENCY_MISMATCH'
+      );
+    }
+
+    const previous = await this.db.queryOne(
+      'SELECT id FROM coupon_redemptions WHERE customer_id = ? AND coupon_id = ?',
+      [customerId, coupon.id]
+    );
+    if (previous) {
+      throw createError(`You have already used coupon ${coupon.code}`, 409, 'COUPON_ALREADY_REDEEMED');
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Get the coupon currently discounting a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} Redemption joined with its coupon, or null
+   */
+  async getActiveRedemption(subscriptionId) {
+    return await this.db.queryOne(
+      `SELECT r.*, c.code, c.description, c.discount_type, c.discount_value, c.currency, c.duration, c.duration_cycles
+       FROM coupon_redemptions r
+       JOIN coupons c ON r.coupon_id = c.id
+       WHERE r.subscription_id = ? AND r.ended_at IS NULL
+       ORDER BY r.redeemed_at DESC
+       LIMIT 1`,
+      [subscriptionId]
+    );
+  }
+
+  /**
+   * Apply a promo code to a subscription
+   * A subscription carries one coupon at a time.
+   * @param {string} code - Promo code
+   * @param {Object} subscription - Subscription row
+   * @param {Date} now - Current time
+   * @param {Object} options - Apply options
+   * @param {Object} options.actor - Who is applying the code, for the event log
+   * @returns {Promise<Object>} Coupon and redemption
+   */
+  async applyCoupon(code, subscription, now = new Date(), { actor = SYSTEM_ACTOR } = {}) {
+    try {
+      if (subscription.status === 'cancelled') {
+        throw createError('Coupons cannot be applied to a cancelled subscription', 409, 'INVALID_SUBSCRIPTION_STATUS');
+      }
+
+      const coupon = await this.getRedeemableCoupon(code, subscription.customer_id, now, {
+        currency: subscription.currency
+      });
+
+      const current = await this.getActiveRedemption(subscription.id);
+      if (current) {
+        throw createError(
+          `Subscription already has coupon ${current.code} applied`,
+          409,
+          'COUPON_ALREADY_APPLIED'
+        );
+      }
+
+      return await this.redeem(coupon, subscription, now, { actor });
+    } catch (error) {
+      console.error('Apply coupon error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a redemption of a coupon that has already been validated
+   * @param {Object} coupon - Coupon row
+   * @param {Object} subscription - Subscription row
+   * @param {Date} now - Current time
+   * @param {Object} options - Redemption options
+   * @param {Object} options.actor - Who redeemed the code, for the event log
+   * @returns {Promise<Object>} Coupon and redemption
+   */
+  async redeem(coupon, subscription, now = new Date(), { actor = SYSTEM_ACTOR } = {}) {
+    // Count the redemption only while the limit still allows it, so concurrent redemptions can't overshoot
+    const { changes } = await this.db.execute(
+      `UPDATE coupons SET times_redeemed = times_redeemed + 1
+       WHERE id = ? AND (max_redemptions IS NULL OR times_redeemed < max_redemptions)`,
+      [coupon.id]
+    );
+    if (changes === 0) {
+      throw createError(`Coupon ${coupon.code} has reached its redemption limit`, 409, 'COUPON_LIMIT_REACHED');
+    }
+
+    const redemptionId = randomUUID();
+    await this.db.execute(
+      `INSERT INTO coupon_redemptions (id, coupon_id, customer_id, subscription_id, redeemed_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [redemptionId, coupon.id, subscription.customer_id, subscription.id, now.toISOString()]
+    );
+
+    const redemption = await this.db.queryOne('SELECT * FROM coupon_redemptions WHERE id = ?', [redemptionId]);
+
+    if (this.eventLog) {
+      await this.eventLog.record('coupon.applied', subscription, {
+        actor,
+        after: redemption,
+        details: { couponId: coupon.id, code: coupon.code, description: coupon.description },
+        occurredAt: now
+      });
+    }
+
+    return {
+      coupon: await this.db.queryOne('SELECT * FROM coupons WHERE id = ?', [coupon.id]),
+      redemption
+    };
+  }
+
+  /**
+   * Calculate the discount a coupon gives on an amount
+   * @param {Object} coupon - Coupon row
+   * @param {number} amount - Amount before discount, in minor units
+   * @returns {number} Discount in minor units, never more than the amount
+   */
+  calculateDiscount(coupon, amount) {
+    const discount = coupon.discount_type === 'percent'
+      ? amount * coupon.discount_value / 100
+      : coupon.discount_value;
+
+    return Math.round(Math.min(amount, Math.max(0, discount)));
+  }
+
+  /**
+   * Get the discount a subscription's next charge would receive
+   * @param {string} subscriptionId - Subscription ID
+   * @param {number} amount - Amount before discount, in minor units
+   * @param {string} locale - Locale for the description
+   * @returns {Promise<Object|null>} Discount details (amounts in minor units), or null when no coupon applies
+   */
+  async getDiscount(subscriptionId, amount, locale = DEFAULT_LOCALE) {
+    const redemption = await this.getActiveRedemption(subscriptionId);
+    if (!redemption) {
+      return null;
+    }
+
+    const discountAmount = this.calculateDiscount(redemption, amount);
+    return {
+      redemptionId: redemption.id,
+      code: redemption.code,
+      amount: discountAmount,
+      netAmount: amount - discountAmount,
+      duration: redemption.duration,
+      description: this.describeCoupon(redemption, locale)
+    };
+  }
+
+  /**
+   * Count a billing cycle against a redemption, ending it when its duration is used up
+   * @param {string} redemptionId - Redemption ID
+   * @param {Date} now - Current time
+   */
+  async useCycle(redemptionId, now = new Date()) {
+    try {
+      await this.db.execute(
+        'UPDATE coupon_redemptions SET cycles_used = cycles_used + 1 WHERE id = ?',
+        [redemptionId]
+      );
+
+      const redemption = await this.db.queryOne(
+        `SELECT r.cycles_used, c.duration, c.duration_cycles
+         FROM coupon_redemptions r
+         JOIN coupons c ON r.coupon_id = c.id
+         WHERE r.id = ?`,
+        [redemptionId]
+      );
+
+      const cycleLimit = redemption.duration === 'once' ? 1
+        : redemption.duration === 'repeating' ? redemption.duration_cycles
+        : null;
+
+      if (cycleLimit !== null && redemption.cycles_used >= cycleLimit) {
+        await this.db.execute(
+          'UPDATE coupon_redemptions SET ended_at = ? WHERE id = ?',
+          [now.toISOString(), redemptionId]
+        );
+      }
+    } catch (error) {
+      console.error('Use coupon cycle error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe a coupon's discount for display
+   * @param {Object} coupon - Coupon row (or redemption joined with its coupon)
+   * @param {string} locale - Locale amount-off values are formatted for
+   * @returns {string} e.g. "20% off for 3 billing cycles"
+   */
+  describeCoupon(coupon, locale = DEFAULT_LOCALE) {
+    const value = coupon.discount_type === 'percent'
+      ? `${coupon.discount_value}% off`
+      : `${formatMoney(coupon.discount_value, coupon.currency, locale)} off`;
+
+    const duration = coupon.duration === 'once' ? 'on the next payment'
+      : coupon.duration === 'repeating' ? `for ${coupon.duration_cycles} billing cycle${coupon.duration_cycles === 1 ? '' : 's'}`
+      : 'on every payment';
+
+    return `${value} ${duration}`;
+  }
+
+  /**
+   * Format a coupon for API responses
+   * @param {Object} coupon - Coupon row
+   * @param {string} locale - Locale for the summary
+   * @returns {Object} Formatted coupon
+   */
+  formatCoupon(coupon, locale = DEFAULT_LOCALE) {
+    return {
+      id: coupon.id,
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discount_type,
+      discountValue: coupon.currency
+        ? fromMinorUnits(coupon.discount_value, coupon.currency)
+        : coupon.discount_value,
+      currency: coupon.currency,
+      duration: coupon.duration,
+      durationCycles: coupon.duration_cycles,
+      maxRedemptions: coupon.max_redemptions,
+      timesRedeemed: coupon.times_redeemed,
+      expiresAt: coupon.expires_at,
+      active: coupon.active === 1,
+      summary: this.describeCoupon(coupon, locale)
+    };
+  }
+}
+
+export default CouponManager;
@@ -0,0 +1,301 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import { normalizeCurrency, normalizeLocale } from './money.js';
+import { isValidTimeZone } from './billingCalendar.js';
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * CustomerManager creates, reads, updates and deletes customers
+ * Email addresses are stored trimmed and lower-cased, and no two customers
+ * share one. Billing address and currency preferences have their own
+ * operations (TaxManager.setBillingRegion, SubscriptionManager.setCustomerPreferences).
+ */
+class CustomerManager {
+  constructor(database, { paymentManager = null } = {}) {
+    this.db = database;
+    this.paymentManager = paymentManager;
+  }
+
+  /**
+   * Normalize and validate an email address
+   * @param {string} email - Email address
+   * @returns {string} Trimmed, lower-cased address
+   * @throws {Error} 400 INVALID_EMAIL if it isn't a valid address
+   */
+  normalizeEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (normalized.length > 254 || !EMAIL_PATTERN.test(normalized)) {
+      throw createError(`Invalid email address: ${email}`, 400, 'INVALID_EMAIL');
+    }
+    return normalized;
+  }
+
+  /**
+   * Normalize and validate a customer name
+   * @param {string} name - Customer name
+   * @returns {string} Trimmed name
+   * @throws {Error} 400 INVALID_NAME if it is empty or longer than 100 characters
+   */
+  normalizeName(name) {
+    const normalized = String(name || '').trim();
+    if (!normalized || normalized.length > 100) {
+      throw createError('Name must be 1-100 characters', 400, 'INVALID_NAME');
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate a time zone
+   * @param {string|null} timeZone - IANA time zone, or null for the default billing time zone
+   * @returns {string|null} The time zone
+   * @throws {Error} 400 INVALID_TIME_ZONE if it isn't a known time zone
+   */
+  normalizeTimeZone(timeZone) {
+    if (timeZone === null) {
+      return null;
+    }
+    if (!timeZone || !isValidTimeZone(timeZone)) {
+      throw createError(`Invalid time zone: ${timeZone}`, 400, 'INVALID_TIME_ZONE');
+    }
+    return timeZone;
+  }
+
+  /**
+   * Make sure no other customer uses an email address
+   * @param {string} email - Normalized email address
+   * @param {string} customerId - Customer allowed to have it already (when updating)
+   * @throws {Error} 409 EMAIL_IN_USE if another customer has it
+   */
+  async assertEmailAvailable(email, customerId = null) {
+    const existing = await this.db.queryOne(
+      'SELECT id FROM customers WHERE LOWER(email) = ? AND id != ?',
+      [email, customerId || '']
+    );
+    if (existing) {
+      throw createError(`Email ${email} is already used by another customer`, 409, 'EMAIL_IN_USE');
+    }
+  }
+
+  /**
+   * Create a customer
+   * @param {Object} customer - Customer details
+   * @param {string} customer.name - Name
+   * @param {string} customer.email - Email address, unique across customers
+   * @param {string} customer.timeZone - IANA time zone billing dates are shown in (optional)
+   * @param {string} customer.currency - ISO 4217 currency new subscriptions are billed in (optional)
+   * @param {string} customer.locale - BCP 47 locale amounts are shown in (optional)
+   * @returns {Promise<Object>} Created customer
+   */
+  async createCustomer({ name, email, timeZone = null, currency = null, locale = null }) {
+    try {
+      const customer = {
+        id: randomUUID(),
+        name: this.normalizeName(name),
+        email: this.normalizeEmail(email),
+        timeZone: this.normalizeTimeZone(timeZone),
+        currency: currency === null ? null : normalizeCurrency(currency),
+        locale: locale === null ? null : normalizeLocale(locale)
+      };
+
+      await this.assertEmailAvailable(customer.email);
+      await this.insertOrConflict(
+        'INSERT INTO customers (id, name, email, time_zone, currency, locale) VALUES (?, ?, ?, ?, ?, ?)',
+        [customer.id, customer.name, customer.email, customer.timeZone, customer.currency, customer.locale],
+        customer.email
+      );
+
+      return await this.getCustomer(customer.id);
+    } catch (error) {
+      console.error('Create customer error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Customer
+   * @throws {Error} 404 CUSTOMER_NOT_FOUND if there is no such customer
+   */
+  async getCustomer(customerId) {
+    const customer = await this.db.queryOne('SELECT * FROM customers WHERE id = ?', [customerId]);
+
+    if (!customer) {
+      throw createError(`Customer with ID ${customerId} not found`, 404, 'CUSTOMER_NOT_FOUND');
+    }
+
+    return customer;
+  }
+
+  /**
+   * List customers, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.email - Exact email address
+   * @param {number} limit - Maximum number of customers
+   * @returns {Promise<Array>} Customers
+   */
+  async listCustomers({ email = null } = {}, limit = 100) {
+    try {
+      if (email) {
+        return await this.db.query('SELECT * FROM customers WHERE LOWER(email) = ?', [String(email).trim().toLowerCase()]);
+      }
+
+      return await this.db.query('SELECT * FROM customers ORDER BY created_at DESC, rowid DESC LIMIT ?', [limit]);
+    } catch (error) {
+      console.error('List customers error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search customers by ID, or by part of their name or email address
+   * @param {string} query - Text to look for, case-insensitive
+   * @param {number} limit - Maximum number of customers
+   * @returns {Promise<Array>} Matching customers, exact ID and email matches first, then by name
+   */
+  async searchCustomers(query, limit = 20) {
+    try {
+      const text = String(query || '').trim().toLowerCase();
+      if (!text) {
+        return [];
+      }
+
+      return await this.db.query(
+        `SELECT * FROM customers
+         WHERE id = ? OR INSTR(LOWER(email), ?) > 0 OR INSTR(LOWER(name), ?) > 0
+         ORDER BY (id = ? OR LOWER(email) = ?) DESC, name, created_at
+         LIMIT ?`,
+        [String(query).trim(), text, text, String(query).trim(), text, limit]
+      );
+    } catch (error) {
+      console.error('Search customers error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a customer's name, email address or time zone
+   * @param {string} customerId - Customer ID
+   * @param {Object} changes - Fields to change (name, email, timeZone; null timeZone uses the default)
+   * @returns {Promise<Object>} Updated customer
+   */
+  async updateCustomer(customerId, { name, email, timeZone }) {
+    try {
+      await this.getCustomer(customerId);
+
+      const updates = {};
+      if (name !== undefined) {
+        updates.name = this.normalizeName(name);
+      }
+      if (email !== undefined) {
+        updates.email = this.normalizeEmail(email);
+        await this.assertEmailAvailable(updates.email, customerId);
+      }
+      if (timeZone !== undefined) {
+        updates.time_zone = this.normalizeTimeZone(timeZone);
+      }
+
+      const fields = Object.keys(updates);
+      if (fields.length === 0) {
+        throw createError('Provide a name, email or timeZone to update', 400, 'MISSING_FIELDS');
+      }
+
+      await this.insertOrConflict(
+        `UPDATE customers SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(updates), customerId],
+        updates.email
+      );
+
+      return await this.getCustomer(customerId);
+    } catch (error) {
+      console.error('Update customer error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a customer's email address
+   * @param {string} customerId - Customer ID
+   * @param {string} email - New email address
+   * @returns {Promise<Object>} Updated customer
+   */
+  async updateEmail(customerId, email) {
+    return await this.updateCustomer(customerId, { email });
+  }
+
+  /**
+   * Delete a customer and their saved payment methods
+   * Customers who have had subscriptions keep their billing records and history,
+   * so only customers without any can be deleted.
+   * @param {string} customerId - Customer ID
+   * @throws {Error} 409 CUSTOMER_HAS_SUBSCRIPTIONS if the customer has subscriptions
+   */
+  async deleteCustomer(customerId) {
+    try {
+      await this.getCustomer(customerId);
+
+      const { count } = await this.db.queryOne(
+        'SELECT COUNT(*) as count FROM subscriptions WHERE customer_id = ?',
+        [customerId]
+      );
+      if (count > 0) {
+        throw createError(
+          'Customers with subscriptions can\'t be deleted; their billing records are kept',
+          409,
+          'CUSTOMER_HAS_SUBSCRIPTIONS'
+        );
+      }
+
+      if (this.paymentManager) {
+        for (const paymentMethod of await this.paymentManager.listPaymentMethods(customerId)) {
+          await this.paymentManager.removePaymentMethod(customerId, paymentMethod.id);
+        }
+      }
+
+      await this.db.execute('DELETE FROM customers WHERE id = ?', [customerId]);
+    } catch (error) {
+      console.error('Delete customer error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run an insert or update, reporting a clash on the unique email as a conflict
+   * Covers two requests claiming the same address at once, after both passed assertEmailAvailable.
+   * @param {string} sql - Statement
+   * @param {Array} params - Statement parameters
+   * @param {string} email - Email address being written, if any
+   */
+  async insertOrConflict(sql, params, email) {
+    try {
+      await this.db.execute(sql, params);
+    } catch (error) {
+      if (email && /UNIQUE constraint failed: customers\.email/.test(error.message)) {
+        throw createError(`Email ${email} is already used by another customer`, 409, 'EMAIL_IN_USE');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Format a customer for API responses
+   * @param {Object} customer - Customer row
+   * @returns {Object} Formatted customer
+   */
+  formatCustomer(customer) {
+    return {
+      id: customer.id,
+      name: customer.name,
+      email: customer.email,
+      timeZone: customer.time_zone,
+      country: customer.country,
+      region: customer.region,
+      currency: customer.currency,
+      locale: customer.locale,
+      createdAt: customer.created_at
+    };
+  }
+}
+
+export default CustomerManager;
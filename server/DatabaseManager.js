@@ -32,7 +32,17 @@ class DatabaseManager {
       });
 
       // Promisify database methods
-      this.db.run = promisify(this.db.run);
+      // run reports lastID and changes on the callback's `this`, which promisify drops
+      const run = this.db.run.bind(this.db);
+      this.db.run = (sql, params) => new Promise((resolve, reject) => {
+        run(sql, params, function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this);
+          }
+        });
+      });
       this.db.get = promisify(this.db.get);
       this.db.all = promisify(this.db.all);
 
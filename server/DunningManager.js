@@ -0,0 +1,422 @@
+import { randomUUID } from 'crypto';
+import { SCHEDULER_ACTOR } from './EventLog.js';
+import { parseRetrySchedule } from './retrySchedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * DunningManager handles failed renewal payments
+ * A failed renewal opens a dunning case and puts the subscription past due.
+ * Payment is retried on a schedule counted from the first failure; when the
+ * retries run out the subscription is suspended, then cancelled after a grace period.
+ */
+class DunningManager {
+  constructor(database, billingManager, {
+    retryDays = parseRetrySchedule(process.env.DUNNING_RETRY_DAYS || '1,3,7'),
+    cancelAfterDays = parseFloat(process.env.DUNNING_CANCEL_AFTER_DAYS) || 7,
+    eventLog = null
+  } = {}) {
+    this.db = database;
+    this.billingManager = billingManager;
+    this.retryDays = retryDays;
+    this.cancelAfterDays = cancelAfterDays;
+    this.eventLog = eventLog;
+  }
+
+  /**
+   * Move a subscription to a new status and add the change to its history
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} status - New status
+   * @param {string} eventType - Event type for the event log
+   * @param {Date} now - Time of the change
+   * @param {Object} options - Change details
+   * @param {string} options.endDate - End date to set, when the subscription ends (ISO format)
+   * @param {Object} options.details - Event details
+   * @param {Object} options.actor - Who made the change (defaults to the scheduler)
+   */
+  async setSubscriptionStatus(subscriptionId, status, eventType, now, {
+    endDate = null,
+    details = null,
+    actor = SCHEDULER_ACTOR
+  } = {}) {
+    const before = await this.db.queryOne('SELECT * FROM subscriptions WHERE id = ?', [subscriptionId]);
+
+    await this.db.execute(
+      'UPDATE subscriptions SET status = ?, end_date = COALESCE(?, end_date) WHERE id = ?',
+      [status, endDate, subscriptionId]
+    );
+
+    if (this.eventLog) {
+      const after = await this.db.queryOne('SELECT * FROM subscriptions WHERE id = ?', [subscriptionId]);
+      await this.eventLog.record(eventType, after, {
+        actor,
+        before,
+        after,
+        details,
+        occurredAt: now
+      });
+    }
+  }
+
+  /**
+   * Record a dunning step
+   * @param {Object} dunningCase - Dunning case row
+   * @param {string} step - Step name
+   * @param {Date} now - Time of the step
+   * @param {Object} options - Step details
+   * @param {string} options.transactionId - Related billing transaction
+   * @param {string} options.details - Human-readable details
+   */
+  async recordStep(dunningCase, step, now, { transactionId = null, details = null } = {}) {
+    await this.db.execute(
+      `INSERT INTO dunning_events
+       (id, case_id, subscription_id, step, transaction_id, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [randomUUID(), dunningCase.id, dunningCase.subscription_id, step, transactionId, details, now.toISOString()]
+    );
+  }
+
+  /**
+   * Get the time of a scheduled retry
+   * @param {Object} dunningCase - Dunning case row
+   * @param {number} retryNumber - Retry number, starting at 1
+   * @returns {Date|null} Retry time, or null if no retries remain
+   */
+  getRetryDate(dunningCase, retryNumber) {
+    const offsetDays = this.retryDays[retryNumber - 1];
+    if (offsetDays === undefined) {
+      return null;
+    }
+    return new Date(new Date(dunningCase.opened_at).getTime() + offsetDays * DAY_MS);
+  }
+
+  /**
+   * Open a dunning case for a failed renewal payment
+   * @param {Object} subscription - Subscription row joined with its plan
+   * @param {Object} failedTransaction - Failed billing transaction
+   * @param {Date} billingDate - Billing date the payment was for
+   * @param {Date} now - Time of the failure
+   * @returns {Promise<Object>} Dunning case
+   */
+  async openCase(subscription, failedTransaction, billingDate, now) {
+    try {
+      const dunningCase = {
+        id: randomUUID(),
+        subscription_id: subscription.id,
+        customer_id: subscription.customer_id,
+        amount: failedTransaction.amount,
+        currency: failedTransaction.currency,
+        billing_date: billingDate.toISOString(),
+        opened_at: now.toISOString()
+      };
+      const firstRetry = this.getRetryDate(dunningCase, 1);
+
+      await this.db.execute(
+        `INSERT INTO dunning_cases
+         (id, subscription_id, customer_id, amount, currency, billing_date, status, attempt_count, next_retry_at, opened_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          dunningCase.id,
+          dunningCase.subscription_id,
+          dunningCase.customer_id,
+          dunningCase.amount,
+          dunningCase.currency,
+          dunningCase.billing_date,
+          'retrying',
+          1,
+          firstRetry?.toISOString() || null,
+          dunningCase.opened_at
+        ]
+      );
+
+      await this.setSubscriptionStatus(subscription.id, 'past_due', 'subscription.past_due', now, {
+        details: { caseId: dunningCase.id, transactionId: failedTransaction.id }
+      });
+
+      await this.recordStep(dunningCase, 'payment_failed', now, {
+        transactionId: failedTransaction.id,
+        details: failedTransaction.description
+      });
+
+      if (firstRetry) {
+        await this.recordStep(dunningCase, 'retry_scheduled', now, {
+          details: `Retry 1 of ${this.retryDays.length} scheduled for ${firstRetry.toISOString()}`
+        });
+        return await this.getCase(dunningCase.id);
+      }
+
+      // No retries configured: go straight to suspension
+      return await this.suspend(await this.getCase(dunningCase.id), now);
+    } catch (error) {
+      console.error('Open dunning case error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a dunning case for a charge that was accepted as pending and failed later
+   * The charge already covered its period, so the case is for that period's
+   * billing date. Only active subscriptions go to dunning; one already past
+   * due or ended is left alone.
+   * @param {Object} failedTransaction - Transaction that failed to settle
+   * @param {Date} now - Time the failure was reported
+   * @returns {Promise<Object|null>} Dunning case, or null if none was opened
+   */
+  async openCaseForPayment(failedTransaction, now) {
+    const subscription = await this.db.queryOne(
+      'SELECT * FROM subscriptions WHERE id = ?',
+      [failedTransaction.subscription_id]
+    );
+    if (subscription?.status !== 'active') {
+      return null;
+    }
+
+    return await this.openCase(subscription, failedTransaction, new Date(failedTransaction.transaction_date), now);
+  }
+
+  /**
+   * Get a dunning case by ID
+   * @param {string} caseId - Dunning case ID
+   * @returns {Promise<Object>} Dunning case
+   */
+  async getCase(caseId) {
+    return await this.db.queryOne('SELECT * FROM dunning_cases WHERE id = ?', [caseId]);
+  }
+
+  /**
+   * Suspend a subscription whose retries have run out
+   * @param {Object} dunningCase - Dunning case row
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Updated dunning case
+   */
+  async suspend(dunningCase, now) {
+    const cancelAt = new Date(now.getTime() + this.cancelAfterDays * DAY_MS);
+
+    await this.db.execute(
+      'UPDATE dunning_cases SET status = ?, next_retry_at = NULL, cancel_at = ? WHERE id = ?',
+      ['suspended', cancelAt.toISOString(), dunningCase.id]
+    );
+    await this.setSubscriptionStatus(dunningCase.subscription_id, 'suspended', 'subscription.suspended', now, {
+      details: { caseId: dunningCase.id, cancelAt: cancelAt.toISOString() }
+    });
+    await this.recordStep(dunningCase, 'suspended', now, {
+      details: `All retries failed. Subscription will be cancelled on ${cancelAt.toISOString()}`
+    });
+
+    return await this.getCase(dunningCase.id);
+  }
+
+  /**
+   * Retry payments and escalate cases that are due
+   * @param {Date} now - Current time
+   * @param {Function} attemptPayment - async (subscription, amount, description) => payment result
+   *   ({ status: success, pending or failed, failureReason, ... }, see RenewalRunner)
+   * @param {Function} onRecovered - async (subscription, dunningCase, transaction) called after a successful retry
+   * @returns {Promise<Object>} Counts of retried, recovered, suspended and cancelled cases
+   */
+  async processDue(now, attemptPayment, onRecovered = async () => {}) {
+    const summary = { retried: 0, recovered: 0, suspended: 0, cancelled: 0 };
+
+    try {
+      const retries = await this.db.query(
+        `SELECT dc.*, s.status as subscription_status
+         FROM dunning_cases dc
+         JOIN subscriptions s ON dc.subscription_id = s.id
+         WHERE dc.status = 'retrying' AND dc.next_retry_at IS NOT NULL AND dc.next_retry_at <= ?
+         ORDER BY dc.next_retry_at`,
+        [now.toISOString()]
+      );
+
+      for (const dunningCase of retries) {
+        if (await this.closeIfResolved(dunningCase, 'past_due', now)) {
+          continue;
+        }
+        summary.retried++;
+        const outcome = await this.retryPayment(dunningCase, now, attemptPayment, onRecovered);
+        if (outcome !== 'retrying') {
+          summary[outcome]++;
+        }
+      }
+
+      const cancellations = await this.db.query(
+        `SELECT dc.*, s.status as subscription_status
+         FROM dunning_cases dc
+         JOIN subscriptions s ON dc.subscription_id = s.id
+         WHERE dc.status = 'suspended' AND dc.cancel_at IS NOT NULL AND dc.cancel_at <= ?`,
+        [now.toISOString()]
+      );
+
+      for (const dunningCase of cancellations) {
+        if (await this.closeIfResolved(dunningCase, 'suspended', now)) {
+          continue;
+        }
+        await this.db.execute(
+          'UPDATE dunning_cases SET status = ?, closed_at = ? WHERE id = ?',
+          ['cancelled', now.toISOString(), dunningCase.id]
+        );
+        await this.setSubscriptionStatus(dunningCase.subscription_id, 'cancelled', 'subscription.cancelled', now, {
+          endDate: now.toISOString(),
+          details: { caseId: dunningCase.id, reason: 'non_payment' }
+        });
+        await this.recordStep(dunningCase, 'cancelled', now, {
+          details: 'Subscription cancelled for non-payment'
+        });
+        summary.cancelled++;
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Process dunning error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a case whose subscription left the dunning state by other means,
+   * for example a manual cancellation
+   * @param {Object} dunningCase - Dunning case row joined with subscription_status
+   * @param {string} expectedStatus - Subscription status while the case is open
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} True if the case was closed
+   */
+  async closeIfResolved(dunningCase, expectedStatus, now) {
+    if (dunningCase.subscription_status === expectedStatus) {
+      return false;
+    }
+
+    await this.db.execute(
+      'UPDATE dunning_cases SET status = ?, next_retry_at = NULL, closed_at = ? WHERE id = ?',
+      ['cancelled', now.toISOString(), dunningCase.id]
+    );
+    await this.recordStep(dunningCase, 'closed', now, {
+      details: `Subscription is no longer ${expectedStatus} (status: ${dunningCase.subscription_status})`
+    });
+
+    return true;
+  }
+
+  /**
+   * Retry the payment for a single dunning case
+   * @param {Object} dunningCase - Dunning case row
+   * @param {Date} now - Current time
+   * @param {Function} attemptPayment - Payment attempt function
+   * @param {Function} onRecovered - Called after a successful retry
+   * @returns {Promise<string>} Outcome: recovered, suspended or retrying
+   */
+  async retryPayment(dunningCase, now, attemptPayment, onRecovered) {
+    const subscription = await this.db.queryOne(
+      `SELECT s.*, p.name as plan_name, pp.unit_amount as price, p.billing_cycle
+       FROM subscriptions s
+       JOIN plans p ON s.plan_id = p.id
+       LEFT JOIN plan_price_versions pp
+         ON pp.plan_id = s.plan_id AND pp.version = s.price_version AND pp.currency = s.currency
+       WHERE s.id = ?`,
+      [dunningCase.subscription_id]
+    );
+    const retryNumber = dunningCase.attempt_count;
+    const paymentMethod = await this.billingManager.getLastPaymentMethod(subscription.id);
+    const result = await attemptPayment(
+      subscription,
+      dunningCase.amount,
+      `Retry ${retryNumber} for ${subscription.plan_name}`
+    );
+
+    // Retries collect the same charge, so they carry the original discount and tax
+    const failedCharge = await this.db.queryOne(
+      `SELECT bh.* FROM dunning_events e
+       JOIN billing_history bh ON e.transaction_id = bh.id
+       WHERE e.case_id = ? AND e.step = 'payment_failed'`,
+      [dunningCase.id]
+    );
+    const chargeDetails = failedCharge ? this.billingManager.getChargeDetails(failedCharge) : {};
+
+    // A retry the gateway accepted but hasn't settled yet counts as recovered
+    if (['success', 'pending'].includes(result.status)) {
+      const transaction = await this.billingManager.recordTransaction(
+        subscription.customer_id,
+        subscription.id,
+        dunningCase.amount,
+        result.status,
+        result.paymentMethod || paymentMethod,
+        `Retry ${retryNumber} succeeded for ${subscription.plan_name}`,
+        { transactionDate: now.toISOString(), ...chargeDetails, actor: SCHEDULER_ACTOR, payment: result }
+      );
+
+      await this.db.execute(
+        'UPDATE dunning_cases SET status = ?, next_retry_at = NULL, closed_at = ? WHERE id = ?',
+        ['recovered', now.toISOString(), dunningCase.id]
+      );
+      await this.setSubscriptionStatus(subscription.id, 'active', 'subscription.reactivated', now, {
+        details: { caseId: dunningCase.id, transactionId: transaction.id }
+      });
+      await this.recordStep(dunningCase, 'retry_succeeded', now, { transactionId: transaction.id });
+      await onRecovered(subscription, dunningCase, transaction);
+
+      return 'recovered';
+    }
+
+    const transaction = await this.billingManager.recordTransaction(
+      subscription.customer_id,
+      subscription.id,
+      dunningCase.amount,
+      'failed',
+      result.paymentMethod || paymentMethod,
+      `Retry ${retryNumber} failed for ${subscription.plan_name}: ${result.failureReason || 'payment declined'}`,
+      { transactionDate: now.toISOString(), ...chargeDetails, actor: SCHEDULER_ACTOR, payment: result }
+    );
+    await this.recordStep(dunningCase, 'retry_failed', now, {
+      transactionId: transaction.id,
+      details: transaction.description
+    });
+
+    const nextRetry = this.getRetryDate(dunningCase, retryNumber + 1);
+    if (!nextRetry) {
+      await this.suspend(dunningCase, now);
+      return 'suspended';
+    }
+
+    await this.db.execute(
+      'UPDATE dunning_cases SET attempt_count = ?, next_retry_at = ? WHERE id = ?',
+      [retryNumber + 1, nextRetry.toISOString(), dunningCase.id]
+    );
+    await this.recordStep(dunningCase, 'retry_scheduled', now, {
+      details: `Retry ${retryNumber + 1} of ${this.retryDays.length} scheduled for ${nextRetry.toISOString()}`
+    });
+
+    return 'retrying';
+  }
+
+  /**
+   * Get open dunning cases for a customer with their steps so far
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Open cases, most recent first
+   */
+  async getOpenCases(customerId) {
+    try {
+      const cases = await this.db.query(
+        `SELECT dc.*, p.name as plan_name
+         FROM dunning_cases dc
+         JOIN subscriptions s ON dc.subscription_id = s.id
+         JOIN plans p ON s.plan_id = p.id
+         WHERE dc.customer_id = ? AND dc.status IN ('retrying', 'suspended')
+         ORDER BY dc.opened_at DESC`,
+        [customerId]
+      );
+
+      for (const dunningCase of cases) {
+        dunningCase.totalRetries = this.retryDays.length;
+        dunningCase.events = await this.db.query(
+          'SELECT step, details, created_at FROM dunning_events WHERE case_id = ? ORDER BY created_at, rowid',
+          [dunningCase.id]
+        );
+      }
+
+      return cases;
+    } catch (error) {
+      console.error('Get open dunning cases error:', error);
+      throw error;
+    }
+  }
+}
+
+export default DunningManager;
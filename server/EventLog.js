@@ -0,0 +1,289 @@
+import { randomUUID } from 'crypto';
+import { DEFAULT_LOCALE, formatMoney } from './money.js';
+import { formatBillingDate } from './billingCalendar.js';
+
+/**
+ * Who made a change
+ * customer: the customer through the REST API, chat: the chat assistant acting
+ * on a customer's message, admin: staff, scheduler: the renewal runner and dunning,
+ * system: anything else (scripts, seed data).
+ */
+export const ACTOR_TYPES = ['customer', 'chat', 'admin', 'scheduler', 'system'];
+
+/**
+ * Actor for changes made by the renewal runner and dunning
+ */
+export const SCHEDULER_ACTOR = { type: 'scheduler', id: null };
+
+/**
+ * Actor for changes made without a caller saying who they are
+ */
+export const SYSTEM_ACTOR = { type: 'system', id: null };
+
+/**
+ * Actor for changes reported by the payment provider's webhooks
+ */
+export const PAYMENT_PROVIDER_ACTOR = { type: 'system', id: 'payment-provider' };
+
+/**
+ * Every type of event recorded, grouped by the prefix before the dot
+ */
+export const EVENT_TYPES = [
+  'subscription.created',
+  'subscription.updated',
+  'subscription.cancelled',
+  'subscription.cancellation_scheduled',
+  'subscription.cancellation_undone',
+  'subscription.ended',
+  'subscription.trial_converted',
+  'subscription.paused',
+  'subscription.resumed',
+  'subscription.plan_changed',
+  'subscription.quantity_changed',
+  'subscription.price_change_scheduled',
+  'subscription.price_changed',
+  'subscription.renewed',
+  'subscription.past_due',
+  'subscription.suspended',
+  'subscription.reactivated',
+  'coupon.applied',
+  'payment.succeeded',
+  'payment.failed',
+  'payment.pending',
+  'payment.disputed',
+  'payment.dispute_won',
+  'payment.dispute_lost',
+  'credit.issued',
+  'refund.issued',
+  'refund.requested',
+  'refund.rejected'
+];
+
+const ACTOR_LABELS = {
+  customer: 'you',
+  chat: 'you, in chat',
+  admin: 'our support team',
+  scheduler: 'automatic billing',
+  system: 'the system'
+};
+
+/**
+ * EventLog keeps an append-only history of every subscription state change and
+ * billing action. Each event records who made it, snapshots of the subscription
+ * (or transaction) before and after, and for chat the message that triggered it.
+ * The table refuses updates and deletes, so events can't be rewritten.
+ * With a webhook manager, every event is also queued for delivery to the
+ * webhook endpoints subscribed to it.
+ */
+class EventLog {
+  constructor(database, { webhookManager = null } = {}) {
+    this.db = database;
+    this.webhookManager = webhookManager;
+  }
+
+  /**
+   * Append an event to a subscription's history
+   * @param {string} type - Event type, e.g. subscription.cancelled or payment.succeeded
+   * @param {Object} subscription - Subscription the event belongs to (id and customer_id)
+   * @param {Object} options - Event details
+   * @param {Object} options.actor - Who made the change ({ type, id, chatMessageId })
+   * @param {Object} options.before - Snapshot before the change
+   * @param {Object} options.after - Snapshot after the change
+   * @param {Object} options.details - Anything else worth keeping (amounts, plan names, reasons)
+   * @param {Date} options.occurredAt - When the change happened (defaults to now)
+   * @returns {Promise<Object>} Recorded event
+   */
+  async record(type, subscription, {
+    actor = SYSTEM_ACTOR,
+    before = null,
+    after = null,
+    details = null,
+    occurredAt = new Date()
+  } = {}) {
+    try {
+      const actorType = ACTOR_TYPES.includes(actor?.type) ? actor.type : SYSTEM_ACTOR.type;
+      // Customers act on their own subscriptions
+      const actorId = actor?.id ?? (['customer', 'chat'].includes(actorType) ? subscription.customer_id : null);
+      const id = randomUUID();
+
+      await this.db.execute(
+        `INSERT INTO subscription_events
+         (id, subscription_id, customer_id, type, actor_type, actor_id, chat_message_id,
+          before_snapshot, after_snapshot, details, occurred_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          subscription.id,
+          subscription.customer_id,
+          type,
+          actorType,
+          actorId,
+          actor?.chatMessageId || null,
+          before ? JSON.stringify(before) : null,
+          after ? JSON.stringify(after) : null,
+          details ? JSON.stringify(details) : null,
+          new Date(occurredAt).toISOString()
+        ]
+      );
+
+      const event = await this.db.queryOne('SELECT * FROM subscription_events WHERE id = ?', [id]);
+
+      if (this.webhookManager) {
+        // The change has already happened; a webhook problem must not undo or fail it
+        try {
+          await this.webhookManager.enqueue(this.formatEvent(this.parseEvent(event)));
+        } catch (error) {
+          console.error(`Webhook enqueue failed for event ${id}:`, error);
+        }
+      }
+
+      return event;
+    } catch (error) {
+      console.error('Record event error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the JSON columns of an event row
+   * @param {Object} event - subscription_events row
+   * @returns {Object} Event with snapshots and details parsed
+   */
+  parseEvent(event) {
+    return {
+      ...event,
+      before_snapshot: event.before_snapshot ? JSON.parse(event.before_snapshot) : null,
+      after_snapshot: event.after_snapshot ? JSON.parse(event.after_snapshot) : null,
+      details: event.details ? JSON.parse(event.details) : null
+    };
+  }
+
+  /**
+   * Get a subscription's history, oldest first
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Array>} Events with snapshots and details parsed
+   */
+  async getSubscriptionEvents(subscriptionId) {
+    try {
+      const events = await this.db.query(
+        `SELECT * FROM subscription_events
+         WHERE subscription_id = ?
+         ORDER BY occurred_at, rowid`,
+        [subscriptionId]
+      );
+
+      return events.map(event => this.parseEvent(event));
+    } catch (error) {
+      console.error('Get subscription events error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the fields that differ between the before and after snapshots
+   * @param {Object} event - Event from getSubscriptionEvents
+   * @returns {Object|null} { field: { from, to } }, or null when the event lacks either snapshot
+   */
+  getChanges(event) {
+    const { before_snapshot: before, after_snapshot: after } = event;
+    if (!before || !after) {
+      return null;
+    }
+
+    const changes = {};
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (before[field] !== after[field]) {
+        changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Describe an event in a sentence for customers
+   * @param {Object} event - Event from getSubscriptionEvents
+   * @param {string} locale - Locale to format amounts for
+   * @returns {string} e.g. "Plan changed from Basic Plan to Pro Plan by you, in chat"
+   */
+  describeEvent(event, locale = DEFAULT_LOCALE) {
+    const details = event.details || {};
+    const after = event.after_snapshot || {};
+    const amount = details.amount !== undefined
+      ? formatMoney(Math.abs(details.amount), details.currency, locale)
+      : '';
+
+    const descriptions = {
+      'subscription.created': () => `Subscribed to ${details.planName || after.plan_id}` +
+        (after.status === 'trialing' ? ' with a free trial' : ''),
+      'subscription.updated': () => `Subscription updated (${Object.keys(this.getChanges(event) || {}).join(', ')})`,
+      'subscription.cancelled': () => details.reason === 'non_payment' ? 'Cancelled for non-payment'
+        : details.reason === 'dispute_lost' ? 'Cancelled after a disputed payment was lost'
+        : 'Cancelled immediately',
+      'subscription.cancellation_scheduled': () => 'Cancellation scheduled for the end of the billing period',
+      'subscription.cancellation_undone': () => 'Scheduled cancellation undone',
+      'subscription.ended': () => 'Ended at the end of the billing period, as scheduled',
+      'subscription.trial_converted': () => 'Free trial ended and the subscription became active',
+      'subscription.paused': () => 'Paused' + (after.resume_at ? ' with an automatic resume date' : ''),
+      'subscription.resumed': () => 'Resumed',
+      'subscription.plan_changed': () => `Plan changed from ${details.fromPlanName} to ${details.toPlanName}`,
+      'subscription.quantity_changed': () => `${details.addonName} changed from ${details.fromQuantity} to ${details.toQuantity}`,
+      'subscription.price_change_scheduled': () => `Price change to ${amount} scheduled from ${formatBillingDate(details.effectiveDate, { locale })}`,
+      'subscription.price_changed': () => `Price changed from ${formatMoney(details.fromAmount, details.currency, locale)} to ${amount}`,
+      'subscription.renewed': () => 'Renewed for another billing period',
+      'subscription.past_due': () => 'Renewal payment failed; subscription is past due',
+      'subscription.suspended': () => details.reason === 'dispute'
+        ? 'Suspended while a payment is disputed'
+        : 'Suspended after all payment retries failed',
+      'subscription.reactivated': () => details.reason === 'dispute_won'
+        ? 'Reactivated after a payment dispute was resolved'
+        : 'Reactivated after a payment retry succeeded',
+      'coupon.applied': () => `Promo code ${details.code} applied`,
+      'payment.succeeded': () => `Charged ${amount}: ${details.description}`,
+      'payment.failed': () => `Payment of ${amount} failed: ${details.description}` +
+        (details.reason ? ` (${details.reason})` : ''),
+      'payment.pending': () => `Payment of ${amount} is settling: ${details.description}`,
+      'payment.disputed': () => `Payment of ${amount} disputed with the bank: ${details.description}` +
+        (details.reason ? ` (${details.reason})` : ''),
+      'payment.dispute_won': () => `Dispute over the payment of ${amount} resolved in our favour`,
+      'payment.dispute_lost': () => `Dispute over the payment of ${amount} lost; the payment was returned`,
+      'credit.issued': () => `Credited ${amount}: ${details.description}`,
+      'refund.issued': () => `Refunded ${amount}` + (details.reason ? ` (${details.reason})` : ''),
+      'refund.requested': () => `Refund of ${amount} requested` + (details.reason ? ` (${details.reason})` : ''),
+      'refund.rejected': () => `Refund request for ${amount} rejected` + (details.note ? ` (${details.note})` : '')
+    };
+
+    const description = descriptions[event.type] ? descriptions[event.type]() : event.type;
+    const actorLabel = event.actor_id === PAYMENT_PROVIDER_ACTOR.id
+      ? 'our payment provider'
+      : ACTOR_LABELS[event.actor_type] || event.actor_type;
+    return `${description} by ${actorLabel}`;
+  }
+
+  /**
+   * Format an event for API responses
+   * @param {Object} event - Event from getSubscriptionEvents
+   * @param {string} locale - Locale to format amounts in the summary for
+   * @returns {Object} Formatted event
+   */
+  formatEvent(event, locale = DEFAULT_LOCALE) {
+    return {
+      id: event.id,
+      subscriptionId: event.subscription_id,
+      customerId: event.customer_id,
+      type: event.type,
+      actor: {
+        type: event.actor_type,
+        id: event.actor_id
+      },
+      chatMessageId: event.chat_message_id,
+      summary: this.describeEvent(event, locale),
+      before: event.before_snapshot,
+      after: event.after_snapshot,
+      changes: this.getChanges(event),
+      details: event.details,
+      occurredAt: event.occurred_at
+    };
+  }
+}
+
+export default EventLog;
@@ -0,0 +1,309 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import { DEFAULT_LOCALE, formatMoney, fromMinorUnits } from './money.js';
+
+const INVOICE_PREFIX = 'INV-';
+
+/**
+ * InvoiceManager issues invoices for successful charges
+ * Invoices are numbered sequentially in the order they are issued and keep a
+ * copy of the customer details and line items from the moment of issue.
+ * Amounts are in minor units of the charge's currency.
+ */
+class InvoiceManager {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Issue the invoice for a successful charge
+   * Issuing is idempotent: a charge only ever gets one invoice.
+   * @param {string} transactionId - Billing transaction ID
+   * @param {Date} now - Issue time
+   * @param {Object} options - Issue options
+   * @param {Array} options.items - Add-on lines of the charge, priced before discount and tax
+   *   ({ description, quantity, unitAmount }); the rest of the subtotal is the charge line
+   * @returns {Promise<Object>} Invoice with line items
+   */
+  async issueInvoice(transactionId, now = new Date(), { items = [] } = {}) {
+    try {
+      const existing = await this.db.queryOne(
+        'SELECT id FROM invoices WHERE transaction_id = ?',
+        [transactionId]
+      );
+      if (existing) {
+        return await this.getInvoiceById(existing.id);
+      }
+
+      const transaction = await this.db.queryOne(
+        `SELECT bh.*, p.name as plan_name, c.name as customer_name, c.email
+         FROM billing_history bh
+         JOIN subscriptions s ON bh.subscription_id = s.id
+         JOIN plans p ON s.plan_id = p.id
+         JOIN customers c ON bh.customer_id = c.id
+         WHERE bh.id = ?`,
+        [transactionId]
+      );
+
+      if (!transaction) {
+        throw createError(`Transaction with ID ${transactionId} not found`, 404, 'TRANSACTION_NOT_FOUND');
+      }
+
+      // Fully refunded charges keep their invoice; refunds and failed attempts never get one
+      const isCharge = ['success', 'refunded'].includes(transaction.status) &&
+        transaction.amount > 0 &&
+        !transaction.refunded_transaction_id;
+      if (!isCharge) {
+        throw createError('Only successful charges have invoices', 409, 'TRANSACTION_NOT_INVOICEABLE');
+      }
+
+      // Lines are shown before tax. With tax-inclusive pricing the discount and add-on
+      // prices include tax, so they are converted to their pre-tax amounts as well.
+      const toNet = amount => transaction.tax_inclusive && transaction.tax_rate
+        ? Math.round(amount / (1 + transaction.tax_rate / 100))
+        : amount;
+      const netAmount = transaction.net_amount ?? transaction.amount;
+      const taxTotal = transaction.tax_amount || 0;
+      const discountTotal = toNet(transaction.discount_amount || 0);
+      const subtotal = netAmount + discountTotal;
+
+      // Add-on lines are itemized; the charge line takes the rest, so rounding never changes the subtotal
+      const itemLines = items.map(item => ({
+        kind: 'charge',
+        description: item.description,
+        quantity: item.quantity,
+        unitAmount: toNet(item.unitAmount),
+        amount: toNet(item.unitAmount * item.quantity)
+      }));
+      const chargeAmount = subtotal - itemLines.reduce((sum, line) => sum + line.amount, 0);
+
+      const lineItems = [];
+      if (chargeAmount !== 0 || itemLines.length === 0) {
+        lineItems.push({
+          kind: 'charge',
+          description: transaction.description || `Payment for ${transaction.plan_name}`,
+          quantity: 1,
+          unitAmount: chargeAmount,
+          amount: chargeAmount
+        });
+      }
+      lineItems.push(...itemLines);
+      if (discountTotal > 0) {
+        lineItems.push({
+          kind: 'discount',
+          description: `Discount${transaction.discount_code ? ` (${transaction.discount_code})` : ''}`,
+          quantity: 1,
+          unitAmount: -discountTotal,
+          amount: -discountTotal
+        });
+      }
+      if (taxTotal !== 0) {
+        lineItems.push({
+          kind: 'tax',
+          description: `${transaction.tax_name} (${transaction.tax_rate}%)`,
+          quantity: 1,
+          unitAmount: taxTotal,
+          amount: taxTotal
+        });
+      }
+
+      // Number and insert in one statement so concurrent issues can't share a number
+      const invoiceId = randomUUID();
+      const { changes } = await this.db.execute(
+        `INSERT INTO invoices
+         (id, invoice_number, sequence, transaction_id, customer_id, subscription_id, customer_name, customer_email,
+          currency, subtotal, discount_total, tax_total, total, issued_at)
+         SELECT ?, printf('${INVOICE_PREFIX}%06d', next.sequence), next.sequence, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+         FROM (SELECT COALESCE(MAX(sequence), 0) + 1 AS sequence FROM invoices) next
+         WHERE NOT EXISTS (SELECT 1 FROM invoices WHERE transaction_id = ?)`,
+        [
+          invoiceId,
+          transaction.id,
+          transaction.customer_id,
+          transaction.subscription_id,
+          transaction.customer_name,
+          transaction.email,
+          transaction.currency,
+          subtotal,
+          discountTotal,
+          taxTotal,
+          transaction.amount,
+          now.toISOString(),
+          transaction.id
+        ]
+      );
+
+      if (changes === 0) {
+        return await this.getInvoiceByTransaction(transactionId);
+      }
+
+      for (const [position, item] of lineItems.entries()) {
+        await this.db.execute(
+          `INSERT INTO invoice_line_items
+           (id, invoice_id, position, kind, description, quantity, unit_amount, amount)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [randomUUID(), invoiceId, position, item.kind, item.description, item.quantity, item.unitAmount, item.amount]
+        );
+      }
+
+      return await this.getInvoiceById(invoiceId);
+    } catch (error) {
+      console.error('Issue invoice error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an invoice by ID, invoice number or transaction ID
+   * Charges made before invoicing existed are issued an invoice on first request.
+   * @param {string} id - Invoice ID, invoice number (e.g. INV-000042) or transaction ID
+   * @returns {Promise<Object>} Invoice with line items
+   */
+  async getInvoice(id) {
+    try {
+      const invoice = await this.db.queryOne(
+        'SELECT id FROM invoices WHERE id = ? OR invoice_number = ? OR transaction_id = ?',
+        [id, String(id).toUpperCase(), id]
+      );
+
+      if (invoice) {
+        return await this.getInvoiceById(invoice.id);
+      }
+
+      const transaction = await this.db.queryOne('SELECT id FROM billing_history WHERE id = ?', [id]);
+      if (!transaction) {
+        throw createError(`Invoice ${id} not found`, 404, 'INVOICE_NOT_FOUND');
+      }
+
+      return await this.issueInvoice(transaction.id);
+    } catch (error) {
+      console.error('Get invoice error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of a customer's invoices
+   * Other customers' invoices are reported as not found.
+   * @param {string} customerId - Customer ID
+   * @param {string} id - Invoice ID, invoice number or transaction ID
+   * @returns {Promise<Object>} Invoice with line items
+   */
+  async getCustomerInvoice(customerId, id) {
+    const invoice = await this.getInvoice(id);
+
+    if (invoice.customer_id !== customerId) {
+      throw createError(`Invoice ${id} not found`, 404, 'INVOICE_NOT_FOUND');
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Get the invoice issued for a transaction
+   * @param {string} transactionId - Billing transaction ID
+   * @returns {Promise<Object>} Invoice with line items
+   */
+  async getInvoiceByTransaction(transactionId) {
+    const invoice = await this.db.queryOne(
+      'SELECT id FROM invoices WHERE transaction_id = ?',
+      [transactionId]
+    );
+
+    if (!invoice) {
+      throw createError(`No invoice issued for transaction ${transactionId}`, 404, 'INVOICE_NOT_FOUND');
+    }
+
+    return await this.getInvoiceById(invoice.id);
+  }
+
+  /**
+   * Load an invoice with its line items, payment date and refunds
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Promise<Object>} Invoice row with lineItems, paid_at and amount_refunded
+   */
+  async getInvoiceById(invoiceId) {
+    const invoice = await this.db.queryOne(
+      `SELECT i.*, bh.transaction_date as paid_at, bh.payment_method, c.locale
+       FROM invoices i
+       JOIN billing_history bh ON i.transaction_id = bh.id
+       LEFT JOIN customers c ON i.customer_id = c.id
+       WHERE i.id = ?`,
+      [invoiceId]
+    );
+
+    if (!invoice) {
+      throw createError(`Invoice ${invoiceId} not found`, 404, 'INVOICE_NOT_FOUND');
+    }
+
+    invoice.lineItems = await this.db.query(
+      'SELECT * FROM invoice_line_items WHERE invoice_id = ? ORDER BY position',
+      [invoiceId]
+    );
+
+    const refunds = await this.db.queryOne(
+      'SELECT COALESCE(SUM(-amount), 0) as total FROM billing_history WHERE refunded_transaction_id = ?',
+      [invoice.transaction_id]
+    );
+    invoice.amount_refunded = refunds.total;
+
+    return invoice;
+  }
+
+  /**
+   * Format an invoice for API responses
+   * Amounts are converted to major units, with locale-formatted copies in formatted.
+   * @param {Object} invoice - Invoice as returned by getInvoiceById
+   * @param {string} locale - Locale to format amounts for (defaults to the customer's)
+   * @returns {Object} Formatted invoice
+   */
+  formatInvoice(invoice, locale = invoice.locale || DEFAULT_LOCALE) {
+    const { currency } = invoice;
+    const toAmount = minorUnits => fromMinorUnits(minorUnits, currency);
+    const format = minorUnits => formatMoney(minorUnits, currency, locale);
+
+    const status = invoice.amount_refunded >= invoice.total ? 'refunded'
+      : invoice.amount_refunded > 0 ? 'partially_refunded'
+      : 'paid';
+
+    return {
+      id: invoice.id,
+      invoiceNumber: invoice.invoice_number,
+      status,
+      transactionId: invoice.transaction_id,
+      customerId: invoice.customer_id,
+      subscriptionId: invoice.subscription_id,
+      customer: {
+        name: invoice.customer_name,
+        email: invoice.customer_email
+      },
+      issuedAt: invoice.issued_at,
+      paidAt: invoice.paid_at,
+      paymentMethod: invoice.payment_method,
+      lineItems: invoice.lineItems.map(item => ({
+        kind: item.kind,
+        description: item.description,
+        quantity: item.quantity,
+        unitAmount: toAmount(item.unit_amount),
+        amount: toAmount(item.amount),
+        formattedAmount: format(item.amount)
+      })),
+      currency,
+      locale,
+      subtotal: toAmount(invoice.subtotal),
+      discountTotal: toAmount(invoice.discount_total),
+      taxTotal: toAmount(invoice.tax_total),
+      total: toAmount(invoice.total),
+      amountRefunded: toAmount(invoice.amount_refunded),
+      formatted: {
+        subtotal: format(invoice.subtotal),
+        discountTotal: format(invoice.discount_total),
+        taxTotal: format(invoice.tax_total),
+        total: format(invoice.total),
+        amountRefunded: format(invoice.amount_refunded)
+      }
+    };
+  }
+}
+
+export default InvoiceManager;
@@ -1,4 +1,5 @@
 import OpenAI from 'openai';
+import { DEFAULT_LOCALE, formatMoney } from './money.js';
 
 /**
  * LLMService manages interactions with Groq API for natural language processing
@@ -182,13 +183,28 @@ RESPOND WITH ONLY THE JSON OBJECT, NOTHING ELSE.`;
   /**
    * Generate subscription recommendations
    * @param {Object} customerData - Customer information
-   * @param {Array} subscriptions - Current subscriptions
+   * @param {Array} subscriptions - Current subscriptions, priced in minor units of their currency, with any metered usage
    * @param {Array} billingHistory - Billing history
    * @returns {Promise<Array>} Array of recommendations
    */
   async generateRecommendations(customerData, subscriptions, billingHistory) {
     try {
-      const systemPrompt = `You are a subscription optimization expert. Analyze the customer's current subscriptions and billing history to provide personalized recommendations.
+      const money = (amount, currency) => formatMoney(amount, currency, customerData.locale || DEFAULT_LOCALE);
+      const number = value => value.toLocaleString(customerData.locale || DEFAULT_LOCALE);
+      const describeUsage = (usage, currency) => `${number(usage.used)} ${usage.name} (` +
+        (usage.included === null ? 'unlimited' : `${number(usage.included)} included`) +
+        (usage.amount > 0 ? `, ${money(usage.amount, currency)} overage so far` : '') + ')';
+
+      // Recent charges are totalled per currency
+      const recentTotals = {};
+      for (const b of billingHistory.slice(0, 3)) {
+        recentTotals[b.currency] = (recentTotals[b.currency] || 0) + b.amount;
+      }
+      const recentBilling = Object.entries(recentTotals)
+        .map(([currency, total]) => money(total, currency))
+        .join(' + ') || 'none';
+
+      const systemPrompt = `You are a subscription optimization expert. Analyze the customer's current subscriptions, metered usage and billing history to provide personalized recommendations. Customers paying overage on their usage may be better off on a plan with a larger quota.
 
 CRITICAL: Respond with ONLY a valid JSON array. Do not include markdown code blocks, explanations, or any other text.
 
@@ -204,11 +220,16 @@ Format:
 ]`;
 
       const userMessage = `Customer has ${subscriptions.length} subscription(s):
-${subscriptions.map(s => `- ${s.plan_name} ($${s.price}/${s.billing_cycle}), status: ${s.status}`).join('\n')}
+${subscriptions.map(s => `- ${s.plan_name} (${money(s.price, s.currency)}/${s.billing_cycle}), status: ${s.status}` +
+  (s.status === 'trialing' ? `, free trial ends ${s.trial_end} (not charged yet)` : '') +
+  (s.discount ? `, coupon ${s.discount.code}: ${s.discount.description} (next charge ${money(s.discount.netAmount, s.currency)})` : '') +
+  (s.usage && s.usage.length > 0 ? `, usage this period: ${s.usage.map(u => describeUsage(u, s.currency)).join('; ')}` : '')).join('\n')}
 
-Recent billing (last 3 months): $${billingHistory.slice(0, 3).reduce((sum, b) => sum + b.amount, 0).toFixed(2)}
+Recent billing (last 3 months): ${recentBilling}
 
-Provide 1-2 recommendations for better plans or consolidation opportunities.`;
+Provide 1-2 recommendations for better plans or consolidation opportunities.${subscriptions.some(s => s.status === 'trialing')
+  ? ' For plans still on a free trial, advise whether to keep the plan or switch before the trial converts to paid.'
+  : ''}`;
 
       const messages = [
         { role: 'user', content: userMessage }
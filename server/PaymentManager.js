@@ -0,0 +1,289 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import SimulatedPaymentProvider from './SimulatedPaymentProvider.js';
+
+const PROVIDERS = {
+  simulator: () => new SimulatedPaymentProvider()
+};
+
+/**
+ * Create the payment provider with the given name
+ * @param {string} name - Provider name (PAYMENT_PROVIDER)
+ * @returns {PaymentProvider} Provider
+ */
+export function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'simulator') {
+  const create = PROVIDERS[name];
+
+  if (!create) {
+    throw new Error(`Unknown payment provider: ${name} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return create();
+}
+
+/**
+ * PaymentManager takes payments through the configured payment provider
+ * Customers save payment methods with the provider; the first one saved
+ * becomes their default, and charges go to the default. Only the provider's
+ * token and display details are stored.
+ *
+ * Payment results, as recorded on transactions:
+ *   { status: 'success' | 'pending' | 'failed', failureCode, failureReason,
+ *     paymentMethod (display label), paymentMethodId, gatewayReference }
+ */
+class PaymentManager {
+  constructor(database, provider = createPaymentProvider()) {
+    this.db = database;
+    this.provider = provider;
+  }
+
+  /**
+   * Save a payment method for a customer
+   * @param {string} customerId - Customer ID
+   * @param {Object} details - Payment details for the provider (the simulator takes cardNumber, expMonth and expYear)
+   * @param {Object} options - Save options
+   * @param {boolean} options.makeDefault - Charge this method from now on (always true for the first method)
+   * @returns {Promise<Object>} Saved payment method
+   */
+  async addPaymentMethod(customerId, details, { makeDefault = false } = {}) {
+    try {
+      const customer = await this.db.queryOne('SELECT id, name, email FROM customers WHERE id = ?', [customerId]);
+      if (!customer) {
+        throw createError(`Customer ${customerId} not found`, 404, 'CUSTOMER_NOT_FOUND');
+      }
+
+      const saved = await this.provider.createPaymentMethod(details, customer);
+      const existing = await this.getDefaultPaymentMethod(customerId);
+      const paymentMethodId = randomUUID();
+
+      await this.db.execute(
+        `INSERT INTO payment_methods (id, customer_id, provider, provider_token, brand, last4, exp_month, exp_year)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [paymentMethodId, customerId, this.provider.name, saved.token, saved.brand, saved.last4, saved.expMonth, saved.expYear]
+      );
+
+      if (makeDefault || !existing) {
+        await this.setDefaultPaymentMethod(customerId, paymentMethodId);
+      }
+
+      return await this.getPaymentMethod(customerId, paymentMethodId);
+    } catch (error) {
+      console.error('Add payment method error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a customer's payment methods, default first
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Payment methods
+   */
+  async listPaymentMethods(customerId) {
+    try {
+      return await this.db.query(
+        'SELECT * FROM payment_methods WHERE customer_id = ? ORDER BY is_default DESC, created_at DESC, rowid DESC',
+        [customerId]
+      );
+    } catch (error) {
+      console.error('List payment methods error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of a customer's payment methods
+   * @param {string} customerId - Customer ID
+   * @param {string} paymentMethodId - Payment method ID
+   * @returns {Promise<Object>} Payment method
+   * @throws {Error} 404 PAYMENT_METHOD_NOT_FOUND if the customer has no such method
+   */
+  async getPaymentMethod(customerId, paymentMethodId) {
+    const paymentMethod = await this.db.queryOne(
+      'SELECT * FROM payment_methods WHERE id = ? AND customer_id = ?',
+      [paymentMethodId, customerId]
+    );
+
+    if (!paymentMethod) {
+      throw createError(`Payment method ${paymentMethodId} not found`, 404, 'PAYMENT_METHOD_NOT_FOUND');
+    }
+
+    return paymentMethod;
+  }
+
+  /**
+   * Get the payment method a customer is charged with
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Default payment method, or null when none is saved
+   */
+  async getDefaultPaymentMethod(customerId) {
+    return await this.db.queryOne(
+      'SELECT * FROM payment_methods WHERE customer_id = ? AND is_default = 1',
+      [customerId]
+    ) || null;
+  }
+
+  /**
+   * Make a payment method the one a customer is charged with
+   * @param {string} customerId - Customer ID
+   * @param {string} paymentMethodId - Payment method ID
+   * @returns {Promise<Object>} The payment method
+   */
+  async setDefaultPaymentMethod(customerId, paymentMethodId) {
+    try {
+      await this.getPaymentMethod(customerId, paymentMethodId);
+
+      await this.db.execute(
+        'UPDATE payment_methods SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE customer_id = ?',
+        [paymentMethodId, customerId]
+      );
+
+      return await this.getPaymentMethod(customerId, paymentMethodId);
+    } catch (error) {
+      console.error('Set default payment method error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a payment method
+   * Removing the default makes the most recently saved remaining method the default.
+   * @param {string} customerId - Customer ID
+   * @param {string} paymentMethodId - Payment method ID
+   */
+  async removePaymentMethod(customerId, paymentMethodId) {
+    try {
+      const paymentMethod = await this.getPaymentMethod(customerId, paymentMethodId);
+
+      await this.provider.deletePaymentMethod(paymentMethod.provider_token);
+      await this.db.execute('DELETE FROM payment_methods WHERE id = ?', [paymentMethodId]);
+
+      if (paymentMethod.is_default) {
+        const [next] = await this.listPaymentMethods(customerId);
+        if (next) {
+          await this.setDefaultPaymentMethod(customerId, next.id);
+        }
+      }
+    } catch (error) {
+      console.error('Remove payment method error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Charge a customer's default payment method
+   * A customer without a saved method gets a failed result, like a declined card.
+   * @param {string} customerId - Customer ID
+   * @param {number} amount - Amount in minor units, greater than zero
+   * @param {string} currency - ISO 4217 currency code
+   * @param {string} description - What the charge is for
+   * @returns {Promise<Object>} Payment result
+   */
+  async charge(customerId, amount, currency, description) {
+    try {
+      const paymentMethod = await this.getDefaultPaymentMethod(customerId);
+      if (!paymentMethod) {
+        return {
+          status: 'failed',
+          failureCode: 'no_payment_method',
+          failureReason: 'No payment method on file',
+          paymentMethod: null,
+          paymentMethodId: null,
+          gatewayReference: null
+        };
+      }
+
+      const result = await this.provider.charge({
+        token: paymentMethod.provider_token,
+        amount,
+        currency,
+        description,
+        idempotencyKey: randomUUID()
+      });
+
+      return {
+        ...this.toPaymentResult(result),
+        paymentMethod: this.describePaymentMethod(paymentMethod),
+        paymentMethodId: paymentMethod.id
+      };
+    } catch (error) {
+      console.error('Charge error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up how a pending charge ended
+   * @param {string} gatewayReference - Provider reference of the charge
+   * @returns {Promise<Object>} status (success, pending or failed), failureCode and failureReason
+   */
+  async getChargeStatus(gatewayReference) {
+    return this.toPaymentResult(await this.provider.getCharge(gatewayReference));
+  }
+
+  /**
+   * Refund all or part of a charge through the provider
+   * @param {Object} transaction - Original transaction row
+   * @param {number} amount - Amount to refund in minor units
+   * @returns {Promise<Object>} status (success or failed), failureCode, failureReason and gatewayReference of the refund
+   */
+  async refund(transaction, amount) {
+    try {
+      const result = await this.provider.refund({
+        chargeReference: transaction.gateway_reference,
+        amount,
+        currency: transaction.currency,
+        idempotencyKey: randomUUID()
+      });
+
+      return this.toPaymentResult(result);
+    } catch (error) {
+      console.error('Refund error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Translate a provider result to the transaction statuses billing_history uses
+   * @param {Object} result - Provider charge or refund result
+   * @returns {Object} status, failureCode, failureReason and gatewayReference
+   */
+  toPaymentResult(result) {
+    return {
+      status: result.status === 'succeeded' ? 'success' : result.status,
+      failureCode: result.failureCode || null,
+      failureReason: result.failureReason || null,
+      gatewayReference: result.reference || null
+    };
+  }
+
+  /**
+   * Describe a payment method for transactions and invoices
+   * @param {Object} paymentMethod - Payment method row
+   * @returns {string} e.g. "Visa •••• 4242"
+   */
+  describePaymentMethod(paymentMethod) {
+    return `${paymentMethod.brand} •••• ${paymentMethod.last4}`;
+  }
+
+  /**
+   * Format a payment method for API responses
+   * @param {Object} paymentMethod - Payment method row
+   * @returns {Object} Formatted payment method
+   */
+  formatPaymentMethod(paymentMethod) {
+    return {
+      id: paymentMethod.id,
+      customerId: paymentMethod.customer_id,
+      provider: paymentMethod.provider,
+      brand: paymentMethod.brand,
+      last4: paymentMethod.last4,
+      expMonth: paymentMethod.exp_month,
+      expYear: paymentMethod.exp_year,
+      isDefault: paymentMethod.is_default === 1,
+      label: this.describePaymentMethod(paymentMethod),
+      createdAt: paymentMethod.created_at
+    };
+  }
+}
+
+export default PaymentManager;
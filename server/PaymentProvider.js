@@ -0,0 +1,96 @@
+import { createError } from './errors.js';
+
+/**
+ * PaymentProvider is the interface every payment gateway implements
+ * PaymentManager only talks to gateways through these methods, so adding a
+ * gateway means subclassing this and registering it in createPaymentProvider.
+ * Amounts are integers in minor units of the currency. Gateways report
+ * outcomes in their results rather than throwing: a declined card is a result,
+ * not an error. Methods throw only when the gateway can't be reached or the
+ * request is invalid.
+ *
+ * Charge and refund results:
+ *   { status: 'succeeded' | 'pending' | 'failed', reference, failureCode, failureReason }
+ * A pending charge has been accepted but not settled yet; getCharge reports
+ * how it ended, and so does the gateway's webhook.
+ */
+class PaymentProvider {
+  /**
+   * Name stored with saved payment methods, e.g. simulator
+   * @returns {string} Provider name
+   */
+  get name() {
+    throw createError(`${this.constructor.name} does not implement name`, 500, 'PAYMENT_PROVIDER_ERROR');
+  }
+
+  /**
+   * Save a payment method with the gateway
+   * @param {Object} details - Payment details as collected from the customer (gateway specific)
+   * @param {Object} customer - Customer the method belongs to ({ id, name, email })
+   * @returns {Promise<Object>} { token, brand, last4, expMonth, expYear }
+   */
+  async createPaymentMethod(details, customer) {
+    throw createError(`${this.constructor.name} does not implement createPaymentMethod`, 500, 'PAYMENT_PROVIDER_ERROR');
+  }
+
+  /**
+   * Remove a saved payment method from the gateway
+   * @param {string} token - Gateway token of the method
+   * @returns {Promise<void>}
+   */
+  async deletePaymentMethod(token) {
+    throw createError(`${this.constructor.name} does not implement deletePaymentMethod`, 500, 'PAYMENT_PROVIDER_ERROR');
+  }
+
+  /**
+   * Charge a saved payment method
+   * @param {Object} charge - Charge details
+   * @param {string} charge.token - Gateway token of the payment method
+   * @param {number} charge.amount - Amount in minor units, greater than zero
+   * @param {string} charge.currency - ISO 4217 currency code
+   * @param {string} charge.description - Statement description
+   * @param {string} charge.idempotencyKey - Key that makes retrying the same request safe
+   * @returns {Promise<Object>} Charge result
+   */
+  async charge(charge) {
+    throw createError(`${this.constructor.name} does not implement charge`, 500, 'PAYMENT_PROVIDER_ERROR');
+  }
+
+  /**
+   * Look up how a charge ended
+   * @param {string} reference - Gateway reference of the charge
+   * @returns {Promise<Object>} Charge result
+   */
+  async getCharge(reference) {
+    throw createError(`${this.constructor.name} does not implement getCharge`, 500, 'PAYMENT_PROVIDER_ERROR');
+  }
+
+  /**
+   * Refund all or part of a settled charge
+   * @param {Object} refund - Refund details
+   * @param {string} refund.chargeReference - Gateway reference of the charge
+   * @param {number} refund.amount - Amount to refund in minor units
+   * @param {string} refund.currency - ISO 4217 currency code
+   * @param {string} refund.idempotencyKey - Key that makes retrying the same request safe
+   * @returns {Promise<Object>} Refund result
+   */
+  async refund(refund) {
+    throw createError(`${this.constructor.name} does not implement refund`, 500, 'PAYMENT_PROVIDER_ERROR');
+  }
+
+  /**
+   * Verify and read a notification sent to the payment webhook
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers, lower-cased
+   * @returns {Object} Payment event: { id, type, occurredAt, chargeReference,
+   *   refundReference, amount, failureCode, failureReason, reason, outcome }, where
+   *   type is charge.succeeded, charge.failed, charge.refunded, charge.disputed or
+   *   charge.dispute_closed (outcome won or lost); other types are passed through
+   * @throws {Error} 400 INVALID_SIGNATURE or INVALID_EVENT when the notification can't be trusted or read
+   */
+  parseWebhookEvent(rawBody, headers) {
+    throw createError(`${this.constructor.name} does not implement parseWebhookEvent`, 500, 'PAYMENT_PROVIDER_ERROR');
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,394 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import { fromMinorUnits } from './money.js';
+import { PAYMENT_PROVIDER_ACTOR } from './EventLog.js';
+
+/**
+ * PaymentWebhookManager takes in notifications from the payment provider's
+ * webhook and applies them to billing history and subscriptions.
+ *
+ * Providers retry notifications and don't promise to send them in order, so:
+ * - every event is stored once per provider event ID, and repeats are
+ *   acknowledged without being applied again (unless applying failed);
+ * - a charge's outcome only moves it out of pending, so the first outcome wins
+ *   and a late or repeated one changes nothing;
+ * - a refund or dispute on a charge that is still pending settles it first,
+ *   since only a successful charge can be refunded or disputed;
+ * - a dispute that arrives after its dispute_closed event is stale and ignored.
+ *
+ * Events applied:
+ *   charge.succeeded       pending charge settles (and is invoiced)
+ *   charge.failed          pending charge fails; an active subscription goes to dunning
+ *   charge.refunded        refund made at the provider is recorded, once per refund reference
+ *   charge.disputed        charge is disputed; an active subscription is suspended
+ *   charge.dispute_closed  won: charge succeeds again and the subscription is reactivated;
+ *                          lost: the payment is recorded as refunded and the subscription cancelled
+ */
+class PaymentWebhookManager {
+  constructor(database, { paymentManager, billingManager, dunningManager }) {
+    this.db = database;
+    this.paymentManager = paymentManager;
+    this.billingManager = billingManager;
+    this.dunningManager = dunningManager;
+  }
+
+  /**
+   * Verify, store and apply a webhook notification
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers, lower-cased
+   * @returns {Promise<Object>} Stored event and whether it was a repeat
+   * @throws {Error} 400 INVALID_SIGNATURE or INVALID_EVENT for notifications that can't be trusted or read
+   */
+  async receive(rawBody, headers) {
+    try {
+      const provider = this.paymentManager.provider;
+      const event = provider.parseWebhookEvent(rawBody, headers);
+
+      const { changes } = await this.db.execute(
+        `INSERT OR IGNORE INTO payment_events
+         (id, provider, event_id, type, charge_reference, occurred_at, payload, status, received_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'received', ?)`,
+        [
+          randomUUID(),
+          provider.name,
+          event.id,
+          event.type,
+          event.chargeReference,
+          event.occurredAt.toISOString(),
+          String(rawBody),
+          new Date().toISOString()
+        ]
+      );
+
+      const stored = await this.db.queryOne(
+        'SELECT * FROM payment_events WHERE provider = ? AND event_id = ?',
+        [provider.name, event.id]
+      );
+
+      // Repeats are acknowledged as they are, except that an event whose processing failed is tried again
+      if (changes === 0 && stored.status !== 'failed') {
+        return { event: stored, duplicate: true };
+      }
+
+      return { event: await this.process(stored, event), duplicate: changes === 0 };
+    } catch (error) {
+      console.error('Receive payment event error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a stored event and record the result on it
+   * @param {Object} stored - payment_events row
+   * @param {Object} event - Payment event from the provider
+   * @returns {Promise<Object>} Updated payment_events row
+   */
+  async process(stored, event) {
+    let status = 'processed';
+    let result;
+
+    try {
+      result = await this.apply(event);
+      if (result.ignored) {
+        status = 'ignored';
+      }
+    } catch (error) {
+      await this.finish(stored.id, 'failed', error.message);
+      throw error;
+    }
+
+    return await this.finish(stored.id, status, result.message);
+  }
+
+  /**
+   * Record what processing an event did
+   * @param {string} id - payment_events row ID
+   * @param {string} status - processed, ignored or failed
+   * @param {string} result - What happened, in a sentence
+   * @returns {Promise<Object>} Updated payment_events row
+   */
+  async finish(id, status, result) {
+    await this.db.execute(
+      'UPDATE payment_events SET status = ?, result = ?, processed_at = ? WHERE id = ?',
+      [status, result, new Date().toISOString(), id]
+    );
+    return await this.db.queryOne('SELECT * FROM payment_events WHERE id = ?', [id]);
+  }
+
+  /**
+   * Apply an event to the charge it is about
+   * @param {Object} event - Payment event from the provider
+   * @returns {Promise<Object>} { message, ignored }
+   */
+  async apply(event) {
+    const handlers = {
+      'charge.succeeded': () => this.applySucceeded(event),
+      'charge.failed': () => this.applyFailed(event),
+      'charge.refunded': () => this.applyRefunded(event),
+      'charge.disputed': () => this.applyDisputed(event),
+      'charge.dispute_closed': () => this.applyDisputeClosed(event)
+    };
+
+    if (!handlers[event.type]) {
+      return ignore(`Event type ${event.type} is not used`);
+    }
+
+    const charge = event.chargeReference
+      ? await this.billingManager.findByGatewayReference(event.chargeReference)
+      : null;
+    if (!charge || charge.refunded_transaction_id) {
+      return ignore(`No charge with reference ${event.chargeReference}`);
+    }
+
+    event.charge = charge;
+    return await handlers[event.type]();
+  }
+
+  /**
+   * Settle a pending charge
+   * @param {Object} event - Payment event, with the charge transaction
+   * @returns {Promise<Object>} { message, ignored }
+   */
+  async applySucceeded({ charge }) {
+    if (charge.status !== 'pending') {
+      return ignore(`Charge ${charge.id} is already ${charge.status}`);
+    }
+
+    await this.billingManager.settlePayment(charge.id, { status: 'success' }, new Date(), { actor: PAYMENT_PROVIDER_ACTOR });
+    return { message: `Charge ${charge.id} settled` };
+  }
+
+  /**
+   * Fail a pending charge and send its subscription to dunning
+   * @param {Object} event - Payment event, with the charge transaction
+   * @returns {Promise<Object>} { message, ignored }
+   */
+  async applyFailed({ charge, failureCode, failureReason }) {
+    if (charge.status !== 'pending') {
+      return ignore(`Charge ${charge.id} is already ${charge.status}`);
+    }
+
+    const now = new Date();
+    const failed = await this.billingManager.settlePayment(
+      charge.id,
+      { status: 'failed', failureCode, failureReason },
+      now,
+      { actor: PAYMENT_PROVIDER_ACTOR }
+    );
+
+    const dunningCase = await this.dunningManager.openCaseForPayment(failed, now);
+    return {
+      message: `Charge ${charge.id} failed` + (dunningCase ? `; dunning case ${dunningCase.id} opened` : '')
+    };
+  }
+
+  /**
+   * Record a refund made at the provider, such as one issued from its dashboard
+   * Refunds we made through the gateway are already recorded under their reference.
+   * @param {Object} event - Payment event, with the charge transaction
+   * @returns {Promise<Object>} { message, ignored }
+   */
+  async applyRefunded({ charge, refundReference, amount, reason }) {
+    if (refundReference && await this.billingManager.findByGatewayReference(refundReference)) {
+      return ignore(`Refund ${refundReference} is already recorded`);
+    }
+
+    const settled = await this.settleForLaterEvent(charge);
+    if (!['success', 'refunded'].includes(settled.status)) {
+      return ignore(`Charge ${charge.id} is ${settled.status} and can't be refunded`);
+    }
+
+    const { remaining } = await this.billingManager.getRefundableAmount(charge.id);
+    if (remaining === 0) {
+      return ignore(`Charge ${charge.id} is already fully refunded`);
+    }
+
+    // A refund can't take back more than is left, whatever order refunds are reported in
+    const refundAmount = Math.min(amount || remaining, remaining);
+    const { refund } = await this.billingManager.refundTransaction(
+      charge.id,
+      fromMinorUnits(refundAmount, charge.currency),
+      reason || 'Refunded through the payment provider',
+      { actor: PAYMENT_PROVIDER_ACTOR, gatewayRefund: { gatewayReference: refundReference } }
+    );
+
+    return { message: `Refund ${refund.id} recorded for charge ${charge.id}` };
+  }
+
+  /**
+   * Mark a charge disputed and suspend its subscription while the dispute is open
+   * @param {Object} event - Payment event, with the charge transaction
+   * @returns {Promise<Object>} { message, ignored }
+   */
+  async applyDisputed({ charge, reason }) {
+    const closed = await this.db.queryOne(
+      `SELECT id FROM payment_events
+       WHERE charge_reference = ? AND type = 'charge.dispute_closed' AND status = 'processed'`,
+      [charge.gateway_reference]
+    );
+    if (closed) {
+      return ignore(`The dispute on charge ${charge.id} is already closed`);
+    }
+
+    const settled = await this.settleForLaterEvent(charge);
+    const now = new Date();
+    const disputed = await this.billingManager.markDisputed(settled.id, reason, now, { actor: PAYMENT_PROVIDER_ACTOR });
+    if (!disputed) {
+      return ignore(`Charge ${charge.id} is ${settled.status} and can't be disputed`);
+    }
+
+    const suspended = await this.setSubscriptionStatus(disputed, 'active', 'suspended', 'subscription.suspended', now, {
+      reason: 'dispute'
+    });
+    return { message: `Charge ${charge.id} disputed` + (suspended ? '; subscription suspended' : '') };
+  }
+
+  /**
+   * Close a charge's dispute, reactivating its subscription if won or cancelling it if lost
+   * @param {Object} event - Payment event, with the charge transaction and outcome
+   * @returns {Promise<Object>} { message, ignored }
+   */
+  async applyDisputeClosed({ charge, outcome, refundReference }) {
+    if (!['won', 'lost'].includes(outcome)) {
+      throw createError(`Dispute outcome must be won or lost, not ${outcome}`, 400, 'INVALID_EVENT');
+    }
+
+    const settled = await this.settleForLaterEvent(charge);
+    if (!['success', 'disputed'].includes(settled.status)) {
+      return ignore(`Charge ${charge.id} is ${settled.status}, so there is no dispute to close`);
+    }
+
+    const now = new Date();
+    const closed = await this.billingManager.closeDispute(settled.id, outcome, now, {
+      reference: refundReference,
+      actor: PAYMENT_PROVIDER_ACTOR
+    });
+
+    const changed = outcome === 'won'
+      ? await this.setSubscriptionStatus(closed, 'suspended', 'active', 'subscription.reactivated', now, {
+        reason: 'dispute_won'
+      })
+      : await this.setSubscriptionStatus(closed, null, 'cancelled', 'subscription.cancelled', now, {
+        reason: 'dispute_lost'
+      });
+
+    return {
+      message: `Dispute on charge ${charge.id} ${outcome}` +
+        (changed ? `; subscription ${outcome === 'won' ? 'reactivated' : 'cancelled'}` : '')
+    };
+  }
+
+  /**
+   * Settle a pending charge that a refund or dispute shows must have succeeded
+   * @param {Object} charge - Charge transaction
+   * @returns {Promise<Object>} Charge transaction, settled if it was pending
+   */
+  async settleForLaterEvent(charge) {
+    if (charge.status !== 'pending') {
+      return charge;
+    }
+    return await this.billingManager.settlePayment(charge.id, { status: 'success' }, new Date(), {
+      actor: PAYMENT_PROVIDER_ACTOR
+    });
+  }
+
+  /**
+   * Move a charge's subscription to a new status
+   * @param {Object} charge - Charge transaction
+   * @param {string|null} fromStatus - Status the subscription must be in (null for any status but cancelled)
+   * @param {string} status - New status
+   * @param {string} eventType - Event type for the event log
+   * @param {Date} now - Time of the change
+   * @param {Object} details - Event details
+   * @returns {Promise<boolean>} Whether the subscription changed
+   */
+  async setSubscriptionStatus(charge, fromStatus, status, eventType, now, details) {
+    const subscription = await this.db.queryOne('SELECT * FROM subscriptions WHERE id = ?', [charge.subscription_id]);
+    if (!subscription || subscription.status === 'cancelled' || (fromStatus && subscription.status !== fromStatus)) {
+      return false;
+    }
+
+    // A subscription in dunning is left to dunning
+    if (status === 'active') {
+      const openCase = await this.db.queryOne(
+        "SELECT id FROM dunning_cases WHERE subscription_id = ? AND status IN ('retrying', 'suspended')",
+        [subscription.id]
+      );
+      if (openCase) {
+        return false;
+      }
+    }
+
+    await this.dunningManager.setSubscriptionStatus(subscription.id, status, eventType, now, {
+      endDate: status === 'cancelled' ? now.toISOString() : null,
+      details: { ...details, transactionId: charge.id },
+      actor: PAYMENT_PROVIDER_ACTOR
+    });
+    return true;
+  }
+
+  /**
+   * List received events, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - received, processed, ignored or failed
+   * @param {string} filters.chargeReference - Gateway reference of a charge
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Array>} payment_events rows
+   */
+  async listEvents({ status = null, chargeReference = null } = {}, limit = 100) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      if (chargeReference) {
+        conditions.push('charge_reference = ?');
+        params.push(chargeReference);
+      }
+
+      return await this.db.query(
+        `SELECT * FROM payment_events
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY received_at DESC, rowid DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+    } catch (error) {
+      console.error('List payment events error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a received event for API responses
+   * @param {Object} event - payment_events row
+   * @returns {Object} Formatted event
+   */
+  formatEvent(event) {
+    return {
+      id: event.id,
+      provider: event.provider,
+      eventId: event.event_id,
+      type: event.type,
+      chargeReference: event.charge_reference,
+      status: event.status,
+      result: event.result,
+      occurredAt: event.occurred_at,
+      receivedAt: event.received_at,
+      processedAt: event.processed_at
+    };
+  }
+}
+
+/**
+ * Result for an event that changes nothing
+ * @param {string} message - Why the event was ignored
+ * @returns {Object} { message, ignored }
+ */
+function ignore(message) {
+  return { message, ignored: true };
+}
+
+export default PaymentWebhookManager;
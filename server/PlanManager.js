@@ -0,0 +1,736 @@
+import { createError } from './errors.js';
+import { compressPlanFeatures, decompressPlanFeatures } from './compression.js';
+import { cyclesPerYear, parseBillingCycle } from './billingCalendar.js';
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_LOCALE,
+  formatMoney,
+  fromMinorUnits,
+  normalizeCurrency,
+  toMinorUnits
+} from './money.js';
+
+const PLAN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,49}$/;
+const MAX_COMPARED_PLANS = 4;
+
+/**
+ * PlanManager maintains the plan catalog
+ * Plan features are stored gzip-compressed (see compression.js) and prices
+ * per currency in minor units. Prices are versioned: changing them adds a
+ * version to plan_price_versions rather than editing one, subscriptions keep
+ * paying the version they signed up on, and plan_prices holds the current
+ * version's prices, which new subscribers get. Plans can't be deleted once
+ * created, since subscriptions refer to them; archiving one takes it off sale
+ * while existing subscriptions carry on renewing. The chat assistant reads
+ * the catalog for every message, so saved changes show up on the next one.
+ * Decompressed features are cached per plan until the plan is saved again.
+ */
+class PlanManager {
+  constructor(database) {
+    this.db = database;
+    this.featuresCache = new Map();
+  }
+
+  /**
+   * Validate a plan's prices and convert them to minor units
+   * @param {Object} prices - Price per currency in major units, e.g. { USD: 9.99, EUR: 8.99 }
+   * @param {string} defaultCurrency - Currency the plan must be sold in
+   * @returns {Object} Prices in minor units keyed by upper-case currency
+   * @throws {Error} 400 INVALID_PLAN if a price is missing or negative
+   */
+  normalizePrices(prices, defaultCurrency) {
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      throw createError('prices must map currency codes to amounts, e.g. { "USD": 9.99 }', 400, 'INVALID_PLAN');
+    }
+
+    const normalized = {};
+    for (const [currency, amount] of Object.entries(prices)) {
+      const code = normalizeCurrency(currency);
+      if (typeof amount !== 'number' || !(amount >= 0)) {
+        throw createError(`Price in ${code} must be a number of at least 0`, 400, 'INVALID_PLAN');
+      }
+      normalized[code] = toMinorUnits(amount, code);
+    }
+
+    if (normalized[defaultCurrency] === undefined) {
+      throw createError(`prices must include the plan's default currency (${defaultCurrency})`, 400, 'INVALID_PLAN');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate a plan's features
+   * Any add-ons a plan allows must exist.
+   * @param {Object} features - Plan features (storage, users, features, addons, metered, ...)
+   * @returns {Promise<Object>} The features
+   * @throws {Error} 400 INVALID_PLAN if they aren't an object or name an unknown add-on
+   */
+  async validateFeatures(features) {
+    if (!features || typeof features !== 'object' || Array.isArray(features)) {
+      throw createError('features must be an object', 400, 'INVALID_PLAN');
+    }
+
+    if (features.addons !== undefined) {
+      if (!Array.isArray(features.addons)) {
+        throw createError('features.addons must be a list of add-on IDs', 400, 'INVALID_PLAN');
+      }
+      for (const addonId of features.addons) {
+        const addon = await this.db.queryOne('SELECT id FROM addons WHERE id = ?', [addonId]);
+        if (!addon) {
+          throw createError(`Unknown add-on in features.addons: ${addonId}`, 400, 'INVALID_PLAN');
+        }
+      }
+    }
+
+    return features;
+  }
+
+  /**
+   * Validate the fields shared by creating and updating a plan
+   * @param {Object} fields - name, billingCycle and trialDays, where given
+   * @throws {Error} 400 INVALID_PLAN or INVALID_BILLING_CYCLE
+   */
+  validateFields({ name, billingCycle, trialDays }) {
+    if (name !== undefined && (!name || !String(name).trim() || String(name).trim().length > 100)) {
+      throw createError('name must be 1-100 characters', 400, 'INVALID_PLAN');
+    }
+    if (billingCycle !== undefined) {
+      parseBillingCycle(billingCycle);
+    }
+    if (trialDays !== undefined && !(Number.isInteger(trialDays) && trialDays >= 0 && trialDays <= 365)) {
+      throw createError('trialDays must be a whole number of days from 0 to 365', 400, 'INVALID_PLAN');
+    }
+  }
+
+  /**
+   * Create a plan
+   * @param {Object} plan - Plan definition
+   * @param {string} plan.id - Plan ID, 2-50 lower-case letters, digits or dashes (e.g. team-monthly)
+   * @param {string} plan.name - Name shown to customers
+   * @param {string} plan.description - Short description (optional)
+   * @param {string} plan.billingCycle - monthly, yearly, every-2-weeks, ... (see billingCalendar.js)
+   * @param {number} plan.trialDays - Length of the free trial new subscribers get (0 for none)
+   * @param {string} plan.defaultCurrency - Currency customers are billed in when the plan isn't sold in theirs
+   * @param {Object} plan.prices - Price per currency in major units
+   * @param {Object} plan.features - Plan features, stored compressed
+   * @returns {Promise<Object>} Created plan
+   * @throws {Error} 409 PLAN_EXISTS if the ID is taken
+   */
+  async createPlan({
+    id,
+    name,
+    description = null,
+    billingCycle = 'monthly',
+    trialDays = 0,
+    defaultCurrency = DEFAULT_CURRENCY,
+    prices,
+    features = {}
+  }) {
+    try {
+      if (!PLAN_ID_PATTERN.test(String(id || ''))) {
+        throw createError('id must be 2-50 lower-case letters, digits or dashes', 400, 'INVALID_PLAN');
+      }
+      this.validateFields({ name: name ?? null, billingCycle, trialDays });
+      const currency = normalizeCurrency(defaultCurrency);
+      const unitAmounts = this.normalizePrices(prices, currency);
+      const compressed = await compressPlanFeatures(await this.validateFeatures(features));
+
+      const existing = await this.db.queryOne('SELECT id FROM plans WHERE id = ?', [id]);
+      if (existing) {
+        throw createError(`Plan ${id} already exists`, 409, 'PLAN_EXISTS');
+      }
+
+      await this.db.execute(
+        `INSERT INTO plans (id, name, description, billing_cycle, trial_days, default_currency, features_compressed)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, String(name).trim(), description, String(billingCycle).trim().toLowerCase(), trialDays, currency, compressed]
+      );
+      await this.savePriceVersion(id, 1, unitAmounts, new Date());
+      await this.savePrices(id, unitAmounts);
+      this.featuresCache.delete(id);
+
+      return await this.getPlan(id);
+    } catch (error) {
+      console.error('Create plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a plan with its prices and decompressed features
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} Plan row with prices (minor units by currency) and features
+   * @throws {Error} 404 PLAN_NOT_FOUND if there is no such plan
+   */
+  async getPlan(planId) {
+    const plan = await this.db.queryOne('SELECT * FROM plans WHERE id = ?', [planId]);
+
+    if (!plan) {
+      throw createError(`Plan with ID ${planId} does not exist`, 404, 'PLAN_NOT_FOUND');
+    }
+
+    return await this.withDetails(plan);
+  }
+
+  /**
+   * List plans, cheapest first in their default currency
+   * @param {Object} filters - Optional filters
+   * @param {boolean} filters.archived - true for archived plans only, false for plans on sale only
+   * @returns {Promise<Array>} Plans with prices and features
+   */
+  async listPlans({ archived = null } = {}) {
+    try {
+      const plans = await this.db.query(
+        `SELECT p.* FROM plans p
+         LEFT JOIN plan_prices dp ON dp.plan_id = p.id AND dp.currency = p.default_currency
+         ${archived === null ? '' : `WHERE p.archived_at IS ${archived ? 'NOT NULL' : 'NULL'}`}
+         ORDER BY dp.unit_amount, p.id`
+      );
+
+      const detailed = [];
+      for (const plan of plans) {
+        detailed.push(await this.withDetails(plan));
+      }
+      return detailed;
+    } catch (error) {
+      console.error('List plans error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a plan
+   * New prices become a new price version straight away, for new subscribers
+   * only; existing subscriptions keep their price until they are migrated (see
+   * SubscriptionManager.schedulePriceMigration). A plan's billing cycle can only
+   * change while nobody is subscribed to it.
+   * @param {string} planId - Plan ID
+   * @param {Object} changes - Any of name, description, billingCycle, trialDays,
+   *   defaultCurrency, prices (replaces every price) and features (replaces all features)
+   * @returns {Promise<Object>} Updated plan
+   * @throws {Error} 409 PLAN_IN_USE when the billing cycle can't change
+   */
+  async updatePlan(planId, { name, description, billingCycle, trialDays, defaultCurrency, prices, features }) {
+    try {
+      const plan = await this.getPlan(planId);
+      this.validateFields({ name, billingCycle, trialDays });
+
+      const updates = {};
+      if (name !== undefined) {
+        updates.name = String(name).trim();
+      }
+      if (description !== undefined) {
+        updates.description = description;
+      }
+      if (trialDays !== undefined) {
+        updates.trial_days = trialDays;
+      }
+      if (defaultCurrency !== undefined) {
+        updates.default_currency = normalizeCurrency(defaultCurrency);
+      }
+      if (features !== undefined) {
+        updates.features_compressed = await compressPlanFeatures(await this.validateFeatures(features));
+      }
+
+      if (billingCycle !== undefined && String(billingCycle).trim().toLowerCase() !== plan.billing_cycle) {
+        const { count } = await this.db.queryOne(
+          `SELECT COUNT(*) as count FROM subscriptions WHERE plan_id = ? AND status != 'cancelled'`,
+          [planId]
+        );
+        if (count > 0) {
+          throw createError(
+            `Plan ${planId} has ${count} subscription(s); its billing cycle can't change. Create a new plan instead.`,
+            409,
+            'PLAN_IN_USE'
+          );
+        }
+        updates.billing_cycle = String(billingCycle).trim().toLowerCase();
+      }
+
+      // New prices must cover the default currency
+      const currency = updates.default_currency || plan.default_currency;
+      const unitAmounts = prices !== undefined
+        ? this.normalizePrices(prices, currency)
+        : null;
+      if (!unitAmounts && plan.prices[currency] === undefined) {
+        throw createError(`Plan ${planId} has no price in ${currency}; add one with prices`, 400, 'INVALID_PLAN');
+      }
+
+      const fields = Object.keys(updates);
+      if (fields.length === 0 && !unitAmounts) {
+        throw createError(
+          'Provide a name, description, billingCycle, trialDays, defaultCurrency, prices or features to update',
+          400,
+          'MISSING_FIELDS'
+        );
+      }
+
+      if (unitAmounts) {
+        await this.addPriceVersion(plan, unitAmounts, new Date());
+      }
+      if (fields.length > 0) {
+        await this.db.execute(
+          `UPDATE plans SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+          [...Object.values(updates), planId]
+        );
+      }
+      this.featuresCache.delete(planId);
+
+      return await this.getPlan(planId);
+    } catch (error) {
+      console.error('Update plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a plan off sale
+   * Archived plans aren't offered to customers and can't be subscribed or switched
+   * to; existing subscriptions keep renewing on them.
+   * @param {string} planId - Plan ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Archived plan
+   */
+  async archivePlan(planId, now = new Date()) {
+    try {
+      const plan = await this.getPlan(planId);
+      if (!plan.archived_at) {
+        await this.db.execute('UPDATE plans SET archived_at = ? WHERE id = ?', [now.toISOString(), planId]);
+      }
+
+      return await this.getPlan(planId);
+    } catch (error) {
+      console.error('Archive plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put an archived plan back on sale
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} Plan
+   */
+  async unarchivePlan(planId) {
+    try {
+      await this.getPlan(planId);
+      await this.db.execute('UPDATE plans SET archived_at = NULL WHERE id = ?', [planId]);
+
+      return await this.getPlan(planId);
+    } catch (error) {
+      console.error('Unarchive plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a price version to a plan
+   * A version takes effect for new subscribers at effectiveAt (straight away
+   * when it is omitted or already past) and can't take effect before any
+   * version before it. Existing subscriptions aren't affected until they are
+   * migrated to it.
+   * @param {string} planId - Plan ID
+   * @param {Object} prices - Price per currency in major units; must include the default currency
+   * @param {Object} options - Version options
+   * @param {string} options.effectiveAt - When new subscribers start getting these prices (ISO format)
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} The version (see listPriceVersions)
+   * @throws {Error} 400 INVALID_DATE if effectiveAt is before the plan's latest version
+   */
+  async createPriceVersion(planId, prices, { effectiveAt = null, now = new Date() } = {}) {
+    try {
+      const plan = await this.getPlan(planId);
+      const unitAmounts = this.normalizePrices(prices, plan.default_currency);
+
+      let effectiveDate = now;
+      if (effectiveAt !== null && effectiveAt !== undefined) {
+        effectiveDate = new Date(effectiveAt);
+        if (isNaN(effectiveDate)) {
+          throw createError(`Invalid effectiveAt date: ${effectiveAt}`, 400, 'INVALID_DATE');
+        }
+        if (effectiveDate < now) {
+          effectiveDate = now;
+        }
+      }
+
+      const version = await this.addPriceVersion(plan, unitAmounts, effectiveDate, now);
+      return (await this.listPriceVersions(planId)).find(v => v.version === version);
+    } catch (error) {
+      console.error('Create price version error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the next price version of a plan, making it current if it is already in effect
+   * @param {Object} plan - Plan from getPlan
+   * @param {Object} unitAmounts - Prices in minor units keyed by currency
+   * @param {Date} effectiveDate - When the version takes effect
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} The new version number
+   * @throws {Error} 400 INVALID_DATE if an existing version takes effect after effectiveDate
+   */
+  async addPriceVersion(plan, unitAmounts, effectiveDate, now = effectiveDate) {
+    const latest = await this.db.queryOne(
+      'SELECT MAX(version) as version, MAX(effective_at) as effective_at FROM plan_price_versions WHERE plan_id = ?',
+      [plan.id]
+    );
+    if (latest.effective_at && effectiveDate < new Date(latest.effective_at)) {
+      throw createError(
+        `Plan ${plan.id} already has a price version taking effect ${latest.effective_at}; new prices can't take effect before it`,
+        400,
+        'INVALID_DATE'
+      );
+    }
+
+    const version = (latest.version || 0) + 1;
+    await this.savePriceVersion(plan.id, version, unitAmounts, effectiveDate);
+    if (effectiveDate <= now) {
+      await this.activatePriceVersion(plan.id, version);
+    }
+    return version;
+  }
+
+  /**
+   * List a plan's price versions, newest first
+   * Each version is current (what new subscribers get), scheduled (taking
+   * effect later) or previous, with how many subscriptions pay it and how many
+   * are due to move to it.
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Array>} Versions with prices in minor units by currency
+   */
+  async listPriceVersions(planId) {
+    try {
+      const plan = await this.getPlan(planId);
+      const rows = await this.db.query(
+        `SELECT v.version, v.currency, v.unit_amount, v.effective_at, v.created_at,
+                (SELECT COUNT(*) FROM subscriptions s
+                 WHERE s.plan_id = v.plan_id AND s.price_version = v.version AND s.status != 'cancelled') as subscribers,
+                (SELECT COUNT(*) FROM subscriptions s
+                 WHERE s.plan_id = v.plan_id AND s.pending_price_version = v.version AND s.status != 'cancelled') as pending_subscribers
+         FROM plan_price_versions v
+         WHERE v.plan_id = ?
+         ORDER BY v.version DESC, v.currency`,
+        [planId]
+      );
+
+      const versions = [];
+      for (const row of rows) {
+        let version = versions.find(v => v.version === row.version);
+        if (!version) {
+          version = {
+            version: row.version,
+            status: row.version === plan.price_version ? 'current'
+              : row.version > plan.price_version ? 'scheduled'
+              : 'previous',
+            prices: {},
+            effectiveAt: row.effective_at,
+            subscribers: row.subscribers,
+            pendingSubscribers: row.pending_subscribers,
+            createdAt: row.created_at
+          };
+          versions.push(version);
+        }
+        version.prices[row.currency] = row.unit_amount;
+      }
+      return versions;
+    } catch (error) {
+      console.error('List price versions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a price version that hasn't taken effect yet
+   * @param {string} planId - Plan ID
+   * @param {number} version - Scheduled version
+   * @throws {Error} 409 PRICE_VERSION_IN_EFFECT once it has taken effect, or
+   *   PRICE_VERSION_IN_USE while subscriptions are due to move to it
+   */
+  async withdrawPriceVersion(planId, version) {
+    try {
+      const existing = (await this.listPriceVersions(planId)).find(v => v.version === version);
+      if (!existing) {
+        throw createError(`Plan ${planId} has no price version ${version}`, 404, 'PRICE_VERSION_NOT_FOUND');
+      }
+      if (existing.status !== 'scheduled') {
+        throw createError(
+          `Price version ${version} of ${planId} has already taken effect and is kept for the record`,
+          409,
+          'PRICE_VERSION_IN_EFFECT'
+        );
+      }
+      if (existing.pendingSubscribers > 0) {
+        throw createError(
+          `${existing.pendingSubscribers} subscription(s) are due to move to price version ${version}`,
+          409,
+          'PRICE_VERSION_IN_USE'
+        );
+      }
+
+      await this.db.execute('DELETE FROM plan_price_versions WHERE plan_id = ? AND version = ?', [planId, version]);
+    } catch (error) {
+      console.error('Withdraw price version error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make scheduled price versions that have taken effect current
+   * The renewal runner calls this before each run.
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} { planId, version } for each plan whose current version changed
+   */
+  async activateDuePriceVersions(now = new Date()) {
+    try {
+      const due = await this.db.query(
+        `SELECT p.id as plan_id, MAX(v.version) as version
+         FROM plans p
+         JOIN plan_price_versions v ON v.plan_id = p.id AND v.effective_at <= ?
+         GROUP BY p.id
+         HAVING MAX(v.version) != MAX(p.price_version)`,
+        [now.toISOString()]
+      );
+
+      for (const { plan_id: planId, version } of due) {
+        await this.activatePriceVersion(planId, version);
+      }
+      return due.map(({ plan_id: planId, version }) => ({ planId, version }));
+    } catch (error) {
+      console.error('Activate price versions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a price version the one new subscribers get
+   * @param {string} planId - Plan ID
+   * @param {number} version - Price version
+   */
+  async activatePriceVersion(planId, version) {
+    const prices = await this.db.query(
+      'SELECT currency, unit_amount FROM plan_price_versions WHERE plan_id = ? AND version = ?',
+      [planId, version]
+    );
+
+    await this.db.execute('DELETE FROM plan_prices WHERE plan_id = ?', [planId]);
+    await this.savePrices(planId, Object.fromEntries(prices.map(price => [price.currency, price.unit_amount])));
+    await this.db.execute('UPDATE plans SET price_version = ? WHERE id = ?', [version, planId]);
+  }
+
+  /**
+   * Compare plans side by side
+   * Prices and metered quotas are normalized to a month (and prices to a year too)
+   * so plans with different billing cycles line up. Each row holds one value per
+   * plan, in the order the plans were given, and whether they are all the same;
+   * null means the plan doesn't have that feature.
+   * @param {Array<string>} planIds - IDs of the plans to compare
+   * @param {Object} options - Pricing options
+   * @param {string} options.currency - Preferred currency (plans not sold in it use their default)
+   * @param {string} options.locale - BCP 47 locale to format prices for
+   * @returns {Promise<Object>} plans (priced columns) and rows
+   * @throws {Error} 400 INVALID_COMPARISON unless 2-4 different plans are given
+   */
+  async comparePlans(planIds, { currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE } = {}) {
+    try {
+      const ids = [...new Set(planIds)];
+      if (ids.length < 2 || ids.length > MAX_COMPARED_PLANS) {
+        throw createError(`Compare between 2 and ${MAX_COMPARED_PLANS} different plans`, 400, 'INVALID_COMPARISON');
+      }
+
+      const plans = [];
+      for (const id of ids) {
+        plans.push(await this.getPlan(id));
+      }
+      const addons = await this.db.query('SELECT id, name FROM addons ORDER BY name');
+
+      const columns = plans.map(plan => {
+        const { features, ...catalog } = this.formatCatalogPlan(plan, currency, locale);
+        const perYear = Math.round(plan.prices[catalog.currency] * cyclesPerYear(plan.billing_cycle));
+        const perMonth = Math.round(perYear / 12);
+        return {
+          ...catalog,
+          perMonth: fromMinorUnits(perMonth, catalog.currency),
+          perYear: fromMinorUnits(perYear, catalog.currency),
+          formatted: {
+            ...catalog.formatted,
+            perMonth: formatMoney(perMonth, catalog.currency, locale),
+            perYear: formatMoney(perYear, catalog.currency, locale)
+          }
+        };
+      });
+
+      const rows = [];
+      const addRow = (key, label, values) => rows.push({ key, label, values, same: values.every(value => value === values[0]) });
+      const valuesOf = read => plans.map(plan => read(plan.features) ?? null);
+
+      addRow('billingCycle', 'Billing cycle', plans.map(plan => plan.billing_cycle));
+      addRow('price.perMonth', 'Cost per month', columns.map(column => column.formatted.perMonth));
+      addRow('price.perYear', 'Cost per year', columns.map(column => column.formatted.perYear));
+      addRow('trialDays', 'Free trial days', plans.map(plan => plan.trial_days));
+      addRow('storage', 'Storage', valuesOf(features => features.storage));
+      addRow('users', 'Users included', valuesOf(features => features.users));
+      addRow('support', 'Support', valuesOf(features => features.support));
+
+      const featureNames = [...new Set(plans.flatMap(plan => Array.isArray(plan.features.features) ? plan.features.features : []))];
+      for (const name of featureNames) {
+        addRow(`feature:${name}`, name, valuesOf(features => Array.isArray(features.features) && features.features.includes(name)));
+      }
+
+      for (const addon of addons.filter(a => plans.some(plan => plan.features.addons?.includes(a.id)))) {
+        addRow(`addon:${addon.id}`, `${addon.name} add-on`, valuesOf(features => Boolean(features.addons?.includes(addon.id))));
+      }
+
+      // Quotas are per billing period, so a yearly quota is spread over 12 months
+      const metrics = [...new Set(plans.flatMap(plan => Object.keys(plan.features.metered || {})))];
+      for (const metric of metrics) {
+        const meters = plans.map(plan => plan.features.metered?.[metric] || null);
+        const name = meters.find(Boolean).name || metric;
+        addRow(`metered:${metric}`, `${name} included per month`, meters.map((meter, i) => {
+          if (!meter) return null;
+          if (meter.included === null || meter.included === undefined) return 'Unlimited';
+          return Math.round(meter.included * cyclesPerYear(plans[i].billing_cycle) / 12);
+        }));
+        addRow(`metered:${metric}:overage`, `${name} overage`, meters.map((meter, i) => {
+          const overageCurrency = columns[i].currency;
+          if (!meter || meter.prices?.[overageCurrency] === undefined) return null;
+          return `${formatMoney(meter.prices[overageCurrency], overageCurrency, locale)} per ${(meter.packageSize || 1).toLocaleString(locale)}`;
+        }));
+      }
+
+      return { plans: columns, rows };
+    } catch (error) {
+      console.error('Compare plans error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a plan's prices
+   * @param {string} planId - Plan ID
+   * @param {Object} unitAmounts - Prices in minor units keyed by currency
+   */
+  async savePrices(planId, unitAmounts) {
+    for (const [currency, unitAmount] of Object.entries(unitAmounts)) {
+      await this.db.execute(
+        'INSERT OR REPLACE INTO plan_prices (plan_id, currency, unit_amount) VALUES (?, ?, ?)',
+        [planId, currency, unitAmount]
+      );
+    }
+  }
+
+  /**
+   * Write one version of a plan's prices
+   * @param {string} planId - Plan ID
+   * @param {number} version - Version number
+   * @param {Object} unitAmounts - Prices in minor units keyed by currency
+   * @param {Date} effectiveDate - When new subscribers start getting these prices
+   */
+  async savePriceVersion(planId, version, unitAmounts, effectiveDate) {
+    for (const [currency, unitAmount] of Object.entries(unitAmounts)) {
+      await this.db.execute(
+        'INSERT INTO plan_price_versions (plan_id, version, currency, unit_amount, effective_at) VALUES (?, ?, ?, ?, ?)',
+        [planId, version, currency, unitAmount, effectiveDate.toISOString()]
+      );
+    }
+  }
+
+  /**
+   * Attach a plan's prices and decompressed features
+   * @param {Object} plan - Plan row
+   * @returns {Promise<Object>} Plan row with prices and features
+   */
+  async withDetails(plan) {
+    const prices = await this.db.query(
+      'SELECT currency, unit_amount FROM plan_prices WHERE plan_id = ? ORDER BY currency',
+      [plan.id]
+    );
+
+    return {
+      ...plan,
+      prices: Object.fromEntries(prices.map(price => [price.currency, price.unit_amount])),
+      features: await this.getFeatures(plan)
+    };
+  }
+
+  /**
+   * Get a plan's decompressed features, from the cache when they have been read before
+   * @param {Object} plan - Plan row with features_compressed
+   * @returns {Promise<Object>} Plan features
+   */
+  async getFeatures(plan) {
+    if (!this.featuresCache.has(plan.id)) {
+      const features = plan.features_compressed ? await decompressPlanFeatures(plan.features_compressed) : {};
+      this.featuresCache.set(plan.id, features);
+    }
+
+    return this.featuresCache.get(plan.id);
+  }
+
+  /**
+   * Format a plan for API responses
+   * @param {Object} plan - Plan from getPlan or listPlans
+   * @returns {Object} Formatted plan, with prices in major units
+   */
+  formatPlan(plan) {
+    return {
+      id: plan.id,
+      name: plan.name,
+      description: plan.description,
+      billingCycle: plan.billing_cycle,
+      trialDays: plan.trial_days,
+      defaultCurrency: plan.default_currency,
+      prices: Object.fromEntries(
+        Object.entries(plan.prices).map(([currency, unitAmount]) => [currency, fromMinorUnits(unitAmount, currency)])
+      ),
+      priceVersion: plan.price_version,
+      features: plan.features,
+      archived: plan.archived_at !== null,
+      archivedAt: plan.archived_at,
+      createdAt: plan.created_at
+    };
+  }
+
+  /**
+   * Format a price version for API responses
+   * @param {Object} version - Version from listPriceVersions
+   * @returns {Object} Formatted version, with prices in major units
+   */
+  formatPriceVersion(version) {
+    return {
+      ...version,
+      prices: Object.fromEntries(
+        Object.entries(version.prices).map(([currency, unitAmount]) => [currency, fromMinorUnits(unitAmount, currency)])
+      )
+    };
+  }
+
+  /**
+   * Format a plan for customers, priced in one currency
+   * Plans not sold in the currency are priced in their default currency, as
+   * customers would be billed. Prices are before tax.
+   * @param {Object} plan - Plan from getPlan or listPlans
+   * @param {string} currency - Preferred ISO 4217 currency
+   * @param {string} locale - BCP 47 locale to format the price for
+   * @returns {Object} Formatted plan
+   */
+  formatCatalogPlan(plan, currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) {
+    const billedIn = plan.prices[currency] !== undefined ? currency : plan.default_currency;
+    const price = plan.prices[billedIn];
+
+    return {
+      id: plan.id,
+      name: plan.name,
+      description: plan.description,
+      billingCycle: plan.billing_cycle,
+      trialDays: plan.trial_days,
+      currency: billedIn,
+      amount: fromMinorUnits(price, billedIn),
+      formatted: { amount: formatMoney(price, billedIn, locale) },
+      features: plan.features,
+      available: plan.archived_at === null
+    };
+  }
+}
+
+export default PlanManager;
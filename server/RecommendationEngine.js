@@ -1,10 +1,15 @@
+import { cyclesPerYear } from './billingCalendar.js';
+import { DEFAULT_CURRENCY, DEFAULT_LOCALE, formatMoney, fromMinorUnits, toMinorUnits } from './money.js';
+
 /**
  * RecommendationEngine generates AI-powered subscription recommendations
  */
 class RecommendationEngine {
-  constructor(llmService, database) {
+  constructor(llmService, database, couponManager = null, usageManager = null) {
     this.llmService = llmService;
     this.db = database;
+    this.couponManager = couponManager;
+    this.usageManager = usageManager;
   }
 
   /**
@@ -24,22 +29,64 @@ class RecommendationEngine {
         throw new Error(`Customer with ID ${customerId} not found`);
       }
 
-      // Get customer subscriptions
+      // Amounts are compared and shown in the customer's currency
+      const money = {
+        currency: customer.currency || DEFAULT_CURRENCY,
+        locale: customer.locale || DEFAULT_LOCALE
+      };
+
+      // Get customer subscriptions, including trials that haven't converted yet
       const subscriptions = await this.db.query(
-        `SELECT s.*, p.name as plan_name, p.price, p.billing_cycle
+        `SELECT s.*, p.name as plan_name, pp.unit_amount as price, p.billing_cycle
          FROM subscriptions s
          JOIN plans p ON s.plan_id = p.id
-         WHERE s.customer_id = ? AND s.status = 'active'`,
+         LEFT JOIN plan_price_versions pp
+           ON pp.plan_id = s.plan_id AND pp.version = s.price_version AND pp.currency = s.currency
+         WHERE s.customer_id = ? AND s.status IN ('active', 'trialing')`,
         [customerId]
       );
 
+      // Attach any coupon discounting each subscription's next charge
+      if (this.couponManager) {
+        for (const subscription of subscriptions) {
+          subscription.discount = await this.couponManager.getDiscount(subscription.id, subscription.price, money.locale);
+        }
+      }
+
+      // Attach the metered usage so far this period and the overage it has run up
+      if (this.usageManager) {
+        const now = new Date();
+        for (const subscription of subscriptions) {
+          const { lines } = await this.usageManager.getUsageCharges(subscription, now);
+          subscription.usage = lines.filter(line => line.used > 0);
+        }
+      }
+
+      // Get all plans on sale for context, priced as the customer would be billed
+      const allPlans = await this.db.query(
+        `SELECT p.id, p.name, p.billing_cycle, p.trial_days,
+                COALESCE(pp.unit_amount, dp.unit_amount) as price,
+                COALESCE(pp.currency, dp.currency) as currency
+         FROM plans p
+         LEFT JOIN plan_prices pp ON pp.plan_id = p.id AND pp.currency = ?
+         LEFT JOIN plan_prices dp ON dp.plan_id = p.id AND dp.currency = p.default_currency
+         WHERE p.archived_at IS NULL`,
+        [money.currency]
+      );
+
       if (subscriptions.length === 0) {
+        const basicPlan = allPlans.find(p => p.id === 'basic');
         return [{
           planId: 'basic',
           planName: 'Basic Plan',
           reasoning: 'Start with our Basic plan to get access to essential features',
           potentialSavings: 0,
-          benefits: ['Essential features', 'Affordable pricing', 'Easy to upgrade']
+          benefits: [
+            'Essential features',
+            'Affordable pricing',
+            'Easy to upgrade',
+            ...(basicPlan?.trial_days > 0 ? [`${basicPlan.trial_days}-day free trial`] : [])
+          ]
         }];
       }
 
@@ -52,9 +99,6 @@ class RecommendationEngine {
         [customerId]
       );
 
-      // Get all available plans for context
-      const allPlans = await this.db.query('SELECT id, name, price, billing_cycle FROM plans');
-
       // Use LLM to generate recommendations
       const recommendations = await this.llmService.generateRecommendations(
         customer,
@@ -63,24 +107,28 @@ class RecommendationEngine {
       );
 
       // Calculate savings and format recommendations
-      const formattedRecommendations = recommendations.map(rec => {
-        const currentTotal = subscriptions.reduce((sum, s) => sum + s.price, 0);
+      const formattedRecommendations = [];
+      for (const rec of recommendations) {
         const recommendedPlan = allPlans.find(p => p.id === rec.planId || p.name === rec.planName);
         
         if (recommendedPlan) {
           rec.potentialSavings = this.calculateSavings(
             subscriptions,
             recommendedPlan,
-            billingHistory
+            billingHistory,
+            await this.estimateUsageCost(subscriptions, recommendedPlan)
           );
+        } else {
+          // Savings suggested by the model are in major units
+          rec.potentialSavings = toMinorUnits(Number(rec.potentialSavings) || 0, money.currency);
         }
 
-        return this.formatRecommendation(rec);
-      });
+        formattedRecommendations.push(this.formatRecommendation(rec, this.getTrialEnd(subscriptions, rec.planId), money));
+      }
 
       // Check for multi-subscription consolidation opportunities
       if (subscriptions.length >= 2) {
-        const consolidationRec = this.analyzeConsolidation(subscriptions, allPlans);
+        const consolidationRec = this.analyzeConsolidation(subscriptions, allPlans, money);
         if (consolidationRec) {
           formattedRecommendations.push(consolidationRec);
         }
@@ -93,50 +141,100 @@ class RecommendationEngine {
     }
   }
 
+  /**
+   * Get when the customer's trial of a plan ends, if they are still trialing it
+   * Recommendations for a trialing plan are about whether to keep it once it converts
+   * @param {Array} subscriptions - Current subscriptions
+   * @param {string} planId - Recommended plan ID
+   * @returns {string|null} Trial end date (ISO format) or null
+   */
+  getTrialEnd(subscriptions, planId) {
+    const trial = subscriptions.find(s => s.status === 'trialing' && s.plan_id === planId);
+    return trial ? trial.trial_end : null;
+  }
+
+  /**
+   * Estimate the overage a plan would charge for the customer's current usage
+   * Usage so far this period on comparable subscriptions is scaled to the plan's
+   * billing cycle and priced against the plan's quotas.
+   * @param {Array} subscriptions - Current subscriptions with their usage
+   * @param {Object} plan - Plan, priced in minor units of its currency
+   * @returns {Promise<number>} Overage per billing period of the plan, in minor units
+   */
+  async estimateUsageCost(subscriptions, plan) {
+    if (!this.usageManager) {
+      return 0;
+    }
+
+    const used = {};
+    for (const sub of subscriptions.filter(s => s.currency === plan.currency)) {
+      for (const line of sub.usage || []) {
+        const monthly = line.used * cyclesPerYear(sub.billing_cycle) / 12;
+        used[line.metric] = (used[line.metric] || 0) + Math.round(monthly * 12 / cyclesPerYear(plan.billing_cycle));
+      }
+    }
+
+    try {
+      const lines = this.usageManager.priceUsage(await this.usageManager.getPlanMeters(plan.id), used, plan.currency);
+      return lines.reduce((sum, line) => sum + line.amount, 0);
+    } catch (error) {
+      // Overage the plan can't price in this currency is left out of the comparison
+      if (error.code === 'PRICE_NOT_AVAILABLE') {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Calculate potential savings
+   * Subscriptions with a recurring coupon are costed at their discounted price,
+   * since switching plans would give that discount up. One-off discounts don't
+   * change the ongoing cost. Overage on metered usage is added to both sides.
+   * Subscriptions billed in a different currency from the recommended plan's
+   * price can't be compared and are left out.
    * @param {Array} currentSubscriptions - Current subscriptions
-   * @param {Object} recommendedPlan - Recommended plan
+   * @param {Object} recommendedPlan - Recommended plan, priced in minor units of its currency
    * @param {Array} billingHistory - Billing history
-   * @returns {number} Potential savings (positive) or additional cost (negative)
+   * @param {number} recommendedUsageCost - Overage per period on the recommended plan (see estimateUsageCost)
+   * @returns {number} Potential savings (positive) or additional cost (negative), in minor units
    */
-  calculateSavings(currentSubscriptions, recommendedPlan, billingHistory) {
+  calculateSavings(currentSubscriptions, recommendedPlan, billingHistory, recommendedUsageCost = 0) {
     // Calculate current monthly cost
-    const currentMonthlyCost = currentSubscriptions.reduce((sum, sub) => {
-      if (sub.billing_cycle === 'monthly') {
-        return sum + sub.price;
-      } else if (sub.billing_cycle === 'yearly') {
-        return sum + (sub.price / 12);
-      }
-      return sum;
+    const comparable = currentSubscriptions.filter(sub => sub.currency === recommendedPlan.currency);
+    const currentMonthlyCost = comparable.reduce((sum, sub) => {
+      const price = sub.discount && sub.discount.duration !== 'once' ? sub.discount.netAmount : sub.price;
+      const usageCost = (sub.usage || []).reduce((total, line) => total + line.amount, 0);
+      return sum + ((price + usageCost) * cyclesPerYear(sub.billing_cycle) / 12);
     }, 0);
 
     // Calculate recommended plan monthly cost
-    let recommendedMonthlyCost = recommendedPlan.price;
-    if (recommendedPlan.billing_cycle === 'yearly') {
-      recommendedMonthlyCost = recommendedPlan.price / 12;
-    }
+    const recommendedMonthlyCost = (recommendedPlan.price + recommendedUsageCost) *
+      cyclesPerYear(recommendedPlan.billing_cycle) / 12;
 
     // Return savings (positive means saving money)
-    return Math.round((currentMonthlyCost - recommendedMonthlyCost) * 100) / 100;
+    return Math.round(currentMonthlyCost - recommendedMonthlyCost);
   }
 
   /**
    * Analyze consolidation opportunities for multiple subscriptions
    * @param {Array} subscriptions - Current subscriptions
    * @param {Array} allPlans - All available plans
+   * @param {Object} money - Currency and locale to show amounts in
    * @returns {Object|null} Consolidation recommendation or null
    */
-  analyzeConsolidation(subscriptions, allPlans) {
-    const totalCost = subscriptions.reduce((sum, s) => sum + s.price, 0);
-    
+  analyzeConsolidation(subscriptions, allPlans, { currency, locale }) {
+    const totalCost = subscriptions
+      .filter(s => s.currency === currency)
+      .reduce((sum, s) => sum + s.price, 0);
+
     // Find enterprise/premium plans that might consolidate features
     const premiumPlans = allPlans.filter(p => 
       p.name.toLowerCase().includes('enterprise') || 
       p.name.toLowerCase().includes('premium')
     );
 
-    if (premiumPlans.length > 0) {
+    if (premiumPlans.length > 0 && premiumPlans[0].currency === currency) {
       const bestPlan = premiumPlans[0];
       const savings = totalCost - bestPlan.price;
 
@@ -145,12 +243,13 @@ class RecommendationEngine {
           planId: bestPlan.id,
           planName: bestPlan.name,
           reasoning: `You have ${subscriptions.length} active subscriptions. Consolidating to ${bestPlan.name} could simplify billing and provide all features in one plan.`,
-          potentialSavings: Math.round(savings * 100) / 100,
+          potentialSavings: fromMinorUnits(savings, currency),
+          currency,
           benefits: [
             'Single billing cycle',
             'All features included',
             'Simplified management',
-            `Save $${Math.round(savings * 100) / 100} per ${bestPlan.billing_cycle}`
+            `Save ${formatMoney(savings, currency, locale)} per ${bestPlan.billing_cycle}`
           ]
         };
       }
@@ -161,21 +260,27 @@ class RecommendationEngine {
 
   /**
    * Format recommendation for display
-   * @param {Object} recommendation - Raw recommendation
+   * @param {Object} recommendation - Raw recommendation, with potentialSavings in minor units
+   * @param {string|null} trialEndsAt - End of the customer's trial of the recommended plan
+   * @param {Object} money - Currency and locale to show amounts in
    * @returns {Object} Formatted recommendation
    */
-  formatRecommendation(recommendation) {
+  formatRecommendation(recommendation, trialEndsAt = null, { currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE } = {}) {
+    const savings = recommendation.potentialSavings || 0;
+
     return {
       planId: recommendation.planId,
       planName: recommendation.planName,
       reasoning: recommendation.reasoning,
-      potentialSavings: recommendation.potentialSavings || 0,
+      potentialSavings: fromMinorUnits(savings, currency),
+      currency,
       benefits: recommendation.benefits || [],
-      costImplication: recommendation.potentialSavings > 0 
-        ? `Save $${recommendation.potentialSavings}/month`
-        : recommendation.potentialSavings < 0
-        ? `Additional $${Math.abs(recommendation.potentialSavings)}/month`
-        : 'Similar cost'
+      costImplication: savings > 0 
+        ? `Save ${formatMoney(savings, currency, locale)}/month`
+        : savings < 0
+        ? `Additional ${formatMoney(Math.abs(savings), currency, locale)}/month`
+        : 'Similar cost',
+      trialEndsAt
     };
   }
 }
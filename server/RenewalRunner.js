@@ -0,0 +1,379 @@
+import { systemClock } from './clock.js';
+import { getNextBillingDate, formatBillingDate } from './billingCalendar.js';
+import { createError } from './errors.js';
+import { DEFAULT_LOCALE, formatMoney } from './money.js';
+import { SCHEDULER_ACTOR } from './EventLog.js';
+
+/**
+ * RenewalRunner charges subscriptions whose billing date has passed
+ * and advances them to their next billing date
+ * Payments go through the billing manager's payment gateway unless an
+ * attemptPayment function is given: async (subscription, amount, description) =>
+ * payment result ({ status: success, pending or failed, failureReason, ... }).
+ * A pending payment renews the subscription like a successful one and is
+ * settled on a later run.
+ */
+class RenewalRunner {
+  constructor(database, subscriptionManager, billingManager, {
+    clock = systemClock,
+    dunningManager = null,
+    couponManager = null,
+    taxManager = null,
+    addonManager = null,
+    usageManager = null,
+    planManager = null,
+    eventLog = null,
+    attemptPayment = null
+  } = {}) {
+    this.db = database;
+    this.subscriptionManager = subscriptionManager;
+    this.billingManager = billingManager;
+    this.dunningManager = dunningManager;
+    this.couponManager = couponManager;
+    this.taxManager = taxManager;
+    this.addonManager = addonManager;
+    this.usageManager = usageManager;
+    this.planManager = planManager;
+    this.eventLog = eventLog;
+    this.attemptPayment = attemptPayment ||
+      ((subscription, amount, description) =>
+        billingManager.chargeCustomer(subscription.customer_id, amount, subscription.currency, description));
+    this.clock = clock;
+    this.interval = null;
+    this.running = false;
+  }
+
+  /**
+   * Process everything that is due at the clock's current time
+   * Plan prices scheduled to take effect become current first, for new subscribers.
+   * Paused subscriptions due to resume are resumed first so they are billed in the same run,
+   * and subscriptions cancelled at period end are ended before anything is charged.
+   * Trials that have ended are converted and take their first payment in the same run.
+   * @returns {Promise<Object>} Summary of the run
+   */
+  async runOnce() {
+    const now = this.clock.now();
+    const summary = {
+      runAt: now.toISOString(),
+      priceVersionsActivated: 0,
+      resumed: 0,
+      cancelled: 0,
+      trialsConverted: 0,
+      renewed: 0,
+      failed: 0,
+      settled: 0,
+      transactions: [],
+      dunning: null,
+      errors: []
+    };
+
+    try {
+      if (this.planManager) {
+        const activated = await this.planManager.activateDuePriceVersions(now);
+        summary.priceVersionsActivated = activated.length;
+      }
+
+      // Earlier charges still settling with the gateway
+      const settled = await this.billingManager.settlePendingPayments(now);
+      summary.settled = settled.length;
+      if (this.dunningManager) {
+        for (const transaction of settled.filter(tx => tx.status === 'failed')) {
+          await this.dunningManager.openCaseForPayment(transaction, now);
+        }
+      }
+
+      const resumed = await this.subscriptionManager.resumeDueSubscriptions(now);
+      summary.resumed = resumed.length;
+
+      // Scheduled cancellations end on the billing date instead of renewing
+      const cancelled = await this.subscriptionManager.endScheduledCancellations(now);
+      summary.cancelled = cancelled.length;
+
+      const converted = await this.subscriptionManager.convertEndedTrials(now);
+      summary.trialsConverted = converted.length;
+
+      const due = await this.db.query(
+        `SELECT s.*, p.name as plan_name, pp.unit_amount as price, p.billing_cycle, c.locale
+         FROM subscriptions s
+         JOIN plans p ON s.plan_id = p.id
+         JOIN customers c ON s.customer_id = c.id
+         LEFT JOIN plan_price_versions pp
+           ON pp.plan_id = s.plan_id AND pp.version = s.price_version AND pp.currency = s.currency
+         WHERE s.status = 'active' AND s.next_billing_date IS NOT NULL AND s.next_billing_date <= ?
+         ORDER BY s.next_billing_date`,
+        [now.toISOString()]
+      );
+
+      for (const subscription of due) {
+        try {
+          const { transactions, paymentFailed } = await this.renewSubscription(subscription, now);
+          summary.transactions.push(...transactions);
+          if (paymentFailed) {
+            summary.failed++;
+          } else {
+            summary.renewed++;
+          }
+        } catch (error) {
+          console.error(`Renewal failed for subscription ${subscription.id}:`, error);
+          summary.errors.push({ subscriptionId: subscription.id, message: error.message });
+        }
+      }
+
+      if (this.dunningManager) {
+        summary.dunning = await this.dunningManager.processDue(
+          now,
+          this.attemptPayment,
+          (subscription, dunningCase) => this.advancePastPeriod(subscription, dunningCase.billing_date)
+        );
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Renewal run error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Charge every billing period of a subscription that has come due
+   * Missed periods are caught up one charge per period, dated on the billing date they cover.
+   * An applied coupon discounts each period it covers, whether or not the payment succeeds.
+   * Tax for the customer's billing region is worked out on the discounted price.
+   * Charges are in the subscription's currency, at its pinned price version of the plan
+   * plus the subscription's add-ons, which are itemized on the invoice. A price change
+   * scheduled for a subscription takes effect from the period starting on its date.
+   * Each charge also collects the overage on metered usage reported before its billing date.
+   * A failed payment stops the catch-up and hands the subscription to dunning.
+   * @param {Object} subscription - Subscription row joined with its plan
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Recorded transactions and whether a payment failed
+   */
+  async renewSubscription(subscription, now) {
+    if (subscription.price === null) {
+      throw createError(
+        `Plan ${subscription.plan_id} has no ${subscription.currency} price to renew subscription ` +
+          `${subscription.id} on ${subscription.next_billing_date}`,
+        409,
+        'PRICE_NOT_AVAILABLE'
+      );
+    }
+
+    const timeZone = await this.subscriptionManager.getCustomerTimeZone(subscription.customer_id);
+    const anchor = this.subscriptionManager.getBillingAnchor(subscription);
+    const paymentMethod = await this.billingManager.getLastPaymentMethod(subscription.id);
+    const locale = subscription.locale || DEFAULT_LOCALE;
+    const transactions = [];
+
+    const items = this.addonManager
+      ? await this.addonManager.getSubscriptionItems(subscription, subscription.billing_cycle)
+      : [];
+    const addonAmount = items.reduce((sum, item) => sum + item.amount, 0);
+    let planPrice = subscription.price;
+    const chargeName = items.length > 0
+      ? `${subscription.plan_name} + ${this.addonManager.describeItems(items)}`
+      : subscription.plan_name;
+    const invoiceItems = items.map(item => ({
+      description: item.name,
+      quantity: item.quantity,
+      unitAmount: item.unit_amount
+    }));
+
+    let billingDate = new Date(subscription.next_billing_date);
+    while (billingDate <= now) {
+      if (subscription.pending_price_version && billingDate >= new Date(subscription.price_change_at)) {
+        subscription = { ...subscription, ...await this.subscriptionManager.applyPriceChange(subscription.id, now) };
+        planPrice = await this.subscriptionManager.getSubscriptionPrice(subscription);
+      }
+      const listPrice = planPrice + addonAmount;
+
+      const nextBillingDate = getNextBillingDate(anchor, subscription.billing_cycle, billingDate, { timeZone });
+      const period = `${formatBillingDate(billingDate, { timeZone })} - ${formatBillingDate(nextBillingDate, { timeZone })}`;
+      const isFirstAfterTrial = subscription.trial_end &&
+        billingDate.getTime() === new Date(subscription.trial_end).getTime();
+
+      const usage = this.usageManager
+        ? await this.usageManager.getUsageCharges(subscription, billingDate)
+        : { lines: [], amount: 0, cursor: 0 };
+      const usageCharges = usage.lines.filter(line => line.amount > 0);
+      const usageText = usageCharges.map(line => ` + ${line.name} overage`).join('');
+      const periodPrice = listPrice + usage.amount;
+
+      const discount = this.couponManager
+        ? await this.couponManager.getDiscount(subscription.id, periodPrice, locale)
+        : null;
+      const price = discount ? discount.netAmount : periodPrice;
+      const tax = this.taxManager ? await this.taxManager.calculateCustomerTax(subscription.customer_id, price) : null;
+      const amount = tax ? tax.grossAmount : price;
+      const discountText = discount
+        ? ` with ${discount.code} (-${formatMoney(discount.amount, subscription.currency, locale)})`
+        : '';
+
+      const description = `${isFirstAfterTrial ? 'First payment after trial' : 'Renewal'} for ` +
+        `${chargeName} (${period})${usageText}${discountText}`;
+
+      // A fully discounted period has nothing to collect
+      const payment = amount > 0
+        ? await this.attemptPayment(subscription, amount, description)
+        : { status: 'success' };
+
+      if (discount) {
+        await this.couponManager.useCycle(discount.redemptionId, now);
+      }
+
+      if (!['success', 'pending'].includes(payment.status)) {
+        const failed = await this.billingManager.recordTransaction(
+          subscription.customer_id,
+          subscription.id,
+          amount,
+          'failed',
+          payment.paymentMethod || paymentMethod,
+          `Renewal payment failed for ${chargeName} (${period})${usageText}${discountText}: ` +
+            `${payment.failureReason || 'payment declined'}`,
+          {
+            currency: subscription.currency,
+            transactionDate: now.toISOString(),
+            discount,
+            tax,
+            actor: SCHEDULER_ACTOR,
+            payment
+          }
+        );
+        transactions.push(failed);
+
+        if (this.usageManager) {
+          await this.usageManager.markBilled(subscription.id, billingDate, usage.cursor, failed.id);
+        }
+
+        if (this.dunningManager) {
+          await this.dunningManager.openCase(subscription, failed, billingDate, now);
+        }
+
+        return { transactions, paymentFailed: true };
+      }
+
+      const transaction = await this.billingManager.recordTransaction(
+        subscription.customer_id,
+        subscription.id,
+        amount,
+        payment.status,
+        payment.paymentMethod || paymentMethod,
+        description,
+        {
+          currency: subscription.currency,
+          transactionDate: billingDate.toISOString(),
+          discount,
+          tax,
+          items: [
+            ...invoiceItems,
+            ...usageCharges.map(line => ({
+              description: this.usageManager.describeCharge(line, locale),
+              quantity: line.packages,
+              unitAmount: line.unit_amount
+            }))
+          ],
+          actor: SCHEDULER_ACTOR,
+          payment
+        }
+      );
+      transactions.push(transaction);
+
+      // Usage within the quota is settled by the charge too, so the next period starts from zero
+      if (this.usageManager) {
+        await this.usageManager.markBilled(subscription.id, billingDate, usage.cursor, transaction.id);
+      }
+
+      // Advance after each charge so an interrupted run never bills a period twice
+      await this.advanceBillingDate(subscription.id, nextBillingDate, now);
+
+      billingDate = nextBillingDate;
+    }
+
+    return { transactions, paymentFailed: false };
+  }
+
+  /**
+   * Move a subscription's next billing date past a period that has been paid
+   * @param {Object} subscription - Subscription row joined with its plan
+   * @param {string} billingDate - Billing date of the paid period (ISO format)
+   */
+  async advancePastPeriod(subscription, billingDate) {
+    const timeZone = await this.subscriptionManager.getCustomerTimeZone(subscription.customer_id);
+    const nextBillingDate = getNextBillingDate(
+      this.subscriptionManager.getBillingAnchor(subscription),
+      subscription.billing_cycle,
+      billingDate,
+      { timeZone }
+    );
+
+    await this.advanceBillingDate(subscription.id, nextBillingDate, this.clock.now());
+  }
+
+  /**
+   * Set a subscription's next billing date once a period is paid for
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Date} nextBillingDate - Start of the next unpaid period
+   * @param {Date} now - Current time
+   */
+  async advanceBillingDate(subscriptionId, nextBillingDate, now) {
+    const before = this.eventLog
+      ? await this.db.queryOne('SELECT * FROM subscriptions WHERE id = ?', [subscriptionId])
+      : null;
+
+    await this.db.execute(
+      'UPDATE subscriptions SET next_billing_date = ? WHERE id = ?',
+      [nextBillingDate.toISOString(), subscriptionId]
+    );
+
+    if (this.eventLog) {
+      const after = await this.db.queryOne('SELECT * FROM subscriptions WHERE id = ?', [subscriptionId]);
+      await this.eventLog.record('subscription.renewed', after, {
+        actor: SCHEDULER_ACTOR,
+        before,
+        after,
+        occurredAt: now
+      });
+    }
+  }
+
+  /**
+   * Run renewals on an interval in this process
+   * @param {number} intervalMs - Milliseconds between runs
+   */
+  start(intervalMs = 60000) {
+    this.stop();
+    this.interval = setInterval(async () => {
+      // Skip a tick rather than overlap a run that is still in progress
+      if (this.running) {
+        return;
+      }
+
+      this.running = true;
+      try {
+        const summary = await this.runOnce();
+        if (summary.resumed > 0 || summary.cancelled > 0 || summary.trialsConverted > 0 ||
+            summary.renewed > 0 || summary.failed > 0 || summary.settled > 0 || summary.errors.length > 0) {
+          console.log(`Renewal run: ${summary.resumed} resumed, ${summary.cancelled} cancelled, ` +
+            `${summary.trialsConverted} trial(s) converted, ${summary.renewed} renewed, ` +
+            `${summary.failed} payment(s) failed, ${summary.settled} payment(s) settled, ` +
+            `${summary.errors.length} error(s)`);
+        }
+      } catch (error) {
+        console.error('Scheduled renewal run failed:', error);
+      } finally {
+        this.running = false;
+      }
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the renewal interval
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+export default RenewalRunner;
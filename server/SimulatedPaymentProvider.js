@@ -0,0 +1,278 @@
+import { randomBytes } from 'crypto';
+import { createError } from './errors.js';
+import { systemClock } from './clock.js';
+import PaymentProvider from './PaymentProvider.js';
+import { signPayload, verifySignature } from './WebhookManager.js';
+
+/**
+ * Test cards and how the simulator treats charges to them
+ * Any other valid card number is charged successfully.
+ */
+export const TEST_CARDS = {
+  '4242424242424242': { outcome: 'succeeded', description: 'Charges succeed' },
+  '4000000000000002': { outcome: 'card_declined', description: 'Charges are declined' },
+  '4000000000009995': { outcome: 'insufficient_funds', description: 'Charges fail for insufficient funds' },
+  '4000000000000077': { outcome: 'pending', description: 'Charges settle successfully after a delay' }
+};
+
+const FAILURE_REASONS = {
+  card_declined: 'Your card was declined',
+  insufficient_funds: 'Your card has insufficient funds',
+  charge_not_settled: 'The charge has not settled yet',
+  charge_failed: 'The charge did not succeed'
+};
+
+/**
+ * Check a card number's Luhn checksum
+ * @param {string} number - Card number digits
+ * @returns {boolean} Whether the checksum is valid
+ */
+function isLuhnValid(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = parseInt(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Work out a card's brand from its number
+ * @param {string} number - Card number digits
+ * @returns {string} Brand name
+ */
+function getCardBrand(number) {
+  if (number.startsWith('4')) return 'Visa';
+  if (/^5[1-5]/.test(number) || /^2[2-7]/.test(number)) return 'Mastercard';
+  if (/^3[47]/.test(number)) return 'American Express';
+  return 'Card';
+}
+
+/**
+ * SimulatedPaymentProvider is a payment gateway that runs in-process, for
+ * development and demos. It moves no money. Outcomes depend only on the card,
+ * so they are the same on every run: the card's behaviour is carried in the
+ * token, and a charge's outcome and time in its reference. Nothing is kept
+ * between restarts except idempotent replies.
+ *
+ * Webhook notifications are signed with PAYMENT_WEBHOOK_SECRET the same way as
+ * our outbound webhooks (see WebhookManager) and look like:
+ *   { id, type, createdAt, data: { chargeReference, amount, currency, ... } }
+ * The simulator never sends them itself; replayPaymentEvents.js does.
+ */
+class SimulatedPaymentProvider extends PaymentProvider {
+  constructor({
+    settlementDelayMs = parseInt(process.env.PAYMENT_SIMULATOR_SETTLEMENT_DELAY_MS) || 60000,
+    webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || null,
+    clock = systemClock
+  } = {}) {
+    super();
+    this.settlementDelayMs = settlementDelayMs;
+    this.webhookSecret = webhookSecret;
+    this.clock = clock;
+    this.replies = new Map();
+  }
+
+  get name() {
+    return 'simulator';
+  }
+
+  /**
+   * Save a test card
+   * @param {Object} details - Card details
+   * @param {string} details.cardNumber - Card number, spaces and dashes allowed
+   * @param {number} details.expMonth - Expiry month (1-12)
+   * @param {number} details.expYear - Expiry year (four digits)
+   * @returns {Promise<Object>} { token, brand, last4, expMonth, expYear }
+   */
+  async createPaymentMethod({ cardNumber, expMonth, expYear } = {}) {
+    const number = String(cardNumber || '').replace(/[\s-]/g, '');
+    if (!/^\d{12,19}$/.test(number) || !isLuhnValid(number)) {
+      throw createError('Invalid card number', 400, 'INVALID_PAYMENT_METHOD');
+    }
+
+    const month = Number(expMonth);
+    const year = Number(expYear);
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year)) {
+      throw createError('expMonth must be 1-12 and expYear a four-digit year', 400, 'INVALID_PAYMENT_METHOD');
+    }
+    const now = this.clock.now();
+    if (year < now.getUTCFullYear() || (year === now.getUTCFullYear() && month < now.getUTCMonth() + 1)) {
+      throw createError('Card has expired', 400, 'INVALID_PAYMENT_METHOD');
+    }
+
+    const outcome = TEST_CARDS[number]?.outcome || 'succeeded';
+    return {
+      token: `sim_pm_${outcome}_${randomBytes(8).toString('hex')}`,
+      brand: getCardBrand(number),
+      last4: number.slice(-4),
+      expMonth: month,
+      expYear: year
+    };
+  }
+
+  async deletePaymentMethod() {
+    // Simulated cards only exist in their tokens
+  }
+
+  /**
+   * Charge a test card
+   * @param {Object} charge - See PaymentProvider.charge
+   * @returns {Promise<Object>} Charge result
+   */
+  async charge({ token, amount, idempotencyKey }) {
+    return this.reply(idempotencyKey, () => {
+      const match = /^sim_pm_([a-z_]+)_[0-9a-f]+$/.exec(token || '');
+      if (!match) {
+        throw createError('Unknown simulator payment method', 400, 'INVALID_PAYMENT_METHOD');
+      }
+      if (!Number.isInteger(amount) || amount <= 0) {
+        throw createError('Charge amount must be a positive number of minor units', 400, 'INVALID_AMOUNT');
+      }
+
+      const outcome = match[1];
+      const reference = `sim_ch_${outcome}_${this.clock.now().getTime()}_${randomBytes(6).toString('hex')}`;
+      return this.describeCharge(reference, outcome);
+    });
+  }
+
+  /**
+   * Look up a charge; delayed charges settle once the settlement delay has passed
+   * @param {string} reference - Charge reference
+   * @returns {Promise<Object>} Charge result
+   */
+  async getCharge(reference) {
+    const match = /^sim_ch_([a-z_]+)_(\d+)_[0-9a-f]+$/.exec(reference || '');
+    if (!match) {
+      throw createError(`Charge ${reference} not found`, 404, 'CHARGE_NOT_FOUND');
+    }
+
+    const [, outcome, createdAt] = match;
+    const settled = outcome === 'pending' && this.clock.now().getTime() - Number(createdAt) >= this.settlementDelayMs;
+    return this.describeCharge(reference, settled ? 'succeeded' : outcome);
+  }
+
+  /**
+   * Refund a settled charge
+   * @param {Object} refund - See PaymentProvider.refund
+   * @returns {Promise<Object>} Refund result
+   */
+  async refund({ chargeReference, idempotencyKey }) {
+    return this.reply(idempotencyKey, async () => {
+      const charge = await this.getCharge(chargeReference);
+      if (charge.status !== 'succeeded') {
+        const failureCode = charge.status === 'pending' ? 'charge_not_settled' : 'charge_failed';
+        return { status: 'failed', reference: null, failureCode, failureReason: FAILURE_REASONS[failureCode] };
+      }
+
+      return {
+        status: 'succeeded',
+        reference: `sim_re_${randomBytes(8).toString('hex')}`,
+        failureCode: null,
+        failureReason: null
+      };
+    });
+  }
+
+  /**
+   * Verify and read a simulator webhook notification
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers, lower-cased
+   * @returns {Object} Payment event (see PaymentProvider.parseWebhookEvent)
+   */
+  parseWebhookEvent(rawBody, headers) {
+    const body = String(rawBody || '');
+    if (!verifySignature(this.requireWebhookSecret(), headers['webhook-signature'], body, { now: this.clock.now() })) {
+      throw createError('Webhook signature is missing, invalid or too old', 400, 'INVALID_SIGNATURE');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch {
+      throw createError('Webhook body is not valid JSON', 400, 'INVALID_EVENT');
+    }
+
+    const occurredAt = new Date(event?.createdAt);
+    if (!event?.id || !event.type || isNaN(occurredAt)) {
+      throw createError('Webhook event needs an id, type and createdAt', 400, 'INVALID_EVENT');
+    }
+
+    const data = event.data || {};
+    return {
+      id: String(event.id),
+      type: event.type,
+      occurredAt,
+      chargeReference: data.chargeReference || null,
+      refundReference: data.refundReference || null,
+      amount: Number.isInteger(data.amount) ? data.amount : null,
+      failureCode: data.failureCode || null,
+      failureReason: data.failureReason || FAILURE_REASONS[data.failureCode] || null,
+      reason: data.reason || null,
+      outcome: data.outcome || null
+    };
+  }
+
+  /**
+   * Sign a webhook notification body the way parseWebhookEvent expects
+   * @param {string} body - JSON body
+   * @returns {string} Webhook-Signature header value
+   */
+  signWebhookEvent(body) {
+    return signPayload(this.requireWebhookSecret(), Math.floor(this.clock.now().getTime() / 1000), body);
+  }
+
+  /**
+   * Get the webhook signing secret
+   * @returns {string} PAYMENT_WEBHOOK_SECRET
+   * @throws {Error} 503 PAYMENT_WEBHOOKS_NOT_CONFIGURED when it isn't set
+   */
+  requireWebhookSecret() {
+    if (!this.webhookSecret) {
+      throw createError('Payment webhooks are not configured (set PAYMENT_WEBHOOK_SECRET)', 503, 'PAYMENT_WEBHOOKS_NOT_CONFIGURED');
+    }
+    return this.webhookSecret;
+  }
+
+  /**
+   * Turn a charge outcome into a charge result
+   * @param {string} reference - Charge reference
+   * @param {string} outcome - succeeded, pending or a failure code
+   * @returns {Object} Charge result
+   */
+  describeCharge(reference, outcome) {
+    const failed = !['succeeded', 'pending'].includes(outcome);
+    return {
+      status: failed ? 'failed' : outcome,
+      reference,
+      failureCode: failed ? outcome : null,
+      failureReason: failed ? FAILURE_REASONS[outcome] || 'Payment declined' : null
+    };
+  }
+
+  /**
+   * Answer a request once per idempotency key, replaying the first reply to repeats
+   * @param {string} idempotencyKey - Request key (requests without one are never replayed)
+   * @param {Function} handle - Produces the reply
+   * @returns {Promise<Object>} Reply
+   */
+  async reply(idempotencyKey, handle) {
+    if (idempotencyKey && this.replies.has(idempotencyKey)) {
+      return this.replies.get(idempotencyKey);
+    }
+
+    const result = await handle();
+    if (idempotencyKey) {
+      this.replies.set(idempotencyKey, result);
+    }
+    return result;
+  }
+}
+
+export default SimulatedPaymentProvider;
@@ -1,11 +1,35 @@
 import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import {
+  DEFAULT_TIME_ZONE,
+  addBillingCycles,
+  formatBillingDate,
+  getNextBillingDate,
+  getPreviousBillingDate
+} from './billingCalendar.js';
+import { SEAT_ADDON_ID } from './AddonManager.js';
+import { SCHEDULER_ACTOR, SYSTEM_ACTOR } from './EventLog.js';
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_LOCALE,
+  formatMoney,
+  fromMinorUnits,
+  normalizeCurrency,
+  normalizeLocale
+} from './money.js';
 
 /**
  * SubscriptionManager handles all subscription-related operations
+ * Every change is recorded in the event log with the actor that made it.
  */
 class SubscriptionManager {
-  constructor(database) {
+  constructor(database, billingManager = null, couponManager = null, taxManager = null, addonManager = null, eventLog = null) {
     this.db = database;
+    this.billingManager = billingManager;
+    this.couponManager = couponManager;
+    this.taxManager = taxManager;
+    this.addonManager = addonManager;
+    this.eventLog = eventLog;
   }
 
   /**
@@ -27,52 +51,387 @@ class SubscriptionManager {
     return true;
   }
 
+  /**
+   * Get a plan by ID
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} Plan row
+   * @throws {Error} If plan doesn't exist
+   */
+  async getPlan(planId) {
+    const plan = await this.db.queryOne(
+      'SELECT id, name, billing_cycle, trial_days, default_currency, price_version, archived_at FROM plans WHERE id = ?',
+      [planId]
+    );
+
+    if (!plan) {
+      throw createError(`Plan with ID ${planId} does not exist`, 404, 'PLAN_NOT_FOUND');
+    }
+
+    return plan;
+  }
+
+  /**
+   * Make sure a plan is on sale
+   * @param {Object} plan - Plan row
+   * @throws {Error} 409 PLAN_ARCHIVED if the plan has been archived
+   */
+  assertPlanOnSale(plan) {
+    if (plan.archived_at) {
+      throw createError(`${plan.name} is no longer available`, 409, 'PLAN_ARCHIVED');
+    }
+  }
+
+  /**
+   * Get the time zone billing dates are calculated in for a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<string>} IANA time zone
+   */
+  async getCustomerTimeZone(customerId) {
+    const customer = await this.db.queryOne(
+      'SELECT time_zone FROM customers WHERE id = ?',
+      [customerId]
+    );
+
+    return customer?.time_zone || DEFAULT_TIME_ZONE;
+  }
+
+  /**
+   * Get the currency and locale a customer sees amounts in
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<{currency: string, locale: string}>} Preferred currency and locale, or the defaults
+   */
+  async getCustomerCurrency(customerId) {
+    const customer = await this.db.queryOne(
+      'SELECT currency, locale FROM customers WHERE id = ?',
+      [customerId]
+    );
+
+    return {
+      currency: customer?.currency || DEFAULT_CURRENCY,
+      locale: customer?.locale || DEFAULT_LOCALE
+    };
+  }
+
+  /**
+   * Set the currency new subscriptions are billed in and the locale amounts are shown in
+   * Existing subscriptions keep the currency they were started in.
+   * @param {string} customerId - Customer ID
+   * @param {Object} preferences - Preferences to change
+   * @param {string} preferences.currency - ISO 4217 currency code
+   * @param {string} preferences.locale - BCP 47 locale, e.g. en-GB
+   * @returns {Promise<Object>} Customer's currency and locale
+   */
+  async setCustomerPreferences(customerId, { currency, locale }) {
+    try {
+      const updates = {};
+      if (currency !== undefined) {
+        updates.currency = currency === null ? null : normalizeCurrency(currency);
+      }
+      if (locale !== undefined) {
+        updates.locale = locale === null ? null : normalizeLocale(locale);
+      }
+
+      const fields = Object.keys(updates);
+      if (fields.length === 0) {
+        throw createError('Provide a currency or locale to update', 400, 'MISSING_FIELDS');
+      }
+
+      const { changes } = await this.db.execute(
+        `UPDATE customers SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(updates), customerId]
+      );
+      if (changes === 0) {
+        throw createError(`Customer with ID ${customerId} not found`, 404, 'CUSTOMER_NOT_FOUND');
+      }
+
+      return { customerId, ...(await this.getCustomerCurrency(customerId)) };
+    } catch (error) {
+      console.error('Set customer preferences error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the price new subscribers pay for a plan in a currency
+   * @param {string} planId - Plan ID
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {Promise<number>} Price in minor units
+   * @throws {Error} 409 PRICE_NOT_AVAILABLE if the plan isn't sold in the currency
+   */
+  async getPlanPrice(planId, currency) {
+    const price = await this.db.queryOne(
+      'SELECT unit_amount FROM plan_prices WHERE plan_id = ? AND currency = ?',
+      [planId, currency]
+    );
+
+    if (!price) {
+      throw createError(`Plan ${planId} is not available in ${currency}`, 409, 'PRICE_NOT_AVAILABLE');
+    }
+
+    return price.unit_amount;
+  }
+
+  /**
+   * Get the price a subscription pays for its plan
+   * Subscriptions pay the price version they are pinned to, not the plan's current price.
+   * @param {Object} subscription - Subscription row
+   * @returns {Promise<number>} Price in minor units
+   * @throws {Error} 409 PRICE_NOT_AVAILABLE if the version has no price in the subscription's currency
+   */
+  async getSubscriptionPrice(subscription) {
+    const price = await this.db.queryOne(
+      'SELECT unit_amount FROM plan_price_versions WHERE plan_id = ? AND version = ? AND currency = ?',
+      [subscription.plan_id, subscription.price_version, subscription.currency]
+    );
+
+    if (!price) {
+      throw createError(
+        `Plan ${subscription.plan_id} has no ${subscription.currency} price in version ${subscription.price_version}`,
+        409,
+        'PRICE_NOT_AVAILABLE'
+      );
+    }
+
+    return price.unit_amount;
+  }
+
+  /**
+   * Pick the currency a customer would be billed in for a plan
+   * Their preferred currency when the plan is sold in it, otherwise the plan's default currency.
+   * @param {string} customerId - Customer ID
+   * @param {Object} plan - Plan row
+   * @returns {Promise<string>} ISO 4217 currency code
+   */
+  async getBillingCurrency(customerId, plan) {
+    const { currency } = await this.getCustomerCurrency(customerId);
+    const price = await this.db.queryOne(
+      'SELECT 1 FROM plan_prices WHERE plan_id = ? AND currency = ?',
+      [plan.id, currency]
+    );
+
+    return price ? currency : plan.default_currency;
+  }
+
+  /**
+   * List plans on sale with their price in the currency a customer would be billed in
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Plans with price (minor units) and currency
+   */
+  async getPlansForCustomer(customerId) {
+    try {
+      const { currency } = await this.getCustomerCurrency(customerId);
+
+      return await this.db.query(
+        `SELECT p.id, p.name, p.description, p.billing_cycle, p.trial_days,
+                COALESCE(pp.unit_amount, dp.unit_amount) as price,
+                COALESCE(pp.currency, dp.currency) as currency
+         FROM plans p
+         LEFT JOIN plan_prices pp ON pp.plan_id = p.id AND pp.currency = ?
+         LEFT JOIN plan_prices dp ON dp.plan_id = p.id AND dp.currency = p.default_currency
+         WHERE p.archived_at IS NULL AND (pp.unit_amount IS NOT NULL OR dp.unit_amount IS NOT NULL)
+         ORDER BY price`,
+        [currency]
+      );
+    } catch (error) {
+      console.error('Get plans for customer error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the date billing anniversaries are counted from
+   * Subscriptions created before anchors were stored fall back to their start date
+   * @param {Object} subscription - Subscription row
+   * @returns {string} Anchor date (ISO format)
+   */
+  getBillingAnchor(subscription) {
+    return subscription.billing_anchor || subscription.start_date;
+  }
+
+  /**
+   * Check whether a customer can start a free trial of a plan
+   * Each customer gets at most one trial per plan
+   * @param {string} customerId - Customer ID
+   * @param {Object} plan - Plan row
+   * @returns {Promise<boolean>} True if the subscription should start on a trial
+   */
+  async isTrialEligible(customerId, plan) {
+    if (!plan.trial_days || plan.trial_days <= 0) {
+      return false;
+    }
+
+    const previousTrial = await this.db.queryOne(
+      'SELECT id FROM subscriptions WHERE customer_id = ? AND plan_id = ? AND trial_end IS NOT NULL',
+      [customerId, plan.id]
+    );
+
+    return !previousTrial;
+  }
+
   /**
    * Create a new subscription
+   * Plans with a trial start in the trialing state with no charge; the first
+   * payment is taken by the renewal runner when the trial ends. Otherwise the
+   * first period is charged through the payment gateway up front, and nothing is
+   * created if the payment fails. The subscription is billed in the customer's
+   * currency for as long as it runs, at the plan's current price version, which
+   * it keeps until it is migrated to another (see schedulePriceMigration).
    * @param {string} customerId - Customer ID
    * @param {string} planId - Plan ID
    * @param {string} startDate - Start date (ISO format)
-   * @returns {Promise<Object>} Created subscription object
+   * @param {Object} options - Creation options
+   * @param {string} options.couponCode - Promo code to apply to the subscription's charges
+   * @param {Object} options.actor - Who is subscribing, for the event log
+   * @returns {Promise<Object>} Created subscription object, with first_transaction when the first period was charged
+   * @throws {Error} 402 PAYMENT_FAILED if the first payment fails
    */
-  async createSubscription(customerId, planId, startDate = new Date().toISOString()) {
+  async createSubscription(customerId, planId, startDate = new Date().toISOString(), { couponCode = null, actor = SYSTEM_ACTOR } = {}) {
     try {
-      // Validate plan exists
-      await this.validatePlan(planId);
+      // Validate plan exists and is on sale
+      const plan = await this.getPlan(planId);
+      this.assertPlanOnSale(plan);
+      const currency = await this.getBillingCurrency(customerId, plan);
+      await this.getPlanPrice(planId, currency);
+
+      // Check the promo code before creating anything so a bad code doesn't leave a subscription behind
+      let coupon = null;
+      if (couponCode) {
+        if (!this.couponManager) {
+          throw createError('Coupons are not available', 400, 'COUPONS_UNAVAILABLE');
+        }
+        coupon = await this.couponManager.getRedeemableCoupon(couponCode, customerId, new Date(), { currency });
+      }
 
       // Generate subscription ID
       const subscriptionId = randomUUID();
 
-      // Calculate next billing date (30 days from start)
-      const start = new Date(startDate);
-      const nextBilling = new Date(start);
-      nextBilling.setDate(nextBilling.getDate() + 30);
+      const timeZone = await this.getCustomerTimeZone(customerId);
+      const onTrial = await this.isTrialEligible(customerId, plan);
+
+      // Trials bill first when they end; otherwise one cycle after the start.
+      // Either way later renewals are anchored on that first billing date.
+      const trialEnd = onTrial
+        ? addBillingCycles(startDate, 'daily', plan.trial_days, { timeZone }).toISOString()
+        : null;
+      const nextBilling = onTrial
+        ? trialEnd
+        : addBillingCycles(startDate, plan.billing_cycle, 1, { timeZone }).toISOString();
+      const billingAnchor = onTrial ? trialEnd : startDate;
+
+      let firstCharge = null;
+      if (!onTrial && this.billingManager) {
+        firstCharge = await this.quoteFirstCharge(customerId, plan, currency, coupon);
+        const period = `${formatBillingDate(startDate, { timeZone })} - ${formatBillingDate(nextBilling, { timeZone })}`;
+        firstCharge.description = `First payment for ${plan.name} (${period})` +
+          (firstCharge.discount ? ` with ${firstCharge.discount.code}` : '');
+        firstCharge.payment = await this.billingManager.chargeCustomer(
+          customerId,
+          firstCharge.amount,
+          currency,
+          firstCharge.description
+        );
+        this.billingManager.assertPaymentAccepted(firstCharge.payment);
+      }
 
       // Insert subscription
       await this.db.execute(
         `INSERT INTO subscriptions 
-         (id, customer_id, plan_id, status, start_date, next_billing_date)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [subscriptionId, customerId, planId, 'active', startDate, nextBilling.toISOString()]
+         (id, customer_id, plan_id, status, currency, start_date, next_billing_date, billing_anchor, trial_end, price_version)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          subscriptionId,
+          customerId,
+          planId,
+          onTrial ? 'trialing' : 'active',
+          currency,
+          startDate,
+          nextBilling,
+          billingAnchor,
+          trialEnd,
+          plan.price_version
+        ]
       );
 
-      // Return created subscription
-      return await this.db.queryOne(
+      const subscription = await this.db.queryOne(
         'SELECT * FROM subscriptions WHERE id = ?',
         [subscriptionId]
       );
+
+      if (this.eventLog) {
+        await this.eventLog.record('subscription.created', subscription, {
+          actor,
+          after: subscription,
+          details: { planName: plan.name }
+        });
+      }
+
+      if (coupon) {
+        const { redemption } = await this.couponManager.redeem(coupon, subscription, new Date(), { actor });
+        // The first period used up one of the coupon's cycles
+        if (firstCharge?.discount) {
+          await this.couponManager.useCycle(redemption.id);
+        }
+      }
+
+      if (firstCharge) {
+        subscription.first_transaction = await this.billingManager.recordTransaction(
+          customerId,
+          subscriptionId,
+          firstCharge.amount,
+          firstCharge.payment.status,
+          null,
+          firstCharge.description,
+          {
+            currency,
+            transactionDate: startDate,
+            discount: firstCharge.discount,
+            tax: firstCharge.tax,
+            actor,
+            payment: firstCharge.payment
+          }
+        );
+      }
+
+      // Return created subscription
+      return subscription;
     } catch (error) {
       console.error('Create subscription error:', error);
       throw error;
     }
   }
 
+  /**
+   * Work out the charge for a new subscription's first period
+   * @param {string} customerId - Customer ID
+   * @param {Object} plan - Plan row
+   * @param {string} currency - Currency the subscription is billed in
+   * @param {Object|null} coupon - Coupon being redeemed with the subscription
+   * @returns {Promise<Object>} amount (minor units, with tax), discount ({ amount, code } or null) and tax
+   */
+  async quoteFirstCharge(customerId, plan, currency, coupon) {
+    const price = await this.getPlanPrice(plan.id, currency);
+    const discountAmount = coupon ? this.couponManager.calculateDiscount(coupon, price) : 0;
+    const discount = discountAmount > 0 ? { amount: discountAmount, code: coupon.code } : null;
+    const tax = this.taxManager
+      ? await this.taxManager.calculateCustomerTax(customerId, price - discountAmount)
+      : null;
+
+    return {
+      amount: tax ? tax.grossAmount : price - discountAmount,
+      discount,
+      tax
+    };
+  }
+
   /**
    * Update an existing subscription
    * @param {string} subscriptionId - Subscription ID
    * @param {Object} updates - Fields to update
+   * @param {Object} options - Update options
+   * @param {Object} options.actor - Who is making the change, for the event log
    * @returns {Promise<Object>} Updated subscription
    */
-  async updateSubscription(subscriptionId, updates) {
+  async updateSubscription(subscriptionId, updates, { actor = SYSTEM_ACTOR } = {}) {
     try {
       // Validate subscription exists
       const existing = await this.db.queryOne(
@@ -112,11 +471,17 @@ class SubscriptionManager {
         values
       );
 
-      // Return updated subscription
-      return await this.db.queryOne(
+      const updated = await this.db.queryOne(
         'SELECT * FROM subscriptions WHERE id = ?',
         [subscriptionId]
       );
+
+      if (this.eventLog) {
+        await this.eventLog.record('subscription.updated', updated, { actor, before: existing, after: updated });
+      }
+
+      // Return updated subscription
+      return updated;
     } catch (error) {
       console.error('Update subscription error:', error);
       throw error;
@@ -125,55 +490,1043 @@ class SubscriptionManager {
 
   /**
    * Cancel a subscription
+   * By default an active subscription stays active until the end of its billing
+   * period and is cancelled by the renewal runner on its next billing date.
+   * A trial cancelled this way lapses when the trial ends, without being charged.
+   * Other subscriptions have no running period and end right away.
    * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - Cancellation options
+   * @param {boolean} options.immediate - End the subscription now instead of at period end
+   * @param {Object} options.actor - Who is cancelling, for the event log
    * @returns {Promise<Object>} Cancelled subscription
    */
-  async cancelSubscription(subscriptionId) {
+  async cancelSubscription(subscriptionId, { immediate = false, actor = SYSTEM_ACTOR } = {}) {
     try {
-      const subscription = await this.db.queryOne(
-        'SELECT * FROM subscriptions WHERE id = ?',
+      const subscription = await this.getSubscription(subscriptionId);
+
+      if (subscription.status === 'cancelled') {
+        throw createError('Subscription is already cancelled', 409, 'INVALID_SUBSCRIPTION_STATUS');
+      }
+
+      const now = new Date().toISOString();
+
+      const hasRunningPeriod = ['active', 'trialing'].includes(subscription.status);
+      const endsNow = immediate || !hasRunningPeriod || !subscription.next_billing_date;
+      if (endsNow) {
+        // Update status to cancelled and set end date
+        await this.db.execute(
+          `UPDATE subscriptions 
+           SET status = ?, end_date = ?, cancel_at_period_end = 0
+           WHERE id = ?`,
+          ['cancelled', now, subscriptionId]
+        );
+      } else {
+        // Keep the subscription active until the period it has paid for runs out
+        await this.db.execute(
+          `UPDATE subscriptions 
+           SET cancel_at_period_end = 1, cancel_requested_at = ?, end_date = ?
+           WHERE id = ?`,
+          [now, subscription.next_billing_date, subscriptionId]
+        );
+      }
+
+      const cancelled = await this.getSubscription(subscriptionId);
+
+      if (this.eventLog) {
+        await this.eventLog.record(
+          endsNow ? 'subscription.cancelled' : 'subscription.cancellation_scheduled',
+          cancelled,
+          { actor, before: subscription, after: cancelled }
+        );
+      }
+
+      // Return updated subscription
+      return cancelled;
+    } catch (error) {
+      console.error('Cancel subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo a cancellation scheduled for the end of the billing period
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - Undo options
+   * @param {Object} options.actor - Who is undoing the cancellation, for the event log
+   * @returns {Promise<Object>} Subscription that will keep renewing
+   */
+  async undoCancellation(subscriptionId, { actor = SYSTEM_ACTOR } = {}) {
+    try {
+      const subscription = await this.getSubscription(subscriptionId);
+
+      if (!subscription.cancel_at_period_end || subscription.status === 'cancelled') {
+        throw createError(
+          'Subscription has no pending cancellation to undo',
+          409,
+          'NO_PENDING_CANCELLATION'
+        );
+      }
+
+      await this.db.execute(
+        `UPDATE subscriptions
+         SET cancel_at_period_end = 0, cancel_requested_at = NULL, end_date = NULL
+         WHERE id = ?`,
         [subscriptionId]
       );
 
-      if (!subscription) {
-        throw new Error(`Subscription with ID ${subscriptionId} not found`);
+      const restored = await this.getSubscription(subscriptionId);
+
+      if (this.eventLog) {
+        await this.eventLog.record('subscription.cancellation_undone', restored, {
+          actor,
+          before: subscription,
+          after: restored
+        });
+      }
+
+      return restored;
+    } catch (error) {
+      console.error('Undo cancellation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert trials that have ended into active subscriptions
+   * The renewal runner then takes the first payment on the trial end date.
+   * Trials cancelled at period end are left for endScheduledCancellations to lapse.
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Subscriptions that were converted
+   */
+  async convertEndedTrials(now = new Date()) {
+    try {
+      const ended = await this.db.query(
+        `SELECT id FROM subscriptions
+         WHERE status = 'trialing' AND cancel_at_period_end = 0 AND trial_end <= ?`,
+        [now.toISOString()]
+      );
+
+      const converted = [];
+      for (const { id } of ended) {
+        const before = await this.getSubscription(id);
+        await this.db.execute(
+          'UPDATE subscriptions SET status = ? WHERE id = ?',
+          ['active', id]
+        );
+        const subscription = await this.getSubscription(id);
+        converted.push(subscription);
+
+        if (this.eventLog) {
+          await this.eventLog.record('subscription.trial_converted', subscription, {
+            actor: SCHEDULER_ACTOR,
+            before,
+            after: subscription,
+            occurredAt: now
+          });
+        }
+      }
+
+      return converted;
+    } catch (error) {
+      console.error('Convert ended trials error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End subscriptions whose scheduled cancellation has come due
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Subscriptions that were cancelled
+   */
+  async endScheduledCancellations(now = new Date()) {
+    try {
+      const due = await this.db.query(
+        `SELECT id FROM subscriptions
+         WHERE status IN ('active', 'trialing') AND cancel_at_period_end = 1 AND next_billing_date <= ?`,
+        [now.toISOString()]
+      );
+
+      const cancelled = [];
+      for (const { id } of due) {
+        const before = await this.getSubscription(id);
+        await this.db.execute(
+          `UPDATE subscriptions
+           SET status = ?, end_date = ?, cancel_at_period_end = 0
+           WHERE id = ?`,
+          ['cancelled', before.next_billing_date, id]
+        );
+        const subscription = await this.getSubscription(id);
+        cancelled.push(subscription);
+
+        if (this.eventLog) {
+          await this.eventLog.record('subscription.ended', subscription, {
+            actor: SCHEDULER_ACTOR,
+            before,
+            after: subscription,
+            occurredAt: now
+          });
+        }
+      }
+
+      return cancelled;
+    } catch (error) {
+      console.error('End scheduled cancellations error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a plan's subscribers onto another price version, with advance notice
+   * Each subscription switches on its first billing date after the notice period
+   * ends (and not before the version takes effect), and until then pays its
+   * pinned price. The notice is recorded as a subscription.price_change_scheduled
+   * event, which webhooks deliver. Subscriptions already on the version, or
+   * billed in a currency it has no price in, are left alone; a newer migration
+   * replaces one that hasn't taken effect yet.
+   * @param {string} planId - Plan ID
+   * @param {number} version - Price version to move subscribers to
+   * @param {Object} options - Migration options
+   * @param {number} options.noticeDays - Days of notice subscribers get (0-365)
+   * @param {Object} options.actor - Who is migrating the subscribers, for the event log
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} scheduled (subscriptions with their new price and date) and skipped
+   * @throws {Error} 404 PRICE_VERSION_NOT_FOUND if the plan has no such version
+   */
+  async schedulePriceMigration(planId, version, { noticeDays = 30, actor = SYSTEM_ACTOR, now = new Date() } = {}) {
+    try {
+      const plan = await this.getPlan(planId);
+      if (!Number.isInteger(noticeDays) || noticeDays < 0 || noticeDays > 365) {
+        throw createError('noticeDays must be a whole number of days from 0 to 365', 400, 'INVALID_NOTICE');
+      }
+
+      const rows = await this.db.query(
+        'SELECT currency, unit_amount, effective_at FROM plan_price_versions WHERE plan_id = ? AND version = ?',
+        [planId, version]
+      );
+      if (rows.length === 0) {
+        throw createError(`Plan ${planId} has no price version ${version}`, 404, 'PRICE_VERSION_NOT_FOUND');
+      }
+      const prices = Object.fromEntries(rows.map(row => [row.currency, row.unit_amount]));
+
+      const noticeEnd = new Date(Math.max(
+        now.getTime() + noticeDays * 24 * 60 * 60 * 1000,
+        new Date(rows[0].effective_at).getTime()
+      ));
+
+      const subscriptions = await this.db.query(
+        `SELECT * FROM subscriptions
+         WHERE plan_id = ? AND status != 'cancelled' AND price_version != ?
+           AND (pending_price_version IS NULL OR pending_price_version != ?)
+         ORDER BY created_at`,
+        [planId, version, version]
+      );
+
+      const scheduled = [];
+      const skipped = [];
+      for (const before of subscriptions) {
+        if (prices[before.currency] === undefined) {
+          skipped.push({ subscriptionId: before.id, reason: `Version ${version} has no ${before.currency} price` });
+          continue;
+        }
+
+        const timeZone = await this.getCustomerTimeZone(before.customer_id);
+        const effectiveDate = getNextBillingDate(this.getBillingAnchor(before), plan.billing_cycle, noticeEnd, { timeZone });
+        await this.db.execute(
+          'UPDATE subscriptions SET pending_price_version = ?, price_change_at = ? WHERE id = ?',
+          [version, effectiveDate.toISOString(), before.id]
+        );
+        const subscription = await this.getSubscription(before.id);
+        scheduled.push({
+          subscriptionId: subscription.id,
+          customerId: subscription.customer_id,
+          currency: subscription.currency,
+          amount: prices[subscription.currency],
+          effectiveDate: subscription.price_change_at
+        });
+
+        if (this.eventLog) {
+          await this.eventLog.record('subscription.price_change_scheduled', subscription, {
+            actor,
+            before,
+            after: subscription,
+            details: {
+              planName: plan.name,
+              fromVersion: before.price_version,
+              toVersion: version,
+              amount: prices[subscription.currency],
+              currency: subscription.currency,
+              effectiveDate: subscription.price_change_at,
+              noticeDays
+            },
+            occurredAt: now
+          });
+        }
+      }
+
+      return { scheduled, skipped };
+    } catch (error) {
+      console.error('Schedule price migration error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch a subscription to the price version it was migrated to
+   * The renewal runner calls this when it reaches the billing date the change
+   * was scheduled for, so that period is the first charged at the new price.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Subscription, unchanged if no price change was pending
+   */
+  async applyPriceChange(subscriptionId, now = new Date()) {
+    try {
+      const before = await this.getSubscription(subscriptionId);
+      if (!before.pending_price_version) {
+        return before;
       }
 
-      // Update status to cancelled and set end date
+      const fromAmount = await this.getSubscriptionPrice(before);
+      const amount = await this.getSubscriptionPrice({ ...before, price_version: before.pending_price_version });
       await this.db.execute(
-        `UPDATE subscriptions 
-         SET status = ?, end_date = ?
+        `UPDATE subscriptions
+         SET price_version = pending_price_version, pending_price_version = NULL, price_change_at = NULL
          WHERE id = ?`,
-        ['cancelled', new Date().toISOString(), subscriptionId]
+        [subscriptionId]
       );
+      const subscription = await this.getSubscription(subscriptionId);
 
-      // Return updated subscription
-      return await this.db.queryOne(
-        'SELECT * FROM subscriptions WHERE id = ?',
-        [subscriptionId]
+      if (this.eventLog) {
+        await this.eventLog.record('subscription.price_changed', subscription, {
+          actor: SCHEDULER_ACTOR,
+          before,
+          after: subscription,
+          details: {
+            fromVersion: before.price_version,
+            toVersion: subscription.price_version,
+            fromAmount,
+            amount,
+            currency: subscription.currency
+          },
+          occurredAt: now
+        });
+      }
+
+      return subscription;
+    } catch (error) {
+      console.error('Apply price change error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object>} Subscription row
+   * @throws {Error} If subscription doesn't exist
+   */
+  async getSubscription(subscriptionId) {
+    const subscription = await this.db.queryOne(
+      'SELECT * FROM subscriptions WHERE id = ?',
+      [subscriptionId]
+    );
+
+    if (!subscription) {
+      throw createError(`Subscription with ID ${subscriptionId} not found`, 404, 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Get one of a customer's subscriptions
+   * Other customers' subscriptions are reported as not found, so their IDs can't be probed.
+   * @param {string} customerId - Customer ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object>} Subscription row
+   * @throws {Error} 404 SUBSCRIPTION_NOT_FOUND if the customer has no such subscription
+   */
+  async getCustomerSubscription(customerId, subscriptionId) {
+    const subscription = await this.db.queryOne(
+      'SELECT * FROM subscriptions WHERE id = ? AND customer_id = ?',
+      [subscriptionId, customerId]
+    );
+
+    if (!subscription) {
+      throw createError(`Subscription with ID ${subscriptionId} not found`, 404, 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Pause an active subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string|null} resumeAt - Optional date (ISO format) to resume automatically
+   * @param {Object} options - Pause options
+   * @param {Object} options.actor - Who is pausing, for the event log
+   * @returns {Promise<Object>} Paused subscription
+   */
+  async pauseSubscription(subscriptionId, resumeAt = null, { actor = SYSTEM_ACTOR } = {}) {
+    try {
+      const subscription = await this.getSubscription(subscriptionId);
+
+      if (subscription.status !== 'active') {
+        throw createError(
+          `Only active subscriptions can be paused (current status: ${subscription.status})`,
+          409,
+          'INVALID_SUBSCRIPTION_STATUS'
+        );
+      }
+
+      const pausedAt = new Date();
+
+      if (resumeAt) {
+        const resumeDate = new Date(resumeAt);
+        if (isNaN(resumeDate.getTime())) {
+          throw createError(`Invalid resume date: ${resumeAt}`, 400, 'INVALID_DATE');
+        }
+        if (resumeDate <= pausedAt) {
+          throw createError('Resume date must be in the future', 400, 'INVALID_DATE');
+        }
+        resumeAt = resumeDate.toISOString();
+      }
+
+      await this.db.execute(
+        `UPDATE subscriptions
+         SET status = ?, paused_at = ?, resume_at = ?
+         WHERE id = ?`,
+        ['paused', pausedAt.toISOString(), resumeAt, subscriptionId]
       );
+
+      const paused = await this.getSubscription(subscriptionId);
+
+      if (this.eventLog) {
+        await this.eventLog.record('subscription.paused', paused, { actor, before: subscription, after: paused });
+      }
+
+      return paused;
     } catch (error) {
-      console.error('Cancel subscription error:', error);
+      console.error('Pause subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused subscription
+   * The next billing date moves forward by the time spent paused
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} resumedAt - Moment the pause ended (ISO format)
+   * @param {Object} options - Resume options
+   * @param {Object} options.actor - Who is resuming, for the event log
+   * @returns {Promise<Object>} Resumed subscription
+   */
+  async resumeSubscription(subscriptionId, resumedAt = new Date().toISOString(), { actor = SYSTEM_ACTOR } = {}) {
+    try {
+      const subscription = await this.getSubscription(subscriptionId);
+
+      if (subscription.status !== 'paused') {
+        throw createError(
+          `Only paused subscriptions can be resumed (current status: ${subscription.status})`,
+          409,
+          'INVALID_SUBSCRIPTION_STATUS'
+        );
+      }
+
+      const pausedMs = Math.max(0, new Date(resumedAt) - new Date(subscription.paused_at));
+      let nextBillingDate = subscription.next_billing_date;
+      let billingAnchor = this.getBillingAnchor(subscription);
+      if (nextBillingDate) {
+        // Later anniversaries are counted from the shifted billing date
+        nextBillingDate = new Date(new Date(nextBillingDate).getTime() + pausedMs).toISOString();
+        billingAnchor = nextBillingDate;
+      }
+
+      await this.db.execute(
+        `UPDATE subscriptions
+         SET status = ?, paused_at = NULL, resume_at = NULL, next_billing_date = ?, billing_anchor = ?,
+             end_date = CASE WHEN cancel_at_period_end = 1 THEN ? ELSE end_date END
+         WHERE id = ?`,
+        ['active', nextBillingDate, billingAnchor, nextBillingDate, subscriptionId]
+      );
+
+      const resumed = await this.getSubscription(subscriptionId);
+
+      if (this.eventLog) {
+        await this.eventLog.record('subscription.resumed', resumed, {
+          actor,
+          before: subscription,
+          after: resumed,
+          occurredAt: resumedAt
+        });
+      }
+
+      return resumed;
+    } catch (error) {
+      console.error('Resume subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume paused subscriptions whose automatic resume date has passed
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Resumed subscriptions
+   */
+  async resumeDueSubscriptions(now = new Date()) {
+    try {
+      const due = await this.db.query(
+        `SELECT id, resume_at FROM subscriptions
+         WHERE status = 'paused' AND resume_at IS NOT NULL AND resume_at <= ?`,
+        [now.toISOString()]
+      );
+
+      const resumed = [];
+      for (const subscription of due) {
+        // The pause ended at resume_at, even if this check runs later
+        resumed.push(await this.resumeSubscription(subscription.id, subscription.resume_at, { actor: SCHEDULER_ACTOR }));
+      }
+
+      return resumed;
+    } catch (error) {
+      console.error('Resume due subscriptions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the start of a subscription's current billing period
+   * @param {Object} subscription - Subscription row
+   * @param {string} billingCycle - Billing cycle of the subscription's plan
+   * @param {string} timeZone - IANA time zone billing dates are calculated in
+   * @returns {Date} Period start
+   */
+  getCurrentPeriodStart(subscription, billingCycle, timeZone) {
+    const start = new Date(subscription.start_date);
+    const periodStart = getPreviousBillingDate(
+      this.getBillingAnchor(subscription),
+      billingCycle,
+      subscription.next_billing_date,
+      { timeZone }
+    );
+
+    return periodStart > start ? periodStart : start;
+  }
+
+  /**
+   * Work out how much of a subscription's current period is left
+   * During a trial the period runs from the start date to the trial end.
+   * @param {Object} subscription - Subscription row
+   * @param {string} billingCycle - Billing cycle of the subscription's plan
+   * @param {string} timeZone - IANA time zone billing dates are calculated in
+   * @param {Date} now - Moment a change takes effect
+   * @returns {Object} onTrial, periodStart, periodEnd and remainingFraction (0-1)
+   */
+  getProrationPeriod(subscription, billingCycle, timeZone, now) {
+    const onTrial = subscription.status === 'trialing';
+    const periodStart = onTrial
+      ? new Date(subscription.start_date)
+      : this.getCurrentPeriodStart(subscription, billingCycle, timeZone);
+    const periodEnd = new Date(subscription.next_billing_date);
+    const periodMs = periodEnd - periodStart;
+    const remainingFraction = periodMs > 0
+      ? Math.min(1, Math.max(0, (periodEnd - now) / periodMs))
+      : 0;
+
+    return { onTrial, periodStart, periodEnd, remainingFraction };
+  }
+
+  /**
+   * Total price of a subscription's add-ons for one billing period
+   * @param {Object} subscription - Subscription row
+   * @param {string} billingCycle - Billing cycle to price the add-ons for
+   * @returns {Promise<number>} Amount in minor units (0 without add-ons)
+   */
+  async getAddonAmount(subscription, billingCycle) {
+    if (!this.addonManager) {
+      return 0;
+    }
+
+    const items = await this.addonManager.getSubscriptionItems(subscription, billingCycle);
+    return items.reduce((sum, item) => sum + item.amount, 0);
+  }
+
+  /**
+   * Quote the prorated amount for moving a subscription to another plan
+   * Plans on the same billing cycle keep the current period and are prorated
+   * for the time remaining. Switching cycles deducts the unused time (credit)
+   * from a new full period on the new plan. Changes during a trial are free
+   * and keep the trial end date. Add-ons move with the subscription, so the new
+   * plan must allow them; they are repriced when the billing cycle changes.
+   * Amounts are in minor units of the subscription's currency, which the new
+   * plan must be sold in. The current plan is priced at the subscription's
+   * pinned price version and the new plan at its current one.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} newPlanId - Plan ID to switch to
+   * @param {Date} now - Moment the change takes effect
+   * @returns {Promise<Object>} Proration quote
+   */
+  async quotePlanChange(subscriptionId, newPlanId, now = new Date()) {
+    const subscription = await this.getSubscription(subscriptionId);
+
+    if (!['active', 'trialing'].includes(subscription.status)) {
+      throw createError(
+        `Only active or trialing subscriptions can change plans (current status: ${subscription.status})`,
+        409,
+        'INVALID_SUBSCRIPTION_STATUS'
+      );
+    }
+
+    if (subscription.plan_id === newPlanId) {
+      throw createError(`Subscription is already on plan ${newPlanId}`, 400, 'SAME_PLAN');
+    }
+
+    const currentPlan = await this.getPlan(subscription.plan_id);
+    const newPlan = await this.getPlan(newPlanId);
+    this.assertPlanOnSale(newPlan);
+    const currentPrice = await this.getSubscriptionPrice(subscription);
+    const newPrice = await this.getPlanPrice(newPlan.id, subscription.currency);
+
+    if (this.addonManager) {
+      const items = await this.addonManager.getSubscriptionItems(subscription, currentPlan.billing_cycle);
+      for (const item of items) {
+        await this.addonManager.assertAllowed(newPlan.id, { id: item.addon_id, name: item.name });
+      }
+    }
+    const currentAddonAmount = await this.getAddonAmount(subscription, currentPlan.billing_cycle);
+    const newAddonAmount = await this.getAddonAmount(subscription, newPlan.billing_cycle);
+
+    const timeZone = await this.getCustomerTimeZone(subscription.customer_id);
+    const { onTrial, periodStart, periodEnd, remainingFraction } =
+      this.getProrationPeriod(subscription, currentPlan.billing_cycle, timeZone, now);
+
+    // Nothing has been paid during a trial, so there is nothing to prorate
+    const sameCycle = onTrial || currentPlan.billing_cycle === newPlan.billing_cycle;
+
+    const currentTotal = currentPrice + currentAddonAmount;
+    const newTotal = newPrice + newAddonAmount;
+    const credit = onTrial ? 0 : Math.round(currentTotal * remainingFraction);
+    const charge = onTrial ? 0 : sameCycle ? Math.round(newTotal * remainingFraction) : newTotal;
+    const nextBillingDate = sameCycle
+      ? periodEnd
+      : addBillingCycles(now, newPlan.billing_cycle, 1, { timeZone });
+    const amountDue = charge - credit;
+    const tax = this.taxManager
+      ? await this.taxManager.calculateCustomerTax(subscription.customer_id, amountDue)
+      : null;
+
+    return {
+      subscriptionId,
+      currency: subscription.currency,
+      currentPlan: {
+        id: currentPlan.id,
+        name: currentPlan.name,
+        price: currentPrice,
+        addonAmount: currentAddonAmount,
+        billingCycle: currentPlan.billing_cycle
+      },
+      newPlan: {
+        id: newPlan.id,
+        name: newPlan.name,
+        price: newPrice,
+        addonAmount: newAddonAmount,
+        billingCycle: newPlan.billing_cycle
+      },
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      remainingFraction: Math.round(remainingFraction * 10000) / 10000,
+      credit,
+      charge,
+      amountDue,
+      tax,
+      totalDue: tax ? tax.grossAmount : amountDue,
+      effectiveDate: now.toISOString(),
+      nextBillingDate: nextBillingDate.toISOString(),
+      billingPeriodReset: !sameCycle,
+      onTrial
+    };
+  }
+
+  /**
+   * Format a plan change quote for API responses
+   * Amounts are converted to major units, with locale-formatted copies in formatted.
+   * @param {Object} quote - Quote from quotePlanChange
+   * @param {string} locale - Locale to format amounts for
+   * @returns {Object} Formatted quote
+   */
+  formatQuote(quote, locale = DEFAULT_LOCALE) {
+    const { currency } = quote;
+    const toAmount = minorUnits => fromMinorUnits(minorUnits, currency);
+    const format = minorUnits => formatMoney(minorUnits, currency, locale);
+
+    return {
+      ...quote,
+      currentPlan: {
+        ...quote.currentPlan,
+        price: toAmount(quote.currentPlan.price),
+        addonAmount: toAmount(quote.currentPlan.addonAmount)
+      },
+      newPlan: {
+        ...quote.newPlan,
+        price: toAmount(quote.newPlan.price),
+        addonAmount: toAmount(quote.newPlan.addonAmount)
+      },
+      credit: toAmount(quote.credit),
+      charge: toAmount(quote.charge),
+      amountDue: toAmount(quote.amountDue),
+      tax: quote.tax && {
+        ...quote.tax,
+        netAmount: toAmount(quote.tax.netAmount),
+        taxAmount: toAmount(quote.tax.taxAmount),
+        grossAmount: toAmount(quote.tax.grossAmount)
+      },
+      totalDue: toAmount(quote.totalDue),
+      formatted: {
+        credit: format(quote.credit),
+        charge: format(quote.charge),
+        amountDue: format(quote.amountDue),
+        taxAmount: format(quote.tax ? quote.tax.taxAmount : 0),
+        totalDue: format(quote.totalDue)
+      }
+    };
+  }
+
+  /**
+   * Move a subscription to another plan and bill the prorated difference
+   * An upgrade is charged; a downgrade's unused time is refunded to the
+   * subscription's recent payments (see BillingManager.refundSubscription).
+   * Either way the amount includes tax for the customer's billing region.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} newPlanId - Plan ID to switch to
+   * @param {Object} options - Change options
+   * @param {boolean} options.preview - Return the quote without applying it
+   * @param {Object} options.actor - Who is changing the plan, for the event log
+   * @returns {Promise<Object>} Quote, plus updated subscription, charge transaction and refunds when applied
+   */
+  async changePlan(subscriptionId, newPlanId, { preview = false, actor = SYSTEM_ACTOR } = {}) {
+    try {
+      const quote = await this.quotePlanChange(subscriptionId, newPlanId);
+
+      if (preview) {
+        return { quote };
+      }
+
+      const current = await this.getSubscription(subscriptionId);
+      const billingAnchor = quote.billingPeriodReset
+        ? quote.effectiveDate
+        : this.getBillingAnchor(current);
+      const description = `Prorated charge for change from ${quote.currentPlan.name} to ${quote.newPlan.name}`;
+
+      // Upgrades are paid for, and downgrades refunded, before the plan changes,
+      // so a declined payment or refund leaves the subscription as it was
+      const payment = this.billingManager && quote.totalDue > 0
+        ? await this.billingManager.chargeCustomer(current.customer_id, quote.totalDue, quote.currency, description)
+        : null;
+      if (payment) {
+        this.billingManager.assertPaymentAccepted(payment);
+      }
+      const refunds = this.billingManager && quote.totalDue < 0
+        ? await this.billingManager.refundSubscription(
+          subscriptionId,
+          -quote.totalDue,
+          `Unused time on ${quote.currentPlan.name} after changing to ${quote.newPlan.name}`,
+          { actor }
+        )
+        : [];
+
+      await this.db.execute(
+        // A pending cancellation moves with the billing period; a scheduled price
+        // change was for the old plan, and the new plan's current price is pinned instead
+        `UPDATE subscriptions
+         SET plan_id = ?, next_billing_date = ?, billing_anchor = ?,
+             end_date = CASE WHEN cancel_at_period_end = 1 THEN ? ELSE end_date END,
+             price_version = (SELECT price_version FROM plans WHERE id = ?),
+             pending_price_version = NULL, price_change_at = NULL
+         WHERE id = ?`,
+        [newPlanId, quote.nextBillingDate, billingAnchor, quote.nextBillingDate, newPlanId, subscriptionId]
+      );
+
+      const subscription = await this.getSubscription(subscriptionId);
+
+      if (this.eventLog) {
+        await this.eventLog.record('subscription.plan_changed', subscription, {
+          actor,
+          before: current,
+          after: subscription,
+          details: { fromPlanName: quote.currentPlan.name, toPlanName: quote.newPlan.name }
+        });
+      }
+
+      let transaction = null;
+      if (payment) {
+        transaction = await this.billingManager.recordTransaction(
+          subscription.customer_id,
+          subscriptionId,
+          quote.totalDue,
+          payment.status,
+          null,
+          description,
+          { tax: quote.tax, currency: quote.currency, actor, payment }
+        );
+      }
+
+      return { subscription, quote, transaction, refunds };
+    } catch (error) {
+      console.error('Change plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quote the prorated amount for changing the quantity of an add-on
+   * Each unit added is charged, and each unit removed refunded, for the time
+   * left in the current period. Changes during a trial are free. Amounts are in
+   * minor units of the subscription's currency.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} addonId - Add-on ID (e.g. seat)
+   * @param {number} quantity - New quantity of the add-on (0 removes it)
+   * @param {Date} now - Moment the change takes effect
+   * @returns {Promise<Object>} Proration quote
+   */
+  async quoteQuantityChange(subscriptionId, addonId, quantity, now = new Date()) {
+    if (!this.addonManager) {
+      throw createError('Add-ons are not available', 400, 'ADDONS_UNAVAILABLE');
+    }
+
+    const subscription = await this.getSubscription(subscriptionId);
+
+    if (!['active', 'trialing'].includes(subscription.status)) {
+      throw createError(
+        `Only active or trialing subscriptions can change add-ons (current status: ${subscription.status})`,
+        409,
+        'INVALID_SUBSCRIPTION_STATUS'
+      );
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw createError('quantity must be a whole number of 0 or more', 400, 'INVALID_QUANTITY');
+    }
+
+    const addon = await this.addonManager.getAddon(addonId);
+    const plan = await this.getPlan(subscription.plan_id);
+    await this.addonManager.assertAllowed(plan.id, addon);
+
+    const currentQuantity = await this.addonManager.getQuantity(subscriptionId, addon.id);
+    if (quantity === currentQuantity) {
+      throw createError(`Subscription already has ${quantity} × ${addon.name}`, 400, 'SAME_QUANTITY');
+    }
+
+    const unitAmount = await this.addonManager.getPeriodUnitAmount(addon.id, subscription.currency, plan.billing_cycle);
+    const timeZone = await this.getCustomerTimeZone(subscription.customer_id);
+    const { onTrial, periodStart, periodEnd, remainingFraction } =
+      this.getProrationPeriod(subscription, plan.billing_cycle, timeZone, now);
+
+    // Prorate per unit so the charge is an exact multiple of the units changed
+    const proratedUnitAmount = onTrial ? 0 : Math.round(unitAmount * remainingFraction);
+    // Removing units during a trial would otherwise quote -0, formatted as "-$0.00"
+    const amountDue = onTrial ? 0 : (quantity - currentQuantity) * proratedUnitAmount;
+    const tax = this.taxManager
+      ? await this.taxManager.calculateCustomerTax(subscription.customer_id, amountDue)
+      : null;
+
+    const seats = addon.id === SEAT_ADDON_ID
+      ? this.addonManager.getSeats(
+        await this.addonManager.getPlanAddonRules(plan.id),
+        [{ addon_id: addon.id, quantity }]
+      )
+      : null;
+
+    return {
+      subscriptionId,
+      currency: subscription.currency,
+      plan: { id: plan.id, name: plan.name, billingCycle: plan.billing_cycle },
+      addon: { id: addon.id, name: addon.name, unit: addon.unit },
+      currentQuantity,
+      newQuantity: quantity,
+      seats,
+      unitAmount,
+      proratedUnitAmount,
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      remainingFraction: Math.round(remainingFraction * 10000) / 10000,
+      amountDue,
+      tax,
+      totalDue: tax ? tax.grossAmount : amountDue,
+      effectiveDate: now.toISOString(),
+      onTrial
+    };
+  }
+
+  /**
+   * Format an add-on quantity quote for API responses
+   * Amounts are converted to major units, with locale-formatted copies in formatted.
+   * @param {Object} quote - Quote from quoteQuantityChange
+   * @param {string} locale - Locale to format amounts for
+   * @returns {Object} Formatted quote
+   */
+  formatQuantityQuote(quote, locale = DEFAULT_LOCALE) {
+    const { currency } = quote;
+    const toAmount = minorUnits => fromMinorUnits(minorUnits, currency);
+    const format = minorUnits => formatMoney(minorUnits, currency, locale);
+
+    return {
+      ...quote,
+      unitAmount: toAmount(quote.unitAmount),
+      proratedUnitAmount: toAmount(quote.proratedUnitAmount),
+      amountDue: toAmount(quote.amountDue),
+      tax: quote.tax && {
+        ...quote.tax,
+        netAmount: toAmount(quote.tax.netAmount),
+        taxAmount: toAmount(quote.tax.taxAmount),
+        grossAmount: toAmount(quote.tax.grossAmount)
+      },
+      totalDue: toAmount(quote.totalDue),
+      formatted: {
+        unitAmount: format(quote.unitAmount),
+        amountDue: format(quote.amountDue),
+        taxAmount: format(quote.tax ? quote.tax.taxAmount : 0),
+        totalDue: format(quote.totalDue)
+      }
+    };
+  }
+
+  /**
+   * Change the quantity of an add-on (such as seats) and bill the prorated difference
+   * Added units are charged; the unused time of removed units is refunded to the
+   * subscription's recent payments (see BillingManager.refundSubscription). Either
+   * way the amount includes tax for the customer's billing region; later renewals
+   * charge the new quantity in full.
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} addonId - Add-on ID (e.g. seat)
+   * @param {number} quantity - New quantity of the add-on (0 removes it)
+   * @param {Object} options - Change options
+   * @param {boolean} options.preview - Return the quote without applying it
+   * @param {Object} options.actor - Who is changing the quantity, for the event log
+   * @returns {Promise<Object>} Quote, plus updated subscription, charge transaction and refunds when applied
+   */
+  async changeQuantity(subscriptionId, addonId, quantity, { preview = false, actor = SYSTEM_ACTOR } = {}) {
+    try {
+      const quote = await this.quoteQuantityChange(subscriptionId, addonId, quantity);
+
+      if (preview) {
+        return { quote };
+      }
+
+      const change = quote.newQuantity - quote.currentQuantity;
+      const description = `Prorated charge for adding ${change} × ${quote.addon.name} to ${quote.plan.name}`;
+
+      // Added units are paid for, and removed units refunded, before the quantity
+      // changes, so a declined payment or refund leaves the subscription as it was
+      const current = await this.getSubscription(subscriptionId);
+      const payment = this.billingManager && quote.totalDue > 0
+        ? await this.billingManager.chargeCustomer(current.customer_id, quote.totalDue, quote.currency, description)
+        : null;
+      if (payment) {
+        this.billingManager.assertPaymentAccepted(payment);
+      }
+      const refunds = this.billingManager && quote.totalDue < 0
+        ? await this.billingManager.refundSubscription(
+          subscriptionId,
+          -quote.totalDue,
+          `Unused time on ${-change} × ${quote.addon.name} removed from ${quote.plan.name}`,
+          { actor }
+        )
+        : [];
+
+      await this.addonManager.setQuantity(subscriptionId, quote.addon.id, quantity);
+      const subscription = await this.getSubscription(subscriptionId);
+
+      // Quantities live outside the subscription row, so the change is in the details
+      if (this.eventLog) {
+        await this.eventLog.record('subscription.quantity_changed', subscription, {
+          actor,
+          before: subscription,
+          after: subscription,
+          details: {
+            addonId: quote.addon.id,
+            addonName: quote.addon.name,
+            fromQuantity: quote.currentQuantity,
+            toQuantity: quote.newQuantity
+          }
+        });
+      }
+
+      let transaction = null;
+      if (payment) {
+        transaction = await this.billingManager.recordTransaction(
+          subscription.customer_id,
+          subscriptionId,
+          quote.totalDue,
+          payment.status,
+          null,
+          description,
+          {
+            tax: quote.tax,
+            currency: quote.currency,
+            items: [{
+              description: `${quote.addon.name} (prorated)`,
+              quantity: change,
+              unitAmount: quote.proratedUnitAmount
+            }],
+            actor,
+            payment
+          }
+        );
+      }
+
+      return { subscription, quote, transaction, refunds };
+    } catch (error) {
+      console.error('Change quantity error:', error);
       throw error;
     }
   }
 
   /**
    * Get all subscriptions for a customer
+   * Each subscription carries its pinned plan price (and pending_price, when a
+   * price change is scheduled) and add-on items in minor units of its currency,
+   * its seats, and the tax on the total for the customer's billing region.
    * @param {string} customerId - Customer ID
    * @returns {Promise<Array>} Array of subscriptions
    */
   async getCustomerSubscriptions(customerId) {
     try {
       const subscriptions = await this.db.query(
-        `SELECT s.*, p.name as plan_name, p.price, p.billing_cycle
+        `SELECT s.*, p.name as plan_name, pp.unit_amount as price, np.unit_amount as pending_price,
+                p.billing_cycle, p.trial_days, c.time_zone, c.locale
          FROM subscriptions s
          JOIN plans p ON s.plan_id = p.id
+         LEFT JOIN plan_price_versions pp
+           ON pp.plan_id = s.plan_id AND pp.version = s.price_version AND pp.currency = s.currency
+         LEFT JOIN plan_price_versions np
+           ON np.plan_id = s.plan_id AND np.version = s.pending_price_version AND np.currency = s.currency
+         JOIN customers c ON s.customer_id = c.id
          WHERE s.customer_id = ?
          ORDER BY s.created_at DESC`,
         [customerId]
       );
 
+      for (const subscription of subscriptions) {
+        subscription.items = [];
+        subscription.seats = null;
+        if (this.addonManager) {
+          subscription.items = await this.addonManager.getSubscriptionItems(subscription, subscription.billing_cycle);
+          subscription.seats = this.addonManager.getSeats(
+            await this.addonManager.getPlanAddonRules(subscription.plan_id),
+            subscription.items
+          );
+        }
+        subscription.total_price = subscription.price === null
+          ? null
+          : subscription.price + subscription.items.reduce((sum, item) => sum + item.amount, 0);
+      }
+
+      if (this.taxManager) {
+        const taxRule = await this.taxManager.getTaxRule(customerId);
+        for (const subscription of subscriptions) {
+          subscription.tax = this.taxManager.calculateTax(subscription.total_price, taxRule);
+        }
+      }
+
       return subscriptions;
     } catch (error) {
       console.error('Get customer subscriptions error:', error);
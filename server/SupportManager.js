@@ -0,0 +1,167 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+
+const NOTE_MAX_LENGTH = 2000;
+
+/**
+ * SupportManager keeps what support staff need beside the billing records:
+ * internal notes on customers, and an audit log of every action staff take.
+ * Notes are never shown to the customer. Audit entries name the agent who
+ * acted (or none, for ADMIN_API_KEY) and the customer affected.
+ */
+class SupportManager {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Add an internal note to a customer
+   * @param {string} customerId - Customer ID
+   * @param {string} body - Note text
+   * @param {Object} options - Note options
+   * @param {string|null} options.agentId - Agent writing the note (null for ADMIN_API_KEY)
+   * @returns {Promise<Object>} Note row, with the author's name
+   * @throws {Error} 400 INVALID_NOTE if the note is empty or too long
+   */
+  async addNote(customerId, body, { agentId = null } = {}) {
+    try {
+      const text = String(body || '').trim();
+      if (!text || text.length > NOTE_MAX_LENGTH) {
+        throw createError(`Notes must be 1-${NOTE_MAX_LENGTH} characters`, 400, 'INVALID_NOTE');
+      }
+
+      const id = randomUUID();
+      await this.db.execute(
+        'INSERT INTO customer_notes (id, customer_id, agent_id, body) VALUES (?, ?, ?, ?)',
+        [id, customerId, agentId, text]
+      );
+
+      return await this.db.queryOne(
+        `SELECT n.*, a.name as agent_name FROM customer_notes n
+         LEFT JOIN agents a ON n.agent_id = a.id
+         WHERE n.id = ?`,
+        [id]
+      );
+    } catch (error) {
+      console.error('Add note error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a customer's internal notes, newest first
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Note rows, with their authors' names
+   */
+  async listNotes(customerId) {
+    try {
+      return await this.db.query(
+        `SELECT n.*, a.name as agent_name FROM customer_notes n
+         LEFT JOIN agents a ON n.agent_id = a.id
+         WHERE n.customer_id = ?
+         ORDER BY n.created_at DESC, n.rowid DESC`,
+        [customerId]
+      );
+    } catch (error) {
+      console.error('List notes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record something a member of staff did
+   * @param {Object} action - What was done
+   * @param {string|null} action.agentId - Agent who did it (null for ADMIN_API_KEY)
+   * @param {string} action.action - What they did, e.g. "POST /api/admin/plans" or "chat.cancel_subscription"
+   * @param {string|null} action.customerId - Customer affected, if any
+   * @param {string|null} action.targetId - Record acted on, if any (subscription, transaction, plan...)
+   * @param {Object|null} action.details - Request parameters or tool arguments
+   * @param {string|null} action.chatMessageId - Chat message that asked for it, in agent mode
+   * @returns {Promise<Object>} Audit entry
+   */
+  async recordAction({ agentId = null, action, customerId = null, targetId = null, details = null, chatMessageId = null }) {
+    try {
+      const id = randomUUID();
+      await this.db.execute(
+        `INSERT INTO admin_actions (id, agent_id, action, customer_id, target_id, details, chat_message_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, agentId, action, customerId, targetId, details ? JSON.stringify(details) : null, chatMessageId]
+      );
+
+      return await this.db.queryOne('SELECT * FROM admin_actions WHERE id = ?', [id]);
+    } catch (error) {
+      console.error('Record admin action error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List recorded staff actions, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.agentId - Only this agent's actions
+   * @param {string} filters.customerId - Only actions affecting this customer
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Audit entries, with agent names
+   */
+  async listActions({ agentId = null, customerId = null } = {}, limit = 100) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (agentId) {
+        conditions.push('aa.agent_id = ?');
+        params.push(agentId);
+      }
+      if (customerId) {
+        conditions.push('aa.customer_id = ?');
+        params.push(customerId);
+      }
+
+      return await this.db.query(
+        `SELECT aa.*, a.name as agent_name FROM admin_actions aa
+         LEFT JOIN agents a ON aa.agent_id = a.id
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY aa.created_at DESC, aa.rowid DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+    } catch (error) {
+      console.error('List admin actions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a note for API responses
+   * @param {Object} note - Note row from addNote or listNotes
+   * @returns {Object} Formatted note
+   */
+  formatNote(note) {
+    return {
+      id: note.id,
+      customerId: note.customer_id,
+      agent: { id: note.agent_id, name: note.agent_name || 'Admin' },
+      body: note.body,
+      createdAt: note.created_at
+    };
+  }
+
+  /**
+   * Format an audit entry for API responses
+   * @param {Object} action - admin_actions row
+   * @returns {Object} Formatted entry
+   */
+  formatAction(action) {
+    return {
+      id: action.id,
+      agent: { id: action.agent_id, name: action.agent_name || 'Admin' },
+      action: action.action,
+      customerId: action.customer_id,
+      targetId: action.target_id,
+      details: action.details ? JSON.parse(action.details) : null,
+      chatMessageId: action.chat_message_id,
+      createdAt: action.created_at
+    };
+  }
+}
+
+export default SupportManager;
@@ -0,0 +1,220 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import { DEFAULT_LOCALE, formatMoney } from './money.js';
+
+/**
+ * TaxManager works out the tax on charges from the customer's billing region
+ * Tax rules are configured per country, optionally narrowed to a region
+ * (state, province). A rule's rate is a percentage; inclusive rules mean plan
+ * prices already include the tax (typical for VAT/GST), exclusive rules add
+ * it on top (typical for sales tax). Customers without a matching rule pay no tax.
+ */
+class TaxManager {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Normalize a country or region code
+   * @param {string} code - Code as entered
+   * @returns {string} Upper-case code without surrounding whitespace
+   */
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Create or replace the tax rule for a country or region
+   * @param {Object} rule - Rule definition
+   * @param {string} rule.country - ISO 3166-1 alpha-2 country code
+   * @param {string} rule.region - Region code within the country (omit for the whole country)
+   * @param {string} rule.name - Tax name shown to customers (e.g. VAT, GST, Sales tax)
+   * @param {number} rule.rate - Tax rate in percent
+   * @param {boolean} rule.inclusive - Whether plan prices already include the tax
+   * @returns {Promise<Object>} Saved rule
+   */
+  async saveTaxRule({ country, region = '', name, rate, inclusive = false }) {
+    try {
+      const countryCode = this.normalizeCode(country);
+      const regionCode = this.normalizeCode(region);
+      const taxRate = Number(rate);
+
+      if (!/^[A-Z]{2}$/.test(countryCode)) {
+        throw createError('country must be a two-letter country code', 400, 'INVALID_TAX_RULE');
+      }
+      if (regionCode && !/^[A-Z0-9-]{1,10}$/.test(regionCode)) {
+        throw createError('region must be a region code of up to 10 letters or digits', 400, 'INVALID_TAX_RULE');
+      }
+      if (!name || !String(name).trim()) {
+        throw createError('name is required', 400, 'INVALID_TAX_RULE');
+      }
+      if (!(taxRate >= 0 && taxRate < 100)) {
+        throw createError('rate must be a percentage from 0 up to 100', 400, 'INVALID_TAX_RULE');
+      }
+
+      await this.db.execute(
+        `INSERT INTO tax_rules (id, country, region, name, rate, inclusive)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(country, region) DO UPDATE SET
+           name = excluded.name, rate = excluded.rate, inclusive = excluded.inclusive, active = 1`,
+        [randomUUID(), countryCode, regionCode, String(name).trim(), taxRate, inclusive ? 1 : 0]
+      );
+
+      return await this.db.queryOne(
+        'SELECT * FROM tax_rules WHERE country = ? AND region = ?',
+        [countryCode, regionCode]
+      );
+    } catch (error) {
+      console.error('Save tax rule error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all tax rules by country and region
+   * @returns {Promise<Array>} Tax rules
+   */
+  async listTaxRules() {
+    try {
+      return await this.db.query('SELECT * FROM tax_rules ORDER BY country, region');
+    } catch (error) {
+      console.error('List tax rules error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the billing region tax is calculated from
+   * @param {string} customerId - Customer ID
+   * @param {Object} address - Billing region
+   * @param {string} address.country - ISO 3166-1 alpha-2 country code
+   * @param {string} address.region - Region code within the country (optional)
+   * @returns {Promise<Object>} Customer's billing region and the tax rule that now applies
+   */
+  async setBillingRegion(customerId, { country, region = null }) {
+    try {
+      const countryCode = this.normalizeCode(country);
+      const regionCode = this.normalizeCode(region) || null;
+
+      if (!/^[A-Z]{2}$/.test(countryCode)) {
+        throw createError('country must be a two-letter country code', 400, 'INVALID_ADDRESS');
+      }
+      if (regionCode && !/^[A-Z0-9-]{1,10}$/.test(regionCode)) {
+        throw createError('region must be a region code of up to 10 letters or digits', 400, 'INVALID_ADDRESS');
+      }
+
+      const { changes } = await this.db.execute(
+        'UPDATE customers SET country = ?, region = ? WHERE id = ?',
+        [countryCode, regionCode, customerId]
+      );
+      if (changes === 0) {
+        throw createError(`Customer with ID ${customerId} not found`, 404, 'CUSTOMER_NOT_FOUND');
+      }
+
+      return {
+        customerId,
+        country: countryCode,
+        region: regionCode,
+        taxRule: await this.getTaxRule(customerId)
+      };
+    } catch (error) {
+      console.error('Set billing region error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the tax rule for a customer's billing region
+   * A rule for the customer's region wins over the rule for their whole country.
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Tax rule, or null if the customer pays no tax
+   */
+  async getTaxRule(customerId) {
+    return await this.db.queryOne(
+      `SELECT t.*
+       FROM customers c
+       JOIN tax_rules t ON t.country = c.country AND t.region IN (COALESCE(c.region, ''), '')
+       WHERE c.id = ? AND t.active = 1
+       ORDER BY t.region DESC
+       LIMIT 1`,
+      [customerId]
+    ) || null;
+  }
+
+  /**
+   * Split a price into net, tax and gross amounts
+   * For inclusive rules the price is the gross amount; otherwise it is the net amount.
+   * @param {number} amount - Price before tax is applied, in minor units (may be negative for credits)
+   * @param {Object|null} rule - Tax rule, or null for no tax
+   * @returns {Object} netAmount, taxAmount, grossAmount (minor units), rate, name and inclusive
+   */
+  calculateTax(amount, rule) {
+    if (!rule || rule.rate === 0) {
+      return {
+        netAmount: Math.round(amount),
+        taxAmount: 0,
+        grossAmount: Math.round(amount),
+        rate: rule ? 0 : null,
+        name: rule ? rule.name : null,
+        inclusive: rule ? rule.inclusive === 1 : false
+      };
+    }
+
+    const inclusive = rule.inclusive === 1;
+    const netAmount = inclusive ? Math.round(amount / (1 + rule.rate / 100)) : Math.round(amount);
+    const grossAmount = inclusive ? Math.round(amount) : Math.round(amount * (1 + rule.rate / 100));
+
+    return {
+      netAmount,
+      taxAmount: grossAmount - netAmount,
+      grossAmount,
+      rate: rule.rate,
+      name: rule.name,
+      inclusive
+    };
+  }
+
+  /**
+   * Calculate the tax on a charge to a customer
+   * @param {string} customerId - Customer ID
+   * @param {number} amount - Price before tax is applied, in minor units
+   * @returns {Promise<Object>} Tax breakdown (see calculateTax)
+   */
+  async calculateCustomerTax(customerId, amount) {
+    return this.calculateTax(amount, await this.getTaxRule(customerId));
+  }
+
+  /**
+   * Describe the tax in a price for customers
+   * @param {Object} tax - Tax breakdown from calculateTax
+   * @param {string} currency - Currency of the price
+   * @param {string} locale - Locale to format the amount for
+   * @returns {string} e.g. "incl. £1.67 VAT", "+ $0.89 Sales tax", or '' when untaxed
+   */
+  describeTax(tax, currency, locale = DEFAULT_LOCALE) {
+    if (!tax || !tax.taxAmount) {
+      return '';
+    }
+    const amount = formatMoney(Math.abs(tax.taxAmount), currency, locale);
+    return tax.inclusive ? `incl. ${amount} ${tax.name}` : `+ ${amount} ${tax.name}`;
+  }
+
+  /**
+   * Format a tax rule for API responses
+   * @param {Object} rule - Tax rule row
+   * @returns {Object} Formatted tax rule
+   */
+  formatTaxRule(rule) {
+    return {
+      id: rule.id,
+      country: rule.country,
+      region: rule.region || null,
+      name: rule.name,
+      rate: rule.rate,
+      inclusive: rule.inclusive === 1,
+      active: rule.active === 1
+    };
+  }
+}
+
+export default TaxManager;
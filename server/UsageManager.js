@@ -0,0 +1,289 @@
+import { randomUUID } from 'crypto';
+import { createError } from './errors.js';
+import { decompressPlanFeatures } from './compression.js';
+import { DEFAULT_LOCALE, formatMoney, fromMinorUnits } from './money.js';
+
+/**
+ * UsageManager records metered usage and prices it against a plan's quotas
+ * Plans declare the metrics they meter in their compressed features
+ * (features.metered), each with the quantity included per billing period and
+ * the price of every package of usage beyond it, in minor units per currency:
+ *
+ *   metered: { api_calls: { name: 'API calls', included: 50000, packageSize: 1000, prices: { USD: 100 } } }
+ *
+ * A null included quantity means the metric is unlimited on the plan.
+ * Usage is billed in arrears: each renewal charges the overage on everything
+ * reported before its billing date that hasn't been billed yet. Usage during a
+ * free trial is recorded but never charged.
+ */
+class UsageManager {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Read the metered prices and quotas from a plan's compressed features
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} Meters keyed by metric
+   */
+  async getPlanMeters(planId) {
+    const plan = await this.db.queryOne('SELECT features_compressed FROM plans WHERE id = ?', [planId]);
+    const features = plan && plan.features_compressed
+      ? await decompressPlanFeatures(plan.features_compressed)
+      : {};
+
+    return features.metered && typeof features.metered === 'object' ? features.metered : {};
+  }
+
+  /**
+   * Record a usage event
+   * Reporting the same event ID again returns the original record instead of
+   * counting the usage twice. Event IDs are the customer's own, so they only
+   * have to be unique among that customer's events.
+   * @param {Object} event - Usage event
+   * @param {string} event.customerId - Customer reporting the usage
+   * @param {string} event.eventId - Customer's unique ID for the event
+   * @param {string} event.subscriptionId - Subscription the usage is billed to
+   * @param {string} event.metric - Metered metric (e.g. api_calls)
+   * @param {number} event.quantity - Units used, a positive integer
+   * @param {string} event.timestamp - When the usage happened (ISO format, defaults to now)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} record, and duplicate when the event had already been recorded
+   */
+  async recordUsage({ customerId, eventId, subscriptionId, metric, quantity, timestamp }, now = new Date()) {
+    try {
+      if (typeof eventId !== 'string' || !eventId.trim() || eventId.length > 255) {
+        throw createError('eventId must be a non-empty string of up to 255 characters', 400, 'INVALID_USAGE');
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw createError('quantity must be a positive integer', 400, 'INVALID_USAGE');
+      }
+
+      // Retries are answered from the original record, even if the subscription has changed since
+      const existing = await this.getRecordByEventId(customerId, eventId);
+      if (existing) {
+        return { record: this.assertSameEvent(existing, { subscriptionId, metric, quantity }), duplicate: true };
+      }
+
+      const occurredAt = timestamp === undefined || timestamp === null ? now : new Date(timestamp);
+      if (isNaN(occurredAt.getTime())) {
+        throw createError('timestamp must be a valid date', 400, 'INVALID_USAGE');
+      }
+      if (occurredAt > now) {
+        throw createError('timestamp cannot be in the future', 400, 'INVALID_USAGE');
+      }
+
+      const subscription = await this.db.queryOne(
+        'SELECT * FROM subscriptions WHERE id = ? AND customer_id = ?',
+        [subscriptionId, customerId]
+      );
+      if (!subscription) {
+        throw createError(`Subscription with ID ${subscriptionId} not found`, 404, 'SUBSCRIPTION_NOT_FOUND');
+      }
+      if (subscription.status === 'cancelled') {
+        throw createError('Usage cannot be recorded for a cancelled subscription', 409, 'INVALID_SUBSCRIPTION_STATUS');
+      }
+      if (occurredAt < new Date(subscription.start_date)) {
+        throw createError('timestamp is before the subscription started', 400, 'INVALID_USAGE');
+      }
+
+      const meters = await this.getPlanMeters(subscription.plan_id);
+      if (!meters[metric]) {
+        throw createError(`Plan ${subscription.plan_id} does not meter ${metric}`, 400, 'UNKNOWN_METRIC');
+      }
+
+      const { changes } = await this.db.execute(
+        `INSERT INTO usage_records (id, event_id, subscription_id, customer_id, metric, quantity, occurred_at, recorded_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(customer_id, event_id) DO NOTHING`,
+        [randomUUID(), eventId, subscription.id, subscription.customer_id, metric, quantity, occurredAt.toISOString(), now.toISOString()]
+      );
+
+      // A concurrent report of the same event got there first
+      const record = await this.getRecordByEventId(customerId, eventId);
+      if (changes === 0) {
+        return { record: this.assertSameEvent(record, { subscriptionId, metric, quantity }), duplicate: true };
+      }
+
+      return { record, duplicate: false };
+    } catch (error) {
+      console.error('Record usage error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a usage record by the customer's event ID
+   * @param {string} customerId - Customer who reported the event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object|null>} Usage record or null
+   */
+  async getRecordByEventId(customerId, eventId) {
+    return await this.db.queryOne(
+      'SELECT * FROM usage_records WHERE customer_id = ? AND event_id = ?',
+      [customerId, eventId]
+    ) || null;
+  }
+
+  /**
+   * Check that a repeated event ID reports the same usage as the original
+   * @param {Object} record - Recorded usage
+   * @param {Object} event - Usage being reported
+   * @returns {Object} The recorded usage
+   * @throws {Error} 409 EVENT_ID_CONFLICT if the event ID was used for different usage
+   */
+  assertSameEvent(record, { subscriptionId, metric, quantity }) {
+    if (record.subscription_id !== subscriptionId || record.metric !== metric || record.quantity !== quantity) {
+      throw createError(`Event ${record.event_id} was already recorded with different usage`, 409, 'EVENT_ID_CONFLICT');
+    }
+    return record;
+  }
+
+  /**
+   * Price usage against a plan's meters
+   * Every metric the plan meters gets a line, as does any other metric with usage.
+   * Overage is charged per started package.
+   * @param {Object} meters - Meters from getPlanMeters
+   * @param {Object} used - Units used per metric
+   * @param {string} currency - Currency to price the overage in
+   * @param {Object} billable - Units per metric the quota applies to (defaults to used)
+   * @returns {Array} Lines with metric, name, used, included, overage, package_size, packages,
+   *   unit_amount and amount (minor units)
+   * @throws {Error} 409 PRICE_NOT_AVAILABLE if overage can't be priced in the currency
+   */
+  priceUsage(meters, used, currency, billable = used) {
+    const metrics = [...new Set([...Object.keys(meters), ...Object.keys(used)])];
+
+    return metrics.map(metric => {
+      const meter = meters[metric] || {};
+      const included = Number.isInteger(meter.included) ? meter.included : null;
+      const packageSize = Number.isInteger(meter.packageSize) && meter.packageSize > 0 ? meter.packageSize : 1;
+      // Metrics the plan doesn't meter (any more) are not charged
+      const overage = included === null || !meters[metric]
+        ? 0
+        : Math.max(0, (billable[metric] || 0) - included);
+      const packages = Math.ceil(overage / packageSize);
+      const unitAmount = meter.prices ? meter.prices[currency] : undefined;
+
+      if (packages > 0 && !Number.isInteger(unitAmount)) {
+        throw createError(`${meter.name || metric} overage is not available in ${currency}`, 409, 'PRICE_NOT_AVAILABLE');
+      }
+
+      return {
+        metric,
+        name: meter.name || metric,
+        used: used[metric] || 0,
+        included,
+        overage,
+        package_size: packageSize,
+        packages,
+        unit_amount: Number.isInteger(unitAmount) ? unitAmount : null,
+        amount: packages > 0 ? packages * unitAmount : 0
+      };
+    });
+  }
+
+  /**
+   * Work out the usage charges on a subscription's unbilled usage
+   * @param {Object} subscription - Subscription row
+   * @param {Date} before - Only usage before this time is included (the billing date)
+   * @returns {Promise<Object>} lines (see priceUsage), amount (minor units) and the cursor to pass to markBilled
+   */
+  async getUsageCharges(subscription, before) {
+    const since = subscription.trial_end || '';
+    const rows = await this.db.query(
+      `SELECT metric,
+              SUM(quantity) as used,
+              SUM(CASE WHEN occurred_at >= ? THEN quantity ELSE 0 END) as billable,
+              MAX(rowid) as last_row
+       FROM usage_records
+       WHERE subscription_id = ? AND billed_transaction_id IS NULL AND occurred_at < ?
+       GROUP BY metric`,
+      [since, subscription.id, new Date(before).toISOString()]
+    );
+
+    const used = Object.fromEntries(rows.map(row => [row.metric, row.used]));
+    const billable = Object.fromEntries(rows.map(row => [row.metric, row.billable]));
+    const lines = this.priceUsage(await this.getPlanMeters(subscription.plan_id), used, subscription.currency, billable);
+
+    return {
+      lines,
+      amount: lines.reduce((sum, line) => sum + line.amount, 0),
+      // Usage reported while the charge is being made is left for the next one
+      cursor: rows.reduce((max, row) => Math.max(max, row.last_row), 0)
+    };
+  }
+
+  /**
+   * Mark the usage covered by a charge as billed
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Date} before - Billing date the charges were worked out for
+   * @param {number} cursor - Cursor from getUsageCharges
+   * @param {string} transactionId - Transaction the usage was charged in
+   */
+  async markBilled(subscriptionId, before, cursor, transactionId) {
+    await this.db.execute(
+      `UPDATE usage_records SET billed_transaction_id = ?
+       WHERE subscription_id = ? AND billed_transaction_id IS NULL AND occurred_at < ? AND rowid <= ?`,
+      [transactionId, subscriptionId, new Date(before).toISOString(), cursor]
+    );
+  }
+
+  /**
+   * Describe a usage charge for invoices
+   * @param {Object} line - Line from priceUsage
+   * @param {string} locale - Locale to format quantities for
+   * @returns {string} e.g. "API calls over 50,000 included (per 1,000)"
+   */
+  describeCharge(line, locale = DEFAULT_LOCALE) {
+    const number = value => value.toLocaleString(locale);
+    return `${line.name} over ${number(line.included)} included` +
+      (line.package_size > 1 ? ` (per ${number(line.package_size)})` : '');
+  }
+
+  /**
+   * Format a usage line for API responses
+   * @param {Object} line - Line from priceUsage
+   * @param {string} currency - Currency of the subscription
+   * @param {string} locale - Locale to format amounts for
+   * @returns {Object} Formatted usage
+   */
+  formatUsage(line, currency, locale = DEFAULT_LOCALE) {
+    return {
+      metric: line.metric,
+      name: line.name,
+      used: line.used,
+      included: line.included,
+      overage: line.overage,
+      packageSize: line.package_size,
+      packages: line.packages,
+      unitAmount: line.unit_amount === null ? null : fromMinorUnits(line.unit_amount, currency),
+      amount: fromMinorUnits(line.amount, currency),
+      formatted: {
+        unitAmount: line.unit_amount === null ? null : formatMoney(line.unit_amount, currency, locale),
+        amount: formatMoney(line.amount, currency, locale)
+      }
+    };
+  }
+
+  /**
+   * Format a usage record for API responses
+   * @param {Object} record - Usage record row
+   * @returns {Object} Formatted usage record
+   */
+  formatRecord(record) {
+    return {
+      id: record.id,
+      eventId: record.event_id,
+      subscriptionId: record.subscription_id,
+      customerId: record.customer_id,
+      metric: record.metric,
+      quantity: record.quantity,
+      occurredAt: record.occurred_at,
+      recordedAt: record.recorded_at,
+      billed: record.billed_transaction_id !== null
+    };
+  }
+}
+
+export default UsageManager;
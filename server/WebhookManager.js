@@ -0,0 +1,577 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { createError } from './errors.js';
+import { EVENT_TYPES } from './EventLog.js';
+import { parseRetrySchedule } from './retrySchedule.js';
+
+const SIGNATURE_VERSION = 'v1';
+const RESPONSE_BODY_LIMIT = 1000;
+const DELIVERY_BATCH_SIZE = 50;
+
+/**
+ * Sign a webhook body
+ * The signature is an HMAC-SHA256 of "<timestamp>.<body>" with the endpoint's secret,
+ * so a captured request can't be replayed with a new timestamp.
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Exact request body
+ * @returns {string} Webhook-Signature header value, e.g. "t=1767225600,v1=5257a8..."
+ */
+export function signPayload(secret, timestamp, body) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},${SIGNATURE_VERSION}=${signature}`;
+}
+
+/**
+ * Check a webhook request's signature, for receivers
+ * @param {string} secret - Endpoint secret
+ * @param {string} header - Webhook-Signature header value
+ * @param {string} body - Raw request body
+ * @param {Object} options - Verification options
+ * @param {number} options.toleranceSeconds - How old a signature may be (defaults to 5 minutes)
+ * @param {Date} options.now - Current time
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+export function verifySignature(secret, header, body, { toleranceSeconds = 300, now = new Date() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts[SIGNATURE_VERSION] || Math.abs(now.getTime() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(`t=${parts.t},${SIGNATURE_VERSION}=${parts[SIGNATURE_VERSION]}`);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Send a webhook request over HTTP
+ * Used when no sender is configured. Redirects are not followed.
+ * @param {string} url - Endpoint URL
+ * @param {string} body - JSON body
+ * @param {Object} headers - Request headers
+ * @param {number} timeoutMs - Time to wait for a response
+ * @returns {Promise<Object>} status and body of the response
+ */
+export async function postWebhook(url, body, headers, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  return { status: response.status, body: await response.text() };
+}
+
+/**
+ * WebhookManager tells other services about subscription events
+ * Endpoints subscribe to event types; every event the EventLog records is queued
+ * as a delivery to each matching endpoint and sent as a signed JSON POST.
+ * Failed deliveries are retried on a backoff schedule counted from each failure,
+ * then marked failed. Every request is kept in the delivery log, and any delivery
+ * can be redelivered by hand.
+ */
+class WebhookManager {
+  constructor(database, {
+    retryMinutes = parseRetrySchedule(process.env.WEBHOOK_RETRY_MINUTES || '1,5,30,120,720'),
+    timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    send = postWebhook
+  } = {}) {
+    this.db = database;
+    this.retryMinutes = retryMinutes;
+    this.timeoutMs = timeoutMs;
+    this.send = send;
+    this.interval = null;
+    this.dispatching = null;
+    this.dispatchAgain = false;
+  }
+
+  /**
+   * Check an endpoint URL
+   * @param {string} url - Endpoint URL
+   * @returns {string} The URL
+   * @throws {Error} 400 INVALID_WEBHOOK unless it is an http(s) URL
+   */
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw createError(`Invalid webhook URL: ${url}`, 400, 'INVALID_WEBHOOK');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw createError('Webhook URLs must use http or https', 400, 'INVALID_WEBHOOK');
+    }
+
+    return parsed.toString();
+  }
+
+  /**
+   * Check an endpoint's event type filters
+   * @param {Array} eventTypes - Event types, type prefixes (payment.*) or * for everything
+   * @returns {Array} The filters, without duplicates
+   * @throws {Error} 400 INVALID_WEBHOOK for an empty list or an unknown event type
+   */
+  validateEventTypes(eventTypes) {
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      throw createError('eventTypes must be a non-empty array', 400, 'INVALID_WEBHOOK');
+    }
+
+    const prefixes = new Set(EVENT_TYPES.map(type => type.split('.')[0]));
+    for (const filter of eventTypes) {
+      const known = filter === '*' ||
+        EVENT_TYPES.includes(filter) ||
+        (typeof filter === 'string' && filter.endsWith('.*') && prefixes.has(filter.slice(0, -2)));
+      if (!known) {
+        throw createError(`Unknown event type: ${filter}`, 400, 'INVALID_WEBHOOK');
+      }
+    }
+
+    return [...new Set(eventTypes)];
+  }
+
+  /**
+   * Check whether an endpoint's filters include an event type
+   * @param {Array} eventTypes - Endpoint's event type filters
+   * @param {string} type - Event type
+   * @returns {boolean} Whether the endpoint subscribes to the event
+   */
+  matchesEventType(eventTypes, type) {
+    return eventTypes.some(filter =>
+      filter === '*' || filter === type || (filter.endsWith('.*') && type.startsWith(filter.slice(0, -1)))
+    );
+  }
+
+  /**
+   * Register a webhook endpoint
+   * @param {Object} endpoint - Endpoint definition
+   * @param {string} endpoint.url - URL deliveries are POSTed to
+   * @param {string} endpoint.description - What the endpoint is for
+   * @param {Array} endpoint.eventTypes - Event types to deliver (defaults to all)
+   * @returns {Promise<Object>} Created endpoint, including its signing secret
+   */
+  async createEndpoint({ url, description = null, eventTypes = ['*'] }) {
+    try {
+      const endpointUrl = this.validateUrl(url);
+      const filters = this.validateEventTypes(eventTypes);
+      const endpointId = randomUUID();
+      const secret = `whsec_${randomBytes(24).toString('hex')}`;
+
+      await this.db.execute(
+        `INSERT INTO webhook_endpoints (id, url, description, secret, event_types)
+         VALUES (?, ?, ?, ?, ?)`,
+        [endpointId, endpointUrl, description, secret, JSON.stringify(filters)]
+      );
+
+      return await this.getEndpoint(endpointId);
+    } catch (error) {
+      console.error('Create webhook endpoint error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List webhook endpoints, oldest first
+   * @returns {Promise<Array>} Endpoints
+   */
+  async listEndpoints() {
+    try {
+      const endpoints = await this.db.query('SELECT * FROM webhook_endpoints ORDER BY created_at, rowid');
+      return endpoints.map(endpoint => this.parseEndpoint(endpoint));
+    } catch (error) {
+      console.error('List webhook endpoints error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a webhook endpoint by ID
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Promise<Object>} Endpoint with its event types parsed
+   * @throws {Error} 404 WEBHOOK_NOT_FOUND if the endpoint doesn't exist
+   */
+  async getEndpoint(endpointId) {
+    const endpoint = await this.db.queryOne('SELECT * FROM webhook_endpoints WHERE id = ?', [endpointId]);
+
+    if (!endpoint) {
+      throw createError(`Webhook endpoint ${endpointId} not found`, 404, 'WEBHOOK_NOT_FOUND');
+    }
+
+    return this.parseEndpoint(endpoint);
+  }
+
+  /**
+   * Update a webhook endpoint
+   * Disabled endpoints get no new deliveries, and their pending retries wait until
+   * they are enabled again.
+   * @param {string} endpointId - Endpoint ID
+   * @param {Object} updates - Fields to change: url, description, eventTypes, status (active or disabled)
+   * @returns {Promise<Object>} Updated endpoint
+   */
+  async updateEndpoint(endpointId, { url, description, eventTypes, status }) {
+    try {
+      const endpoint = await this.getEndpoint(endpointId);
+
+      if (status !== undefined && !['active', 'disabled'].includes(status)) {
+        throw createError('status must be active or disabled', 400, 'INVALID_WEBHOOK');
+      }
+
+      await this.db.execute(
+        `UPDATE webhook_endpoints
+         SET url = ?, description = ?, event_types = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          url === undefined ? endpoint.url : this.validateUrl(url),
+          description === undefined ? endpoint.description : description,
+          JSON.stringify(eventTypes === undefined ? endpoint.event_types : this.validateEventTypes(eventTypes)),
+          status === undefined ? endpoint.status : status,
+          endpointId
+        ]
+      );
+
+      return await this.getEndpoint(endpointId);
+    } catch (error) {
+      console.error('Update webhook endpoint error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook endpoint along with its deliveries and their log
+   * @param {string} endpointId - Endpoint ID
+   */
+  async deleteEndpoint(endpointId) {
+    try {
+      await this.getEndpoint(endpointId);
+      await this.db.execute('DELETE FROM webhook_endpoints WHERE id = ?', [endpointId]);
+    } catch (error) {
+      console.error('Delete webhook endpoint error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the JSON columns of an endpoint row
+   * @param {Object} endpoint - webhook_endpoints row
+   * @returns {Object} Endpoint with event_types parsed
+   */
+  parseEndpoint(endpoint) {
+    return { ...endpoint, event_types: JSON.parse(endpoint.event_types) };
+  }
+
+  /**
+   * Queue an event for delivery to every active endpoint subscribed to it
+   * Delivery starts straight away in the background.
+   * @param {Object} event - Event as formatted by EventLog.formatEvent
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async enqueue(event) {
+    const endpoints = (await this.db.query("SELECT * FROM webhook_endpoints WHERE status = 'active'"))
+      .map(endpoint => this.parseEndpoint(endpoint))
+      .filter(endpoint => this.matchesEventType(endpoint.event_types, event.type));
+
+    if (endpoints.length === 0) {
+      return 0;
+    }
+
+    const payload = JSON.stringify({
+      id: event.id,
+      type: event.type,
+      createdAt: event.occurredAt,
+      data: event
+    });
+    const now = new Date().toISOString();
+
+    for (const endpoint of endpoints) {
+      await this.db.execute(
+        `INSERT INTO webhook_deliveries (id, endpoint_id, event_id, event_type, payload, next_attempt_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(endpoint_id, event_id) DO NOTHING`,
+        [randomUUID(), endpoint.id, event.id, event.type, payload, now, now]
+      );
+    }
+
+    this.dispatch().catch(error => console.error('Webhook dispatch error:', error));
+    return endpoints.length;
+  }
+
+  /**
+   * Deliver everything that is due, one pass at a time
+   * Calls made while a pass is running share it and trigger one more pass, so
+   * deliveries queued meanwhile aren't left for the next scheduled run.
+   * @returns {Promise<void>} Settles when no pass is running
+   */
+  dispatch() {
+    if (this.dispatching) {
+      this.dispatchAgain = true;
+      return this.dispatching;
+    }
+
+    this.dispatching = (async () => {
+      try {
+        do {
+          this.dispatchAgain = false;
+          await this.deliverDue();
+        } while (this.dispatchAgain);
+      } finally {
+        this.dispatching = null;
+      }
+    })();
+
+    return this.dispatching;
+  }
+
+  /**
+   * Attempt every pending delivery whose next attempt is due
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Summary: succeeded, retrying and failed counts
+   */
+  async deliverDue(now = new Date()) {
+    const summary = { succeeded: 0, retrying: 0, failed: 0 };
+
+    try {
+      const due = await this.db.query(
+        `SELECT d.*
+         FROM webhook_deliveries d
+         JOIN webhook_endpoints e ON d.endpoint_id = e.id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND e.status = 'active'
+         ORDER BY d.next_attempt_at, d.rowid
+         LIMIT ${DELIVERY_BATCH_SIZE}`,
+        [now.toISOString()]
+      );
+
+      for (const delivery of due) {
+        const updated = await this.attemptDelivery(delivery, 'schedule');
+        summary[updated.status === 'pending' ? 'retrying' : updated.status]++;
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Deliver webhooks error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a delivery once and log the attempt
+   * A 2xx response marks the delivery succeeded. A scheduled attempt that fails is
+   * retried after the next backoff interval, or marked failed once they run out;
+   * manual attempts never change the retry schedule.
+   * @param {Object} delivery - webhook_deliveries row
+   * @param {string} triggeredBy - schedule or manual
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attemptDelivery(delivery, triggeredBy) {
+    const endpoint = await this.getEndpoint(delivery.endpoint_id);
+    const attemptedAt = new Date();
+    const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'SubscriptionManager-Webhooks/1.0',
+      'Webhook-Id': delivery.id,
+      'Webhook-Event': delivery.event_type,
+      'Webhook-Signature': signPayload(endpoint.secret, timestamp, delivery.payload)
+    };
+
+    let response = null;
+    let error = null;
+    try {
+      response = await this.send(endpoint.url, delivery.payload, headers, this.timeoutMs);
+    } catch (sendError) {
+      error = sendError.cause?.message || sendError.message;
+    }
+    const succeeded = response !== null && response.status >= 200 && response.status < 300;
+    if (response && !succeeded) {
+      error = `Endpoint responded with HTTP ${response.status}`;
+    }
+
+    await this.db.execute(
+      `INSERT INTO webhook_delivery_attempts
+       (id, delivery_id, triggered_by, attempted_at, response_status, response_body, error, duration_ms, succeeded)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        randomUUID(),
+        delivery.id,
+        triggeredBy,
+        attemptedAt.toISOString(),
+        response ? response.status : null,
+        response ? String(response.body).slice(0, RESPONSE_BODY_LIMIT) : null,
+        error,
+        Date.now() - attemptedAt.getTime(),
+        succeeded ? 1 : 0
+      ]
+    );
+
+    if (succeeded) {
+      await this.db.execute(
+        `UPDATE webhook_deliveries
+         SET status = 'succeeded', next_attempt_at = NULL, last_attempt_at = ?, delivered_at = COALESCE(delivered_at, ?),
+             attempts = attempts + ?
+         WHERE id = ?`,
+        [attemptedAt.toISOString(), attemptedAt.toISOString(), triggeredBy === 'schedule' ? 1 : 0, delivery.id]
+      );
+    } else if (triggeredBy === 'schedule') {
+      const attempts = delivery.attempts + 1;
+      // The first attempt isn't a retry, so after n attempts the nth retry interval applies
+      const retryAfter = this.retryMinutes[attempts - 1];
+      const nextAttemptAt = retryAfter === undefined
+        ? null
+        : new Date(attemptedAt.getTime() + retryAfter * 60 * 1000).toISOString();
+
+      await this.db.execute(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?
+         WHERE id = ?`,
+        [nextAttemptAt ? 'pending' : 'failed', attempts, nextAttemptAt, attemptedAt.toISOString(), delivery.id]
+      );
+    } else {
+      await this.db.execute(
+        'UPDATE webhook_deliveries SET last_attempt_at = ? WHERE id = ?',
+        [attemptedAt.toISOString(), delivery.id]
+      );
+    }
+
+    return await this.getDelivery(delivery.id);
+  }
+
+  /**
+   * Send a delivery again now, whatever its status
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object>} Delivery with its attempts, including the new one
+   */
+  async redeliver(deliveryId) {
+    try {
+      const delivery = await this.getDelivery(deliveryId);
+      await this.attemptDelivery(delivery, 'manual');
+      return await this.getDelivery(deliveryId);
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a delivery with its attempts
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object>} Delivery with attempts, oldest first
+   * @throws {Error} 404 DELIVERY_NOT_FOUND if the delivery doesn't exist
+   */
+  async getDelivery(deliveryId) {
+    const delivery = await this.db.queryOne('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+
+    if (!delivery) {
+      throw createError(`Webhook delivery ${deliveryId} not found`, 404, 'DELIVERY_NOT_FOUND');
+    }
+
+    delivery.attemptLog = await this.db.query(
+      'SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY attempted_at, rowid',
+      [deliveryId]
+    );
+
+    return delivery;
+  }
+
+  /**
+   * List an endpoint's deliveries, newest first
+   * @param {string} endpointId - Endpoint ID
+   * @param {Object} filters - Filters
+   * @param {string} filters.status - Only deliveries with this status (pending, succeeded, failed)
+   * @param {number} filters.limit - Maximum number of deliveries (defaults to 50)
+   * @returns {Promise<Array>} Deliveries with their attempts
+   */
+  async listDeliveries(endpointId, { status = null, limit = 50 } = {}) {
+    try {
+      await this.getEndpoint(endpointId);
+
+      const deliveries = await this.db.query(
+        `SELECT id FROM webhook_deliveries
+         WHERE endpoint_id = ? AND (? IS NULL OR status = ?)
+         ORDER BY created_at DESC, rowid DESC
+         LIMIT ?`,
+        [endpointId, status, status, limit]
+      );
+
+      return await Promise.all(deliveries.map(delivery => this.getDelivery(delivery.id)));
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retry due deliveries in the background
+   * @param {number} intervalMs - Time between runs
+   */
+  start(intervalMs = 30000) {
+    this.stop();
+    this.interval = setInterval(() => {
+      this.dispatch().catch(error => console.error('Scheduled webhook delivery failed:', error));
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the background retries
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Format an endpoint for API responses
+   * The signing secret is only included when asked for, on creation.
+   * @param {Object} endpoint - Endpoint from getEndpoint
+   * @param {Object} options - Format options
+   * @param {boolean} options.includeSecret - Whether to include the signing secret
+   * @returns {Object} Formatted endpoint
+   */
+  formatEndpoint(endpoint, { includeSecret = false } = {}) {
+    return {
+      id: endpoint.id,
+      url: endpoint.url,
+      description: endpoint.description,
+      eventTypes: endpoint.event_types,
+      status: endpoint.status,
+      ...(includeSecret && { secret: endpoint.secret }),
+      createdAt: endpoint.created_at,
+      updatedAt: endpoint.updated_at
+    };
+  }
+
+  /**
+   * Format a delivery for API responses
+   * @param {Object} delivery - Delivery from getDelivery
+   * @returns {Object} Formatted delivery with its attempt log
+   */
+  formatDelivery(delivery) {
+    return {
+      id: delivery.id,
+      endpointId: delivery.endpoint_id,
+      eventId: delivery.event_id,
+      eventType: delivery.event_type,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.next_attempt_at,
+      lastAttemptAt: delivery.last_attempt_at,
+      deliveredAt: delivery.delivered_at,
+      createdAt: delivery.created_at,
+      payload: JSON.parse(delivery.payload),
+      attemptLog: delivery.attemptLog.map(attempt => ({
+        id: attempt.id,
+        triggeredBy: attempt.triggered_by,
+        attemptedAt: attempt.attempted_at,
+        succeeded: attempt.succeeded === 1,
+        responseStatus: attempt.response_status,
+        responseBody: attempt.response_body,
+        error: attempt.error,
+        durationMs: attempt.duration_ms
+      }))
+    };
+  }
+}
+
+export default WebhookManager;
@@ -0,0 +1,278 @@
+import { createError } from './errors.js';
+
+/**
+ * Time zone used when a customer has none set
+ */
+export const DEFAULT_TIME_ZONE = process.env.BILLING_TIME_ZONE || 'UTC';
+
+const NAMED_CYCLES = {
+  daily: { unit: 'day', count: 1 },
+  weekly: { unit: 'day', count: 7 },
+  monthly: { unit: 'month', count: 1 },
+  quarterly: { unit: 'month', count: 3 },
+  yearly: { unit: 'month', count: 12 },
+  annual: { unit: 'month', count: 12 }
+};
+
+const UNIT_MULTIPLIERS = {
+  day: { unit: 'day', factor: 1 },
+  week: { unit: 'day', factor: 7 },
+  month: { unit: 'month', factor: 1 },
+  year: { unit: 'month', factor: 12 }
+};
+
+const formatterCache = new Map();
+
+/**
+ * Parse a plan billing cycle into a unit and count
+ * Supports the named cycles above and custom intervals such as
+ * "every-2-weeks", "every-14-days" or "every-6-months"
+ * @param {string} billingCycle - Plan billing cycle
+ * @returns {{unit: string, count: number}} Cycle length in days or months
+ * @throws {Error} If the billing cycle is not recognised
+ */
+export function parseBillingCycle(billingCycle) {
+  const normalized = String(billingCycle || '').trim().toLowerCase();
+
+  if (NAMED_CYCLES[normalized]) {
+    return NAMED_CYCLES[normalized];
+  }
+
+  const match = normalized.match(/^every-(\d+)-(day|week|month|year)s?$/);
+  if (match && parseInt(match[1]) > 0) {
+    const { unit, factor } = UNIT_MULTIPLIERS[match[2]];
+    return { unit, count: parseInt(match[1]) * factor };
+  }
+
+  throw createError(`Unsupported billing cycle: ${billingCycle}`, 400, 'INVALID_BILLING_CYCLE');
+}
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the time zone is supported
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of a date in a time zone
+ * @param {Date} date - Date to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} year, month (1-12), day, hour, minute, second, millisecond
+ */
+function getZonedParts(date, timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatterCache.get(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getUTCMilliseconds()
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {number} timestamp - Instant in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const p = getZonedParts(new Date(timestamp), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, p.millisecond) - timestamp;
+}
+
+/**
+ * Convert wall-clock parts in a time zone back to a UTC instant
+ * @param {Object} parts - Wall-clock parts as returned by getZonedParts
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} UTC instant
+ */
+function zonedPartsToDate(parts, timeZone) {
+  const wallClock = Date.UTC(
+    parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second, parts.millisecond
+  );
+
+  // Re-check the offset at the candidate instant so DST transitions resolve correctly
+  const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  const secondGuess = wallClock - getTimeZoneOffset(firstGuess, timeZone);
+
+  return new Date(secondGuess);
+}
+
+/**
+ * Number of days in a calendar month
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Add a number of billing cycles to an anchor date
+ * Monthly-based cycles land on the anchor's day of month, clamped to the
+ * last day of shorter months (Jan 31 -> Feb 28 -> Mar 31). Calculations use
+ * the wall clock in the given time zone.
+ * @param {Date|string} anchor - Billing anchor date
+ * @param {string} billingCycle - Plan billing cycle
+ * @param {number} cycles - Number of cycles to add
+ * @param {Object} options - Calendar options
+ * @param {string} options.timeZone - IANA time zone
+ * @returns {Date} Resulting date
+ */
+export function addBillingCycles(anchor, billingCycle, cycles, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const { unit, count } = parseBillingCycle(billingCycle);
+  const parts = getZonedParts(new Date(anchor), timeZone);
+
+  if (unit === 'month') {
+    const monthIndex = parts.year * 12 + (parts.month - 1) + count * cycles;
+    const year = Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const day = Math.min(parts.day, daysInMonth(year, month));
+
+    return zonedPartsToDate({ ...parts, year, month, day }, timeZone);
+  }
+
+  const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + count * cycles));
+  return zonedPartsToDate({
+    ...parts,
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  }, timeZone);
+}
+
+/**
+ * Approximate length of a billing cycle, used to estimate cycle counts
+ * @param {string} billingCycle - Plan billing cycle
+ * @returns {number} Approximate length in milliseconds
+ */
+function approximateCycleMs(billingCycle) {
+  const { unit, count } = parseBillingCycle(billingCycle);
+  const dayMs = 24 * 60 * 60 * 1000;
+  return unit === 'month' ? count * 30.436875 * dayMs : count * dayMs;
+}
+
+/**
+ * Index of the last anniversary at or before a date
+ * @param {Date} anchor - Billing anchor date
+ * @param {string} billingCycle - Plan billing cycle
+ * @param {Date} date - Date to locate
+ * @param {Object} options - Calendar options
+ * @returns {number} Cycle index (0 is the anchor itself)
+ */
+function cycleIndexAt(anchor, billingCycle, date, options) {
+  let index = Math.max(0, Math.floor((date - anchor) / approximateCycleMs(billingCycle)));
+
+  while (index > 0 && addBillingCycles(anchor, billingCycle, index, options) > date) {
+    index--;
+  }
+  while (addBillingCycles(anchor, billingCycle, index + 1, options) <= date) {
+    index++;
+  }
+
+  return index;
+}
+
+/**
+ * Get the first billing date strictly after a given date
+ * @param {Date|string} anchor - Billing anchor date
+ * @param {string} billingCycle - Plan billing cycle
+ * @param {Date|string} after - Reference date (defaults to the anchor)
+ * @param {Object} options - Calendar options
+ * @param {string} options.timeZone - IANA time zone
+ * @returns {Date} Next billing date
+ */
+export function getNextBillingDate(anchor, billingCycle, after = anchor, options = {}) {
+  const anchorDate = new Date(anchor);
+  const afterDate = new Date(after);
+
+  if (afterDate < anchorDate) {
+    return anchorDate;
+  }
+
+  return addBillingCycles(
+    anchorDate,
+    billingCycle,
+    cycleIndexAt(anchorDate, billingCycle, afterDate, options) + 1,
+    options
+  );
+}
+
+/**
+ * Get the last billing date strictly before a given date
+ * Returns the anchor when no earlier billing date exists
+ * @param {Date|string} anchor - Billing anchor date
+ * @param {string} billingCycle - Plan billing cycle
+ * @param {Date|string} before - Reference date
+ * @param {Object} options - Calendar options
+ * @param {string} options.timeZone - IANA time zone
+ * @returns {Date} Previous billing date
+ */
+export function getPreviousBillingDate(anchor, billingCycle, before, options = {}) {
+  const anchorDate = new Date(anchor);
+  const beforeDate = new Date(before);
+
+  if (beforeDate <= anchorDate) {
+    return anchorDate;
+  }
+
+  const index = cycleIndexAt(anchorDate, billingCycle, new Date(beforeDate.getTime() - 1), options);
+  return addBillingCycles(anchorDate, billingCycle, index, options);
+}
+
+/**
+ * Number of billing cycles in a year
+ * @param {string} billingCycle - Plan billing cycle
+ * @returns {number} Cycles per year
+ */
+export function cyclesPerYear(billingCycle) {
+  const { unit, count } = parseBillingCycle(billingCycle);
+  return unit === 'month' ? 12 / count : 365 / count;
+}
+
+/**
+ * Format a billing date for display in a time zone
+ * @param {Date|string} date - Date to format
+ * @param {Object} options - Display options
+ * @param {string} options.timeZone - IANA time zone
+ * @param {string} options.locale - BCP 47 locale (defaults to the runtime locale)
+ * @returns {string} Formatted date
+ */
+export function formatBillingDate(date, { timeZone = DEFAULT_TIME_ZONE, locale } = {}) {
+  if (!date) {
+    return 'N/A';
+  }
+  return new Date(date).toLocaleDateString(locale, { timeZone });
+}
@@ -0,0 +1,44 @@
+/**
+ * Clock backed by the system time
+ */
+export const systemClock = {
+  now: () => new Date()
+};
+
+/**
+ * SimulatedClock reports a time that only moves when told to
+ * Lets billing jobs be run deterministically against any point in time
+ */
+export class SimulatedClock {
+  constructor(start = new Date()) {
+    this.current = new Date(start);
+
+    if (isNaN(this.current.getTime())) {
+      throw new Error(`Invalid simulated clock start: ${start}`);
+    }
+  }
+
+  /**
+   * Get the simulated current time
+   * @returns {Date} Current simulated time
+   */
+  now() {
+    return new Date(this.current);
+  }
+
+  /**
+   * Jump to a specific time
+   * @param {Date|string} date - New simulated time
+   */
+  set(date) {
+    this.current = new Date(date);
+  }
+
+  /**
+   * Move the simulated time forward
+   * @param {number} ms - Milliseconds to advance
+   */
+  advance(ms) {
+    this.current = new Date(this.current.getTime() + ms);
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Create an error carrying an HTTP status and error code
+ * The error handling middleware in server.js uses both when responding
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @returns {Error} Error with status and code properties
+ */
+export function createError(message, status = 500, code = 'INTERNAL_ERROR') {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,346 @@
+import { DEFAULT_TIME_ZONE, formatBillingDate } from './billingCalendar.js';
+import { formatMoney, toMinorUnits } from './money.js';
+
+/**
+ * Name printed at the top of every invoice
+ */
+const ISSUER_NAME = process.env.INVOICE_ISSUER_NAME || 'Subscription Management';
+
+const STATUS_LABELS = {
+  paid: 'Paid',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded'
+};
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/**
+ * Format an amount of money in the invoice's currency and locale
+ * @param {number} amount - Amount in major units, as on the formatted invoice
+ * @param {Object} invoice - Formatted invoice
+ * @returns {string} e.g. "$1,234.50", "-£5.00" or "1.234,50 €"
+ */
+function formatAmount(amount, invoice) {
+  return formatMoney(toMinorUnits(amount, invoice.currency), invoice.currency, invoice.locale);
+}
+
+/**
+ * Total rows shown under the line items
+ * @param {Object} invoice - Formatted invoice
+ * @returns {Array<Object>} label, amount and whether the row is emphasized
+ */
+function getTotalRows(invoice) {
+  const rows = [{ label: 'Subtotal', amount: invoice.subtotal }];
+  if (invoice.discountTotal > 0) {
+    rows.push({ label: 'Discount', amount: -invoice.discountTotal });
+  }
+  // Tax is shown once, here, labelled with its name and rate (e.g. "VAT (20%)")
+  const taxLine = invoice.lineItems.find(item => item.kind === 'tax');
+  rows.push({ label: taxLine ? taxLine.description : 'Tax', amount: invoice.taxTotal });
+  rows.push({ label: 'Total', amount: invoice.total, strong: true });
+  if (invoice.amountRefunded > 0) {
+    rows.push({ label: 'Refunded', amount: -invoice.amountRefunded });
+  }
+  return rows;
+}
+
+/**
+ * Line items listed in the item table
+ * @param {Object} invoice - Formatted invoice
+ * @returns {Array<Object>} Charge and discount lines
+ */
+function getItemRows(invoice) {
+  return invoice.lineItems.filter(item => item.kind !== 'tax');
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an invoice as a printable HTML page
+ * @param {Object} invoice - Formatted invoice (see InvoiceManager.formatInvoice)
+ * @param {Object} options - Render options
+ * @param {string} options.timeZone - IANA time zone for dates
+ * @returns {string} HTML document
+ */
+export function renderInvoiceHtml(invoice, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const formatDate = date => escapeHtml(formatBillingDate(date, { timeZone }));
+
+  const lineRows = getItemRows(invoice).map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${escapeHtml(formatAmount(item.unitAmount, invoice))}</td>
+          <td class="num">${escapeHtml(formatAmount(item.amount, invoice))}</td>
+        </tr>`).join('');
+
+  const totalRows = getTotalRows(invoice).map(row => `
+        <tr${row.strong ? ' class="grand-total"' : ''}>
+          <td colspan="3">${row.label}</td>
+          <td class="num">${escapeHtml(formatAmount(row.amount, invoice))}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 40px auto; padding: 0 24px; }
+    header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #222; padding-bottom: 12px; }
+    h1 { margin: 0; font-size: 24px; }
+    .meta { display: flex; justify-content: space-between; margin: 24px 0; font-size: 14px; line-height: 1.6; }
+    .meta dl { margin: 0; display: grid; grid-template-columns: auto auto; column-gap: 16px; }
+    .meta dt { font-weight: bold; }
+    .meta dd { margin: 0; text-align: right; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th { text-align: left; border-bottom: 1px solid #222; padding: 8px 4px; }
+    td { padding: 8px 4px; border-bottom: 1px solid #eee; }
+    .num { text-align: right; white-space: nowrap; }
+    tfoot td { border-bottom: none; text-align: right; }
+    .grand-total td { font-weight: bold; border-top: 1px solid #222; }
+    .status { display: inline-block; padding: 2px 8px; border-radius: 4px; background: #e6f4ea; color: #1e7e34; font-weight: bold; }
+    footer { margin-top: 32px; font-size: 13px; color: #555; }
+    .actions { margin-top: 24px; }
+    @media print { .actions { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(ISSUER_NAME)}</h1>
+    <h1>INVOICE</h1>
+  </header>
+
+  <section class="meta">
+    <div>
+      <strong>Bill to</strong><br>
+      ${escapeHtml(invoice.customer.name)}<br>
+      ${escapeHtml(invoice.customer.email)}
+    </div>
+    <dl>
+      <dt>Invoice number</dt><dd>${escapeHtml(invoice.invoiceNumber)}</dd>
+      <dt>Invoice date</dt><dd>${formatDate(invoice.issuedAt)}</dd>
+      <dt>Paid on</dt><dd>${formatDate(invoice.paidAt)}</dd>
+      <dt>Status</dt><dd><span class="status">${escapeHtml(STATUS_LABELS[invoice.status] || invoice.status)}</span></dd>
+    </dl>
+  </section>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="num">Qty</th>
+        <th class="num">Unit price</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+    <tfoot>${totalRows}
+    </tfoot>
+  </table>
+
+  <footer>
+    ${invoice.paymentMethod ? `Paid with ${escapeHtml(invoice.paymentMethod)}. ` : ''}Thank you for your business.
+  </footer>
+
+  <div class="actions">
+    <button onclick="window.print()">Print</button>
+    <a href="?format=pdf">Download PDF</a>
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Width of a string in Helvetica
+ * Bold text is measured with the regular metrics, which is close enough for layout
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+function textWidth(text, size) {
+  let width = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    width += HELVETICA_WIDTHS[code - 32] ?? 556;
+  }
+  return width * size / 1000;
+}
+
+/**
+ * Prepare text for a PDF string literal in a standard font
+ * The euro sign and the spacing and minus characters some locales format
+ * amounts with are mapped to WinAnsi; other characters outside Latin-1 are
+ * replaced since the built-in fonts can't show them
+ * @param {string} text - Text to encode
+ * @returns {string} Escaped text
+ */
+function pdfString(text) {
+  return String(text ?? '')
+    .replace(/\u20ac/g, '\x80')
+    .replace(/[\u2009\u202f]/g, ' ')
+    .replace(/\u2212/g, '-')
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+/**
+ * Split text into lines that fit a width
+ * @param {string} text - Text to wrap
+ * @param {number} size - Font size in points
+ * @param {number} maxWidth - Available width in points
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Render an invoice as a single-page PDF
+ * Written directly in PDF syntax with the built-in Helvetica fonts, so no
+ * external service or library is needed.
+ * @param {Object} invoice - Formatted invoice (see InvoiceManager.formatInvoice)
+ * @param {Object} options - Render options
+ * @param {string} options.timeZone - IANA time zone for dates
+ * @returns {Buffer} PDF document
+ */
+export function renderInvoicePdf(invoice, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const formatDate = date => formatBillingDate(date, { timeZone });
+  const ops = [];
+
+  const text = (value, x, y, { size = 10, bold = false, align = 'left' } = {}) => {
+    const str = String(value ?? '');
+    const left = align === 'right' ? x - textWidth(str, size) : x;
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y} Td (${pdfString(str)}) Tj ET`);
+  };
+  const rule = (x1, x2, y, width = 0.5) => {
+    ops.push(`${width} w ${x1} ${y} m ${x2} ${y} l S`);
+  };
+
+  const left = 50;
+  const right = 562;
+
+  text(ISSUER_NAME, left, 730, { size: 18, bold: true });
+  text('INVOICE', right, 730, { size: 18, bold: true, align: 'right' });
+  rule(left, right, 718, 1.5);
+
+  text('Bill to', left, 690, { bold: true });
+  text(invoice.customer.name, left, 676);
+  text(invoice.customer.email, left, 662);
+
+  const meta = [
+    ['Invoice number', invoice.invoiceNumber],
+    ['Invoice date', formatDate(invoice.issuedAt)],
+    ['Paid on', formatDate(invoice.paidAt)],
+    ['Status', STATUS_LABELS[invoice.status] || invoice.status]
+  ];
+  meta.forEach(([label, value], index) => {
+    const y = 690 - index * 14;
+    text(label, 400, y, { bold: true });
+    text(value, right, y, { align: 'right' });
+  });
+
+  // Line item table: description wraps, numbers are right-aligned to their column edge
+  const columns = { quantity: 380, unitAmount: 470, amount: right };
+  let y = 610;
+  text('Description', left, y, { bold: true });
+  text('Qty', columns.quantity, y, { bold: true, align: 'right' });
+  text('Unit price', columns.unitAmount, y, { bold: true, align: 'right' });
+  text('Amount', columns.amount, y, { bold: true, align: 'right' });
+  rule(left, right, y - 6);
+  y -= 22;
+
+  for (const item of getItemRows(invoice)) {
+    const lines = wrapText(item.description, 10, 290);
+    text(item.quantity, columns.quantity, y, { align: 'right' });
+    text(formatAmount(item.unitAmount, invoice), columns.unitAmount, y, { align: 'right' });
+    text(formatAmount(item.amount, invoice), columns.amount, y, { align: 'right' });
+    for (const line of lines) {
+      text(line, left, y);
+      y -= 14;
+    }
+    y -= 6;
+  }
+
+  rule(left, right, y + 8);
+  y -= 8;
+
+  for (const row of getTotalRows(invoice)) {
+    if (row.strong) {
+      rule(400, right, y + 11);
+    }
+    text(row.label, 400, y, { bold: row.strong });
+    text(formatAmount(row.amount, invoice), right, y, { bold: row.strong, align: 'right' });
+    y -= 16;
+  }
+
+  text(
+    `${invoice.paymentMethod ? `Paid with ${invoice.paymentMethod}. ` : ''}Thank you for your business.`,
+    left,
+    Math.min(y - 24, 90),
+    { size: 9 }
+  );
+
+  const content = ops.join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] ' +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${pdfString(`Invoice ${invoice.invoiceNumber}`)}) /Producer (${pdfString(ISSUER_NAME)}) >>`
+  ];
+
+  // Cross-reference offsets must be exact byte positions
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,104 @@
+import { createError } from './errors.js';
+
+/**
+ * Currency used for plans and customers that don't specify one
+ */
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Locale amounts are formatted for when a customer has none set
+ */
+export const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached currency formatter
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} locale - BCP 47 locale
+ * @returns {Intl.NumberFormat} Formatter
+ */
+function getFormatter(currency, locale) {
+  const key = `${locale}|${currency}`;
+  if (!formatterCache.has(key)) {
+    formatterCache.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  }
+  return formatterCache.get(key);
+}
+
+/**
+ * Normalize and validate a currency code
+ * @param {string} currency - ISO 4217 currency code, any case
+ * @returns {string} Upper-case currency code
+ * @throws {Error} 400 INVALID_CURRENCY if the code is not a known currency
+ */
+export function normalizeCurrency(currency) {
+  const code = String(currency || '').trim().toUpperCase();
+
+  if (!SUPPORTED_CURRENCIES.has(code)) {
+    throw createError(`Unsupported currency: ${currency}`, 400, 'INVALID_CURRENCY');
+  }
+
+  return code;
+}
+
+/**
+ * Normalize and validate a locale
+ * @param {string} locale - BCP 47 locale, e.g. en-GB
+ * @returns {string} Canonical locale
+ * @throws {Error} 400 INVALID_LOCALE if the locale is malformed
+ */
+export function normalizeLocale(locale) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(String(locale || '').trim());
+    if (canonical) {
+      return canonical;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw createError(`Invalid locale: ${locale}`, 400, 'INVALID_LOCALE');
+}
+
+/**
+ * Number of decimal places in a currency's minor unit
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} 2 for USD/EUR/GBP, 0 for JPY, 3 for KWD
+ */
+export function getMinorUnitDigits(currency) {
+  return getFormatter(currency, 'en-US').resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Convert a decimal amount to integer minor units
+ * @param {number} amount - Amount in major units, e.g. 9.99
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Amount in minor units, e.g. 999
+ */
+export function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * 10 ** getMinorUnitDigits(currency));
+}
+
+/**
+ * Convert integer minor units to a decimal amount
+ * @param {number} minorUnits - Amount in minor units, e.g. 999
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Amount in major units, e.g. 9.99
+ */
+export function fromMinorUnits(minorUnits, currency) {
+  const digits = getMinorUnitDigits(currency);
+  return Number((minorUnits / 10 ** digits).toFixed(digits));
+}
+
+/**
+ * Format an amount in minor units for display
+ * @param {number} minorUnits - Amount in minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} e.g. "$1,234.50", "1.234,50 €", "¥1,500"
+ */
+export function formatMoney(minorUnits, currency, locale = DEFAULT_LOCALE) {
+  return getFormatter(currency, locale).format(fromMinorUnits(minorUnits, currency));
+}
@@ -0,0 +1,65 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import SimulatedPaymentProvider from './SimulatedPaymentProvider.js';
+
+dotenv.config();
+
+/**
+ * Replay stored payment provider notifications against the payment webhook
+ * Usage: node server/replayPaymentEvents.js <fixture.json>... --charge=sim_ch_...
+ *          [--url=http://localhost:3000/api/webhooks/payments] [--secret=...] [--reverse]
+ * Each fixture holds a list of simulator events. Every "$CHARGE" in a fixture is
+ * replaced with --charge, so the same fixture can be replayed for any charge;
+ * event IDs include it too, so replaying a fixture twice for one charge shows
+ * the repeats being recognised. Events are signed with --secret (defaults to
+ * PAYMENT_WEBHOOK_SECRET) and sent one at a time, in file order or, with
+ * --reverse, backwards to exercise out-of-order handling.
+ */
+async function replayPaymentEvents() {
+  const option = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const files = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const url = option('url') || `http://localhost:${process.env.PORT || 3000}/api/webhooks/payments`;
+  const charge = option('charge');
+  const provider = new SimulatedPaymentProvider({ webhookSecret: option('secret') || process.env.PAYMENT_WEBHOOK_SECRET });
+
+  if (files.length === 0) {
+    console.error('Usage: node server/replayPaymentEvents.js <fixture.json>... --charge=<charge reference> [--url=...] [--secret=...] [--reverse]');
+    process.exit(1);
+  }
+
+  let events = [];
+  for (const file of files) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (text.includes('$CHARGE') && !charge) {
+      throw new Error(`${path.basename(file)} needs --charge=<charge reference>`);
+    }
+    events.push(...JSON.parse(text.replaceAll('$CHARGE', charge)));
+  }
+  if (process.argv.includes('--reverse')) {
+    events = events.reverse();
+  }
+
+  for (const event of events) {
+    const body = JSON.stringify(event);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Webhook-Signature': provider.signWebhookEvent(body)
+      },
+      body
+    });
+    const reply = await response.json().catch(() => ({}));
+
+    const outcome = response.ok
+      ? `${reply.duplicate ? 'duplicate, ' : ''}${reply.event.status}: ${reply.event.result}`
+      : `error: ${reply.message || response.statusText}`;
+    console.log(`${response.status} ${event.type} ${event.id} -> ${outcome}`);
+  }
+}
+
+replayPaymentEvents().catch(error => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
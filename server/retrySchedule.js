@@ -0,0 +1,14 @@
+/**
+ * Parse a comma-separated list of retry offsets, such as DUNNING_RETRY_DAYS
+ * or WEBHOOK_RETRY_MINUTES
+ * Offsets that aren't positive numbers are dropped, and the rest are sorted.
+ * @param {string} value - e.g. "1,3,7"
+ * @returns {Array<number>} Retry offsets, in the unit of the setting
+ */
+export function parseRetrySchedule(value) {
+  return String(value)
+    .split(',')
+    .map(offset => parseFloat(offset.trim()))
+    .filter(offset => !isNaN(offset) && offset > 0)
+    .sort((a, b) => a - b);
+}
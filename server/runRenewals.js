@@ -0,0 +1,101 @@
+import dotenv from 'dotenv';
+import DatabaseManager from './DatabaseManager.js';
+import { initializeSchema } from './schema.js';
+import SubscriptionManager from './SubscriptionManager.js';
+import BillingManager from './BillingManager.js';
+import RenewalRunner from './RenewalRunner.js';
+import DunningManager from './DunningManager.js';
+import CouponManager from './CouponManager.js';
+import InvoiceManager from './InvoiceManager.js';
+import TaxManager from './TaxManager.js';
+import AddonManager from './AddonManager.js';
+import UsageManager from './UsageManager.js';
+import PlanManager from './PlanManager.js';
+import EventLog from './EventLog.js';
+import WebhookManager from './WebhookManager.js';
+import PaymentManager from './PaymentManager.js';
+import { SimulatedClock, systemClock } from './clock.js';
+
+dotenv.config();
+
+const DB_PATH = process.env.DB_PATH || './data/subscriptions.db';
+
+/**
+ * Payment attempt that always fails, for exercising the dunning workflow
+ * @returns {Promise<Object>} Failed payment result
+ */
+async function declineAllPayments() {
+  return { status: 'failed', failureCode: 'card_declined', failureReason: 'Simulated decline' };
+}
+
+/**
+ * Run one renewal pass and exit
+ * Usage: node server/runRenewals.js [--now=2026-12-31T00:00:00Z] [--fail-payments]
+ * Passing --now runs against a simulated clock, catching up every period due by then.
+ * Passing --fail-payments declines every payment attempt in this run.
+ */
+async function runRenewals() {
+  const nowArg = process.argv.find(arg => arg.startsWith('--now='));
+  const clock = nowArg ? new SimulatedClock(nowArg.slice('--now='.length)) : systemClock;
+  const failPayments = process.argv.includes('--fail-payments');
+
+  const db = new DatabaseManager(DB_PATH);
+  await db.initialize();
+  await initializeSchema(db);
+
+  try {
+    const webhookManager = new WebhookManager(db);
+    const eventLog = new EventLog(db, { webhookManager });
+    const billingManager = new BillingManager(db, new InvoiceManager(db), eventLog, new PaymentManager(db));
+    const couponManager = new CouponManager(db, eventLog);
+    const taxManager = new TaxManager(db);
+    const addonManager = new AddonManager(db);
+    const usageManager = new UsageManager(db);
+    const subscriptionManager = new SubscriptionManager(db, billingManager, couponManager, taxManager, addonManager, eventLog);
+    const dunningManager = new DunningManager(db, billingManager, { eventLog });
+    const runner = new RenewalRunner(db, subscriptionManager, billingManager, {
+      clock,
+      dunningManager,
+      couponManager,
+      taxManager,
+      addonManager,
+      usageManager,
+      planManager: new PlanManager(db),
+      eventLog,
+      ...(failPayments && { attemptPayment: declineAllPayments })
+    });
+
+    console.log(`Running renewals as of ${clock.now().toISOString()}${nowArg ? ' (simulated)' : ''}...`);
+    const summary = await runner.runOnce();
+
+    console.log(`✅ Renewal run complete`);
+    console.log(`- ${summary.priceVersionsActivated} scheduled plan price(s) took effect`);
+    console.log(`- ${summary.resumed} subscription(s) resumed`);
+    console.log(`- ${summary.cancelled} subscription(s) cancelled at period end (including lapsed trials)`);
+    console.log(`- ${summary.trialsConverted} trial(s) converted to paid`);
+    console.log(`- ${summary.renewed} subscription(s) renewed`);
+    console.log(`- ${summary.failed} renewal payment(s) failed`);
+    console.log(`- ${summary.settled} earlier payment(s) settled`);
+    console.log(`- ${summary.transactions.length} transaction(s) recorded`);
+    console.log(`- Dunning: ${summary.dunning.retried} retried, ${summary.dunning.recovered} recovered, ` +
+      `${summary.dunning.suspended} suspended, ${summary.dunning.cancelled} cancelled`);
+
+    // Send the run's webhooks before the database closes; failures are retried by the server
+    await webhookManager.dispatch();
+
+    for (const error of summary.errors) {
+      console.log(`- ❌ ${error.subscriptionId}: ${error.message}`);
+    }
+
+    if (summary.errors.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+runRenewals().catch(error => {
+  console.error('Renewal run failed:', error);
+  process.exit(1);
+});
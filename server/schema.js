@@ -9,29 +9,80 @@ export const createTablesSQL = [
     id TEXT PRIMARY KEY,
     name TEXT NOT NULL,
     email TEXT NOT NULL UNIQUE,
+    time_zone TEXT,
+    country TEXT,
+    region TEXT,
+    currency TEXT,
+    locale TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`,
 
-  // Plans table with compressed features
+  // Plans table with compressed features. Prices live in plan_prices.
+  // Plans are archived rather than deleted; subscriptions keep pointing at them.
   `CREATE TABLE IF NOT EXISTS plans (
     id TEXT PRIMARY KEY,
     name TEXT NOT NULL,
     description TEXT,
-    price REAL NOT NULL,
     billing_cycle TEXT NOT NULL,
+    trial_days INTEGER NOT NULL DEFAULT 0,
+    default_currency TEXT NOT NULL DEFAULT 'USD',
     features_compressed BLOB,
+    price_version INTEGER NOT NULL DEFAULT 1,
+    archived_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`,
 
+  // A plan's price in each currency it is sold in, in minor units (cents, pence, yen).
+  // These are the prices of the plan's current version (plans.price_version),
+  // which new subscribers get.
+  `CREATE TABLE IF NOT EXISTS plan_prices (
+    plan_id TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    unit_amount INTEGER NOT NULL CHECK(unit_amount >= 0),
+    PRIMARY KEY (plan_id, currency),
+    FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE CASCADE
+  )`,
+
+  // Every set of prices a plan has been sold at. A price change adds a version
+  // instead of editing one, and each subscription pays the version it is pinned
+  // to (subscriptions.price_version). New subscribers get a version from its
+  // effective_at; versions scheduled for later can be withdrawn until then.
+  `CREATE TABLE IF NOT EXISTS plan_price_versions (
+    plan_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    unit_amount INTEGER NOT NULL CHECK(unit_amount >= 0),
+    effective_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (plan_id, version, currency),
+    FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE CASCADE
+  )`,
+
+  `CREATE TRIGGER IF NOT EXISTS plan_price_versions_no_update
+   BEFORE UPDATE ON plan_price_versions
+   BEGIN
+     SELECT RAISE(ABORT, 'plan price versions cannot be changed; add a new version');
+   END`,
+
   // Subscriptions table
   `CREATE TABLE IF NOT EXISTS subscriptions (
     id TEXT PRIMARY KEY,
     customer_id TEXT NOT NULL,
     plan_id TEXT NOT NULL,
-    status TEXT NOT NULL CHECK(status IN ('active', 'cancelled', 'paused')),
+    status TEXT NOT NULL CHECK(status IN ('trialing', 'active', 'cancelled', 'paused', 'past_due', 'suspended')),
+    currency TEXT NOT NULL DEFAULT 'USD',
     start_date DATETIME NOT NULL,
     end_date DATETIME,
     next_billing_date DATETIME,
+    billing_anchor DATETIME,
+    trial_end DATETIME,
+    cancel_at_period_end INTEGER NOT NULL DEFAULT 0,
+    cancel_requested_at DATETIME,
+    paused_at DATETIME,
+    resume_at DATETIME,
+    price_version INTEGER NOT NULL DEFAULT 1,
+    pending_price_version INTEGER,
+    price_change_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
     FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE RESTRICT
@@ -42,15 +93,62 @@ export const createTablesSQL = [
     id TEXT PRIMARY KEY,
     customer_id TEXT NOT NULL,
     subscription_id TEXT NOT NULL,
-    amount REAL NOT NULL,
-    status TEXT NOT NULL CHECK(status IN ('success', 'failed', 'pending', 'refunded')),
+    amount INTEGER NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    status TEXT NOT NULL CHECK(status IN ('success', 'failed', 'pending', 'refunded', 'disputed')),
     payment_method TEXT,
     transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
     description TEXT,
+    refunded_transaction_id TEXT,
+    refund_reason TEXT,
+    discount_amount INTEGER NOT NULL DEFAULT 0,
+    discount_code TEXT,
+    net_amount INTEGER,
+    tax_amount INTEGER NOT NULL DEFAULT 0,
+    tax_rate REAL,
+    tax_name TEXT,
+    tax_inclusive INTEGER NOT NULL DEFAULT 0,
+    payment_method_id TEXT,
+    gateway_reference TEXT,
+    failure_code TEXT,
     FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
     FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE
   )`,
 
+  // Cards saved with the payment provider. Only the provider's token and
+  // display details are kept; card numbers never reach the database.
+  `CREATE TABLE IF NOT EXISTS payment_methods (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    provider_token TEXT NOT NULL,
+    brand TEXT NOT NULL,
+    last4 TEXT NOT NULL,
+    exp_month INTEGER NOT NULL,
+    exp_year INTEGER NOT NULL,
+    is_default INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+  )`,
+
+  // Customer refund requests awaiting admin review
+  `CREATE TABLE IF NOT EXISTS refund_requests (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    transaction_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('pending', 'approved', 'rejected')),
+    requested_at DATETIME NOT NULL,
+    reviewed_at DATETIME,
+    reviewed_by TEXT,
+    review_note TEXT,
+    refund_transaction_id TEXT,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES billing_history(id) ON DELETE CASCADE
+  )`,
+
   // Indexes for better query performance
   `CREATE INDEX IF NOT EXISTS idx_subscriptions_customer 
    ON subscriptions(customer_id)`,
@@ -64,17 +162,566 @@ export const createTablesSQL = [
   `CREATE INDEX IF NOT EXISTS idx_billing_subscription 
    ON billing_history(subscription_id)`,
 
+  // Dunning cases track a failed renewal through its retries
+  `CREATE TABLE IF NOT EXISTS dunning_cases (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL,
+    customer_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    billing_date DATETIME NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('retrying', 'suspended', 'recovered', 'cancelled')),
+    attempt_count INTEGER NOT NULL DEFAULT 1,
+    next_retry_at DATETIME,
+    cancel_at DATETIME,
+    opened_at DATETIME NOT NULL,
+    closed_at DATETIME,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+  )`,
+
+  // Every dunning step, in order
+  `CREATE TABLE IF NOT EXISTS dunning_events (
+    id TEXT PRIMARY KEY,
+    case_id TEXT NOT NULL,
+    subscription_id TEXT NOT NULL,
+    step TEXT NOT NULL,
+    transaction_id TEXT,
+    details TEXT,
+    created_at DATETIME NOT NULL,
+    FOREIGN KEY (case_id) REFERENCES dunning_cases(id) ON DELETE CASCADE
+  )`,
+
+  // Promo codes. Amount-off coupons are in minor units of their currency.
+  `CREATE TABLE IF NOT EXISTS coupons (
+    id TEXT PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE,
+    description TEXT,
+    discount_type TEXT NOT NULL CHECK(discount_type IN ('percent', 'amount')),
+    discount_value REAL NOT NULL CHECK(discount_value > 0),
+    currency TEXT,
+    duration TEXT NOT NULL CHECK(duration IN ('once', 'repeating', 'forever')),
+    duration_cycles INTEGER,
+    max_redemptions INTEGER,
+    times_redeemed INTEGER NOT NULL DEFAULT 0,
+    expires_at DATETIME,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // A coupon applied to a subscription, with the billing cycles it has discounted
+  `CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id TEXT PRIMARY KEY,
+    coupon_id TEXT NOT NULL,
+    customer_id TEXT NOT NULL,
+    subscription_id TEXT NOT NULL,
+    redeemed_at DATETIME NOT NULL,
+    cycles_used INTEGER NOT NULL DEFAULT 0,
+    ended_at DATETIME,
+    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE
+  )`,
+
+  // Invoices issued for successful charges, numbered in issue order.
+  // Customer details are copied in so an issued invoice never changes.
+  `CREATE TABLE IF NOT EXISTS invoices (
+    id TEXT PRIMARY KEY,
+    invoice_number TEXT NOT NULL UNIQUE,
+    sequence INTEGER NOT NULL UNIQUE,
+    transaction_id TEXT NOT NULL UNIQUE,
+    customer_id TEXT NOT NULL,
+    subscription_id TEXT NOT NULL,
+    customer_name TEXT NOT NULL,
+    customer_email TEXT NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    subtotal INTEGER NOT NULL,
+    discount_total INTEGER NOT NULL DEFAULT 0,
+    tax_total INTEGER NOT NULL DEFAULT 0,
+    total INTEGER NOT NULL,
+    issued_at DATETIME NOT NULL,
+    FOREIGN KEY (transaction_id) REFERENCES billing_history(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS invoice_line_items (
+    id TEXT PRIMARY KEY,
+    invoice_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    kind TEXT NOT NULL CHECK(kind IN ('charge', 'discount', 'tax')),
+    description TEXT NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    unit_amount INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+  )`,
+
+  // Tax rates by billing country, optionally narrowed to a region (state, province).
+  // region is '' for the country-wide rule so each country/region pair is unique.
+  `CREATE TABLE IF NOT EXISTS tax_rules (
+    id TEXT PRIMARY KEY,
+    country TEXT NOT NULL,
+    region TEXT NOT NULL DEFAULT '',
+    name TEXT NOT NULL,
+    rate REAL NOT NULL CHECK(rate >= 0 AND rate < 100),
+    inclusive INTEGER NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(country, region)
+  )`,
+
+  // Add-ons sold on top of a plan, such as extra seats or storage packs.
+  // Plans list the add-ons they allow in their compressed features.
+  `CREATE TABLE IF NOT EXISTS addons (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    unit TEXT NOT NULL DEFAULT 'unit',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // An add-on's monthly price per unit in each currency, in minor units
+  `CREATE TABLE IF NOT EXISTS addon_prices (
+    addon_id TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    unit_amount INTEGER NOT NULL CHECK(unit_amount >= 0),
+    PRIMARY KEY (addon_id, currency),
+    FOREIGN KEY (addon_id) REFERENCES addons(id) ON DELETE CASCADE
+  )`,
+
+  // Add-on quantities on a subscription. The plan itself stays on subscriptions.plan_id.
+  `CREATE TABLE IF NOT EXISTS subscription_items (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL,
+    addon_id TEXT NOT NULL,
+    quantity INTEGER NOT NULL CHECK(quantity > 0),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(subscription_id, addon_id),
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+    FOREIGN KEY (addon_id) REFERENCES addons(id) ON DELETE RESTRICT
+  )`,
+
+  // Metered usage reported for a subscription. event_id is the sender's ID for the
+  // event, so retried reports are only counted once; each customer picks their own
+  // IDs, so they are unique per customer. Usage is billed in arrears on the next
+  // renewal, which sets billed_transaction_id.
+  `CREATE TABLE IF NOT EXISTS usage_records (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    subscription_id TEXT NOT NULL,
+    customer_id TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    quantity INTEGER NOT NULL CHECK(quantity > 0),
+    occurred_at DATETIME NOT NULL,
+    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    billed_transaction_id TEXT,
+    UNIQUE(customer_id, event_id),
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES customers(id),
+    FOREIGN KEY (billed_transaction_id) REFERENCES billing_history(id)
+  )`,
+
+  // Append-only history of subscription state changes and billing actions.
+  // Snapshots and details are JSON; the triggers below reject edits and deletes.
+  `CREATE TABLE IF NOT EXISTS subscription_events (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL,
+    customer_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    actor_type TEXT NOT NULL CHECK(actor_type IN ('customer', 'chat', 'admin', 'scheduler', 'system')),
+    actor_id TEXT,
+    chat_message_id TEXT,
+    before_snapshot TEXT,
+    after_snapshot TEXT,
+    details TEXT,
+    occurred_at DATETIME NOT NULL,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id),
+    FOREIGN KEY (customer_id) REFERENCES customers(id)
+  )`,
+
+  `CREATE TRIGGER IF NOT EXISTS subscription_events_no_update
+   BEFORE UPDATE ON subscription_events
+   BEGIN
+     SELECT RAISE(ABORT, 'subscription_events is append-only');
+   END`,
+
+  `CREATE TRIGGER IF NOT EXISTS subscription_events_no_delete
+   BEFORE DELETE ON subscription_events
+   BEGIN
+     SELECT RAISE(ABORT, 'subscription_events is append-only');
+   END`,
+
+  // Endpoints other services register to be told about subscription events.
+  // event_types is a JSON array of event types, type prefixes (payment.*) or *.
+  `CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    description TEXT,
+    secret TEXT NOT NULL,
+    event_types TEXT NOT NULL DEFAULT '["*"]',
+    status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'disabled')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // One delivery per event per endpoint; payload is the exact JSON body that is signed and sent
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    endpoint_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME,
+    last_attempt_at DATETIME,
+    delivered_at DATETIME,
+    created_at DATETIME NOT NULL,
+    UNIQUE(endpoint_id, event_id),
+    FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE
+  )`,
+
+  // Every request made for a delivery, scheduled retries and manual redeliveries alike
+  `CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+    id TEXT PRIMARY KEY,
+    delivery_id TEXT NOT NULL,
+    triggered_by TEXT NOT NULL CHECK(triggered_by IN ('schedule', 'manual')),
+    attempted_at DATETIME NOT NULL,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER NOT NULL,
+    succeeded INTEGER NOT NULL,
+    FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE
+  )`,
+
+  // Notifications received from the payment provider's webhooks, once per provider event ID
+  `CREATE TABLE IF NOT EXISTS payment_events (
+    id TEXT PRIMARY KEY,
+    provider TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    charge_reference TEXT,
+    occurred_at DATETIME NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('received', 'processed', 'ignored', 'failed')),
+    result TEXT,
+    received_at DATETIME NOT NULL,
+    processed_at DATETIME,
+    UNIQUE(provider, event_id)
+  )`,
+
+  // API keys customers authenticate with; only a SHA-256 hash of each key is kept
+  `CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    name TEXT,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+  )`,
+
+  // Support agents; each signs in with their own API key, kept only as a SHA-256 hash
+  `CREATE TABLE IF NOT EXISTS agents (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    disabled_at DATETIME
+  )`,
+
+  // Internal notes support staff keep on a customer; never shown to the customer
+  `CREATE TABLE IF NOT EXISTS customer_notes (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    agent_id TEXT,
+    body TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES agents(id)
+  )`,
+
+  // Audit log of what staff did; agent_id is null for the ADMIN_API_KEY
+  `CREATE TABLE IF NOT EXISTS admin_actions (
+    id TEXT PRIMARY KEY,
+    agent_id TEXT,
+    action TEXT NOT NULL,
+    customer_id TEXT,
+    target_id TEXT,
+    details TEXT,
+    chat_message_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (agent_id) REFERENCES agents(id)
+  )`,
+
   `CREATE INDEX IF NOT EXISTS idx_billing_date 
-   ON billing_history(transaction_date DESC)`
+   ON billing_history(transaction_date DESC)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_billing_refunded_transaction 
+   ON billing_history(refunded_transaction_id)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_refund_requests_status 
+   ON refund_requests(status)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_dunning_cases_subscription 
+   ON dunning_cases(subscription_id)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_dunning_cases_status 
+   ON dunning_cases(status)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_dunning_events_case 
+   ON dunning_events(case_id)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_subscription 
+   ON coupon_redemptions(subscription_id)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_customer 
+   ON coupon_redemptions(customer_id, coupon_id)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_invoices_customer 
+   ON invoices(customer_id)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice 
+   ON invoice_line_items(invoice_id, position)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_usage_records_subscription 
+   ON usage_records(subscription_id, metric, occurred_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_subscription_events_subscription 
+   ON subscription_events(subscription_id, occurred_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_payment_methods_customer 
+   ON payment_methods(customer_id)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_billing_pending 
+   ON billing_history(status, gateway_reference)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due 
+   ON webhook_deliveries(status, next_attempt_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint 
+   ON webhook_deliveries(endpoint_id, created_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery 
+   ON webhook_delivery_attempts(delivery_id, attempted_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_payment_events_charge 
+   ON payment_events(charge_reference, occurred_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_payment_events_status 
+   ON payment_events(status, received_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_api_keys_customer 
+   ON api_keys(customer_id)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_customer_notes_customer 
+   ON customer_notes(customer_id, created_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_admin_actions_agent 
+   ON admin_actions(agent_id, created_at)`,
+
+  `CREATE INDEX IF NOT EXISTS idx_admin_actions_customer 
+   ON admin_actions(customer_id, created_at)`
+];
+
+/**
+ * Columns added after the initial schema
+ * Applied to existing databases that were created before the column existed.
+ * A backfill runs only when the column is added, to bring existing rows in line.
+ */
+export const columnMigrations = [
+  { table: 'subscriptions', column: 'paused_at', definition: 'DATETIME' },
+  { table: 'subscriptions', column: 'resume_at', definition: 'DATETIME' },
+  { table: 'subscriptions', column: 'billing_anchor', definition: 'DATETIME' },
+  { table: 'subscriptions', column: 'cancel_at_period_end', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'subscriptions', column: 'cancel_requested_at', definition: 'DATETIME' },
+  { table: 'subscriptions', column: 'trial_end', definition: 'DATETIME' },
+  { table: 'plans', column: 'trial_days', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'plans', column: 'archived_at', definition: 'DATETIME' },
+  { table: 'subscriptions', column: 'price_version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+  { table: 'subscriptions', column: 'pending_price_version', definition: 'INTEGER' },
+  { table: 'subscriptions', column: 'price_change_at', definition: 'DATETIME' },
+  // Existing prices become version 1 once plan_prices is filled (see dataBackfills)
+  { table: 'plans', column: 'price_version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+  { table: 'customers', column: 'time_zone', definition: 'TEXT' },
+  { table: 'customers', column: 'country', definition: 'TEXT' },
+  { table: 'customers', column: 'region', definition: 'TEXT' },
+  { table: 'customers', column: 'currency', definition: 'TEXT' },
+  { table: 'customers', column: 'locale', definition: 'TEXT' },
+  { table: 'subscriptions', column: 'currency', definition: "TEXT NOT NULL DEFAULT 'USD'" },
+  { table: 'billing_history', column: 'refunded_transaction_id', definition: 'TEXT' },
+  { table: 'billing_history', column: 'refund_reason', definition: 'TEXT' },
+  { table: 'billing_history', column: 'discount_amount', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'billing_history', column: 'discount_code', definition: 'TEXT' },
+  { table: 'billing_history', column: 'net_amount', definition: 'INTEGER' },
+  { table: 'billing_history', column: 'tax_amount', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'billing_history', column: 'tax_rate', definition: 'REAL' },
+  { table: 'billing_history', column: 'tax_name', definition: 'TEXT' },
+  { table: 'billing_history', column: 'tax_inclusive', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'billing_history', column: 'payment_method_id', definition: 'TEXT' },
+  { table: 'billing_history', column: 'gateway_reference', definition: 'TEXT' },
+  { table: 'billing_history', column: 'failure_code', definition: 'TEXT' },
+
+  // Amounts were stored as REAL dollars before currencies were introduced
+  {
+    table: 'billing_history',
+    column: 'currency',
+    definition: "TEXT NOT NULL DEFAULT 'USD'",
+    backfill: [
+      `UPDATE billing_history SET amount = ROUND(amount * 100), discount_amount = ROUND(discount_amount * 100),
+       net_amount = ROUND(net_amount * 100), tax_amount = ROUND(tax_amount * 100)`
+    ]
+  },
+  {
+    table: 'refund_requests',
+    column: 'currency',
+    definition: "TEXT NOT NULL DEFAULT 'USD'",
+    backfill: ['UPDATE refund_requests SET amount = ROUND(amount * 100)']
+  },
+  {
+    table: 'dunning_cases',
+    column: 'currency',
+    definition: "TEXT NOT NULL DEFAULT 'USD'",
+    backfill: ['UPDATE dunning_cases SET amount = ROUND(amount * 100)']
+  },
+  {
+    table: 'coupons',
+    column: 'currency',
+    definition: 'TEXT',
+    backfill: ["UPDATE coupons SET currency = 'USD', discount_value = ROUND(discount_value * 100) WHERE discount_type = 'amount'"]
+  },
+  {
+    table: 'invoices',
+    column: 'currency',
+    definition: "TEXT NOT NULL DEFAULT 'USD'",
+    backfill: [
+      `UPDATE invoices SET subtotal = ROUND(subtotal * 100), discount_total = ROUND(discount_total * 100),
+       tax_total = ROUND(tax_total * 100), total = ROUND(total * 100)`,
+      'UPDATE invoice_line_items SET unit_amount = ROUND(unit_amount * 100), amount = ROUND(amount * 100)'
+    ]
+  }
+];
+
+/**
+ * Add any missing columns to existing tables
+ * @param {DatabaseManager} db - Database manager instance
+ */
+async function applyColumnMigrations(db) {
+  for (const { table, column, definition, backfill = [] } of columnMigrations) {
+    const columns = await db.query(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      for (const sql of backfill) {
+        await db.execute(sql);
+      }
+    }
+  }
+}
+
+/**
+ * Tables whose constraints or columns changed after the initial schema
+ * SQLite cannot alter a constraint or drop a NOT NULL column in place, so a
+ * table whose stored definition lacks the marker is rebuilt from its current
+ * definition. Statements in before run first, while the old columns still exist.
+ */
+export const tableRebuilds = [
+  { table: 'subscriptions', marker: "'trialing'" },
+  { table: 'billing_history', marker: "'disputed'" },
+  { table: 'usage_records', marker: 'UNIQUE(customer_id, event_id)' },
+  {
+    table: 'plans',
+    marker: 'default_currency',
+    before: [
+      `INSERT OR IGNORE INTO plan_prices (plan_id, currency, unit_amount)
+       SELECT id, 'USD', ROUND(price * 100) FROM plans`
+    ]
+  }
+];
+
+/**
+ * Rebuild tables created with an outdated definition, keeping their rows
+ * Follows the SQLite procedure for schema changes ALTER TABLE can't make
+ * @param {DatabaseManager} db - Database manager instance
+ */
+async function applyTableRebuilds(db) {
+  for (const { table, marker, before = [] } of tableRebuilds) {
+    const existing = await db.queryOne(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [table]
+    );
+    if (!existing || existing.sql.includes(marker)) {
+      continue;
+    }
+
+    const createSQL = createTablesSQL.find(sql => sql.includes(`CREATE TABLE IF NOT EXISTS ${table} (`));
+    const oldColumns = (await db.query(`PRAGMA table_info(${table})`)).map(c => c.name);
+
+    await db.execute('PRAGMA foreign_keys = OFF');
+    try {
+      await db.execute('BEGIN TRANSACTION');
+      for (const sql of before) {
+        await db.execute(sql);
+      }
+      await db.execute(createSQL.replace(`CREATE TABLE IF NOT EXISTS ${table} (`, `CREATE TABLE ${table}_rebuild (`));
+
+      const newColumns = (await db.query(`PRAGMA table_info(${table}_rebuild)`)).map(c => c.name);
+      const columns = newColumns.filter(c => oldColumns.includes(c)).join(', ');
+
+      await db.execute(`INSERT INTO ${table}_rebuild (${columns}) SELECT ${columns} FROM ${table}`);
+      await db.execute(`DROP TABLE ${table}`);
+      await db.execute(`ALTER TABLE ${table}_rebuild RENAME TO ${table}`);
+      await db.execute('COMMIT');
+    } catch (error) {
+      await db.execute('ROLLBACK');
+      throw error;
+    } finally {
+      await db.execute('PRAGMA foreign_keys = ON');
+    }
+  }
+}
+
+/**
+ * Rows derived from other tables, filled in after every column migration and rebuild
+ * A column backfill can't do this when the rows it reads are only written by a
+ * rebuild (plan_prices is filled from plans.price when plans is rebuilt). Each
+ * statement only fills in what is missing, so it is safe to run on every start
+ * and repairs databases that were upgraded without it.
+ */
+export const dataBackfills = [
+  // Prices from before versioning become each plan's version 1, which existing subscriptions pay
+  `INSERT OR IGNORE INTO plan_price_versions (plan_id, version, currency, unit_amount, effective_at)
+   SELECT pp.plan_id, 1, pp.currency, pp.unit_amount, strftime('%Y-%m-%dT%H:%M:%fZ', COALESCE(p.created_at, 'now'))
+   FROM plan_prices pp JOIN plans p ON p.id = pp.plan_id
+   WHERE NOT EXISTS (SELECT 1 FROM plan_price_versions v WHERE v.plan_id = pp.plan_id)`
 ];
 
 /**
  * Initialize database schema
+ * Tables are created and migrated before indexes, so indexes on newer columns
+ * can be created on databases that predate them. Data backfills run once every
+ * table has its current shape.
  * @param {DatabaseManager} db - Database manager instance
  */
 export async function initializeSchema(db) {
   try {
-    for (const sql of createTablesSQL) {
+    const isIndex = sql => sql.trim().startsWith('CREATE INDEX');
+
+    for (const sql of createTablesSQL.filter(sql => !isIndex(sql))) {
+      await db.execute(sql);
+    }
+    await applyColumnMigrations(db);
+    await applyTableRebuilds(db);
+    for (const sql of dataBackfills) {
+      await db.execute(sql);
+    }
+    for (const sql of createTablesSQL.filter(isIndex)) {
       await db.execute(sql);
     }
     console.log('Database schema initialized successfully');
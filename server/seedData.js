@@ -2,6 +2,11 @@ import dotenv from 'dotenv';
 import DatabaseManager from './DatabaseManager.js';
 import { initializeSchema } from './schema.js';
 import { compressPlanFeaturesSync } from './compression.js';
+import InvoiceManager from './InvoiceManager.js';
+import TaxManager from './TaxManager.js';
+import SimulatedPaymentProvider from './SimulatedPaymentProvider.js';
+import AuthManager from './AuthManager.js';
+import { DEFAULT_TIME_ZONE, addBillingCycles, getNextBillingDate } from './billingCalendar.js';
 import { randomUUID } from 'crypto';
 
 dotenv.config();
@@ -18,71 +23,136 @@ async function seedDatabase() {
   try {
     // Create sample customers
     const customers = [
-      { id: 'customer-1', name: 'Alice Johnson', email: 'alice@example.com' },
-      { id: 'customer-2', name: 'Bob Smith', email: 'bob@example.com' },
-      { id: 'customer-3', name: 'Carol Williams', email: 'carol@example.com' }
+      { id: 'customer-1', name: 'Alice Johnson', email: 'alice@example.com', time_zone: 'America/New_York', country: 'US', region: 'NY', currency: 'USD', locale: 'en-US' },
+      { id: 'customer-2', name: 'Bob Smith', email: 'bob@example.com', time_zone: 'Europe/London', country: 'GB', region: null, currency: 'GBP', locale: 'en-GB' },
+      { id: 'customer-3', name: 'Carol Williams', email: 'carol@example.com', time_zone: null, country: null, region: null, currency: 'EUR', locale: 'de-DE' }
     ];
 
     console.log('Creating customers...');
     for (const customer of customers) {
       await db.execute(
-        'INSERT OR REPLACE INTO customers (id, name, email) VALUES (?, ?, ?)',
-        [customer.id, customer.name, customer.email]
+        'INSERT OR REPLACE INTO customers (id, name, email, time_zone, country, region, currency, locale) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [customer.id, customer.name, customer.email, customer.time_zone, customer.country, customer.region, customer.currency, customer.locale]
       );
     }
 
-    // Create sample plans with compressed features
+    // Save a simulator test card for each customer as their default payment method
+    console.log('Saving payment methods...');
+    const paymentProvider = new SimulatedPaymentProvider();
+    const cards = [
+      { id: 'pm-1', customer_id: 'customer-1', cardNumber: '4242424242424242' },
+      { id: 'pm-2', customer_id: 'customer-2', cardNumber: '5555555555554444' },
+      { id: 'pm-3', customer_id: 'customer-3', cardNumber: '4242424242424242' }
+    ];
+    for (const card of cards) {
+      const saved = await paymentProvider.createPaymentMethod({ cardNumber: card.cardNumber, expMonth: 12, expYear: new Date().getUTCFullYear() + 3 });
+      card.label = `${saved.brand} •••• ${saved.last4}`;
+      await db.execute(
+        'INSERT OR REPLACE INTO payment_methods (id, customer_id, provider, provider_token, brand, last4, exp_month, exp_year, is_default) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)',
+        [card.id, card.customer_id, paymentProvider.name, saved.token, saved.brand, saved.last4, saved.expMonth, saved.expYear]
+      );
+    }
+
+    // Issue each customer a fresh API key to sign in to the chat with
+    console.log('Issuing API keys...');
+    const authManager = new AuthManager(db);
+    for (const customer of customers) {
+      await db.execute('DELETE FROM api_keys WHERE customer_id = ?', [customer.id]);
+      customer.apiKey = (await authManager.createApiKey(customer.id, { name: 'Demo key' })).key;
+    }
+
+    // Create a demo support agent, or give the existing one a fresh key
+    const existingAgent = await db.queryOne('SELECT id FROM agents WHERE email = ?', ['sam@example.com']);
+    const agent = existingAgent
+      ? await authManager.resetAgentKey(existingAgent.id)
+      : await authManager.createAgent({ name: 'Sam Support', email: 'sam@example.com' });
+
+    // Create sample tax rules: VAT/GST included in prices, US and Canadian sales tax added on top
+    const taxManager = new TaxManager(db);
+    const taxRules = [
+      { country: 'GB', name: 'VAT', rate: 20, inclusive: true },
+      { country: 'DE', name: 'VAT', rate: 19, inclusive: true },
+      { country: 'AU', name: 'GST', rate: 10, inclusive: true },
+      { country: 'CA', name: 'GST', rate: 5, inclusive: false },
+      { country: 'US', region: 'NY', name: 'Sales tax', rate: 8.875, inclusive: false },
+      { country: 'US', region: 'CA', name: 'Sales tax', rate: 7.25, inclusive: false }
+    ];
+
+    console.log('Creating tax rules...');
+    for (const rule of taxRules) {
+      await taxManager.saveTaxRule(rule);
+    }
+
+    // Create sample plans with compressed features, priced in minor units per currency.
+    // Metered API calls have a quota per billing period; overage is priced per 1,000 calls.
     const plans = [
       {
         id: 'basic',
         name: 'Basic Plan',
         description: 'Perfect for individuals getting started',
-        price: 9.99,
+        prices: { USD: 999, EUR: 999, GBP: 899, JPY: 1500 },
         billing_cycle: 'monthly',
+        trial_days: 14,
         features: {
           storage: '10GB',
           users: 1,
           support: 'Email',
-          features: ['Basic analytics', 'Mobile app access', 'Email support']
+          features: ['Basic analytics', 'Mobile app access', 'Email support'],
+          addons: ['storage-pack']
         }
       },
       {
         id: 'pro',
         name: 'Pro Plan',
         description: 'For professionals who need more power',
-        price: 29.99,
+        prices: { USD: 2999, EUR: 2799, GBP: 2499, JPY: 4500 },
         billing_cycle: 'monthly',
+        trial_days: 14,
         features: {
           storage: '100GB',
           users: 5,
           support: 'Priority email & chat',
-          features: ['Advanced analytics', 'API access', 'Priority support', 'Custom integrations']
+          features: ['Advanced analytics', 'API access', 'Priority support', 'Custom integrations'],
+          addons: ['seat', 'storage-pack'],
+          metered: {
+            api_calls: { name: 'API calls', included: 50000, packageSize: 1000, prices: { USD: 100, EUR: 100, GBP: 80, JPY: 150 } }
+          }
         }
       },
       {
         id: 'enterprise',
         name: 'Enterprise Plan',
         description: 'For large teams with advanced needs',
-        price: 99.99,
+        prices: { USD: 9999, EUR: 9499, GBP: 8499, JPY: 15000 },
         billing_cycle: 'monthly',
+        trial_days: 30,
         features: {
           storage: 'Unlimited',
           users: 'Unlimited',
           support: '24/7 phone & chat',
-          features: ['Enterprise analytics', 'Dedicated account manager', 'Custom SLA', 'Advanced security', 'SSO integration']
+          features: ['Enterprise analytics', 'Dedicated account manager', 'Custom SLA', 'Advanced security', 'SSO integration'],
+          addons: [],
+          metered: {
+            api_calls: { name: 'API calls', included: null }
+          }
         }
       },
       {
         id: 'yearly-pro',
         name: 'Pro Plan (Yearly)',
         description: 'Pro plan with annual billing - save 20%',
-        price: 287.88,
+        prices: { USD: 28788, EUR: 26868, GBP: 23988 },
         billing_cycle: 'yearly',
+        trial_days: 0,
         features: {
           storage: '100GB',
           users: 5,
           support: 'Priority email & chat',
-          features: ['Advanced analytics', 'API access', 'Priority support', 'Custom integrations', '20% discount']
+          features: ['Advanced analytics', 'API access', 'Priority support', 'Custom integrations', '20% discount'],
+          addons: ['seat', 'storage-pack'],
+          metered: {
+            api_calls: { name: 'API calls', included: 600000, packageSize: 1000, prices: { USD: 100, EUR: 100, GBP: 80, JPY: 150 } }
+          }
         }
       }
     ];
@@ -91,77 +161,250 @@ async function seedDatabase() {
     for (const plan of plans) {
       const compressed = compressPlanFeaturesSync(plan.features);
       await db.execute(
-        'INSERT OR REPLACE INTO plans (id, name, description, price, billing_cycle, features_compressed) VALUES (?, ?, ?, ?, ?, ?)',
-        [plan.id, plan.name, plan.description, plan.price, plan.billing_cycle, compressed]
+        'INSERT OR REPLACE INTO plans (id, name, description, billing_cycle, trial_days, default_currency, features_compressed) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [plan.id, plan.name, plan.description, plan.billing_cycle, plan.trial_days, 'USD', compressed]
+      );
+      // Every sample plan is on its first price version, in effect since before any subscription started
+      for (const [currency, unitAmount] of Object.entries(plan.prices)) {
+        await db.execute(
+          'INSERT OR REPLACE INTO plan_prices (plan_id, currency, unit_amount) VALUES (?, ?, ?)',
+          [plan.id, currency, unitAmount]
+        );
+        await db.execute(
+          'INSERT OR REPLACE INTO plan_price_versions (plan_id, version, currency, unit_amount, effective_at) VALUES (?, 1, ?, ?, ?)',
+          [plan.id, currency, unitAmount, new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString()]
+        );
+      }
+    }
+
+    // Create add-ons, priced per unit per month in minor units per currency
+    const addons = [
+      {
+        id: 'seat',
+        name: 'Extra seat',
+        description: 'One more user on top of the seats included in the plan',
+        unit: 'seat',
+        prices: { USD: 500, EUR: 500, GBP: 400, JPY: 750 }
+      },
+      {
+        id: 'storage-pack',
+        name: 'Storage pack',
+        description: '100GB of extra storage',
+        unit: 'pack',
+        prices: { USD: 299, EUR: 299, GBP: 249, JPY: 450 }
+      }
+    ];
+
+    console.log('Creating add-ons...');
+    for (const addon of addons) {
+      await db.execute(
+        'INSERT OR REPLACE INTO addons (id, name, description, unit) VALUES (?, ?, ?, ?)',
+        [addon.id, addon.name, addon.description, addon.unit]
+      );
+      for (const [currency, unitAmount] of Object.entries(addon.prices)) {
+        await db.execute(
+          'INSERT OR REPLACE INTO addon_prices (addon_id, currency, unit_amount) VALUES (?, ?, ?)',
+          [addon.id, currency, unitAmount]
+        );
+      }
+    }
+
+    // Create sample promo codes
+    const coupons = [
+      {
+        id: 'coupon-welcome10',
+        code: 'WELCOME10',
+        description: '10% off your first payment',
+        discount_type: 'percent',
+        discount_value: 10,
+        duration: 'once',
+        duration_cycles: null,
+        max_redemptions: null,
+        expires_at: null
+      },
+      {
+        id: 'coupon-save20',
+        code: 'SAVE20',
+        description: '20% off for three months',
+        discount_type: 'percent',
+        discount_value: 20,
+        duration: 'repeating',
+        duration_cycles: 3,
+        max_redemptions: 100,
+        expires_at: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString()
+      },
+      {
+        id: 'coupon-loyal5',
+        code: 'LOYAL5',
+        description: '$5 off every payment',
+        discount_type: 'amount',
+        discount_value: 500,
+        currency: 'USD',
+        duration: 'forever',
+        duration_cycles: null,
+        max_redemptions: 10,
+        expires_at: null
+      }
+    ];
+
+    console.log('Creating coupons...');
+    for (const coupon of coupons) {
+      await db.execute(
+        'INSERT OR REPLACE INTO coupons (id, code, description, discount_type, discount_value, currency, duration, duration_cycles, max_redemptions, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [coupon.id, coupon.code, coupon.description, coupon.discount_type, coupon.discount_value, coupon.currency || null, coupon.duration, coupon.duration_cycles, coupon.max_redemptions, coupon.expires_at]
       );
     }
 
     // Create sample subscriptions
+    const now = new Date();
     const subscriptions = [
       {
         id: randomUUID(),
         customer_id: 'customer-1',
         plan_id: 'basic',
         status: 'active',
-        start_date: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
-        next_billing_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+        start_date: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString()
       },
       {
         id: randomUUID(),
         customer_id: 'customer-2',
         plan_id: 'pro',
         status: 'active',
-        start_date: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString(),
-        next_billing_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+        start_date: new Date(now.getTime() - 60 * 24 * 60 * 60 * 1000).toISOString(),
+        usage: { api_calls: 62000 }
       },
       {
         id: randomUUID(),
         customer_id: 'customer-2',
         plan_id: 'basic',
         status: 'active',
-        start_date: new Date(Date.now() - 45 * 24 * 60 * 60 * 1000).toISOString(),
-        next_billing_date: new Date(Date.now() + 15 * 24 * 60 * 60 * 1000).toISOString()
+        start_date: new Date(now.getTime() - 45 * 24 * 60 * 60 * 1000).toISOString()
+      },
+      {
+        id: randomUUID(),
+        customer_id: 'customer-3',
+        plan_id: 'pro',
+        status: 'trialing',
+        start_date: new Date(now.getTime() - 5 * 24 * 60 * 60 * 1000).toISOString(),
+        items: { seat: 2 },
+        usage: { api_calls: 8000 }
       }
     ];
 
+    // Billing dates follow each plan's cycle in the customer's time zone.
+    // Trials are billed first when they end and renew from that date.
+    // Subscriptions are billed in the customer's currency.
+    for (const sub of subscriptions) {
+      const plan = plans.find(p => p.id === sub.plan_id);
+      const customer = customers.find(c => c.id === sub.customer_id);
+      sub.currency = customer.currency;
+      sub.time_zone = customer.time_zone || DEFAULT_TIME_ZONE;
+      sub.trial_end = sub.status === 'trialing'
+        ? addBillingCycles(sub.start_date, 'daily', plan.trial_days, { timeZone: sub.time_zone }).toISOString()
+        : null;
+      sub.billing_anchor = sub.trial_end || sub.start_date;
+      sub.next_billing_date = getNextBillingDate(
+        sub.billing_anchor,
+        plan.billing_cycle,
+        now,
+        { timeZone: sub.time_zone }
+      ).toISOString();
+    }
+
     console.log('Creating subscriptions...');
     for (const sub of subscriptions) {
       await db.execute(
-        'INSERT OR REPLACE INTO subscriptions (id, customer_id, plan_id, status, start_date, next_billing_date) VALUES (?, ?, ?, ?, ?, ?)',
-        [sub.id, sub.customer_id, sub.plan_id, sub.status, sub.start_date, sub.next_billing_date]
+        'INSERT OR REPLACE INTO subscriptions (id, customer_id, plan_id, status, currency, start_date, next_billing_date, billing_anchor, trial_end) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [sub.id, sub.customer_id, sub.plan_id, sub.status, sub.currency, sub.start_date, sub.next_billing_date, sub.billing_anchor, sub.trial_end]
       );
+      for (const [addonId, quantity] of Object.entries(sub.items || {})) {
+        await db.execute(
+          'INSERT INTO subscription_items (id, subscription_id, addon_id, quantity) VALUES (?, ?, ?, ?)',
+          [randomUUID(), sub.id, addonId, quantity]
+        );
+      }
     }
 
     // Create sample billing history
     console.log('Creating billing history...');
+    const payments = [];
     for (const sub of subscriptions) {
       const plan = plans.find(p => p.id === sub.plan_id);
-      
-      // Create 3 months of billing history
-      for (let i = 0; i < 3; i++) {
-        const transactionDate = new Date(Date.now() - (i * 30 + 5) * 24 * 60 * 60 * 1000).toISOString();
+
+      // One payment on each billing date from the anchor up to now (none yet for trials)
+      for (let cycle = 0; ; cycle++) {
+        const billingDate = addBillingCycles(sub.billing_anchor, plan.billing_cycle, cycle, { timeZone: sub.time_zone });
+        if (billingDate > now) {
+          break;
+        }
+
+        const transactionId = randomUUID();
+        const card = cards.find(c => c.customer_id === sub.customer_id);
+        const tax = await taxManager.calculateCustomerTax(sub.customer_id, plan.prices[sub.currency]);
         await db.execute(
-          'INSERT INTO billing_history (id, customer_id, subscription_id, amount, status, payment_method, transaction_date, description) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          'INSERT INTO billing_history (id, customer_id, subscription_id, amount, currency, status, payment_method, payment_method_id, transaction_date, description, net_amount, tax_amount, tax_rate, tax_name, tax_inclusive) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
           [
-            randomUUID(),
+            transactionId,
             sub.customer_id,
             sub.id,
-            plan.price,
+            tax.grossAmount,
+            sub.currency,
             'success',
-            'Credit Card',
-            transactionDate,
-            `Payment for ${plan.name}`
+            card.label,
+            card.id,
+            billingDate.toISOString(),
+            `Payment for ${plan.name}`,
+            tax.netAmount,
+            tax.taxAmount,
+            tax.rate,
+            tax.name,
+            tax.inclusive ? 1 : 0
           ]
         );
+        payments.push({ id: transactionId, date: billingDate });
+        sub.period_start = billingDate;
+      }
+    }
+
+    // Create sample metered usage, reported in four events over the current period
+    console.log('Recording usage...');
+    for (const sub of subscriptions) {
+      const periodStart = new Date(sub.period_start || sub.start_date);
+      for (const [metric, quantity] of Object.entries(sub.usage || {})) {
+        for (let event = 1; event <= 4; event++) {
+          const occurredAt = new Date(periodStart.getTime() + (now - periodStart) * event / 5);
+          await db.execute(
+            'INSERT INTO usage_records (id, event_id, subscription_id, customer_id, metric, quantity, occurred_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [randomUUID(), `seed-${sub.id}-${metric}-${event}`, sub.id, sub.customer_id, metric, quantity / 4, occurredAt.toISOString()]
+          );
+        }
       }
     }
 
+    // Invoice past payments in date order so invoice numbers follow the payments
+    console.log('Issuing invoices...');
+    const invoiceManager = new InvoiceManager(db);
+    payments.sort((a, b) => a.date - b.date);
+    for (const payment of payments) {
+      await invoiceManager.issueInvoice(payment.id, payment.date);
+    }
+
     console.log('✅ Database seeded successfully!');
     console.log('\nSample data created:');
-    console.log('- 3 customers');
-    console.log('- 4 plans (Basic, Pro, Enterprise, Yearly Pro)');
-    console.log('- 3 active subscriptions');
-    console.log('- 9 billing transactions');
+    console.log('- 3 customers, each with a simulator test card on file');
+    console.log('- 4 plans (Basic, Pro, Enterprise, Yearly Pro) priced in USD, EUR, GBP and JPY');
+    console.log('- 2 add-ons (Extra seat, Storage pack)');
+    console.log('- 3 coupons (WELCOME10, SAVE20, LOYAL5)');
+    console.log('- Metered API call usage (customer-2 is over the Pro quota this period)');
+    console.log(`- ${taxRules.length} tax rules (customer-1 pays NY sales tax, customer-2 pays UK VAT)`);
+    console.log('- customer-1 billed in USD, customer-2 in GBP, customer-3 in EUR');
+    console.log('- 3 active subscriptions, 1 on a free trial with 2 extra seats');
+    console.log(`- ${payments.length} billing transactions, each with an invoice`);
+    console.log('\nAPI keys (shown only now; sign in to the chat with one):');
+    for (const customer of customers) {
+      console.log(`- ${customer.id} (${customer.name}): ${customer.apiKey}`);
+    }
+    console.log(`- Support agent ${agent.name} (agent mode): ${agent.key}`);
 
   } catch (error) {
     console.error('Error seeding database:', error);
@@ -4,6 +4,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { randomUUID } from 'crypto';
 
 import DatabaseManager from './DatabaseManager.js';
 import { initializeSchema } from './schema.js';
@@ -12,6 +13,25 @@ import LLMService from './LLMService.js';
 import SubscriptionManager from './SubscriptionManager.js';
 import BillingManager from './BillingManager.js';
 import RecommendationEngine from './RecommendationEngine.js';
+import RenewalRunner from './RenewalRunner.js';
+import DunningManager from './DunningManager.js';
+import CouponManager from './CouponManager.js';
+import InvoiceManager from './InvoiceManager.js';
+import TaxManager from './TaxManager.js';
+import AddonManager, { SEAT_ADDON_ID } from './AddonManager.js';
+import UsageManager from './UsageManager.js';
+import EventLog from './EventLog.js';
+import WebhookManager from './WebhookManager.js';
+import PaymentManager from './PaymentManager.js';
+import PaymentWebhookManager from './PaymentWebhookManager.js';
+import CustomerManager from './CustomerManager.js';
+import PlanManager from './PlanManager.js';
+import AuthManager from './AuthManager.js';
+import SupportManager from './SupportManager.js';
+import { createError } from './errors.js';
+import { DEFAULT_TIME_ZONE, formatBillingDate } from './billingCalendar.js';
+import { DEFAULT_CURRENCY, DEFAULT_LOCALE, formatMoney, fromMinorUnits, normalizeCurrency, normalizeLocale } from './money.js';
+import { renderInvoiceHtml, renderInvoicePdf } from './invoiceRenderer.js';
 
 // Load environment variables
 dotenv.config();
@@ -24,13 +44,20 @@ const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 3000;
 const DB_PATH = process.env.DB_PATH || './data/subscriptions.db';
 const GROQ_API_KEY = process.env.GROQ_API_KEY;
+const RENEWAL_INTERVAL_MS = parseInt(process.env.RENEWAL_INTERVAL_MS) || 60000;
+const WEBHOOK_INTERVAL_MS = parseInt(process.env.WEBHOOK_INTERVAL_MS) || 30000;
 
 // Initialize Express app
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Payment webhooks are verified against the body exactly as it was sent
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
@@ -52,6 +79,9 @@ app.get('/docs/:file', (req, res) => {
 
 // Initialize services
 let db, rateLimiter, llmService, subscriptionManager, billingManager, recommendationEngine;
+let dunningManager, renewalRunner, couponManager, invoiceManager, taxManager, addonManager, usageManager, eventLog;
+let webhookManager, paymentManager, paymentWebhookManager, customerManager, planManager, authManager;
+let supportManager;
 
 async function initializeServices() {
   try {
@@ -71,10 +101,46 @@ async function initializeServices() {
     }
     llmService = new LLMService(GROQ_API_KEY);
 
+    // Initialize API key authentication
+    authManager = new AuthManager(db);
+    if (!authManager.adminApiKey) {
+      console.warn('WARNING: ADMIN_API_KEY not set. Admin routes will not work.');
+    }
+
     // Initialize managers
-    subscriptionManager = new SubscriptionManager(db);
-    billingManager = new BillingManager(db);
-    recommendationEngine = new RecommendationEngine(llmService, db);
+    webhookManager = new WebhookManager(db);
+    eventLog = new EventLog(db, { webhookManager });
+    invoiceManager = new InvoiceManager(db);
+    paymentManager = new PaymentManager(db);
+    customerManager = new CustomerManager(db, { paymentManager });
+    supportManager = new SupportManager(db);
+    billingManager = new BillingManager(db, invoiceManager, eventLog, paymentManager);
+    couponManager = new CouponManager(db, eventLog);
+    taxManager = new TaxManager(db);
+    planManager = new PlanManager(db);
+    addonManager = new AddonManager(db);
+    usageManager = new UsageManager(db);
+    subscriptionManager = new SubscriptionManager(db, billingManager, couponManager, taxManager, addonManager, eventLog);
+    recommendationEngine = new RecommendationEngine(llmService, db, couponManager, usageManager);
+
+    // Charge due renewals and resume paused subscriptions in the background
+    dunningManager = new DunningManager(db, billingManager, { eventLog });
+    paymentWebhookManager = new PaymentWebhookManager(db, { paymentManager, billingManager, dunningManager });
+    renewalRunner = new RenewalRunner(db, subscriptionManager, billingManager, {
+      dunningManager,
+      couponManager,
+      taxManager,
+      addonManager,
+      usageManager,
+      planManager,
+      eventLog
+    });
+    if (process.env.RENEWAL_SCHEDULER !== 'off') {
+      renewalRunner.start(RENEWAL_INTERVAL_MS);
+    }
+
+    // Retry failed webhook deliveries in the background
+    webhookManager.start(WEBHOOK_INTERVAL_MS);
 
     console.log('All services initialized successfully');
   } catch (error) {
@@ -83,6 +149,198 @@ async function initializeServices() {
   }
 }
 
+/**
+ * Event log actor for a call made by a customer with their API key
+ * @param {Object} req - Request, authenticated as a customer
+ * @returns {Object} Customer actor identifying the caller
+ */
+function customerActor(req) {
+  return { type: 'customer', id: req.auth.customerId };
+}
+
+/**
+ * Event log actor for a call made by support staff
+ * @param {Object} req - Request, authenticated as an agent or with ADMIN_API_KEY
+ * @returns {Object} Admin actor identifying the agent (id is null for ADMIN_API_KEY)
+ */
+function adminActor(req) {
+  return { type: 'admin', id: req.auth.agentId };
+}
+
+/**
+ * Format a subscription row for API responses
+ * Prices are converted to major units, with locale-formatted copies in formatted.
+ * amount is the plan price; amountWithTax covers the plan and its add-ons.
+ * priceChange describes a scheduled move to another price version of the plan.
+ * @param {Object} s - Subscription row, optionally joined with its plan and items
+ * @param {string} timeZone - Time zone the customer's billing dates are calculated in
+ * @param {string} locale - Locale to format prices for
+ * @returns {Object} Formatted subscription
+ */
+function formatSubscription(s, timeZone = s.time_zone || DEFAULT_TIME_ZONE, locale = s.locale || DEFAULT_LOCALE) {
+  const hasPrice = s.price !== undefined && s.price !== null;
+  const amountWithTax = s.tax ? s.tax.grossAmount : s.total_price ?? s.price;
+  const toAmount = minorUnits => hasPrice ? fromMinorUnits(minorUnits, s.currency) : undefined;
+
+  return {
+    id: s.id,
+    planId: s.plan_id,
+    planName: s.plan_name,
+    status: s.status,
+    startDate: s.start_date,
+    nextBillingDate: s.next_billing_date,
+    trialEnd: s.trial_end,
+    endDate: s.end_date,
+    cancelAtPeriodEnd: s.cancel_at_period_end === 1,
+    pausedAt: s.paused_at,
+    resumeAt: s.resume_at,
+    currency: s.currency,
+    priceVersion: s.price_version,
+    amount: toAmount(s.price),
+    amountWithTax: toAmount(amountWithTax),
+    priceChange: s.pending_price_version
+      ? {
+        version: s.pending_price_version,
+        amount: s.pending_price ? fromMinorUnits(s.pending_price, s.currency) : undefined,
+        formatted: s.pending_price ? { amount: formatMoney(s.pending_price, s.currency, locale) } : undefined,
+        effectiveDate: s.price_change_at
+      }
+      : null,
+    tax: s.tax && s.tax.name
+      ? { name: s.tax.name, rate: s.tax.rate, inclusive: s.tax.inclusive, amount: toAmount(s.tax.taxAmount) }
+      : null,
+    items: s.items ? s.items.map(item => addonManager.formatItem(item, s.currency, locale)) : undefined,
+    seats: s.seats,
+    formatted: hasPrice
+      ? {
+        amount: formatMoney(s.price, s.currency, locale),
+        amountWithTax: formatMoney(amountWithTax, s.currency, locale)
+      }
+      : undefined,
+    billingCycle: s.billing_cycle,
+    timeZone
+  };
+}
+
+/**
+ * Make sure the caller is signed in as a customer, and as the given one
+ * @param {Object|null} auth - Who is calling (req.auth)
+ * @param {string} customerId - Customer the request is about (optional)
+ * @throws {Error} 401 AUTHENTICATION_REQUIRED without a customer API key, 403 FORBIDDEN for another customer
+ */
+function assertCustomerAccess(auth, customerId = null) {
+  if (auth?.type !== 'customer') {
+    throw createError('Authentication required: send your API key as Authorization: Bearer <key>', 401, 'AUTHENTICATION_REQUIRED');
+  }
+  if (customerId && customerId !== auth.customerId) {
+    throw createError('You can only access your own account', 403, 'FORBIDDEN');
+  }
+}
+
+/**
+ * Route middleware for customer routes: the caller must be the customer in
+ * :customerId, and own the subscription in :subscriptionId
+ * Other customers' subscriptions are reported as not found.
+ */
+async function requireCustomer(req, res, next) {
+  try {
+    assertCustomerAccess(req.auth, req.params.customerId);
+    if (req.params.subscriptionId) {
+      await subscriptionManager.getCustomerSubscription(req.auth.customerId, req.params.subscriptionId);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Whether the caller is support staff: an agent, or ADMIN_API_KEY
+ * @param {Object|null} auth - Who is calling (req.auth)
+ * @returns {boolean} Whether they may use the admin routes
+ */
+function isStaff(auth) {
+  return auth?.type === 'agent' || auth?.type === 'admin';
+}
+
+/**
+ * Route middleware for admin routes: the caller must be an agent or use ADMIN_API_KEY
+ */
+function requireAdmin(req, res, next) {
+  if (!authManager.adminApiKey && req.auth?.type !== 'agent') {
+    return next(createError('Admin routes are disabled: set ADMIN_API_KEY to use them', 503, 'ADMIN_NOT_CONFIGURED'));
+  }
+  if (!req.auth) {
+    return next(createError('Authentication required: send an agent or admin API key as Authorization: Bearer <key>', 401, 'AUTHENTICATION_REQUIRED'));
+  }
+  if (!isStaff(req.auth)) {
+    return next(createError('Admin access required', 403, 'FORBIDDEN'));
+  }
+  next();
+}
+
+/**
+ * Route middleware for managing agents: only ADMIN_API_KEY may add or disable them
+ */
+function requireAdminKey(req, res, next) {
+  if (req.auth?.type !== 'admin') {
+    return next(createError('Only the admin API key can manage agents', 403, 'FORBIDDEN'));
+  }
+  next();
+}
+
+/**
+ * Route middleware recording staff actions in the audit log once they succeed
+ * Changes are recorded, and so are views of a customer's records. Routes that
+ * act on a customer not named in the URL set res.locals.customerId.
+ */
+function auditStaffAction(req, res, next) {
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || (req.method === 'GET' && !req.params.customerId)) {
+      return;
+    }
+
+    const { customerId = res.locals.customerId || null, ...params } = req.params;
+    supportManager.recordAction({
+      agentId: req.auth.agentId,
+      action: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+      customerId,
+      targetId: Object.values(params)[0] || null,
+      details: {
+        params: Object.keys(params).length > 0 ? params : undefined,
+        query: Object.keys(req.query).length > 0 ? req.query : undefined,
+        body: req.method !== 'GET' && Object.keys(req.body || {}).length > 0 ? req.body : undefined
+      }
+    }).catch(error => console.error('Audit log error:', error));
+  });
+  next();
+}
+
+/**
+ * Work out the currency and locale to show plan prices in
+ * A signed-in customer passing their own customerId (or staff passing any) sees
+ * the prices that customer would be billed; otherwise ?currency= and ?locale=
+ * pick them, falling back to the defaults.
+ * @param {Object} query - Request query (customerId, currency, locale)
+ * @param {Object|null} auth - Who is calling (req.auth)
+ * @returns {Promise<{currency: string, locale: string}>} Currency and locale
+ */
+async function getCatalogCurrency({ customerId, currency, locale }, auth) {
+  if (customerId) {
+    if (isStaff(auth)) {
+      await customerManager.getCustomer(customerId);
+    } else {
+      assertCustomerAccess(auth, customerId);
+    }
+    return await subscriptionManager.getCustomerCurrency(customerId);
+  }
+
+  return {
+    currency: currency ? normalizeCurrency(currency) : DEFAULT_CURRENCY,
+    locale: locale ? normalizeLocale(locale) : DEFAULT_LOCALE
+  };
+}
+
 // Apply rate limiting to all API routes
 app.use('/api', (req, res, next) => {
   if (rateLimiter) {
@@ -91,29 +349,360 @@ app.use('/api', (req, res, next) => {
   next();
 });
 
+// Work out who is calling from their API key; routes then check what the caller may do.
+// Payment provider notifications carry their own signature instead.
+app.use('/api', async (req, res, next) => {
+  try {
+    const [scheme, key] = (req.get('Authorization') || '').split(' ');
+
+    req.auth = req.path !== '/webhooks/payments' && scheme === 'Bearer' && key
+      ? await authManager.authenticate(key)
+      : null;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use('/api/admin', requireAdmin, auditStaffAction);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Extra tools the assistant has in agent mode, for support staff
+const AGENT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_customers',
+      description: 'Find customers by name, email address or ID. Use this when the agent asks to look up or find a customer.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Name, email address or customer ID, or part of one'
+          }
+        },
+        required: ['query']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'switch_customer',
+      description: 'Start helping a customer, so that other tools act on their account. Use this when the agent asks to switch to, open or help a customer.',
+      parameters: {
+        type: 'object',
+        properties: {
+          customer: {
+            type: 'string',
+            description: 'Customer ID or email address, or a name to search for'
+          }
+        },
+        required: ['customer']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'view_notes',
+      description: 'Show the internal notes support staff have left on the current customer.',
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'add_note',
+      description: 'Add an internal note to the current customer\'s account. The customer never sees notes. Use this when the agent asks to note or record something.',
+      parameters: {
+        type: 'object',
+        properties: {
+          note: {
+            type: 'string',
+            description: 'Text of the note'
+          }
+        },
+        required: ['note']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'refund_transaction',
+      description: 'Refund one of the current customer\'s payments straight away, without a review. A reason is required.',
+      parameters: {
+        type: 'object',
+        properties: {
+          transactionId: {
+            type: 'string',
+            description: 'ID of the transaction to refund'
+          },
+          amount: {
+            type: 'number',
+            description: 'Amount to refund for a partial refund. Omit for a full refund.'
+          },
+          reason: {
+            type: 'string',
+            description: 'Why the payment is being refunded'
+          }
+        },
+        required: []
+      }
+    }
+  }
+];
+
+/**
+ * Run one of the agent mode tools
+ * @param {string} functionName - Tool name, from AGENT_TOOLS
+ * @param {Object} functionArgs - Tool arguments
+ * @param {Object} context - Who is asking and about whom
+ * @param {Object} context.auth - The agent (req.auth)
+ * @param {string|null} context.customerId - Customer being helped, if any
+ * @param {Object} context.actor - Event log actor for changes
+ * @param {Function} context.formatDate - Formats dates in the customer's time zone
+ * @param {string} context.locale - Locale to format amounts for
+ * @returns {Promise<{response: string, action: string, data: Object}>} Reply for the agent
+ */
+async function runAgentTool(functionName, functionArgs, { auth, customerId, actor, formatDate, locale }) {
+  switch (functionName) {
+    case 'search_customers': {
+      const query = String(functionArgs.query || '').trim();
+      const customers = await customerManager.searchCustomers(query, 10);
+      return {
+        response: customers.length === 0
+          ? `No customers match "${query}".`
+          : `Customers matching "${query}":\n\n` +
+            customers.map(c => `👤 ${c.name} <${c.email}> (ID: ${c.id})`).join('\n') +
+            '\n\nWhich one would you like to help?',
+        action: 'customers_found',
+        data: { customers: customers.map(c => customerManager.formatCustomer(c)) }
+      };
+    }
+
+    case 'switch_customer': {
+      // An exact ID or email wins; otherwise the search has to find just one customer
+      const query = String(functionArgs.customer || '').trim();
+      const matches = await customerManager.searchCustomers(query, 10);
+      const target = matches.find(c => c.id === query || c.email === query.toLowerCase()) ||
+        (matches.length === 1 ? matches[0] : null);
+
+      if (!target) {
+        return {
+          response: matches.length === 0
+            ? `No customers match "${query}".`
+            : `Several customers match "${query}". Which one?\n\n` +
+              matches.map(c => `👤 ${c.name} <${c.email}> (ID: ${c.id})`).join('\n'),
+          action: 'none',
+          data: { customers: matches.map(c => customerManager.formatCustomer(c)) }
+        };
+      }
+
+      const subscriptions = await subscriptionManager.getCustomerSubscriptions(target.id);
+      const dunningCases = await dunningManager.getOpenCases(target.id);
+      const notes = await supportManager.listNotes(target.id);
+      return {
+        response: `Now helping ${target.name} <${target.email}> (ID: ${target.id}).\n\n` +
+          `📦 ${subscriptions.length} subscription(s)` +
+          (subscriptions.length > 0 ? `: ${subscriptions.map(s => `${s.plan_name} (${s.status})`).join(', ')}` : '') + '\n' +
+          (dunningCases.length > 0 ? `⚠️ ${dunningCases.length} failed payment(s)\n` : '') +
+          `📝 ${notes.length} internal note(s)`,
+        action: 'customer_switched',
+        data: { customer: customerManager.formatCustomer(target) }
+      };
+    }
+
+    case 'view_notes': {
+      const notes = await supportManager.listNotes(customerId);
+      return {
+        response: notes.length === 0
+          ? 'There are no notes on this customer yet.'
+          : 'Internal notes on this customer:\n\n' +
+            notes.map(n => `📝 ${formatDate(n.created_at)} - ${n.agent_name || 'Admin'}: ${n.body}`).join('\n'),
+        action: 'notes',
+        data: { notes: notes.map(n => supportManager.formatNote(n)) }
+      };
+    }
+
+    case 'add_note': {
+      if (!functionArgs.note) {
+        return { response: 'What would you like the note to say?', action: 'none', data: {} };
+      }
+
+      const note = await supportManager.addNote(customerId, functionArgs.note, { agentId: auth.agentId });
+      return {
+        response: 'Note added. Only support staff can see it.',
+        action: 'note_added',
+        data: { note: supportManager.formatNote(note) }
+      };
+    }
+
+    case 'refund_transaction': {
+      if (!functionArgs.transactionId) {
+        const payments = (await billingManager.getBillingHistory(customerId, 10))
+          .filter(b => b.status === 'success' && b.amount > 0);
+        return {
+          response: payments.length === 0
+            ? 'This customer has no payments that can be refunded.'
+            : 'Which payment should be refunded, and why?\n\n' +
+              payments.slice(0, 5).map(b =>
+                `💳 ${formatDate(b.date)} - ${b.formatted.amount} - ${b.description} (ID: ${b.id})`
+              ).join('\n'),
+          action: 'none',
+          data: {}
+        };
+      }
+      if (!functionArgs.reason) {
+        return { response: 'What is the reason for the refund? It is recorded with the refund.', action: 'none', data: {} };
+      }
+
+      const { original } = await billingManager.getRefundableAmount(functionArgs.transactionId);
+      if (original.customer_id !== customerId) {
+        return { response: "I couldn't find that payment on this customer's account.", action: 'none', data: {} };
+      }
+
+      const result = await billingManager.refundTransaction(
+        functionArgs.transactionId,
+        functionArgs.amount ?? null,
+        functionArgs.reason,
+        { actor }
+      );
+      return {
+        response: `Refunded ${formatMoney(-result.refund.amount, original.currency, locale)}. ` +
+          `${formatMoney(result.remainingRefundable, original.currency, locale)} of the payment can still be refunded.`,
+        action: 'refund_issued',
+        data: {
+          refund: billingManager.formatTransaction(result.refund, locale),
+          remainingRefundable: fromMinorUnits(result.remainingRefundable, original.currency)
+        }
+      };
+    }
+
+    default:
+      return { response: "I'm not sure how to help with that.", action: 'none', data: {} };
+  }
+}
+
 // POST /api/chat - Process chat messages
 app.post('/api/chat', async (req, res, next) => {
   try {
-    const { customerId, message, conversationHistory = [] } = req.body;
+    const { message, conversationHistory = [] } = req.body;
+    // The assistant acts for the customer whose API key was used. Support staff use it
+    // in agent mode, acting for whichever customer they have switched to (customerId).
+    const agentMode = isStaff(req.auth);
+    if (!agentMode) {
+      assertCustomerAccess(req.auth, req.body.customerId);
+    }
+    const customerId = agentMode ? req.body.customerId || null : req.auth.customerId;
+    // Changes made for this message are traced back to it in the event log
+    const messageId = req.body.messageId || randomUUID();
+    const actor = agentMode
+      ? { type: 'admin', id: req.auth.agentId, chatMessageId: messageId }
+      : { type: 'chat', id: customerId, chatMessageId: messageId };
 
-    if (!customerId || !message) {
+    if (!message) {
       return res.status(400).json({
         error: true,
-        message: 'Missing required fields: customerId and message',
+        message: 'Missing required field: message',
         code: 'MISSING_FIELDS'
       });
     }
 
-    // Get available plans for context
-    const availablePlans = await db.query('SELECT id, name, price, billing_cycle FROM plans');
+    // Every tool an agent uses is recorded against them
+    const auditTool = (functionName, functionArgs, targetCustomerId) => supportManager.recordAction({
+      agentId: req.auth.agentId,
+      action: `chat.${functionName}`,
+      customerId: targetCustomerId,
+      targetId: functionArgs.subscriptionId || functionArgs.transactionId || null,
+      details: functionArgs,
+      chatMessageId: messageId
+    });
+
+    // Until an agent picks a customer, the assistant can only find one
+    if (agentMode && !customerId) {
+      const lobbyTools = AGENT_TOOLS.filter(tool => ['search_customers', 'switch_customer'].includes(tool.function.name));
+      const llmResponse = await llmService.generateResponseWithTools(
+        [...conversationHistory, { role: 'user', content: message }],
+        `You are a subscription support assistant helping support agent ${req.auth.name}. No customer is selected yet. ` +
+          'Use search_customers to find customers and switch_customer to start helping one. Be concise.',
+        lobbyTools
+      );
+
+      let reply = { response: llmResponse.message || 'Which customer would you like to help?', action: 'none', data: {} };
+      if (llmResponse.toolCalls && llmResponse.toolCalls.length > 0) {
+        const functionName = llmResponse.toolCalls[0].function.name;
+        const functionArgs = JSON.parse(llmResponse.toolCalls[0].function.arguments || '{}');
+        if (lobbyTools.some(tool => tool.function.name === functionName)) {
+          reply = await runAgentTool(functionName, functionArgs, { auth: req.auth, customerId, actor });
+          await auditTool(functionName, functionArgs, reply.data.customer?.id || null);
+        }
+      }
+
+      return res.json({ ...reply, customerId: reply.data.customer?.id || null, messageId });
+    }
+
+    if (agentMode) {
+      await customerManager.getCustomer(customerId);
+    }
+
+    // Billing dates are shown in the customer's billing time zone
+    const timeZone = await subscriptionManager.getCustomerTimeZone(customerId);
+    const formatDate = date => formatBillingDate(date, { timeZone });
+
+    // Amounts are shown in the customer's locale, in the currency they are billed in
+    const { currency, locale } = await subscriptionManager.getCustomerCurrency(customerId);
+    const formatAmount = (amount, currency) => formatMoney(amount, currency, locale);
+
+    // Prices are quoted with the tax for the customer's billing region included
+    const taxRule = await taxManager.getTaxRule(customerId);
+    const withTax = amount => taxManager.calculateTax(amount, taxRule).grossAmount;
+    const formatPrice = (price, currency, billingCycle) => `${formatAmount(withTax(price), currency)}/${billingCycle}` +
+      (taxRule && taxRule.rate > 0 ? ` incl. ${taxRule.name}` : '');
+
+    // Prorated changes charge the difference, or refund unused time to what was paid (refunds, once applied)
+    const describeProration = (totalDue, currency, refunds = null) => {
+      const money = amount => formatAmount(Math.abs(amount), currency);
+      if (totalDue >= 0) {
+        return totalDue > 0 ? `a prorated charge of ${money(totalDue)}` : 'no prorated charge';
+      }
+
+      const refunded = refunds ? refunds.reduce((sum, refund) => sum - refund.amount, 0) : -totalDue;
+      return refunded === -totalDue
+        ? `a prorated refund of ${money(refunded)} to your payment method`
+        : refunded > 0
+        ? `a prorated refund of ${money(refunded)} (the rest of the unused time wasn't paid for)`
+        : "no refund, as the unused time wasn't paid for";
+    };
+
+    // Get available plans for context, priced in the currency the customer would be billed in
+    const availablePlans = await subscriptionManager.getPlansForCustomer(customerId);
+    const describePlan = p => `${p.name} (${formatPrice(p.price, p.currency, p.billing_cycle)}` +
+      `${p.trial_days > 0 ? `, ${p.trial_days}-day free trial` : ''})`;
+
+    // Add-ons each plan allows, from the plan features, priced per month in the customer's currency
+    const addons = await addonManager.listAddons(currency);
+    for (const plan of availablePlans) {
+      plan.addonRules = await addonManager.getPlanAddonRules(plan.id);
+    }
+    const describeAddons = p => [
+      p.addonRules.includedSeats !== null ? `${p.addonRules.includedSeats} seat(s) included` : 'unlimited seats',
+      ...addons.filter(a => p.addonRules.addonIds.includes(a.id)).map(a => `add-on ${a.name} (${a.id})`)
+    ].join(', ');
 
     // Define available tools/functions for the LLM
-    const tools = [
+    let tools = [
       {
         type: 'function',
         function: {
@@ -155,6 +744,41 @@ app.post('/api/chat', async (req, res, next) => {
           }
         }
       },
+      {
+        type: 'function',
+        function: {
+          name: 'view_plan_details',
+          description: 'Get what a plan includes: price, storage, users, support, features, add-ons and usage quotas. Use this when user asks what they get with a plan or how plans differ; never guess plan features.',
+          parameters: {
+            type: 'object',
+            properties: {
+              planId: {
+                type: 'string',
+                description: `Plan ID to describe. Available: ${availablePlans.map(p => p.id).join(', ')}`
+              }
+            },
+            required: []
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'compare_plans',
+          description: 'Compare two or more plans side by side: cost per month and per year, features, add-ons and usage quotas. Use this when user asks about the difference between plans or which of some plans to pick.',
+          parameters: {
+            type: 'object',
+            properties: {
+              planIds: {
+                type: 'array',
+                items: { type: 'string', enum: availablePlans.map(p => p.id) },
+                description: `IDs of the 2-4 plans to compare. Available: ${availablePlans.map(p => p.id).join(', ')}`
+              }
+            },
+            required: ['planIds']
+          }
+        }
+      },
       {
         type: 'function',
         function: {
@@ -167,155 +791,2014 @@ app.post('/api/chat', async (req, res, next) => {
                 type: 'string',
                 description: `Plan ID to subscribe to. Available: ${availablePlans.map(p => p.id).join(', ')}`,
                 enum: availablePlans.map(p => p.id)
+              },
+              couponCode: {
+                type: 'string',
+                description: 'Promo or discount code the user wants to use, if they gave one'
               }
             },
             required: ['planId']
           }
         }
       },
+      {
+        type: 'function',
+        function: {
+          name: 'apply_coupon',
+          description: 'Apply a promo or discount code to an existing subscription. Use this when user has a coupon, promo code, or discount code.',
+          parameters: {
+            type: 'object',
+            properties: {
+              subscriptionId: {
+                type: 'string',
+                description: 'ID of the subscription to apply the code to'
+              },
+              code: {
+                type: 'string',
+                description: 'The promo code exactly as the user gave it'
+              }
+            },
+            required: ['code']
+          }
+        }
+      },
       {
         type: 'function',
         function: {
           name: 'cancel_subscription',
-          description: 'Cancel an existing subscription. Use this when user wants to cancel or unsubscribe.',
+          description: 'Cancel an existing subscription. Use this when user wants to cancel or unsubscribe. By default the subscription stays active until the end of the current billing period.',
           parameters: {
             type: 'object',
             properties: {
               subscriptionId: {
                 type: 'string',
                 description: 'ID of the subscription to cancel'
+              },
+              immediate: {
+                type: 'boolean',
+                description: 'End the subscription right now instead of at the end of the billing period. Only set this when the user explicitly asks to cancel immediately.'
               }
             },
             required: ['subscriptionId']
           }
         }
-      }
-    ];
-
-    const systemPrompt = `You are a helpful subscription management assistant for customer ${customerId}.
-
-Available plans: ${availablePlans.map(p => `${p.name} (${p.id}) - $${p.price}/${p.billing_cycle}`).join(', ')}
-
-When the user asks about their subscriptions, billing, or wants recommendations, use the appropriate function.
-Always be helpful and concise in your responses.`;
-
-    const messages = [
-      ...conversationHistory,
-      { role: 'user', content: message }
-    ];
-
-    // Call LLM with function calling
-    const llmResponse = await llmService.generateResponseWithTools(messages, systemPrompt, tools);
-
-    console.log('LLM Response:', llmResponse);
-
-    let response = '';
-    let action = 'none';
-    let data = {};
-
-    // Check if LLM wants to call a function
-    if (llmResponse.toolCalls && llmResponse.toolCalls.length > 0) {
-      const toolCall = llmResponse.toolCalls[0];
-      const functionName = toolCall.function.name;
-      const functionArgs = JSON.parse(toolCall.function.arguments || '{}');
-
-      console.log('Function call:', functionName, functionArgs);
-
-      // Execute the requested function
-      switch (functionName) {
-        case 'view_subscriptions':
-          const subscriptions = await subscriptionManager.getCustomerSubscriptions(customerId);
-          data = { subscriptions };
-          if (subscriptions.length === 0) {
-            response = "You don't have any subscriptions yet. Would you like to explore our plans?";
-          } else {
-            response = `You have ${subscriptions.length} subscription(s):\n\n` +
-              subscriptions.map(s =>
-                `📦 ${s.plan_name}\n` +
-                `   Status: ${s.status}\n` +
-                `   Price: $${s.price}/${s.billing_cycle}\n` +
-                `   Next billing: ${new Date(s.next_billing_date).toLocaleDateString()}`
-              ).join('\n\n');
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'undo_cancellation',
+          description: 'Undo a cancellation that is scheduled for the end of the billing period so the subscription keeps renewing. Use this when user changes their mind about cancelling.',
+          parameters: {
+            type: 'object',
+            properties: {
+              subscriptionId: {
+                type: 'string',
+                description: 'ID of the subscription whose cancellation should be undone'
+              }
+            },
+            required: ['subscriptionId']
           }
-          break;
-
-        case 'view_billing_history':
-          const limit = functionArgs.limit || 10;
-          const billing = await billingManager.getBillingHistory(customerId, limit);
-          data = { billing };
-          if (billing.length === 0) {
-            response = "You don't have any billing history yet.";
-          } else {
-            response = `Here are your recent transactions:\n\n` +
-              billing.slice(0, 5).map(b =>
-                `💳 ${new Date(b.date).toLocaleDateString()}\n` +
-                `   Amount: $${b.amount}\n` +
-                `   Status: ${b.status}\n` +
-                `   ${b.description}`
-              ).join('\n\n');
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'pause_subscription',
+          description: 'Pause an active subscription. Use this when user wants to pause, freeze, or take a break from a subscription.',
+          parameters: {
+            type: 'object',
+            properties: {
+              subscriptionId: {
+                type: 'string',
+                description: 'ID of the subscription to pause'
+              },
+              resumeDate: {
+                type: 'string',
+                description: 'Optional date (YYYY-MM-DD) to resume the subscription automatically'
+              }
+            },
+            required: ['subscriptionId']
           }
-          break;
-
-        case 'get_recommendations':
-          const recommendations = await recommendationEngine.generateRecommendations(customerId);
-          data = { recommendations };
-          if (recommendations.length === 0) {
-            response = "No recommendations available at this time.";
-          } else {
-            response = `✨ Based on your usage, here are my recommendations:\n\n` +
-              recommendations.map(r =>
-                `📊 ${r.planName}\n` +
-                `   ${r.reasoning}\n` +
-                `   💰 ${r.costImplication}\n` +
-                `   Benefits: ${r.benefits.join(', ')}`
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'resume_subscription',
+          description: 'Resume a paused subscription. Use this when user wants to resume, unpause, or restart a paused subscription.',
+          parameters: {
+            type: 'object',
+            properties: {
+              subscriptionId: {
+                type: 'string',
+                description: 'ID of the subscription to resume'
+              }
+            },
+            required: ['subscriptionId']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'change_plan',
+          description: 'Upgrade or downgrade an existing subscription to another plan, with a prorated charge or refund. Use this when user wants to upgrade, downgrade, or switch plans.',
+          parameters: {
+            type: 'object',
+            properties: {
+              subscriptionId: {
+                type: 'string',
+                description: 'ID of the subscription to change'
+              },
+              planId: {
+                type: 'string',
+                description: `Plan ID to switch to. Available: ${availablePlans.map(p => p.id).join(', ')}`,
+                enum: availablePlans.map(p => p.id)
+              },
+              preview: {
+                type: 'boolean',
+                description: 'Set to true to quote the prorated amount without changing the plan'
+              }
+            },
+            required: ['subscriptionId', 'planId']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'change_quantity',
+          description: 'Add or remove seats or add-ons (such as storage packs) on an existing subscription, with a prorated charge or refund. Use this when user wants more or fewer seats, users, or add-ons, e.g. "add two seats to my Pro plan".',
+          parameters: {
+            type: 'object',
+            properties: {
+              subscriptionId: {
+                type: 'string',
+                description: 'ID of the subscription to change'
+              },
+              addonId: {
+                type: 'string',
+                description: `Add-on to change. Use ${SEAT_ADDON_ID} for seats. Available: ${addons.map(a => a.id).join(', ')}`,
+                enum: addons.map(a => a.id)
+              },
+              change: {
+                type: 'integer',
+                description: 'How many to add (positive) or remove (negative), e.g. 2 to add two seats'
+              },
+              preview: {
+                type: 'boolean',
+                description: 'Set to true to quote the prorated amount without making the change'
+              }
+            },
+            required: ['subscriptionId', 'addonId', 'change']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'request_refund',
+          description: 'Submit a refund request for a payment, to be reviewed by an admin. Use this when user asks for a refund or their money back. A reason is required.',
+          parameters: {
+            type: 'object',
+            properties: {
+              transactionId: {
+                type: 'string',
+                description: 'ID of the transaction to refund'
+              },
+              amount: {
+                type: 'number',
+                description: 'Amount to refund for a partial refund. Omit for a full refund.'
+              },
+              reason: {
+                type: 'string',
+                description: 'Why the customer wants a refund'
+              }
+            },
+            required: ['transactionId', 'reason']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'download_invoice',
+          description: 'Get a download link for the invoice of a payment. Use this when user wants an invoice or receipt, or to download or print one.',
+          parameters: {
+            type: 'object',
+            properties: {
+              transactionId: {
+                type: 'string',
+                description: 'ID of the payment transaction, or the invoice number (e.g. INV-000042)'
+              }
+            },
+            required: []
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'check_payment_status',
+          description: 'Check for failed payments and explain what happens next (retries, suspension, cancellation). Use this when user asks about a failed, declined, or overdue payment, or why a subscription is past due or suspended.',
+          parameters: {
+            type: 'object',
+            properties: {},
+            required: []
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'view_subscription_history',
+          description: 'Explain the history of a subscription: every change, who made it and when, and its charges and refunds. Use this when user asks what happened to a subscription, who cancelled or changed it, or when.',
+          parameters: {
+            type: 'object',
+            properties: {
+              subscriptionId: {
+                type: 'string',
+                description: 'ID of the subscription to explain'
+              }
+            },
+            required: []
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'view_profile',
+          description: 'Show the customer\'s account details: name, email, billing country, currency, language and time zone, and the card on file. Use this when user asks what email or details we have for them.',
+          parameters: {
+            type: 'object',
+            properties: {},
+            required: []
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'update_email',
+          description: 'Change the email address on the customer\'s account. Use this when user asks to change or update their email.',
+          parameters: {
+            type: 'object',
+            properties: {
+              email: {
+                type: 'string',
+                description: 'New email address'
+              }
+            },
+            required: []
+          }
+        }
+      }
+    ];
+
+    // Agents refund payments directly rather than asking for a refund
+    if (agentMode) {
+      tools = [...tools.filter(tool => tool.function.name !== 'request_refund'), ...AGENT_TOOLS];
+    }
+
+    // Let the assistant raise failed payments without being asked
+    const openDunningCases = await dunningManager.getOpenCases(customerId);
+    const paymentNotice = openDunningCases.length > 0
+      ? `\nIMPORTANT: This customer has ${openDunningCases.length} failed payment(s). Let them know and use check_payment_status to explain what happens next.\n`
+      : '';
+
+    const systemPrompt = `${agentMode
+    ? `You are a subscription support assistant working with support agent ${req.auth.name} on the account of customer ${customerId}. ` +
+      'The user is the agent, not the customer: act on this customer\'s account as the agent asks. ' +
+      'Use add_note to record anything worth remembering about the customer, refund_transaction to refund a payment, and switch_customer to help someone else.'
+    : `You are a helpful subscription management assistant for customer ${customerId}.`}
+
+Available plans: ${availablePlans.map(p => `${p.name} (${p.id}) - ${formatPrice(p.price, p.currency, p.billing_cycle)}` +
+  (p.trial_days > 0 ? ` with a ${p.trial_days}-day free trial` : '') + `; ${describeAddons(p)}`).join(', ')}
+Add-on prices per month: ${addons.filter(a => a.monthly_amount !== null)
+    .map(a => `${a.name} ${formatAmount(a.monthly_amount, currency)} per ${a.unit}`).join(', ') || 'none'}
+When listing plans, mention which ones include a free trial. Trials are limited to one per plan per customer.
+When the user asks what a plan includes, use view_plan_details instead of guessing its features. To explain how plans differ, use compare_plans.
+${taxRule && taxRule.rate > 0
+    ? `Quote prices as listed above: they already include ${taxRule.rate}% ${taxRule.name} for this customer's billing region.`
+    : ''}
+${paymentNotice}
+When the user asks about their subscriptions, billing, or wants recommendations, use the appropriate function.
+Always be helpful and concise in your responses.`;
+
+    const messages = [
+      ...conversationHistory,
+      { role: 'user', content: message }
+    ];
+
+    // Call LLM with function calling
+    const llmResponse = await llmService.generateResponseWithTools(messages, systemPrompt, tools);
+
+    console.log('LLM Response:', llmResponse);
+
+    let response = '';
+    let action = 'none';
+    let data = {};
+
+    // Check if LLM wants to call a function
+    if (llmResponse.toolCalls && llmResponse.toolCalls.length > 0) {
+      const toolCall = llmResponse.toolCalls[0];
+      const functionName = toolCall.function.name;
+      const functionArgs = JSON.parse(toolCall.function.arguments || '{}');
+
+      console.log('Function call:', functionName, functionArgs);
+
+      // Only tools the assistant was offered may run: agent tools are not offered to
+      // customers, and agents refund payments instead of filing refund requests
+      if (!tools.some(tool => tool.function.name === functionName)) {
+        return res.json({
+          response: "I'm not sure how to help with that.",
+          action: 'none',
+          data: {},
+          customerId,
+          messageId
+        });
+      }
+
+      // Tools only ever act on the customer's own subscriptions
+      const ownsSubscription = !functionArgs.subscriptionId || await subscriptionManager
+        .getCustomerSubscription(customerId, functionArgs.subscriptionId)
+        .then(() => true, () => false);
+      if (!ownsSubscription) {
+        return res.json({
+          response: `I couldn't find that subscription on ${agentMode ? "this customer's" : 'your'} account.`,
+          action: 'none',
+          data: {},
+          customerId,
+          messageId
+        });
+      }
+
+      // Execute the requested function
+      switch (functionName) {
+        case 'search_customers':
+        case 'switch_customer':
+        case 'view_notes':
+        case 'add_note':
+        case 'refund_transaction':
+          ({ response, action, data } = await runAgentTool(functionName, functionArgs, { auth: req.auth, customerId, actor, formatDate, locale }));
+          break;
+
+        case 'view_subscriptions':
+          const subscriptions = await subscriptionManager.getCustomerSubscriptions(customerId);
+          data = { subscriptions: subscriptions.map(s => formatSubscription(s)) };
+          if (subscriptions.length === 0) {
+            response = "You don't have any subscriptions yet. Would you like to explore our plans?";
+          } else {
+            response = `You have ${subscriptions.length} subscription(s):\n\n` +
+              subscriptions.map(s =>
+                `📦 ${s.plan_name}\n` +
+                `   Status: ${s.status}\n` +
+                `   Price: ${formatPrice(s.total_price, s.currency, s.billing_cycle)}\n` +
+                (s.seats ? `   Seats: ${s.seats.total} (${s.seats.included} included` +
+                  `${s.seats.additional > 0 ? ` + ${s.seats.additional} extra` : ''})\n` : '') +
+                (s.items.length > 0 ? `   Add-ons: ${addonManager.describeItems(s.items)}\n` : '') +
+                (s.cancel_at_period_end && s.status !== 'cancelled'
+                  ? `   Cancels on: ${formatDate(s.end_date)} (no further charges)`
+                  : s.status === 'trialing'
+                  ? `   Free trial ends: ${formatDate(s.trial_end)} (first payment then)`
+                  : `   Next billing: ${formatDate(s.next_billing_date)}`) +
+                (s.pending_price !== null && s.status !== 'cancelled'
+                  ? `\n   Plan price changes to ${formatPrice(s.pending_price, s.currency, s.billing_cycle)} from ${formatDate(s.price_change_at)}`
+                  : '')
+              ).join('\n\n');
+          }
+          break;
+
+        case 'view_billing_history':
+          const limit = functionArgs.limit || 10;
+          const billing = await billingManager.getBillingHistory(customerId, limit);
+          data = { billing };
+          if (billing.length === 0) {
+            response = "You don't have any billing history yet.";
+          } else {
+            response = `Here are your recent transactions:\n\n` +
+              billing.slice(0, 5).map(b =>
+                `💳 ${formatDate(b.date)}\n` +
+                `   Amount: ${b.formatted.amount}\n` +
+                (b.discount ? `   Discount: -${b.formatted.discount} (${b.discount.code})\n` : '') +
+                (b.taxAmount ? `   ${b.tax.name}: ${b.formatted.taxAmount}${b.tax.inclusive ? ' (included)' : ''}\n` : '') +
+                `   Status: ${b.status}\n` +
+                `   ${b.description}`
+              ).join('\n\n');
+          }
+          break;
+
+        case 'get_recommendations':
+          const recommendations = await recommendationEngine.generateRecommendations(customerId);
+          data = { recommendations };
+          if (recommendations.length === 0) {
+            response = "No recommendations available at this time.";
+          } else {
+            response = `✨ Based on your usage, here are my recommendations:\n\n` +
+              recommendations.map(r =>
+                `📊 ${r.planName}\n` +
+                `   ${r.reasoning}\n` +
+                `   💰 ${r.costImplication}\n` +
+                `   Benefits: ${r.benefits.join(', ')}`
               ).join('\n\n');
           }
           break;
 
-        case 'create_subscription':
-          if (functionArgs.planId) {
-            const subscription = await subscriptionManager.createSubscription(
-              customerId,
-              functionArgs.planId
-            );
-            action = 'subscription_created';
-            data = subscription;
-            response = `Great! I've created your ${subscription.plan_name || 'subscription'}. Your subscription is now active.`;
-          } else {
-            response = 'Which plan would you like to subscribe to? We have: ' +
-              availablePlans.map(p => `${p.name} ($${p.price}/${p.billing_cycle})`).join(', ');
-          }
-          break;
+        case 'view_plan_details':
+          if (functionArgs.planId) {
+            const plan = await planManager.getPlan(functionArgs.planId);
+            const listed = availablePlans.find(p => p.id === plan.id);
+            const planCurrency = listed ? listed.currency : plan.default_currency;
+            const { features } = plan;
+            const meters = Object.values(features.metered || {});
+            const details = [
+              features.storage && `💾 Storage: ${features.storage}`,
+              features.users !== undefined &&
+                `👥 Users: ${Number.isInteger(features.users) ? `${features.users} included` : features.users}`,
+              features.support && `🛟 Support: ${features.support}`,
+              ...(Array.isArray(features.features) ? features.features.map(f => `✅ ${f}`) : []),
+              ...meters.map(m => m.included === null || m.included === undefined
+                ? `📈 ${m.name}: unlimited`
+                : `📈 ${m.name}: ${m.included.toLocaleString(locale)} included per billing period` +
+                  (m.prices?.[planCurrency] !== undefined
+                    ? `, then ${formatAmount(m.prices[planCurrency], planCurrency)} per ${(m.packageSize || 1).toLocaleString(locale)}`
+                    : '')),
+              features.addons?.length > 0 &&
+                `➕ Add-ons: ${addons.filter(a => features.addons.includes(a.id)).map(a => a.name).join(', ')}`,
+              listed && plan.trial_days > 0 && `🎁 ${plan.trial_days}-day free trial`
+            ].filter(Boolean);
+            action = 'plan_details';
+            data = { plan: planManager.formatCatalogPlan(plan, currency, locale) };
+            response = `📦 ${plan.name}` +
+              (listed
+                ? ` - ${formatPrice(listed.price, listed.currency, plan.billing_cycle)}`
+                : ' (no longer available to new subscribers)') +
+              `\n${plan.description ? `${plan.description}\n` : ''}\n` +
+              (details.length > 0 ? details.join('\n') : 'No features are listed for this plan.');
+          } else {
+            response = 'Which plan would you like to know more about? We have: ' +
+              availablePlans.map(describePlan).join(', ');
+          }
+          break;
+
+        case 'compare_plans':
+          if (Array.isArray(functionArgs.planIds) && functionArgs.planIds.length >= 2) {
+            const comparison = await planManager.comparePlans(functionArgs.planIds, { currency, locale });
+            const cell = value => value === true ? 'yes' : value === false ? 'no' : value === null ? 'not included'
+              : typeof value === 'number' ? value.toLocaleString(locale) : value;
+            const planNames = comparison.plans.map(p => p.name);
+            const differences = comparison.rows.filter(row => !row.same);
+            const shared = comparison.rows.filter(row => row.same && row.values[0] !== null && row.values[0] !== false);
+            action = 'plans_compared';
+            data = { comparison };
+            response = `Here's how ${planNames.slice(0, -1).join(', ')} and ${planNames[planNames.length - 1]} compare:\n\n` +
+              comparison.plans.map(p => `📦 ${p.name}: ${p.formatted.amount}/${p.billingCycle}` +
+                ` (${p.formatted.perMonth} a month, ${p.formatted.perYear} a year)`).join('\n') +
+              (differences.length > 0
+                ? `\n\nDifferences:\n` + differences.map(row => `• ${row.label}: ${row.values.map(cell).join(' vs ')}`).join('\n')
+                : '') +
+              (shared.length > 0
+                ? `\n\n${planNames.length > 2 ? 'All' : 'Both'} include: ` +
+                  shared.map(row => row.values[0] === true ? row.label : `${row.label} ${cell(row.values[0])}`).join(', ')
+                : '') +
+              (taxRule && taxRule.rate > 0
+                ? `\n\nPrices ${taxRule.inclusive ? 'include' : 'are before'} ${taxRule.name}.`
+                : '');
+          } else {
+            response = 'Which plans would you like to compare? We have: ' +
+              availablePlans.map(describePlan).join(', ');
+          }
+          break;
+
+        case 'create_subscription':
+          if (functionArgs.planId) {
+            const subscription = await subscriptionManager.createSubscription(
+              customerId,
+              functionArgs.planId,
+              undefined,
+              { couponCode: functionArgs.couponCode || null, actor }
+            );
+            const plan = availablePlans.find(p => p.id === subscription.plan_id);
+            const price = await subscriptionManager.getSubscriptionPrice(subscription);
+            const discount = await couponManager.getDiscount(subscription.id, price, locale);
+            const discountText = discount
+              ? ` Coupon ${discount.code} is applied: ${discount.description}, so your first payment will be ` +
+                `${formatAmount(withTax(discount.netAmount), subscription.currency)}.`
+              : '';
+            const firstPayment = subscription.first_transaction;
+            const paymentText = firstPayment
+              ? ` Your first payment of ${formatAmount(firstPayment.amount, firstPayment.currency)}` +
+                (firstPayment.discount_code ? ` (with coupon ${firstPayment.discount_code})` : '') +
+                (firstPayment.payment_method ? ` was charged to your ${firstPayment.payment_method}` : ' was taken') +
+                (firstPayment.status === 'pending' ? ' and is still being processed.' : '.')
+              : '';
+            action = 'subscription_created';
+            data = subscription;
+            response = subscription.status === 'trialing'
+              ? `Great! Your free trial of ${plan.name} has started. You won't be charged until it ends on ` +
+                `${formatDate(subscription.trial_end)}, when it converts to ${formatPrice(price, subscription.currency, plan.billing_cycle)}. ` +
+                `Cancel any time before then and you won't pay anything.` + discountText
+              : `Great! I've created your ${plan.name}. Your subscription is now active.` + paymentText;
+          } else {
+            response = 'Which plan would you like to subscribe to? We have: ' +
+              availablePlans.map(describePlan).join(', ');
+          }
+          break;
+
+        case 'cancel_subscription':
+          if (functionArgs.subscriptionId) {
+            const cancelled = await subscriptionManager.cancelSubscription(
+              functionArgs.subscriptionId,
+              { immediate: functionArgs.immediate === true, actor }
+            );
+            data = cancelled;
+            if (cancelled.status === 'cancelled') {
+              action = 'subscription_cancelled';
+              response = 'Your subscription has been cancelled effective immediately.';
+            } else if (cancelled.status === 'trialing') {
+              action = 'cancellation_scheduled';
+              response = `Your free trial will end on ${formatDate(cancelled.end_date)} and you won't be charged. ` +
+                `You can keep using it until then, or ask me to undo the cancellation to keep the subscription.`;
+            } else {
+              action = 'cancellation_scheduled';
+              response = `Your subscription will be cancelled at the end of your billing period. ` +
+                `It stays active until ${formatDate(cancelled.end_date)} and you won't be charged again. ` +
+                `Changed your mind? Just ask me to undo the cancellation before then.`;
+            }
+          } else {
+            const subs = await subscriptionManager.getCustomerSubscriptions(customerId);
+            if (subs.length === 0) {
+              response = "You don't have any active subscriptions to cancel.";
+            } else {
+              response = 'Which subscription would you like to cancel? ' +
+                subs.map(s => `${s.plan_name} (ID: ${s.id})`).join(', ');
+            }
+          }
+          break;
+
+        case 'undo_cancellation':
+          if (functionArgs.subscriptionId) {
+            const restored = await subscriptionManager.undoCancellation(functionArgs.subscriptionId, { actor });
+            action = 'cancellation_undone';
+            data = restored;
+            response = `Your cancellation has been undone. Your subscription will keep renewing, ` +
+              `next billed on ${formatDate(restored.next_billing_date)}.`;
+          } else {
+            const subs = await subscriptionManager.getCustomerSubscriptions(customerId);
+            const pending = subs.filter(s => s.cancel_at_period_end && s.status !== 'cancelled');
+            if (pending.length === 0) {
+              response = "You don't have any subscriptions with a pending cancellation.";
+            } else {
+              response = 'Which cancellation would you like to undo? ' +
+                pending.map(s => `${s.plan_name} (ID: ${s.id}, ends ${formatDate(s.end_date)})`).join(', ');
+            }
+          }
+          break;
+
+        case 'apply_coupon':
+          if (functionArgs.subscriptionId && functionArgs.code) {
+            const subscription = await subscriptionManager.getSubscription(functionArgs.subscriptionId);
+            const { coupon } = await couponManager.applyCoupon(functionArgs.code, subscription, new Date(), { actor });
+            const plan = availablePlans.find(p => p.id === subscription.plan_id);
+            const price = await subscriptionManager.getSubscriptionPrice(subscription);
+            const discount = await couponManager.getDiscount(subscription.id, price, locale);
+            action = 'coupon_applied';
+            data = {
+              coupon: couponManager.formatCoupon(coupon, locale),
+              discount: {
+                ...discount,
+                amount: fromMinorUnits(discount.amount, subscription.currency),
+                netAmount: fromMinorUnits(discount.netAmount, subscription.currency),
+                currency: subscription.currency
+              }
+            };
+            response = `Coupon ${coupon.code} is applied to your ${plan.name}: ${discount.description}. ` +
+              `Your next payment on ${formatDate(subscription.next_billing_date)} will be ` +
+              `${formatAmount(withTax(discount.netAmount), subscription.currency)} ` +
+              `instead of ${formatAmount(withTax(price), subscription.currency)}.`;
+          } else {
+            const subs = (await subscriptionManager.getCustomerSubscriptions(customerId))
+              .filter(s => s.status !== 'cancelled');
+            if (subs.length === 0) {
+              response = "You don't have any subscriptions to apply a coupon to. " +
+                'You can use the code when you subscribe to a plan.';
+            } else {
+              response = `Which subscription should ${functionArgs.code ? `code ${functionArgs.code}` : 'the code'} apply to? ` +
+                subs.map(s => `${s.plan_name} (ID: ${s.id})`).join(', ');
+            }
+          }
+          break;
+
+        case 'pause_subscription':
+          if (functionArgs.subscriptionId) {
+            const paused = await subscriptionManager.pauseSubscription(
+              functionArgs.subscriptionId,
+              functionArgs.resumeDate || null,
+              { actor }
+            );
+            action = 'subscription_paused';
+            data = paused;
+            response = paused.resume_at
+              ? `Your subscription has been paused and will resume automatically on ${formatDate(paused.resume_at)}.`
+              : `Your subscription has been paused. Resume it any time and your billing date will move forward by the time it was paused.`;
+          } else {
+            const subs = (await subscriptionManager.getCustomerSubscriptions(customerId))
+              .filter(s => s.status === 'active');
+            if (subs.length === 0) {
+              response = "You don't have any active subscriptions to pause.";
+            } else {
+              response = 'Which subscription would you like to pause? ' +
+                subs.map(s => `${s.plan_name} (ID: ${s.id})`).join(', ');
+            }
+          }
+          break;
+
+        case 'resume_subscription':
+          if (functionArgs.subscriptionId) {
+            const resumed = await subscriptionManager.resumeSubscription(functionArgs.subscriptionId, undefined, { actor });
+            action = 'subscription_resumed';
+            data = resumed;
+            response = `Your subscription is active again. Your next billing date is ${formatDate(resumed.next_billing_date)}.`;
+          } else {
+            const subs = (await subscriptionManager.getCustomerSubscriptions(customerId))
+              .filter(s => s.status === 'paused');
+            if (subs.length === 0) {
+              response = "You don't have any paused subscriptions.";
+            } else {
+              response = 'Which subscription would you like to resume? ' +
+                subs.map(s => `${s.plan_name} (ID: ${s.id})`).join(', ');
+            }
+          }
+          break;
+
+        case 'change_plan':
+          if (functionArgs.subscriptionId && functionArgs.planId) {
+            const result = await subscriptionManager.changePlan(
+              functionArgs.subscriptionId,
+              functionArgs.planId,
+              { preview: functionArgs.preview === true, actor }
+            );
+            const { quote } = result;
+            const changeData = {
+              ...result,
+              quote: subscriptionManager.formatQuote(quote, locale),
+              transaction: result.transaction && billingManager.formatTransaction(result.transaction, locale),
+              refunds: result.refunds && result.refunds.map(refund => billingManager.formatTransaction(refund, locale))
+            };
+            const money = amount => formatAmount(Math.abs(amount), quote.currency);
+            const taxText = quote.tax?.taxAmount && !quote.tax.inclusive
+              ? `, plus ${money(quote.tax.taxAmount)} ${quote.tax.name}`
+              : '';
+
+            if (quote.onTrial) {
+              action = functionArgs.preview === true ? 'plan_change_quoted' : 'plan_changed';
+              data = changeData;
+              response = functionArgs.preview === true
+                ? `You're still on your free trial, so switching from ${quote.currentPlan.name} to ${quote.newPlan.name} is free. ` +
+                  `Your trial still ends on ${formatDate(quote.nextBillingDate)}. Would you like me to go ahead?`
+                : `Done! Your trial is now on ${quote.newPlan.name} at no charge. ` +
+                  `When it ends on ${formatDate(quote.nextBillingDate)} you'll be billed ` +
+                  `${formatPrice(quote.newPlan.price, quote.currency, quote.newPlan.billingCycle)}.`;
+            } else if (functionArgs.preview === true) {
+              action = 'plan_change_quoted';
+              data = changeData;
+              response = `Switching from ${quote.currentPlan.name} to ${quote.newPlan.name} now would result in ` +
+                `${describeProration(quote.totalDue, quote.currency)} ` +
+                `(${money(quote.charge)} for the new plan minus ${money(quote.credit)} unused on your current plan${taxText}). ` +
+                `Would you like me to go ahead?`;
+            } else {
+              action = 'plan_changed';
+              data = changeData;
+              response = `Done! You're now on ${quote.newPlan.name}. ` +
+                `This change resulted in ${describeProration(quote.totalDue, quote.currency, result.refunds)}. ` +
+                `Your next billing date is ${formatDate(quote.nextBillingDate)}.`;
+            }
+          } else {
+            const subs = (await subscriptionManager.getCustomerSubscriptions(customerId))
+              .filter(s => s.status === 'active' || s.status === 'trialing');
+            if (subs.length === 0) {
+              response = "You don't have any active subscriptions to change.";
+            } else {
+              response = 'Which subscription would you like to change, and to which plan? ' +
+                subs.map(s => `${s.plan_name} (ID: ${s.id})`).join(', ');
+            }
+          }
+          break;
+
+        case 'change_quantity':
+          if (functionArgs.subscriptionId && functionArgs.addonId && Number.isInteger(functionArgs.change)) {
+            const addon = await addonManager.getAddon(functionArgs.addonId);
+            const currentQuantity = await addonManager.getQuantity(functionArgs.subscriptionId, addon.id);
+            const quantity = currentQuantity + functionArgs.change;
+
+            if (quantity < 0) {
+              response = addon.id === SEAT_ADDON_ID
+                ? `You only have ${currentQuantity} extra seat(s) to remove; the seats included in your plan can't be removed.`
+                : `You only have ${currentQuantity} × ${addon.name} to remove.`;
+              break;
+            }
+
+            const result = await subscriptionManager.changeQuantity(
+              functionArgs.subscriptionId,
+              addon.id,
+              quantity,
+              { preview: functionArgs.preview === true, actor }
+            );
+            const { quote } = result;
+            const money = amount => formatAmount(Math.abs(amount), quote.currency);
+            const changeText = functionArgs.change > 0
+              ? `adding ${functionArgs.change} × ${addon.name} to`
+              : `removing ${-functionArgs.change} × ${addon.name} from`;
+            const taxText = quote.tax?.taxAmount && !quote.tax.inclusive
+              ? ` (including ${money(quote.tax.taxAmount)} ${quote.tax.name})`
+              : '';
+            const newTotal = quote.seats
+              ? `${quote.seats.total} seats (${quote.seats.included} included + ${quote.seats.additional} extra)`
+              : `${quote.newQuantity} × ${addon.name}`;
+
+            action = functionArgs.preview === true ? 'quantity_change_quoted' : 'quantity_changed';
+            data = {
+              ...result,
+              quote: subscriptionManager.formatQuantityQuote(quote, locale),
+              transaction: result.transaction && billingManager.formatTransaction(result.transaction, locale),
+              refunds: result.refunds && result.refunds.map(refund => billingManager.formatTransaction(refund, locale))
+            };
+            if (functionArgs.preview === true) {
+              response = quote.onTrial
+                ? `You're on a free trial, so ${changeText} your ${quote.plan.name} is free until the trial ends. Would you like me to go ahead?`
+                : `${changeText.charAt(0).toUpperCase()}${changeText.slice(1)} your ${quote.plan.name} now would result in ` +
+                  `${describeProration(quote.totalDue, quote.currency)}${taxText} for the rest of this billing period. ` +
+                  'Would you like me to go ahead?';
+            } else {
+              response = `Done! Your ${quote.plan.name} now has ${newTotal}. ` +
+                (quote.onTrial
+                  ? "There's no charge while you're on your free trial."
+                  : `This change resulted in ${describeProration(quote.totalDue, quote.currency, result.refunds)}` +
+                    `${quote.totalDue > 0 ? taxText : ''}.`);
+            }
+          } else {
+            const subs = (await subscriptionManager.getCustomerSubscriptions(customerId))
+              .filter(s => s.status === 'active' || s.status === 'trialing');
+            if (subs.length === 0) {
+              response = "You don't have any active subscriptions to add seats or add-ons to.";
+            } else {
+              response = 'Which subscription would you like to change, and how many seats or add-ons should I add or remove? ' +
+                subs.map(s => `${s.plan_name} (ID: ${s.id})`).join(', ');
+            }
+          }
+          break;
+
+        case 'request_refund':
+          if (functionArgs.transactionId && functionArgs.reason) {
+            const refundRequest = await billingManager.createRefundRequest(
+              customerId,
+              functionArgs.transactionId,
+              functionArgs.amount ?? null,
+              functionArgs.reason,
+              { actor }
+            );
+            action = 'refund_requested';
+            data = billingManager.formatRefundRequest(refundRequest, locale);
+            response = `I've submitted a refund request for ${data.formatted.amount}. ` +
+              `Our team will review it and you'll see the refund in your billing history once it's approved.`;
+          } else if (!functionArgs.transactionId) {
+            const payments = (await billingManager.getBillingHistory(customerId, 10))
+              .filter(b => b.status === 'success' && b.amount > 0);
+            if (payments.length === 0) {
+              response = "You don't have any payments that can be refunded.";
+            } else {
+              response = 'Which payment would you like refunded, and why?\n\n' +
+                payments.slice(0, 5).map(b =>
+                  `💳 ${formatDate(b.date)} - ${b.formatted.amount} - ${b.description} (ID: ${b.id})`
+                ).join('\n');
+            }
+          } else {
+            response = 'Could you tell me why you would like a refund? I need a reason to submit the request.';
+          }
+          break;
+
+        case 'download_invoice':
+          if (functionArgs.transactionId) {
+            const invoice = invoiceManager.formatInvoice(
+              await invoiceManager.getCustomerInvoice(customerId, functionArgs.transactionId)
+            );
+            // Links are signed so they open in a browser, which can't send the API key
+            const invoicePath = `/api/invoices/${invoice.id}`;
+            const { expires, signature } = authManager.signLink(invoicePath);
+            const invoiceUrl = `${req.protocol}://${req.get('host')}${invoicePath}?expires=${expires}&signature=${signature}`;
+            action = 'invoice_ready';
+            data = {
+              invoice,
+              pdfUrl: `${invoiceUrl}&format=pdf`,
+              htmlUrl: `${invoiceUrl}&format=html`
+            };
+            response = `Here is invoice ${invoice.invoiceNumber} for ${invoice.formatted.total} (paid ${formatDate(invoice.paidAt)}):\n\n` +
+              `📄 Download PDF: ${data.pdfUrl}\n` +
+              `🖨️ Printable version: ${data.htmlUrl}`;
+          } else {
+            const payments = (await billingManager.getBillingHistory(customerId, 10))
+              .filter(b => ['success', 'refunded'].includes(b.status) && b.amount > 0);
+            if (payments.length === 0) {
+              response = "You don't have any payments with an invoice yet.";
+            } else {
+              response = 'Which payment would you like the invoice for?\n\n' +
+                payments.slice(0, 5).map(b =>
+                  `💳 ${formatDate(b.date)} - ${b.formatted.amount} - ${b.description} (ID: ${b.id})`
+                ).join('\n');
+            }
+          }
+          break;
+
+        case 'check_payment_status':
+          data = { dunningCases: openDunningCases };
+          if (openDunningCases.length === 0) {
+            response = 'All your payments are up to date. There are no failed payments on your account.';
+          } else {
+            response = openDunningCases.map(c => {
+              const failedOn = formatDate(c.opened_at);
+              if (c.status === 'suspended') {
+                return `⚠️ Your payment of ${formatAmount(c.amount, c.currency)} for ${c.plan_name} failed on ${failedOn} and all ${c.totalRetries} retries were unsuccessful.\n` +
+                  `   Your subscription is suspended and will be cancelled on ${formatDate(c.cancel_at)}.`;
+              }
+              return `⚠️ Your payment of ${formatAmount(c.amount, c.currency)} for ${c.plan_name} failed on ${failedOn}.\n` +
+                `   We'll retry on ${formatDate(c.next_retry_at)} (retry ${c.attempt_count} of ${c.totalRetries}).\n` +
+                `   If all retries fail, your subscription will be suspended and then cancelled.`;
+            }).join('\n\n');
+          }
+          break;
+
+        case 'view_subscription_history':
+          if (functionArgs.subscriptionId) {
+            const subscription = await subscriptionManager.getSubscription(functionArgs.subscriptionId);
+            const plan = await subscriptionManager.getPlan(subscription.plan_id);
+            const events = await eventLog.getSubscriptionEvents(subscription.id);
+            action = 'subscription_history';
+            data = { events: events.map(event => eventLog.formatEvent(event, locale)) };
+            if (events.length === 0) {
+              response = `There are no recorded changes to your ${plan.name} yet.`;
+            } else {
+              // The most recent events answer most questions; older ones are in data
+              const recent = events.slice(-10);
+              response = `Here's the history of your ${plan.name}` +
+                (events.length > recent.length ? ` (latest ${recent.length} of ${events.length} events)` : '') + ':\n\n' +
+                recent.map(event => `🕒 ${formatDate(event.occurred_at)} - ${eventLog.describeEvent(event, locale)}`).join('\n');
+            }
+          } else {
+            const subs = await subscriptionManager.getCustomerSubscriptions(customerId);
+            if (subs.length === 0) {
+              response = "You don't have any subscriptions yet.";
+            } else {
+              response = 'Which subscription would you like the history of? ' +
+                subs.map(s => `${s.plan_name} (ID: ${s.id})`).join(', ');
+            }
+          }
+          break;
+
+        case 'view_profile':
+          const profile = await customerManager.getCustomer(customerId);
+          const defaultPaymentMethod = await paymentManager.getDefaultPaymentMethod(customerId);
+          action = 'profile';
+          data = { customer: customerManager.formatCustomer(profile) };
+          response = `Here are your account details:\n\n` +
+            `👤 Name: ${profile.name}\n` +
+            `📧 Email: ${profile.email}\n` +
+            `🌍 Billing country: ${profile.country ? `${profile.country}${profile.region ? ` (${profile.region})` : ''}` : 'not set'}\n` +
+            `💱 Currency: ${currency}, amounts shown for ${locale}\n` +
+            `🕒 Time zone: ${timeZone}\n` +
+            `💳 Card on file: ${defaultPaymentMethod ? paymentManager.describePaymentMethod(defaultPaymentMethod) : 'none'}`;
+          break;
+
+        case 'update_email':
+          if (functionArgs.email) {
+            const before = await customerManager.getCustomer(customerId);
+            const customer = await customerManager.updateEmail(customerId, functionArgs.email);
+            action = 'email_updated';
+            data = { customer: customerManager.formatCustomer(customer) };
+            response = customer.email === before.email
+              ? `${customer.email} is already the email on your account.`
+              : `Done! Your email has been changed from ${before.email} to ${customer.email}.`;
+          } else {
+            response = 'What email address would you like to use?';
+          }
+          break;
+
+        default:
+          response = llmResponse.message || "I'm not sure how to help with that.";
+      }
+
+      if (agentMode) {
+        await auditTool(functionName, functionArgs, action === 'customer_switched' ? data.customer.id : customerId);
+      }
+    } else {
+      // No function call, use LLM's direct response
+      response = llmResponse.message || "I'm not sure how to help with that.";
+    }
+
+    res.json({
+      response,
+      action,
+      data,
+      // In agent mode, the customer the next message should be about
+      customerId: action === 'customer_switched' ? data.customer.id : customerId,
+      messageId
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/plans - Plans on sale, with their features
+app.get('/api/plans', async (req, res, next) => {
+  try {
+    const { currency, locale } = await getCatalogCurrency(req.query, req.auth);
+    const plans = await planManager.listPlans({ archived: false });
+
+    res.json({
+      plans: plans.map(plan => planManager.formatCatalogPlan(plan, currency, locale))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/plans/compare?ids= - Compare plans side by side (registered before /api/plans/:planId)
+app.get('/api/plans/compare', async (req, res, next) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    if (ids.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required query parameter: ids (comma-separated plan IDs)',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const { currency, locale } = await getCatalogCurrency(req.query, req.auth);
+    const comparison = await planManager.comparePlans(ids, { currency, locale });
+
+    res.json({ comparison });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/plans/:planId - A plan and its features; archived plans are shown as unavailable
+app.get('/api/plans/:planId', async (req, res, next) => {
+  try {
+    const { currency, locale } = await getCatalogCurrency(req.query, req.auth);
+    const plan = await planManager.getPlan(req.params.planId);
+
+    res.json({
+      plan: planManager.formatCatalogPlan(plan, currency, locale)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/subscriptions/:customerId - Get customer subscriptions
+app.get('/api/subscriptions/:customerId', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    await customerManager.getCustomer(customerId);
+    const subscriptions = await subscriptionManager.getCustomerSubscriptions(customerId);
+
+    res.json({
+      subscriptions: subscriptions.map(s => formatSubscription(s))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/subscriptions/:subscriptionId/pause - Pause a subscription
+app.post('/api/subscriptions/:subscriptionId/pause', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+    const { resumeAt = null } = req.body;
+
+    const subscription = await subscriptionManager.pauseSubscription(subscriptionId, resumeAt, { actor: customerActor(req) });
+    const timeZone = await subscriptionManager.getCustomerTimeZone(subscription.customer_id);
+
+    res.json({
+      subscription: formatSubscription(subscription, timeZone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/subscriptions/:subscriptionId/resume - Resume a paused subscription
+app.post('/api/subscriptions/:subscriptionId/resume', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await subscriptionManager.resumeSubscription(subscriptionId, undefined, { actor: customerActor(req) });
+    const timeZone = await subscriptionManager.getCustomerTimeZone(subscription.customer_id);
+
+    res.json({
+      subscription: formatSubscription(subscription, timeZone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/subscriptions/:subscriptionId/cancel - Cancel at period end, or immediately
+app.post('/api/subscriptions/:subscriptionId/cancel', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+    const immediate = req.body.immediate === true;
+
+    const subscription = await subscriptionManager.cancelSubscription(subscriptionId, { immediate, actor: customerActor(req) });
+    const timeZone = await subscriptionManager.getCustomerTimeZone(subscription.customer_id);
+
+    res.json({
+      subscription: formatSubscription(subscription, timeZone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/subscriptions/:subscriptionId/undo-cancel - Keep a subscription scheduled to cancel
+app.post('/api/subscriptions/:subscriptionId/undo-cancel', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await subscriptionManager.undoCancellation(subscriptionId, { actor: customerActor(req) });
+    const timeZone = await subscriptionManager.getCustomerTimeZone(subscription.customer_id);
+
+    res.json({
+      subscription: formatSubscription(subscription, timeZone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/subscriptions/:subscriptionId/coupon - Apply a promo code to a subscription
+app.post('/api/subscriptions/:subscriptionId/coupon', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: code',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const subscription = await subscriptionManager.getSubscription(subscriptionId);
+    const { coupon, redemption } = await couponManager.applyCoupon(code, subscription, new Date(), { actor: customerActor(req) });
+
+    res.status(201).json({
+      coupon: couponManager.formatCoupon(coupon),
+      redemption: {
+        id: redemption.id,
+        subscriptionId: redemption.subscription_id,
+        redeemedAt: redemption.redeemed_at
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/subscriptions/:subscriptionId/change-plan - Upgrade or downgrade with proration
+app.post('/api/subscriptions/:subscriptionId/change-plan', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+    const { planId } = req.body;
+    const preview = req.body.preview === true || req.query.preview === 'true';
+
+    if (!planId) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: planId',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await subscriptionManager.changePlan(subscriptionId, planId, { preview, actor: customerActor(req) });
+
+    const subscription = await subscriptionManager.getSubscription(subscriptionId);
+    const { locale } = await subscriptionManager.getCustomerCurrency(subscription.customer_id);
+
+    if (preview) {
+      return res.json({
+        preview: true,
+        quote: subscriptionManager.formatQuote(result.quote, locale)
+      });
+    }
+
+    const timeZone = await subscriptionManager.getCustomerTimeZone(result.subscription.customer_id);
+
+    res.json({
+      preview: false,
+      subscription: formatSubscription(result.subscription, timeZone),
+      quote: subscriptionManager.formatQuote(result.quote, locale),
+      transaction: result.transaction && billingManager.formatTransaction(result.transaction, locale),
+      refunds: result.refunds.map(refund => billingManager.formatTransaction(refund, locale))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/subscriptions/:subscriptionId/items/:addonId - Set the quantity of seats or an add-on with proration
+app.put('/api/subscriptions/:subscriptionId/items/:addonId', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId, addonId } = req.params;
+    const { quantity } = req.body;
+    const preview = req.body.preview === true || req.query.preview === 'true';
+
+    if (quantity === undefined) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: quantity',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await subscriptionManager.changeQuantity(subscriptionId, addonId, quantity, { preview, actor: customerActor(req) });
+
+    const subscription = await subscriptionManager.getSubscription(subscriptionId);
+    const { locale } = await subscriptionManager.getCustomerCurrency(subscription.customer_id);
+
+    if (preview) {
+      return res.json({
+        preview: true,
+        quote: subscriptionManager.formatQuantityQuote(result.quote, locale)
+      });
+    }
+
+    const timeZone = await subscriptionManager.getCustomerTimeZone(subscription.customer_id);
+
+    res.json({
+      preview: false,
+      subscription: formatSubscription(result.subscription, timeZone),
+      quote: subscriptionManager.formatQuantityQuote(result.quote, locale),
+      transaction: result.transaction && billingManager.formatTransaction(result.transaction, locale),
+      refunds: result.refunds.map(refund => billingManager.formatTransaction(refund, locale))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/subscriptions/:subscriptionId/events - Get a subscription's change and billing history
+app.get('/api/subscriptions/:subscriptionId/events', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await subscriptionManager.getSubscription(subscriptionId);
+    const { locale } = await subscriptionManager.getCustomerCurrency(subscription.customer_id);
+    const events = await eventLog.getSubscriptionEvents(subscriptionId);
+
+    res.json({
+      subscriptionId,
+      events: events.map(event => eventLog.formatEvent(event, locale))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/subscriptions/:subscriptionId/usage - Get unbilled metered usage and the overage so far
+app.get('/api/subscriptions/:subscriptionId/usage', requireCustomer, async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await subscriptionManager.getSubscription(subscriptionId);
+    const { locale } = await subscriptionManager.getCustomerCurrency(subscription.customer_id);
+    const usage = await usageManager.getUsageCharges(subscription, new Date());
+
+    res.json({
+      subscriptionId,
+      planId: subscription.plan_id,
+      currency: subscription.currency,
+      billedOn: subscription.next_billing_date,
+      usage: usage.lines.map(line => usageManager.formatUsage(line, subscription.currency, locale)),
+      overageAmount: fromMinorUnits(usage.amount, subscription.currency),
+      formatted: {
+        overageAmount: formatMoney(usage.amount, subscription.currency, locale)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/usage - Record a metered usage event
+app.post('/api/usage', requireCustomer, async (req, res, next) => {
+  try {
+    const { eventId, subscriptionId, metric, quantity, timestamp } = req.body;
+
+    if (!eventId || !subscriptionId || !metric || quantity === undefined) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required fields: eventId, subscriptionId, metric and quantity',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    await subscriptionManager.getCustomerSubscription(req.auth.customerId, subscriptionId);
+    const { record, duplicate } = await usageManager.recordUsage({
+      customerId: req.auth.customerId,
+      eventId,
+      subscriptionId,
+      metric,
+      quantity,
+      timestamp
+    });
+
+    // A repeated event ID is acknowledged without recording the usage again
+    res.status(duplicate ? 200 : 201).json({
+      usage: usageManager.formatRecord(record),
+      duplicate
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/customers - List customers, or find one by email
+app.get('/api/customers', requireAdmin, auditStaffAction, async (req, res, next) => {
+  try {
+    const { email = null } = req.query;
+
+    const customers = await customerManager.listCustomers({ email });
+
+    res.json({
+      customers: customers.map(customer => customerManager.formatCustomer(customer))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/customers - Sign up as a customer and get an API key
+app.post('/api/customers', async (req, res, next) => {
+  try {
+    const { name, email, timeZone = null, currency = null, locale = null } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required fields: name and email',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const customer = await customerManager.createCustomer({ name, email, timeZone, currency, locale });
+    const apiKey = await authManager.createApiKey(customer.id, { name: 'Created at sign-up' });
+
+    res.status(201).json({
+      customer: customerManager.formatCustomer(customer),
+      apiKey: authManager.formatApiKey(apiKey)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/me - The customer or support agent the API key belongs to
+app.get('/api/me', async (req, res, next) => {
+  try {
+    if (isStaff(req.auth)) {
+      return res.json({
+        agent: { id: req.auth.agentId, name: req.auth.name }
+      });
+    }
+
+    assertCustomerAccess(req.auth);
+    const customer = await customerManager.getCustomer(req.auth.customerId);
+
+    res.json({
+      customer: customerManager.formatCustomer(customer)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/customers/:customerId - Get a customer
+app.get('/api/customers/:customerId', requireCustomer, async (req, res, next) => {
+  try {
+    const customer = await customerManager.getCustomer(req.params.customerId);
+
+    res.json({
+      customer: customerManager.formatCustomer(customer)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/customers/:customerId - Change a customer's name, email or time zone
+app.patch('/api/customers/:customerId', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { name, email, timeZone } = req.body;
+
+    const customer = await customerManager.updateCustomer(customerId, { name, email, timeZone });
+
+    res.json({
+      customer: customerManager.formatCustomer(customer)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/customers/:customerId - Delete a customer who has never subscribed
+app.delete('/api/customers/:customerId', requireCustomer, async (req, res, next) => {
+  try {
+    await customerManager.deleteCustomer(req.params.customerId);
+
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/customers/:customerId/billing-address - Set the billing region tax is based on
+app.put('/api/customers/:customerId/billing-address', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { country, region = null } = req.body;
+
+    if (!country) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: country',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await taxManager.setBillingRegion(customerId, { country, region });
+
+    res.json({
+      billingAddress: { country: result.country, region: result.region },
+      taxRule: result.taxRule ? taxManager.formatTaxRule(result.taxRule) : null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/customers/:customerId/preferences - Set the currency and locale amounts are shown in
+app.put('/api/customers/:customerId/preferences', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { currency, locale } = req.body;
+
+    if (currency === undefined && locale === undefined) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required fields: currency or locale',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const preferences = await subscriptionManager.setCustomerPreferences(customerId, { currency, locale });
+
+    res.json({
+      preferences: { currency: preferences.currency, locale: preferences.locale }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/customers/:customerId/payment-methods - List saved payment methods
+app.get('/api/customers/:customerId/payment-methods', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    const paymentMethods = await paymentManager.listPaymentMethods(customerId);
+
+    res.json({
+      customerId,
+      paymentMethods: paymentMethods.map(method => paymentManager.formatPaymentMethod(method))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/customers/:customerId/payment-methods - Save a payment method with the payment gateway
+app.post('/api/customers/:customerId/payment-methods', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { makeDefault = false, ...details } = req.body;
+
+    if (!details.cardNumber || !details.expMonth || !details.expYear) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required fields: cardNumber, expMonth and expYear',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const paymentMethod = await paymentManager.addPaymentMethod(customerId, details, { makeDefault: makeDefault === true });
+
+    res.status(201).json({
+      paymentMethod: paymentManager.formatPaymentMethod(paymentMethod)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/customers/:customerId/payment-methods/:paymentMethodId/default - Charge this payment method from now on
+app.post('/api/customers/:customerId/payment-methods/:paymentMethodId/default', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId, paymentMethodId } = req.params;
+
+    const paymentMethod = await paymentManager.setDefaultPaymentMethod(customerId, paymentMethodId);
+
+    res.json({
+      paymentMethod: paymentManager.formatPaymentMethod(paymentMethod)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/customers/:customerId/payment-methods/:paymentMethodId - Remove a saved payment method
+app.delete('/api/customers/:customerId/payment-methods/:paymentMethodId', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId, paymentMethodId } = req.params;
+
+    await paymentManager.removePaymentMethod(customerId, paymentMethodId);
+
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/customers/:customerId/api-keys - List the customer's API keys
+app.get('/api/customers/:customerId/api-keys', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    const apiKeys = await authManager.listApiKeys(customerId);
+
+    res.json({
+      customerId,
+      apiKeys: apiKeys.map(apiKey => authManager.formatApiKey(apiKey))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/customers/:customerId/api-keys - Create another API key; the key is only shown in this response
+app.post('/api/customers/:customerId/api-keys', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { name = null } = req.body;
+
+    const apiKey = await authManager.createApiKey(customerId, { name });
+
+    res.status(201).json({
+      apiKey: authManager.formatApiKey(apiKey)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/customers/:customerId/api-keys/:keyId - Revoke an API key
+app.delete('/api/customers/:customerId/api-keys/:keyId', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId, keyId } = req.params;
+
+    await authManager.revokeApiKey(customerId, keyId);
+
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/billing/:customerId - Get billing history
+app.get('/api/billing/:customerId', requireCustomer, async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
+
+    await customerManager.getCustomer(customerId);
+    const transactions = await billingManager.getBillingHistory(customerId, limit);
+
+    res.json({
+      transactions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/billing/:transactionId/refund - Refund all or part of a transaction
+app.post('/api/billing/:transactionId/refund', requireAdmin, auditStaffAction, async (req, res, next) => {
+  try {
+    const { transactionId } = req.params;
+    const { amount = null, reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: reason',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await billingManager.refundTransaction(transactionId, amount, reason, { actor: adminActor(req) });
+    res.locals.customerId = result.original.customer_id;
+
+    res.status(201).json({
+      refund: billingManager.formatTransaction(result.refund),
+      original: billingManager.formatTransaction(result.original),
+      remainingRefundable: fromMinorUnits(result.remainingRefundable, result.original.currency)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/invoices/:id - Get an invoice as JSON, printable HTML or PDF (API key or signed link)
+app.get('/api/invoices/:id', async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'html', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid format: use json, html or pdf',
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    // A signed link opens the invoice it was made for; otherwise customers see only their own
+    const signedLink = authManager.verifyLink(`/api/invoices/${req.params.id}`, req.query);
+    if (!signedLink) {
+      assertCustomerAccess(req.auth);
+    }
+
+    const invoice = invoiceManager.formatInvoice(signedLink
+      ? await invoiceManager.getInvoice(req.params.id)
+      : await invoiceManager.getCustomerInvoice(req.auth.customerId, req.params.id));
+
+    if (format === 'json') {
+      return res.json({ invoice });
+    }
+
+    const timeZone = await subscriptionManager.getCustomerTimeZone(invoice.customerId);
+
+    if (format === 'html') {
+      return res.type('html').send(renderInvoiceHtml(invoice, { timeZone }));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.invoiceNumber}.pdf"`);
+    res.send(renderInvoicePdf(invoice, { timeZone }));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/plans - List plans, on sale and archived
+app.get('/api/admin/plans', async (req, res, next) => {
+  try {
+    const { archived } = req.query;
+    const plans = await planManager.listPlans({
+      archived: archived === undefined ? null : archived === 'true'
+    });
+
+    res.json({
+      plans: plans.map(plan => planManager.formatPlan(plan))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/plans - Create a plan
+app.post('/api/admin/plans', async (req, res, next) => {
+  try {
+    const { id, name, prices } = req.body;
+
+    if (!id || !name || !prices) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required fields: id, name and prices',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const plan = await planManager.createPlan(req.body);
+
+    res.status(201).json({
+      plan: planManager.formatPlan(plan)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/plans/:planId - Get a plan, archived or not
+app.get('/api/admin/plans/:planId', async (req, res, next) => {
+  try {
+    const plan = await planManager.getPlan(req.params.planId);
+
+    res.json({
+      plan: planManager.formatPlan(plan)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/admin/plans/:planId - Change a plan's details, prices or features
+app.patch('/api/admin/plans/:planId', async (req, res, next) => {
+  try {
+    const plan = await planManager.updatePlan(req.params.planId, req.body);
+
+    res.json({
+      plan: planManager.formatPlan(plan)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/plans/:planId/archive - Take a plan off sale; existing subscriptions keep renewing
+app.post('/api/admin/plans/:planId/archive', async (req, res, next) => {
+  try {
+    const plan = await planManager.archivePlan(req.params.planId);
+
+    res.json({
+      plan: planManager.formatPlan(plan)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/plans/:planId/unarchive - Put an archived plan back on sale
+app.post('/api/admin/plans/:planId/unarchive', async (req, res, next) => {
+  try {
+    const plan = await planManager.unarchivePlan(req.params.planId);
+
+    res.json({
+      plan: planManager.formatPlan(plan)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/plans/:planId/prices - List a plan's price versions and who pays each
+app.get('/api/admin/plans/:planId/prices', async (req, res, next) => {
+  try {
+    const versions = await planManager.listPriceVersions(req.params.planId);
+
+    res.json({
+      versions: versions.map(version => planManager.formatPriceVersion(version))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/plans/:planId/prices - Add a price version for new subscribers, now or from a later date
+app.post('/api/admin/plans/:planId/prices', async (req, res, next) => {
+  try {
+    const { prices, effectiveAt } = req.body;
+
+    if (!prices) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: prices',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const version = await planManager.createPriceVersion(req.params.planId, prices, { effectiveAt });
+
+    res.status(201).json({
+      version: planManager.formatPriceVersion(version)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/plans/:planId/prices/:version - Withdraw a price version that hasn't taken effect
+app.delete('/api/admin/plans/:planId/prices/:version', async (req, res, next) => {
+  try {
+    await planManager.withdrawPriceVersion(req.params.planId, Number(req.params.version));
+
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/plans/:planId/prices/:version/migrate - Move existing subscribers to a price version after notice
+app.post('/api/admin/plans/:planId/prices/:version/migrate', async (req, res, next) => {
+  try {
+    const { noticeDays = 30 } = req.body;
+
+    const { scheduled, skipped } = await subscriptionManager.schedulePriceMigration(
+      req.params.planId,
+      Number(req.params.version),
+      { noticeDays, actor: adminActor(req) }
+    );
+
+    res.json({
+      scheduled: scheduled.map(change => ({ ...change, amount: fromMinorUnits(change.amount, change.currency) })),
+      skipped
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/customers?q= - Search customers by ID, name or email
+app.get('/api/admin/customers', async (req, res, next) => {
+  try {
+    const { q } = req.query;
+
+    if (!q) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required query parameter: q',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const customers = await customerManager.searchCustomers(q);
+
+    res.json({
+      customers: customers.map(customer => customerManager.formatCustomer(customer))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/customers/:customerId - A customer with their subscriptions, open payment problems and notes
+app.get('/api/admin/customers/:customerId', async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    const customer = await customerManager.getCustomer(customerId);
+    const subscriptions = await subscriptionManager.getCustomerSubscriptions(customerId);
+    const dunningCases = await dunningManager.getOpenCases(customerId);
+    const notes = await supportManager.listNotes(customerId);
+
+    res.json({
+      customer: customerManager.formatCustomer(customer),
+      subscriptions: subscriptions.map(s => formatSubscription(s)),
+      openDunningCases: dunningCases.length,
+      notes: notes.map(note => supportManager.formatNote(note))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/customers/:customerId/billing - A customer's billing history
+app.get('/api/admin/customers/:customerId/billing', async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
+
+    await customerManager.getCustomer(customerId);
+    const transactions = await billingManager.getBillingHistory(customerId, limit);
+
+    res.json({
+      customerId,
+      transactions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/customers/:customerId/subscriptions/:subscriptionId/cancel - Cancel for the customer
+app.post('/api/admin/customers/:customerId/subscriptions/:subscriptionId/cancel', async (req, res, next) => {
+  try {
+    const { customerId, subscriptionId } = req.params;
+    const immediate = req.body.immediate === true;
+
+    await subscriptionManager.getCustomerSubscription(customerId, subscriptionId);
+    const subscription = await subscriptionManager.cancelSubscription(subscriptionId, { immediate, actor: adminActor(req) });
+    const timeZone = await subscriptionManager.getCustomerTimeZone(customerId);
+
+    res.json({
+      subscription: formatSubscription(subscription, timeZone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/customers/:customerId/billing/:transactionId/refund - Refund one of the customer's payments
+app.post('/api/admin/customers/:customerId/billing/:transactionId/refund', async (req, res, next) => {
+  try {
+    const { customerId, transactionId } = req.params;
+    const { amount = null, reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: reason',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const { original } = await billingManager.getRefundableAmount(transactionId);
+    if (original.customer_id !== customerId) {
+      throw createError(`Transaction with ID ${transactionId} not found`, 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    const result = await billingManager.refundTransaction(transactionId, amount, reason, { actor: adminActor(req) });
+
+    res.status(201).json({
+      refund: billingManager.formatTransaction(result.refund),
+      original: billingManager.formatTransaction(result.original),
+      remainingRefundable: fromMinorUnits(result.remainingRefundable, result.original.currency)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/customers/:customerId/notes - Internal notes on a customer, newest first
+app.get('/api/admin/customers/:customerId/notes', async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    await customerManager.getCustomer(customerId);
+    const notes = await supportManager.listNotes(customerId);
+
+    res.json({
+      customerId,
+      notes: notes.map(note => supportManager.formatNote(note))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/customers/:customerId/notes - Add an internal note to a customer
+app.post('/api/admin/customers/:customerId/notes', async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { body } = req.body;
+
+    if (!body) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: body',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    await customerManager.getCustomer(customerId);
+    const note = await supportManager.addNote(customerId, body, { agentId: req.auth.agentId });
+
+    res.status(201).json({
+      note: supportManager.formatNote(note)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/customers/:customerId/api-keys - Issue an API key to an existing customer
+app.post('/api/admin/customers/:customerId/api-keys', async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { name = null } = req.body;
+
+    await customerManager.getCustomer(customerId);
+    const apiKey = await authManager.createApiKey(customerId, { name });
+
+    res.status(201).json({
+      apiKey: authManager.formatApiKey(apiKey)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/agents - Support agents, including disabled ones
+app.get('/api/admin/agents', requireAdminKey, async (req, res, next) => {
+  try {
+    const agents = await authManager.listAgents();
 
-        case 'cancel_subscription':
-          if (functionArgs.subscriptionId) {
-            const cancelled = await subscriptionManager.cancelSubscription(functionArgs.subscriptionId);
-            action = 'subscription_cancelled';
-            data = cancelled;
-            response = `Your subscription has been cancelled. It will remain active until the end of your billing period.`;
-          } else {
-            const subs = await subscriptionManager.getCustomerSubscriptions(customerId);
-            if (subs.length === 0) {
-              response = "You don't have any active subscriptions to cancel.";
-            } else {
-              response = 'Which subscription would you like to cancel? ' +
-                subs.map(s => `${s.plan_name} (ID: ${s.id})`).join(', ');
-            }
-          }
-          break;
+    res.json({
+      agents: agents.map(agent => authManager.formatAgent(agent))
+    });
 
-        default:
-          response = llmResponse.message || "I'm not sure how to help with that.";
-      }
-    } else {
-      // No function call, use LLM's direct response
-      response = llmResponse.message || "I'm not sure how to help with that.";
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/agents - Add a support agent; their API key is only shown in this response
+app.post('/api/admin/agents', requireAdminKey, async (req, res, next) => {
+  try {
+    const { name, email } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required fields: name and email',
+        code: 'MISSING_FIELDS'
+      });
     }
 
+    const agent = await authManager.createAgent({ name, email });
+
+    res.status(201).json({
+      agent: authManager.formatAgent(agent)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/agents/:agentId/reset-key - Replace an agent's API key, re-enabling them
+app.post('/api/admin/agents/:agentId/reset-key', requireAdminKey, async (req, res, next) => {
+  try {
+    const agent = await authManager.resetAgentKey(req.params.agentId);
+
     res.json({
-      response,
-      action,
-      data
+      agent: authManager.formatAgent(agent)
     });
 
   } catch (error) {
@@ -323,24 +2806,28 @@ Always be helpful and concise in your responses.`;
   }
 });
 
-// GET /api/subscriptions/:customerId - Get customer subscriptions
-app.get('/api/subscriptions/:customerId', async (req, res, next) => {
+// DELETE /api/admin/agents/:agentId - Disable an agent; their audit history is kept
+app.delete('/api/admin/agents/:agentId', requireAdminKey, async (req, res, next) => {
   try {
-    const { customerId } = req.params;
+    await authManager.disableAgent(req.params.agentId);
 
-    const subscriptions = await subscriptionManager.getCustomerSubscriptions(customerId);
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/actions - Audit log of what staff did, newest first
+app.get('/api/admin/actions', async (req, res, next) => {
+  try {
+    const { agentId = null, customerId = null } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const actions = await supportManager.listActions({ agentId, customerId }, limit);
 
     res.json({
-      subscriptions: subscriptions.map(s => ({
-        id: s.id,
-        planId: s.plan_id,
-        planName: s.plan_name,
-        status: s.status,
-        startDate: s.start_date,
-        nextBillingDate: s.next_billing_date,
-        amount: s.price,
-        billingCycle: s.billing_cycle
-      }))
+      actions: actions.map(action => supportManager.formatAction(action))
     });
 
   } catch (error) {
@@ -348,16 +2835,285 @@ app.get('/api/subscriptions/:customerId', async (req, res, next) => {
   }
 });
 
-// GET /api/billing/:customerId - Get billing history
-app.get('/api/billing/:customerId', async (req, res, next) => {
+// GET /api/admin/coupons - List promo codes
+app.get('/api/admin/coupons', async (req, res, next) => {
   try {
-    const { customerId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
+    const coupons = await couponManager.listCoupons();
 
-    const transactions = await billingManager.getBillingHistory(customerId, limit);
+    res.json({
+      coupons: coupons.map(c => couponManager.formatCoupon(c))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/coupons - Create a promo code
+app.post('/api/admin/coupons', async (req, res, next) => {
+  try {
+    const { code, discountType, discountValue } = req.body;
+
+    if (!code || !discountType || discountValue === undefined) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required fields: code, discountType and discountValue',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const coupon = await couponManager.createCoupon(req.body);
+
+    res.status(201).json({
+      coupon: couponManager.formatCoupon(coupon)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/tax-rules - List tax rules
+app.get('/api/admin/tax-rules', async (req, res, next) => {
+  try {
+    const taxRules = await taxManager.listTaxRules();
 
     res.json({
-      transactions
+      taxRules: taxRules.map(rule => taxManager.formatTaxRule(rule))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/tax-rules - Create or replace the tax rule for a country or region
+app.post('/api/admin/tax-rules', async (req, res, next) => {
+  try {
+    const { country, name, rate } = req.body;
+
+    if (!country || !name || rate === undefined) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required fields: country, name and rate',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const taxRule = await taxManager.saveTaxRule(req.body);
+
+    res.status(201).json({
+      taxRule: taxManager.formatTaxRule(taxRule)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/refund-requests - List refund requests awaiting review
+app.get('/api/admin/refund-requests', async (req, res, next) => {
+  try {
+    const status = req.query.status || 'pending';
+    const refundRequests = await billingManager.listRefundRequests(status === 'all' ? null : status);
+
+    res.json({
+      refundRequests: refundRequests.map(request => billingManager.formatRefundRequest(request))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/refund-requests/:requestId/approve - Approve and issue a refund
+app.post('/api/admin/refund-requests/:requestId/approve', async (req, res, next) => {
+  try {
+    const { requestId } = req.params;
+    // The reviewer is whoever the key belongs to, never a name from the body
+    const reviewedBy = req.auth.agentId || 'admin';
+
+    const result = await billingManager.approveRefundRequest(requestId, reviewedBy);
+
+    res.json({
+      refundRequest: billingManager.formatRefundRequest(result.request),
+      refund: billingManager.formatTransaction(result.refund),
+      remainingRefundable: fromMinorUnits(result.remainingRefundable, result.original.currency)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/refund-requests/:requestId/reject - Reject a refund request
+app.post('/api/admin/refund-requests/:requestId/reject', async (req, res, next) => {
+  try {
+    const { requestId } = req.params;
+    const { note = null } = req.body;
+    const reviewedBy = req.auth.agentId || 'admin';
+
+    const refundRequest = await billingManager.rejectRefundRequest(requestId, reviewedBy, note);
+
+    res.json({
+      refundRequest: billingManager.formatRefundRequest(refundRequest)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/webhooks - List webhook endpoints
+app.get('/api/admin/webhooks', async (req, res, next) => {
+  try {
+    const endpoints = await webhookManager.listEndpoints();
+
+    res.json({
+      webhooks: endpoints.map(endpoint => webhookManager.formatEndpoint(endpoint))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/webhooks - Register a webhook endpoint
+app.post('/api/admin/webhooks', async (req, res, next) => {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        error: true,
+        message: 'Missing required field: url',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const endpoint = await webhookManager.createEndpoint(req.body);
+
+    // The secret is only ever shown here, for the receiver to check signatures with
+    res.status(201).json({
+      webhook: webhookManager.formatEndpoint(endpoint, { includeSecret: true })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/webhooks/:endpointId - Get a webhook endpoint
+app.get('/api/admin/webhooks/:endpointId', async (req, res, next) => {
+  try {
+    const endpoint = await webhookManager.getEndpoint(req.params.endpointId);
+
+    res.json({
+      webhook: webhookManager.formatEndpoint(endpoint)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/admin/webhooks/:endpointId - Change a webhook endpoint's URL, event types or status
+app.patch('/api/admin/webhooks/:endpointId', async (req, res, next) => {
+  try {
+    const endpoint = await webhookManager.updateEndpoint(req.params.endpointId, req.body);
+
+    res.json({
+      webhook: webhookManager.formatEndpoint(endpoint)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/webhooks/:endpointId - Delete a webhook endpoint and its delivery log
+app.delete('/api/admin/webhooks/:endpointId', async (req, res, next) => {
+  try {
+    await webhookManager.deleteEndpoint(req.params.endpointId);
+
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/webhooks/:endpointId/deliveries - Delivery log of a webhook endpoint
+app.get('/api/admin/webhooks/:endpointId/deliveries', async (req, res, next) => {
+  try {
+    const { endpointId } = req.params;
+    const { status = null } = req.query;
+
+    const deliveries = await webhookManager.listDeliveries(endpointId, { status });
+
+    res.json({
+      endpointId,
+      deliveries: deliveries.map(delivery => webhookManager.formatDelivery(delivery))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/webhook-deliveries/:deliveryId - Get a delivery with its attempts
+app.get('/api/admin/webhook-deliveries/:deliveryId', async (req, res, next) => {
+  try {
+    const delivery = await webhookManager.getDelivery(req.params.deliveryId);
+
+    res.json({
+      delivery: webhookManager.formatDelivery(delivery)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/webhook-deliveries/:deliveryId/redeliver - Send a delivery again now
+app.post('/api/admin/webhook-deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const delivery = await webhookManager.redeliver(req.params.deliveryId);
+
+    res.json({
+      delivery: webhookManager.formatDelivery(delivery)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/payments - Notifications from the payment provider
+app.post('/api/webhooks/payments', async (req, res, next) => {
+  try {
+    const { event, duplicate } = await paymentWebhookManager.receive(req.rawBody, req.headers);
+
+    res.json({
+      received: true,
+      duplicate,
+      event: paymentWebhookManager.formatEvent(event)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/payment-events - Notifications received from the payment provider
+app.get('/api/admin/payment-events', async (req, res, next) => {
+  try {
+    const { status = null, chargeReference = null } = req.query;
+
+    const events = await paymentWebhookManager.listEvents({ status, chargeReference });
+
+    res.json({
+      events: events.map(event => paymentWebhookManager.formatEvent(event))
     });
 
   } catch (error) {
@@ -366,7 +3122,7 @@ app.get('/api/billing/:customerId', async (req, res, next) => {
 });
 
 // GET /api/recommendations/:customerId - Get AI recommendations
-app.get('/api/recommendations/:customerId', async (req, res, next) => {
+app.get('/api/recommendations/:customerId', requireCustomer, async (req, res, next) => {
   try {
     const { customerId } = req.params;
 
@@ -400,6 +3156,14 @@ process.on('SIGINT', async () => {
     rateLimiter.stop();
   }
 
+  if (renewalRunner) {
+    renewalRunner.stop();
+  }
+
+  if (webhookManager) {
+    webhookManager.stop();
+  }
+
   if (db) {
     await db.close();
   }
@@ -0,0 +1,56 @@
+import http from 'http';
+import { verifySignature } from './WebhookManager.js';
+
+/**
+ * Local webhook receiver, for trying out webhook delivery end to end
+ * Usage: node server/webhookReceiver.js [--port=4000] [--secret=whsec_...] [--fail]
+ * Register http://localhost:<port>/ as a webhook endpoint and every delivery is
+ * printed with the result of checking its signature against --secret.
+ * Passing --fail answers every delivery with HTTP 500, to exercise retries.
+ */
+function startReceiver() {
+  const option = name => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const port = parseInt(option('port')) || 4000;
+  const secret = option('secret') || process.env.WEBHOOK_SECRET;
+  const fail = process.argv.includes('--fail');
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const signature = req.headers['webhook-signature'];
+      const verified = secret ? verifySignature(secret, signature, body) : null;
+      let event = null;
+      try {
+        event = JSON.parse(body);
+      } catch {
+        // Logged as received below
+      }
+
+      console.log(JSON.stringify({
+        receivedAt: new Date().toISOString(),
+        deliveryId: req.headers['webhook-id'],
+        eventType: req.headers['webhook-event'],
+        signature: verified === null ? 'not checked (no --secret)' : verified ? 'valid' : 'INVALID',
+        event
+      }));
+
+      if (fail || verified === false) {
+        res.writeHead(fail ? 500 : 400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: false }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: true }));
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/${fail ? ' (failing every delivery)' : ''}`);
+  });
+
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+}
+
+startReceiver();
@@ -0,0 +1,77 @@
+import AuthManager from '../server/AuthManager.js';
+import { createTestDatabaseFile, createTestServices, createCustomer, startServer } from './helpers.js';
+
+const ADMIN_API_KEY = 'admin-test-key';
+
+describe('support agents', () => {
+  let database;
+  let server;
+  let agent;
+  let refundRequests;
+
+  beforeAll(async () => {
+    database = await createTestDatabaseFile();
+    const services = await createTestServices({ db: database.db });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+
+    // One pending request each for the agent and the admin key to review
+    refundRequests = [];
+    for (let i = 0; i < 2; i++) {
+      const customer = await createCustomer(services);
+      const subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+      const charge = await database.db.queryOne('SELECT id FROM billing_history WHERE subscription_id = ?', [subscription.id]);
+      refundRequests.push(await services.billingManager.createRefundRequest(customer.id, charge.id, 2, 'Did not use it'));
+    }
+
+    agent = await new AuthManager(database.db).createAgent({ name: 'Grace', email: 'grace@example.com' });
+    await database.db.close();
+
+    server = await startServer(database.path, { ADMIN_API_KEY });
+  }, 30000);
+
+  afterAll(async () => {
+    await server?.stop();
+    await database?.remove();
+  });
+
+  /**
+   * Call the API with a key and an optional JSON body
+   */
+  async function call(method, path, key, body = undefined) {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('records the agent who approved a refund, whoever the body names', async () => {
+    const requestId = refundRequests[0].id;
+
+    const { status, body } = await call('POST', `/api/admin/refund-requests/${requestId}/approve`, agent.key, {
+      reviewedBy: 'someone-else'
+    });
+
+    expect(status).toBe(200);
+    expect(body.refundRequest).toMatchObject({ status: 'approved', reviewed_by: agent.id });
+
+    const { body: audit } = await call('GET', `/api/admin/actions?agentId=${agent.id}`, ADMIN_API_KEY);
+    const approval = audit.actions.find(action => action.targetId === requestId);
+    expect(approval).toMatchObject({
+      agent: { id: agent.id, name: 'Grace' },
+      action: 'POST /api/admin/refund-requests/:requestId/approve'
+    });
+    expect(approval.agent.id).toBe(body.refundRequest.reviewed_by);
+  });
+
+  test('records the admin key as admin, whoever the body names', async () => {
+    const { status, body } = await call('POST', `/api/admin/refund-requests/${refundRequests[1].id}/reject`, ADMIN_API_KEY, {
+      reviewedBy: agent.id,
+      note: 'Used all month'
+    });
+
+    expect(status).toBe(200);
+    expect(body.refundRequest).toMatchObject({ status: 'rejected', reviewed_by: 'admin', review_note: 'Used all month' });
+  });
+});
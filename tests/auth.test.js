@@ -0,0 +1,150 @@
+import AuthManager from '../server/AuthManager.js';
+import {
+  createTestDatabaseFile,
+  createTestServices,
+  createCustomer,
+  startServer
+} from './helpers.js';
+
+const ADMIN_API_KEY = 'admin-test-key';
+
+describe('API keys', () => {
+  let services;
+  let authManager;
+  let customer;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    authManager = new AuthManager(services.db, { adminApiKey: ADMIN_API_KEY, linkSecret: 'link-secret' });
+    customer = await createCustomer(services);
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  test('a customer key acts as that customer until it is revoked', async () => {
+    const { key, id } = await authManager.createApiKey(customer.id, { name: 'Mobile app' });
+
+    expect(await authManager.authenticate(key)).toEqual({ type: 'customer', customerId: customer.id, keyId: id });
+    expect((await authManager.listApiKeys(customer.id))[0].key_hash).not.toBe(key);
+
+    await authManager.revokeApiKey(customer.id, id);
+    await expect(authManager.authenticate(key)).rejects.toMatchObject({ status: 401, code: 'INVALID_API_KEY' });
+  });
+
+  test('customers can only revoke their own keys', async () => {
+    const other = await createCustomer(services);
+    const { id } = await authManager.createApiKey(customer.id);
+
+    await expect(authManager.revokeApiKey(other.id, id)).rejects.toMatchObject({ status: 404, code: 'API_KEY_NOT_FOUND' });
+  });
+
+  test('rejects unknown keys', async () => {
+    for (const key of ['ck_unknown', 'ak_unknown', 'not-a-key', '', undefined]) {
+      await expect(authManager.authenticate(key)).rejects.toMatchObject({ status: 401, code: 'INVALID_API_KEY' });
+    }
+  });
+
+  test('an agent key names the agent until the agent is disabled', async () => {
+    const agent = await authManager.createAgent({ name: 'Grace', email: 'grace@example.com' });
+
+    expect(await authManager.authenticate(agent.key)).toEqual({ type: 'agent', agentId: agent.id, name: 'Grace' });
+
+    await authManager.disableAgent(agent.id);
+    await expect(authManager.authenticate(agent.key)).rejects.toMatchObject({ status: 401, code: 'INVALID_API_KEY' });
+  });
+
+  test('recognizes ADMIN_API_KEY only when it is set', async () => {
+    expect(await authManager.authenticate(ADMIN_API_KEY)).toEqual({ type: 'admin', agentId: null, name: 'Admin' });
+
+    const withoutAdminKey = new AuthManager(services.db, { adminApiKey: null });
+    await expect(withoutAdminKey.authenticate(ADMIN_API_KEY)).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('signs links for one path until they expire', () => {
+    const now = new Date('2026-05-15T12:00:00.000Z');
+    const query = authManager.signLink('/api/invoices/inv-1', now);
+
+    expect(authManager.verifyLink('/api/invoices/inv-1', query, now)).toBe(true);
+    expect(authManager.verifyLink('/api/invoices/inv-2', query, now)).toBe(false);
+    expect(authManager.verifyLink('/api/invoices/inv-1', query, new Date(now.getTime() + 61 * 60 * 1000))).toBe(false);
+    expect(authManager.verifyLink('/api/invoices/inv-1', { ...query, expires: query.expires + 60 }, now)).toBe(false);
+    expect(new AuthManager(services.db).verifyLink('/api/invoices/inv-1', query, now)).toBe(false);
+  });
+});
+
+describe('API access', () => {
+  let database;
+  let server;
+  let keys;
+  let customers;
+  let subscriptions;
+
+  beforeAll(async () => {
+    database = await createTestDatabaseFile();
+    const services = await createTestServices({ db: database.db });
+    const authManager = new AuthManager(database.db);
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+
+    customers = [await createCustomer(services), await createCustomer(services)];
+    subscriptions = [];
+    for (const customer of customers) {
+      subscriptions.push(await services.subscriptionManager.createSubscription(customer.id, 'basic'));
+    }
+    keys = { customer: (await authManager.createApiKey(customers[0].id)).key };
+    const revoked = await authManager.createApiKey(customers[0].id);
+    await authManager.revokeApiKey(customers[0].id, revoked.id);
+    keys.revoked = revoked.key;
+    keys.agent = (await authManager.createAgent({ name: 'Grace', email: 'grace@example.com' })).key;
+    keys.admin = ADMIN_API_KEY;
+    await database.db.close();
+
+    server = await startServer(database.path, { ADMIN_API_KEY });
+  }, 30000);
+
+  afterAll(async () => {
+    await server?.stop();
+    await database?.remove();
+  });
+
+  /**
+   * Call the API as customer, revoked, agent or admin (or without a key), returning the status
+   */
+  async function call(method, path, as = null) {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: as ? { Authorization: `Bearer ${keys[as]}` } : {}
+    });
+    return { status: response.status };
+  }
+
+  test('customer routes need a customer key', async () => {
+    expect(await call('GET', `/api/customers/${customers[0].id}`)).toMatchObject({ status: 401 });
+    expect(await call('GET', `/api/customers/${customers[0].id}`, 'revoked')).toMatchObject({ status: 401 });
+    expect(await call('GET', `/api/customers/${customers[0].id}`, 'agent')).toMatchObject({ status: 401 });
+    expect(await call('GET', `/api/customers/${customers[0].id}`, 'customer')).toMatchObject({ status: 200 });
+  });
+
+  test('a customer key only opens that customer\'s account and subscriptions', async () => {
+    expect(await call('GET', `/api/customers/${customers[1].id}`, 'customer')).toMatchObject({ status: 403 });
+    expect(await call('GET', `/api/billing/${customers[1].id}`, 'customer')).toMatchObject({ status: 403 });
+    expect(await call('POST', `/api/subscriptions/${subscriptions[1].id}/pause`, 'customer')).toMatchObject({ status: 404 });
+    expect(await call('GET', `/api/subscriptions/${subscriptions[1].id}/events`, 'customer')).toMatchObject({ status: 404 });
+
+    expect(await call('GET', `/api/subscriptions/${subscriptions[0].id}/events`, 'customer')).toMatchObject({ status: 200 });
+  });
+
+  test('admin routes need an agent key or ADMIN_API_KEY', async () => {
+    expect(await call('GET', '/api/admin/refund-requests')).toMatchObject({ status: 401 });
+    expect(await call('GET', '/api/admin/refund-requests', 'customer')).toMatchObject({ status: 403 });
+    expect(await call('GET', '/api/admin/refund-requests', 'agent')).toMatchObject({ status: 200 });
+    expect(await call('GET', `/api/admin/customers/${customers[1].id}`, 'agent')).toMatchObject({ status: 200 });
+    expect(await call('GET', '/api/admin/refund-requests', 'admin')).toMatchObject({ status: 200 });
+  });
+
+  test('only ADMIN_API_KEY manages agents', async () => {
+    expect(await call('GET', '/api/admin/agents', 'agent')).toMatchObject({ status: 403 });
+    expect(await call('GET', '/api/admin/agents', 'admin')).toMatchObject({ status: 200 });
+  });
+});
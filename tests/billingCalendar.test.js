@@ -0,0 +1,99 @@
+import {
+  parseBillingCycle,
+  isValidTimeZone,
+  addBillingCycles,
+  getNextBillingDate,
+  getPreviousBillingDate,
+  cyclesPerYear
+} from '../server/billingCalendar.js';
+import { createTestServices, createCustomer } from './helpers.js';
+
+const UTC = { timeZone: 'UTC' };
+
+describe('billing calendar', () => {
+  test('parses named and custom billing cycles', () => {
+    expect(parseBillingCycle('monthly')).toEqual({ unit: 'month', count: 1 });
+    expect(parseBillingCycle('Yearly')).toEqual({ unit: 'month', count: 12 });
+    expect(parseBillingCycle('every-2-weeks')).toEqual({ unit: 'day', count: 14 });
+    expect(parseBillingCycle('every-6-months')).toEqual({ unit: 'month', count: 6 });
+    expect(cyclesPerYear('quarterly')).toBe(4);
+
+    for (const cycle of ['fortnightly', 'every-0-days', '']) {
+      expect(() => parseBillingCycle(cycle)).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_BILLING_CYCLE' }));
+    }
+  });
+
+  test('clamps monthly cycles to the end of shorter months without drifting', () => {
+    const anchor = '2026-01-31T00:00:00.000Z';
+
+    expect(addBillingCycles(anchor, 'monthly', 1, UTC).toISOString()).toBe('2026-02-28T00:00:00.000Z');
+    expect(addBillingCycles(anchor, 'monthly', 2, UTC).toISOString()).toBe('2026-03-31T00:00:00.000Z');
+    expect(addBillingCycles(anchor, 'monthly', 3, UTC).toISOString()).toBe('2026-04-30T00:00:00.000Z');
+    expect(addBillingCycles('2024-02-29T00:00:00.000Z', 'yearly', 1, UTC).toISOString()).toBe('2025-02-28T00:00:00.000Z');
+    expect(addBillingCycles('2024-02-29T00:00:00.000Z', 'yearly', 4, UTC).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  test('finds the billing dates either side of a date', () => {
+    const anchor = '2026-01-31T00:00:00.000Z';
+
+    expect(getNextBillingDate(anchor, 'monthly', '2026-02-27T12:00:00.000Z', UTC).toISOString()).toBe('2026-02-28T00:00:00.000Z');
+    // Strictly after: a date on the anniversary moves to the next one
+    expect(getNextBillingDate(anchor, 'monthly', '2026-02-28T00:00:00.000Z', UTC).toISOString()).toBe('2026-03-31T00:00:00.000Z');
+    expect(getNextBillingDate(anchor, 'monthly', '2025-12-01T00:00:00.000Z', UTC).toISOString()).toBe(anchor);
+
+    expect(getPreviousBillingDate(anchor, 'monthly', '2026-03-31T00:00:00.000Z', UTC).toISOString()).toBe('2026-02-28T00:00:00.000Z');
+    expect(getPreviousBillingDate(anchor, 'monthly', '2026-03-31T00:00:01.000Z', UTC).toISOString()).toBe('2026-03-31T00:00:00.000Z');
+    expect(getPreviousBillingDate(anchor, 'monthly', anchor, UTC).toISOString()).toBe(anchor);
+
+    expect(getNextBillingDate('2026-01-01T00:00:00.000Z', 'every-2-weeks', '2026-03-01T00:00:00.000Z', UTC).toISOString())
+      .toBe('2026-03-12T00:00:00.000Z');
+  });
+
+  test('keeps the local billing time across daylight saving changes', () => {
+    const newYork = { timeZone: 'America/New_York' };
+    // Midnight EST on 1 March; the US switches to EDT on 8 March 2026
+    const anchor = '2026-03-01T05:00:00.000Z';
+
+    expect(addBillingCycles(anchor, 'monthly', 1, newYork).toISOString()).toBe('2026-04-01T04:00:00.000Z');
+    expect(addBillingCycles(anchor, 'weekly', 2, newYork).toISOString()).toBe('2026-03-15T04:00:00.000Z');
+    // Back to EST after 1 November
+    expect(addBillingCycles(anchor, 'monthly', 9, newYork).toISOString()).toBe('2026-12-01T05:00:00.000Z');
+
+    // 31 March in UTC is still 30 March in New York, so the anniversaries fall on different days
+    expect(addBillingCycles('2026-03-31T02:00:00.000Z', 'monthly', 1, newYork).toISOString()).toBe('2026-05-01T02:00:00.000Z');
+    expect(addBillingCycles('2026-03-31T02:00:00.000Z', 'monthly', 1, UTC).toISOString()).toBe('2026-04-30T02:00:00.000Z');
+  });
+
+  test('validates time zones', () => {
+    expect(isValidTimeZone('Europe/London')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+
+  describe('customer time zones', () => {
+    let services;
+
+    beforeEach(async () => {
+      services = await createTestServices();
+      await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    });
+
+    afterEach(async () => {
+      await services.db.close();
+    });
+
+    test('bills subscriptions in the customer time zone', async () => {
+      const customer = await createCustomer(services, { timeZone: 'Pacific/Auckland' });
+      const subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+
+      expect(subscription.next_billing_date).toBe(
+        addBillingCycles(subscription.start_date, 'monthly', 1, { timeZone: 'Pacific/Auckland' }).toISOString()
+      );
+    });
+
+    test('rejects an unknown customer time zone', async () => {
+      await expect(createCustomer(services, { timeZone: 'Nowhere/Special' }))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_TIME_ZONE' });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { createTestServices, createCustomer, setBillingPeriod } from './helpers.js';
+
+describe('cancellations', () => {
+  let services;
+  let subscription;
+
+  beforeEach(async () => {
+    services = await createTestServices({ now: new Date('2026-05-15T12:00:00.000Z') });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    const customer = await createCustomer(services);
+    subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+    await setBillingPeriod(services.db, subscription.id, '2026-05-01T00:00:00.000Z', '2026-06-01T00:00:00.000Z');
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Renewal charges recorded for the subscription
+   */
+  function getRenewals() {
+    return services.db.query(
+      "SELECT * FROM billing_history WHERE subscription_id = ? AND description LIKE 'Renewal%'",
+      [subscription.id]
+    );
+  }
+
+  test('keeps the subscription active until the period it paid for ends', async () => {
+    const cancelled = await services.subscriptionManager.cancelSubscription(subscription.id);
+
+    expect(cancelled).toMatchObject({
+      status: 'active',
+      cancel_at_period_end: 1,
+      end_date: '2026-06-01T00:00:00.000Z',
+      next_billing_date: '2026-06-01T00:00:00.000Z'
+    });
+    expect(cancelled.cancel_requested_at).toBeTruthy();
+
+    // Nothing ends before the billing date
+    const early = await services.renewalRunner.runOnce();
+    expect(early.cancelled).toBe(0);
+    expect((await services.subscriptionManager.getSubscription(subscription.id)).status).toBe('active');
+  });
+
+  test('ends on the billing date instead of renewing', async () => {
+    await services.subscriptionManager.cancelSubscription(subscription.id);
+    services.clock.set(new Date('2026-06-01T00:00:00.000Z'));
+
+    const summary = await services.renewalRunner.runOnce();
+
+    expect(summary).toMatchObject({ cancelled: 1, renewed: 0 });
+    expect(await services.subscriptionManager.getSubscription(subscription.id)).toMatchObject({
+      status: 'cancelled',
+      cancel_at_period_end: 0,
+      end_date: '2026-06-01T00:00:00.000Z'
+    });
+    expect(await getRenewals()).toEqual([]);
+  });
+
+  test('undoing the cancellation keeps the subscription renewing', async () => {
+    await services.subscriptionManager.cancelSubscription(subscription.id);
+
+    const restored = await services.subscriptionManager.undoCancellation(subscription.id);
+
+    expect(restored).toMatchObject({ status: 'active', cancel_at_period_end: 0, cancel_requested_at: null, end_date: null });
+    await expect(services.subscriptionManager.undoCancellation(subscription.id))
+      .rejects.toMatchObject({ status: 409, code: 'NO_PENDING_CANCELLATION' });
+
+    services.clock.set(new Date('2026-06-01T00:00:00.000Z'));
+    expect(await services.renewalRunner.runOnce()).toMatchObject({ cancelled: 0, renewed: 1 });
+    expect(await getRenewals()).toHaveLength(1);
+  });
+
+  test('ends the subscription straight away when asked to', async () => {
+    const cancelled = await services.subscriptionManager.cancelSubscription(subscription.id, { immediate: true });
+
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancel_at_period_end: 0 });
+    expect(new Date(cancelled.end_date).getTime()).toBeLessThanOrEqual(Date.now());
+    await expect(services.subscriptionManager.cancelSubscription(subscription.id))
+      .rejects.toMatchObject({ status: 409, code: 'INVALID_SUBSCRIPTION_STATUS' });
+
+    services.clock.set(new Date('2026-06-01T00:00:00.000Z'));
+    expect(await services.renewalRunner.runOnce()).toMatchObject({ cancelled: 0, renewed: 0 });
+  });
+});
@@ -0,0 +1,92 @@
+import { createTestServices, createCustomer, setBillingPeriod } from './helpers.js';
+
+describe('coupon limits', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createTestServices({ now: new Date('2026-05-15T12:00:00.000Z') });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Subscribe a new customer to the basic plan with a promo code
+   */
+  async function subscribeWith(couponCode, customer = null) {
+    customer = customer || await createCustomer(services);
+    return await services.subscriptionManager.createSubscription(customer.id, 'basic', undefined, { couponCode });
+  }
+
+  test('stops redemptions at the limit', async () => {
+    await services.couponManager.createCoupon({ code: 'launch', discountType: 'percent', discountValue: 50, maxRedemptions: 1 });
+
+    await subscribeWith('LAUNCH');
+
+    await expect(subscribeWith('LAUNCH')).rejects.toMatchObject({ status: 409, code: 'COUPON_LIMIT_REACHED' });
+    expect((await services.couponManager.getCoupon('LAUNCH')).times_redeemed).toBe(1);
+  });
+
+  test('never counts a redemption past the limit, even after the coupon was checked', async () => {
+    const coupon = await services.couponManager.createCoupon({ code: 'RACE', discountType: 'percent', discountValue: 10, maxRedemptions: 1 });
+    const first = await createCustomer(services);
+    const second = await createCustomer(services);
+    const firstSubscription = await services.subscriptionManager.createSubscription(first.id, 'basic');
+    const secondSubscription = await services.subscriptionManager.createSubscription(second.id, 'basic');
+
+    // Both customers passed the check before either redeemed
+    await services.couponManager.redeem(coupon, firstSubscription);
+    await expect(services.couponManager.redeem(coupon, secondSubscription))
+      .rejects.toMatchObject({ status: 409, code: 'COUPON_LIMIT_REACHED' });
+
+    expect((await services.couponManager.getCoupon('RACE')).times_redeemed).toBe(1);
+  });
+
+  test('lets each customer use a code once', async () => {
+    await services.couponManager.createCoupon({ code: 'WELCOME', discountType: 'percent', discountValue: 20 });
+    const customer = await createCustomer(services);
+
+    await subscribeWith('WELCOME', customer);
+
+    await expect(subscribeWith('WELCOME', customer)).rejects.toMatchObject({ status: 409, code: 'COUPON_ALREADY_REDEEMED' });
+  });
+
+  test('rejects expired codes and codes for another currency', async () => {
+    await services.couponManager.createCoupon({
+      code: 'SPRING', discountType: 'percent', discountValue: 20, expiresAt: '2026-04-30T23:59:59.000Z'
+    });
+    await services.couponManager.createCoupon({ code: 'EUROS', discountType: 'amount', discountValue: 5, currency: 'EUR' });
+
+    await expect(subscribeWith('SPRING')).rejects.toMatchObject({ status: 400, code: 'COUPON_EXPIRED' });
+    await expect(subscribeWith('EUROS')).rejects.toMatchObject({ status: 400, code: 'COUPON_CURRENCY_MISMATCH' });
+    await expect(subscribeWith('NOSUCHCODE')).rejects.toMatchObject({ status: 404, code: 'COUPON_NOT_FOUND' });
+  });
+
+  test('never discounts more than the amount', async () => {
+    const coupon = await services.couponManager.createCoupon({ code: 'BIGOFF', discountType: 'amount', discountValue: 15 });
+
+    expect(services.couponManager.calculateDiscount(coupon, 1000)).toBe(1000);
+    expect(services.couponManager.calculateDiscount(coupon, 2500)).toBe(1500);
+  });
+
+  test('discounts a repeating coupon for its number of billing cycles only', async () => {
+    await services.couponManager.createCoupon({
+      code: 'TWOMONTHS', discountType: 'percent', discountValue: 50, duration: 'repeating', durationCycles: 2
+    });
+    const subscription = await subscribeWith('TWOMONTHS');
+    await setBillingPeriod(services.db, subscription.id, '2026-03-15T00:00:00.000Z', '2026-04-15T00:00:00.000Z');
+
+    await services.renewalRunner.runOnce();
+
+    const charges = await services.db.query(
+      "SELECT amount, discount_code FROM billing_history WHERE subscription_id = ? AND status = 'success' ORDER BY rowid",
+      [subscription.id]
+    );
+    // The first payment and one renewal are discounted; the second renewal is full price
+    expect(charges.map(row => row.amount)).toEqual([500, 500, 1000]);
+    expect(charges.map(row => row.discount_code)).toEqual(['TWOMONTHS', 'TWOMONTHS', null]);
+    expect(await services.couponManager.getActiveRedemption(subscription.id)).toBeFalsy();
+  });
+});
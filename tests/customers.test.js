@@ -0,0 +1,65 @@
+import { createTestServices, createCustomer } from './helpers.js';
+
+describe('customers', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  test('stores emails trimmed and lower-cased', async () => {
+    const customer = await services.customerManager.createCustomer({ name: ' Ada Lovelace ', email: '  Ada@Example.COM ' });
+
+    expect(customer).toMatchObject({ name: 'Ada Lovelace', email: 'ada@example.com' });
+  });
+
+  test('keeps emails unique whatever their case', async () => {
+    const ada = await services.customerManager.createCustomer({ name: 'Ada', email: 'ada@example.com' });
+    const grace = await services.customerManager.createCustomer({ name: 'Grace', email: 'grace@example.com' });
+
+    await expect(services.customerManager.createCustomer({ name: 'Ada again', email: 'ADA@example.com' }))
+      .rejects.toMatchObject({ status: 409, code: 'EMAIL_IN_USE' });
+    await expect(services.customerManager.updateEmail(grace.id, 'Ada@Example.com'))
+      .rejects.toMatchObject({ status: 409, code: 'EMAIL_IN_USE' });
+
+    // Customers can keep their own address in another case
+    expect(await services.customerManager.updateEmail(ada.id, 'ADA@EXAMPLE.COM')).toMatchObject({ email: 'ada@example.com' });
+  });
+
+  test('rejects invalid emails and names', async () => {
+    for (const email of ['', 'not-an-email', 'ada@', '@example.com', 'ada @example.com']) {
+      await expect(services.customerManager.createCustomer({ name: 'Ada', email }))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_EMAIL' });
+    }
+    await expect(services.customerManager.createCustomer({ name: '  ', email: 'ada@example.com' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_NAME' });
+  });
+
+  test('reports unknown customers as not found', async () => {
+    await expect(services.customerManager.getCustomer('nobody'))
+      .rejects.toMatchObject({ status: 404, code: 'CUSTOMER_NOT_FOUND' });
+    await expect(services.customerManager.updateCustomer('nobody', { name: 'Someone' }))
+      .rejects.toMatchObject({ status: 404, code: 'CUSTOMER_NOT_FOUND' });
+    await expect(services.customerManager.deleteCustomer('nobody'))
+      .rejects.toMatchObject({ status: 404, code: 'CUSTOMER_NOT_FOUND' });
+  });
+
+  test('deletes customers only until they have subscribed', async () => {
+    const subscriber = await createCustomer(services);
+    await services.subscriptionManager.createSubscription(subscriber.id, 'basic');
+    const browser = await createCustomer(services);
+
+    await expect(services.customerManager.deleteCustomer(subscriber.id))
+      .rejects.toMatchObject({ status: 409, code: 'CUSTOMER_HAS_SUBSCRIPTIONS' });
+    expect(await services.customerManager.getCustomer(subscriber.id)).toMatchObject({ id: subscriber.id });
+
+    await services.customerManager.deleteCustomer(browser.id);
+    await expect(services.customerManager.getCustomer(browser.id)).rejects.toMatchObject({ status: 404 });
+    expect(await services.paymentManager.listPaymentMethods(browser.id)).toEqual([]);
+  });
+});
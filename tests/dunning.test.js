@@ -0,0 +1,134 @@
+import { createTestServices, createCustomer, setBillingPeriod } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPENED_AT = new Date('2026-05-15T12:00:00.000Z');
+
+describe('dunning', () => {
+  let services;
+  let customer;
+  let subscription;
+  let workingCard;
+
+  beforeEach(async () => {
+    services = await createTestServices({ now: OPENED_AT });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    customer = await createCustomer(services);
+    subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+    await setBillingPeriod(services.db, subscription.id, '2026-04-15T00:00:00.000Z', '2026-05-15T00:00:00.000Z');
+
+    // The renewal is charged to a card that is declined
+    [workingCard] = await services.paymentManager.listPaymentMethods(customer.id);
+    await services.paymentManager.addPaymentMethod(
+      customer.id,
+      { cardNumber: '4000000000000002', expMonth: 12, expYear: OPENED_AT.getUTCFullYear() + 3 },
+      { makeDefault: true }
+    );
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Move the clock to a number of days after the first failure and run renewals
+   */
+  function runAfterDays(days) {
+    services.clock.set(new Date(OPENED_AT.getTime() + days * DAY_MS));
+    return services.renewalRunner.runOnce();
+  }
+
+  /**
+   * The subscription's dunning case
+   */
+  function getCase() {
+    return services.db.queryOne('SELECT * FROM dunning_cases WHERE subscription_id = ?', [subscription.id]);
+  }
+
+  /**
+   * Current subscription status
+   */
+  async function getStatus() {
+    return (await services.subscriptionManager.getSubscription(subscription.id)).status;
+  }
+
+  test('opens a case and puts the subscription past due when a renewal fails', async () => {
+    const summary = await services.renewalRunner.runOnce();
+
+    expect(summary.failed).toBe(1);
+    expect(summary.transactions).toEqual([expect.objectContaining({ status: 'failed', amount: 1000 })]);
+    expect(await getStatus()).toBe('past_due');
+
+    const dunningCase = await getCase();
+    expect(dunningCase).toMatchObject({
+      status: 'retrying',
+      amount: 1000,
+      attempt_count: 1,
+      billing_date: '2026-05-15T00:00:00.000Z',
+      next_retry_at: '2026-05-16T12:00:00.000Z'
+    });
+  });
+
+  test('retries on the schedule, then suspends and finally cancels', async () => {
+    await services.renewalRunner.runOnce();
+
+    // Nothing is retried before the first retry date
+    expect((await runAfterDays(0.5)).dunning.retried).toBe(0);
+
+    expect((await runAfterDays(1)).dunning).toMatchObject({ retried: 1, suspended: 0 });
+    expect(await getCase()).toMatchObject({ attempt_count: 2, next_retry_at: '2026-05-18T12:00:00.000Z' });
+
+    await runAfterDays(3);
+    expect(await getCase()).toMatchObject({ attempt_count: 3, next_retry_at: '2026-05-22T12:00:00.000Z' });
+
+    expect((await runAfterDays(7)).dunning).toMatchObject({ retried: 1, suspended: 1 });
+    expect(await getStatus()).toBe('suspended');
+    expect(await getCase()).toMatchObject({ status: 'suspended', next_retry_at: null, cancel_at: '2026-05-29T12:00:00.000Z' });
+
+    expect((await runAfterDays(13)).dunning.cancelled).toBe(0);
+    expect((await runAfterDays(14)).dunning.cancelled).toBe(1);
+    expect(await getStatus()).toBe('cancelled');
+    expect((await getCase()).status).toBe('cancelled');
+
+    const steps = await services.db.query(
+      'SELECT step FROM dunning_events WHERE subscription_id = ? ORDER BY created_at, rowid',
+      [subscription.id]
+    );
+    expect(steps.map(row => row.step)).toEqual([
+      'payment_failed', 'retry_scheduled',
+      'retry_failed', 'retry_scheduled',
+      'retry_failed', 'retry_scheduled',
+      'retry_failed', 'suspended',
+      'cancelled'
+    ]);
+  });
+
+  test('reactivates the subscription and moves past the period once a retry succeeds', async () => {
+    await services.renewalRunner.runOnce();
+    await services.paymentManager.setDefaultPaymentMethod(customer.id, workingCard.id);
+
+    const summary = await runAfterDays(1);
+
+    expect(summary.dunning).toMatchObject({ retried: 1, recovered: 1 });
+    expect(await getCase()).toMatchObject({ status: 'recovered', next_retry_at: null });
+
+    const recovered = await services.subscriptionManager.getSubscription(subscription.id);
+    expect(recovered.status).toBe('active');
+    expect(recovered.next_billing_date).toBe('2026-06-15T00:00:00.000Z');
+
+    const retry = await services.db.queryOne(
+      "SELECT * FROM billing_history WHERE subscription_id = ? AND description LIKE 'Retry 1 succeeded%'",
+      [subscription.id]
+    );
+    expect(retry).toMatchObject({ status: 'success', amount: 1000 });
+  });
+
+  test('closes the case when the subscription is cancelled during dunning', async () => {
+    await services.renewalRunner.runOnce();
+    await services.subscriptionManager.cancelSubscription(subscription.id);
+
+    const summary = await runAfterDays(1);
+
+    expect(summary.dunning.retried).toBe(0);
+    expect((await getCase()).status).toBe('cancelled');
+  });
+});
@@ -0,0 +1,131 @@
+import AuthManager from '../server/AuthManager.js';
+import { createTestDatabaseFile, createTestServices, createCustomer, startServer } from './helpers.js';
+
+describe('subscription event log', () => {
+  let services;
+  let customer;
+  let subscription;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    customer = await createCustomer(services);
+    subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * The subscription's most recent event of a type
+   */
+  async function getEvent(type) {
+    const events = await services.eventLog.getSubscriptionEvents(subscription.id);
+    return events.filter(event => event.type === type).pop();
+  }
+
+  test('records who made a change, the chat message behind it and the subscription before and after', async () => {
+    await services.subscriptionManager.cancelSubscription(subscription.id, {
+      actor: { type: 'chat', id: customer.id, chatMessageId: 'msg-1' }
+    });
+
+    const event = await getEvent('subscription.cancellation_scheduled');
+    expect(event).toMatchObject({
+      customer_id: customer.id,
+      actor_type: 'chat',
+      actor_id: customer.id,
+      chat_message_id: 'msg-1'
+    });
+    expect(event.before_snapshot).toMatchObject({ id: subscription.id, cancel_at_period_end: 0 });
+    expect(event.after_snapshot).toMatchObject({ id: subscription.id, cancel_at_period_end: 1 });
+
+    expect(services.eventLog.formatEvent(event)).toMatchObject({
+      actor: { type: 'chat', id: customer.id },
+      chatMessageId: 'msg-1',
+      summary: 'Cancellation scheduled for the end of the billing period by you, in chat',
+      changes: { cancel_at_period_end: { from: 0, to: 1 } }
+    });
+  });
+
+  test('records staff and scheduler changes with their own actors', async () => {
+    await services.subscriptionManager.cancelSubscription(subscription.id, { actor: { type: 'admin', id: 'agent-1' } });
+    services.clock.set(new Date(new Date(subscription.next_billing_date).getTime() + 1000));
+    await services.renewalRunner.runOnce();
+
+    expect(await getEvent('subscription.cancellation_scheduled')).toMatchObject({ actor_type: 'admin', actor_id: 'agent-1' });
+    expect(await getEvent('subscription.ended')).toMatchObject({ actor_type: 'scheduler' });
+  });
+
+  test('keeps the history oldest first', async () => {
+    await services.subscriptionManager.cancelSubscription(subscription.id);
+    await services.subscriptionManager.undoCancellation(subscription.id);
+
+    const types = (await services.eventLog.getSubscriptionEvents(subscription.id)).map(event => event.type);
+    expect(types.indexOf('subscription.created')).toBeLessThan(types.indexOf('subscription.cancellation_scheduled'));
+    expect(types.slice(-2)).toEqual(['subscription.cancellation_scheduled', 'subscription.cancellation_undone']);
+  });
+
+  test('refuses to change or delete recorded events', async () => {
+    const event = await getEvent('subscription.created');
+
+    await expect(services.db.execute("UPDATE subscription_events SET actor_type = 'admin' WHERE id = ?", [event.id]))
+      .rejects.toThrow(/append-only/);
+    await expect(services.db.execute('DELETE FROM subscription_events WHERE id = ?', [event.id]))
+      .rejects.toThrow(/append-only/);
+
+    expect(await services.db.queryOne('SELECT actor_type FROM subscription_events WHERE id = ?', [event.id]))
+      .toEqual({ actor_type: event.actor_type });
+  });
+});
+
+describe('GET /api/subscriptions/:subscriptionId/events', () => {
+  let database;
+  let server;
+  let customer;
+  let subscription;
+  let key;
+
+  beforeAll(async () => {
+    database = await createTestDatabaseFile();
+    const services = await createTestServices({ db: database.db });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    customer = await createCustomer(services);
+    subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+    key = (await new AuthManager(database.db).createApiKey(customer.id)).key;
+    await database.db.close();
+
+    server = await startServer(database.path);
+  }, 30000);
+
+  afterAll(async () => {
+    await server?.stop();
+    await database?.remove();
+  });
+
+  test('shows the customer their subscription\'s history with actors and snapshots', async () => {
+    const headers = { Authorization: `Bearer ${key}` };
+    await fetch(`${server.url}/api/subscriptions/${subscription.id}/cancel`, { method: 'POST', headers });
+
+    const response = await fetch(`${server.url}/api/subscriptions/${subscription.id}/events`, { headers });
+    const { events } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(events.map(event => event.type)).toEqual(expect.arrayContaining([
+      'subscription.created',
+      'payment.succeeded',
+      'subscription.cancellation_scheduled'
+    ]));
+    const cancellation = events.find(event => event.type === 'subscription.cancellation_scheduled');
+    expect(cancellation).toMatchObject({
+      subscriptionId: subscription.id,
+      customerId: customer.id,
+      actor: { type: 'customer', id: customer.id },
+      chatMessageId: null,
+      before: { cancel_at_period_end: 0 },
+      after: { cancel_at_period_end: 1 },
+      changes: { cancel_at_period_end: { from: 0, to: 1 } },
+      summary: 'Cancellation scheduled for the end of the billing period by you'
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import { spawn } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import DatabaseManager from '../server/DatabaseManager.js';
+import { initializeSchema } from '../server/schema.js';
+import BillingManager from '../server/BillingManager.js';
+import SubscriptionManager from '../server/SubscriptionManager.js';
+import RenewalRunner from '../server/RenewalRunner.js';
+import DunningManager from '../server/DunningManager.js';
+import CouponManager from '../server/CouponManager.js';
+import InvoiceManager from '../server/InvoiceManager.js';
+import TaxManager from '../server/TaxManager.js';
+import AddonManager from '../server/AddonManager.js';
+import UsageManager from '../server/UsageManager.js';
+import EventLog from '../server/EventLog.js';
+import PaymentManager from '../server/PaymentManager.js';
+import PlanManager from '../server/PlanManager.js';
+import CustomerManager from '../server/CustomerManager.js';
+import PaymentWebhookManager from '../server/PaymentWebhookManager.js';
+import SimulatedPaymentProvider from '../server/SimulatedPaymentProvider.js';
+import { SimulatedClock } from '../server/clock.js';
+
+/**
+ * Open an empty in-memory database with the current schema
+ * @returns {Promise<DatabaseManager>} Database
+ */
+export async function createTestDatabase() {
+  const db = new DatabaseManager(':memory:');
+  await db.initialize();
+  await initializeSchema(db);
+  return db;
+}
+
+/**
+ * Wire up the managers the way server.js does, on an in-memory database
+ * Payments go through the simulator (webhooks signed with whsec_test), and the renewal
+ * runner uses a simulated clock.
+ * @param {Object} options - Setup options
+ * @param {Date|string} options.now - Start time of the renewal runner's clock
+ * @param {DatabaseManager} options.db - Database to use instead of a new empty one
+ * @returns {Promise<Object>} db, clock and every manager
+ */
+export async function createTestServices({ now = new Date(), db = null } = {}) {
+  db = db || await createTestDatabase();
+  const clock = new SimulatedClock(now);
+
+  const eventLog = new EventLog(db);
+  const invoiceManager = new InvoiceManager(db);
+  const paymentManager = new PaymentManager(db, new SimulatedPaymentProvider({ webhookSecret: 'whsec_test' }));
+  const customerManager = new CustomerManager(db, { paymentManager });
+  const billingManager = new BillingManager(db, invoiceManager, eventLog, paymentManager);
+  const couponManager = new CouponManager(db, eventLog);
+  const taxManager = new TaxManager(db);
+  const planManager = new PlanManager(db);
+  const addonManager = new AddonManager(db);
+  const usageManager = new UsageManager(db);
+  const subscriptionManager = new SubscriptionManager(db, billingManager, couponManager, taxManager, addonManager, eventLog);
+  const dunningManager = new DunningManager(db, billingManager, { retryDays: [1, 3, 7], cancelAfterDays: 7, eventLog });
+  const renewalRunner = new RenewalRunner(db, subscriptionManager, billingManager, {
+    clock,
+    dunningManager,
+    couponManager,
+    taxManager,
+    addonManager,
+    usageManager,
+    planManager,
+    eventLog
+  });
+  const paymentWebhookManager = new PaymentWebhookManager(db, { paymentManager, billingManager, dunningManager });
+
+  return {
+    db,
+    clock,
+    eventLog,
+    invoiceManager,
+    paymentManager,
+    customerManager,
+    billingManager,
+    couponManager,
+    taxManager,
+    planManager,
+    addonManager,
+    usageManager,
+    subscriptionManager,
+    dunningManager,
+    renewalRunner,
+    paymentWebhookManager
+  };
+}
+
+/**
+ * Create a customer with a simulator card as their default payment method
+ * @param {Object} services - Services from createTestServices
+ * @param {Object} customer - Customer details for CustomerManager.createCustomer
+ * @param {string} cardNumber - Simulator test card (see SimulatedPaymentProvider TEST_CARDS)
+ * @returns {Promise<Object>} Customer row
+ */
+export async function createCustomer({ customerManager, paymentManager }, customer = {}, cardNumber = '4242424242424242') {
+  const created = await customerManager.createCustomer({
+    name: 'Test Customer',
+    email: `customer-${Math.random().toString(36).slice(2)}@example.com`,
+    ...customer
+  });
+  await paymentManager.addPaymentMethod(created.id, { cardNumber, expMonth: 12, expYear: new Date().getUTCFullYear() + 3 });
+  return created;
+}
+
+/**
+ * Move a subscription's current period so that part of it has already passed
+ * @param {DatabaseManager} db - Database
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} start - Start of the current period (ISO format)
+ * @param {string} nextBillingDate - End of the current period (ISO format)
+ */
+export async function setBillingPeriod(db, subscriptionId, start, nextBillingDate) {
+  await db.execute(
+    'UPDATE subscriptions SET start_date = ?, billing_anchor = ?, next_billing_date = ? WHERE id = ?',
+    [start, start, nextBillingDate, subscriptionId]
+  );
+}
+
+/**
+ * Create an empty database file with the current schema, in a new temporary directory
+ * @returns {Promise<{db: DatabaseManager, path: string, remove: Function}>} Open database, its
+ *   path, and a function that deletes the directory
+ */
+export async function createTestDatabaseFile() {
+  const dir = await mkdtemp(join(tmpdir(), 'subscriptions-test-'));
+  const path = join(dir, 'subscriptions.db');
+  const db = new DatabaseManager(path);
+  await db.initialize();
+  await initializeSchema(db);
+  return { db, path, remove: () => rm(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Find a TCP port nothing is listening on
+ * @returns {Promise<number>} Port number
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the API server in a child process, for tests that go through its routes
+ * Background renewals are off and the rate limit is raised out of the way. The
+ * GROQ_API_KEY placeholder lets the server start; routes that call the model won't work.
+ * @param {string} dbPath - Database file for the server to use
+ * @param {Object} env - Extra environment variables, e.g. ADMIN_API_KEY
+ * @returns {Promise<{url: string, stop: Function}>} Base URL, and a function that stops the server
+ */
+export async function startServer(dbPath, env = {}) {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, ['server/server.js'], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: dbPath,
+      RENEWAL_SCHEDULER: 'off',
+      RATE_LIMIT_MAX_REQUESTS: '10000',
+      GROQ_API_KEY: 'test-groq-key',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => fail('did not start within 10 seconds'), 10000);
+    function fail(reason) {
+      clearTimeout(timer);
+      child.kill();
+      reject(new Error(`Server ${reason}:\n${output}`));
+    }
+
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', code => fail(`exited with code ${code}`));
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: async () => {
+      child.kill();
+      await exited;
+    }
+  };
+}
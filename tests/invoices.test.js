@@ -0,0 +1,105 @@
+import { createTestServices, createCustomer } from './helpers.js';
+
+describe('invoices', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Subscribe a new customer and return their first charge
+   */
+  async function subscribe(customer = {}, options = {}) {
+    const created = await createCustomer(services, customer);
+    const subscription = await services.subscriptionManager.createSubscription(created.id, 'basic', undefined, options);
+    return await services.db.queryOne(
+      "SELECT * FROM billing_history WHERE subscription_id = ? AND status = 'success'",
+      [subscription.id]
+    );
+  }
+
+  test('numbers invoices in the order they are issued, across customers', async () => {
+    const first = await subscribe();
+    const second = await subscribe();
+
+    expect((await services.invoiceManager.getInvoiceByTransaction(first.id)).invoice_number).toBe('INV-000001');
+    expect((await services.invoiceManager.getInvoiceByTransaction(second.id)).invoice_number).toBe('INV-000002');
+  });
+
+  test('issues one invoice per charge, however often it is asked for', async () => {
+    const charge = await subscribe();
+
+    const [again, concurrently] = await Promise.all([
+      services.invoiceManager.issueInvoice(charge.id),
+      services.invoiceManager.issueInvoice(charge.id)
+    ]);
+
+    expect(again.invoice_number).toBe('INV-000001');
+    expect(concurrently.invoice_number).toBe('INV-000001');
+    const { count } = await services.db.queryOne('SELECT COUNT(*) as count FROM invoices');
+    expect(count).toBe(1);
+  });
+
+  test('does not invoice failed payments or refunds, and they use up no numbers', async () => {
+    const charge = await subscribe();
+    const failed = await services.billingManager.recordTransaction(
+      charge.customer_id, charge.subscription_id, 1000, 'failed', null, 'Declined'
+    );
+    const { refund } = await services.billingManager.refundTransaction(charge.id, 1, 'Goodwill');
+
+    for (const transaction of [failed, refund]) {
+      await expect(services.invoiceManager.issueInvoice(transaction.id))
+        .rejects.toMatchObject({ status: 409, code: 'TRANSACTION_NOT_INVOICEABLE' });
+    }
+
+    const next = await subscribe();
+    expect((await services.invoiceManager.getInvoiceByTransaction(next.id)).invoice_number).toBe('INV-000002');
+  });
+
+  test('itemizes the charge, discount and tax so the lines add up to the total', async () => {
+    await services.taxManager.saveTaxRule({ country: 'DE', name: 'VAT', rate: 19 });
+    await services.couponManager.createCoupon({ code: 'SAVE20', discountType: 'percent', discountValue: 20 });
+    const created = await createCustomer(services);
+    await services.taxManager.setBillingRegion(created.id, { country: 'DE' });
+    const subscription = await services.subscriptionManager.createSubscription(created.id, 'basic', undefined, { couponCode: 'SAVE20' });
+
+    const invoice = await services.invoiceManager.getInvoice(
+      (await services.db.queryOne('SELECT id FROM billing_history WHERE subscription_id = ?', [subscription.id])).id
+    );
+
+    expect(invoice.lineItems.map(item => [item.kind, item.amount])).toEqual([
+      ['charge', 1000],
+      ['discount', -200],
+      ['tax', 152]
+    ]);
+    expect(invoice).toMatchObject({ subtotal: 1000, discount_total: 200, tax_total: 152, total: 952 });
+    expect(invoice.lineItems.reduce((sum, item) => sum + item.amount, 0)).toBe(invoice.total);
+  });
+
+  test('keeps the customer details from the moment of issue', async () => {
+    const charge = await subscribe({ name: 'Ada Lovelace', email: 'ada@example.com' });
+
+    await services.customerManager.updateEmail(charge.customer_id, 'countess@example.com');
+
+    const invoice = await services.invoiceManager.getInvoice('inv-000001');
+    expect(invoice).toMatchObject({ customer_name: 'Ada Lovelace', customer_email: 'ada@example.com' });
+  });
+
+  test('shows refunds on the invoice and hides other customers\' invoices', async () => {
+    const charge = await subscribe();
+    const other = await createCustomer(services);
+
+    await services.billingManager.refundTransaction(charge.id, 4, 'Partial refund');
+    const invoice = await services.invoiceManager.getCustomerInvoice(charge.customer_id, 'INV-000001');
+    expect(services.invoiceManager.formatInvoice(invoice)).toMatchObject({ status: 'partially_refunded', amountRefunded: 4 });
+
+    await expect(services.invoiceManager.getCustomerInvoice(other.id, 'INV-000001'))
+      .rejects.toMatchObject({ status: 404, code: 'INVOICE_NOT_FOUND' });
+  });
+});
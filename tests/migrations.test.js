@@ -0,0 +1,193 @@
+import DatabaseManager from '../server/DatabaseManager.js';
+import { initializeSchema } from '../server/schema.js';
+import BillingManager from '../server/BillingManager.js';
+import { toMinorUnits, fromMinorUnits, formatMoney, getMinorUnitDigits } from '../server/money.js';
+import { createTestServices } from './helpers.js';
+
+/**
+ * Tables as they were before any migrations, with amounts stored as REAL dollars
+ */
+const BASELINE_SQL = [
+  `CREATE TABLE customers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE plans (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    price REAL NOT NULL,
+    billing_cycle TEXT NOT NULL,
+    features_compressed BLOB,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE subscriptions (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    plan_id TEXT NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('active', 'cancelled', 'paused')),
+    start_date DATETIME NOT NULL,
+    end_date DATETIME,
+    next_billing_date DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE RESTRICT
+  )`,
+  `CREATE TABLE billing_history (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT NOT NULL,
+    subscription_id TEXT NOT NULL,
+    amount REAL NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('success', 'failed', 'pending', 'refunded')),
+    payment_method TEXT,
+    transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+    description TEXT,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE
+  )`,
+  `INSERT INTO customers (id, name, email, created_at) VALUES ('cust-1', 'Old Customer', 'old@example.com', '2024-01-01 09:00:00')`,
+  `INSERT INTO plans (id, name, description, price, billing_cycle, created_at)
+   VALUES ('basic', 'Basic Plan', 'Legacy plan', 9.99, 'monthly', '2024-01-01 08:00:00')`,
+  `INSERT INTO subscriptions (id, customer_id, plan_id, status, start_date, next_billing_date)
+   VALUES ('sub-1', 'cust-1', 'basic', 'active', '2024-01-01T09:00:00.000Z', '2024-02-01T09:00:00.000Z')`,
+  `INSERT INTO billing_history (id, customer_id, subscription_id, amount, status, payment_method, transaction_date, description)
+   VALUES ('tx-1', 'cust-1', 'sub-1', 9.99, 'success', 'card', '2024-01-01T09:00:00.000Z', 'First payment')`
+];
+
+/**
+ * Open an in-memory database shaped like one created before any migrations
+ * @returns {Promise<DatabaseManager>} Database with baseline tables and rows
+ */
+async function createBaselineDatabase() {
+  const db = new DatabaseManager(':memory:');
+  await db.initialize();
+  for (const sql of BASELINE_SQL) {
+    await db.execute(sql);
+  }
+  return db;
+}
+
+describe('money in minor units', () => {
+  test('uses each currency\'s number of decimal places', () => {
+    expect(getMinorUnitDigits('USD')).toBe(2);
+    expect(getMinorUnitDigits('JPY')).toBe(0);
+    expect(getMinorUnitDigits('KWD')).toBe(3);
+
+    expect(toMinorUnits(9.99, 'USD')).toBe(999);
+    expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(toMinorUnits(1.234, 'KWD')).toBe(1234);
+    expect(fromMinorUnits(999, 'USD')).toBe(9.99);
+    expect(fromMinorUnits(1234, 'KWD')).toBe(1.234);
+  });
+
+  test('rounds away floating point error', () => {
+    // 19.99 * 100 is 1998.9999999999998 in floating point
+    expect(toMinorUnits(19.99, 'USD')).toBe(1999);
+    expect(toMinorUnits('4.35', 'USD')).toBe(435);
+  });
+
+  test('formats amounts for the locale', () => {
+    expect(formatMoney(123450, 'USD', 'en-US')).toBe('$1,234.50');
+    expect(formatMoney(123450, 'EUR', 'de-DE')).toBe('1.234,50 €');
+    expect(formatMoney(1500, 'JPY', 'en-US')).toBe('¥1,500');
+  });
+});
+
+describe('schema migrations', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createBaselineDatabase();
+    await initializeSchema(db);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('converts stored dollar amounts to minor units', async () => {
+    const transaction = await db.queryOne('SELECT * FROM billing_history WHERE id = ?', ['tx-1']);
+    expect(transaction).toMatchObject({ amount: 999, currency: 'USD' });
+
+    expect(new BillingManager(db).formatTransaction(transaction)).toMatchObject({ amount: 9.99, currency: 'USD' });
+  });
+
+  test('moves plan prices into the price table', async () => {
+    expect(await db.query('SELECT plan_id, currency, unit_amount FROM plan_prices')).toEqual([
+      { plan_id: 'basic', currency: 'USD', unit_amount: 999 }
+    ]);
+
+    const columns = (await db.query('PRAGMA table_info(plans)')).map(column => column.name);
+    expect(columns).not.toContain('price');
+    expect(columns).toContain('default_currency');
+  });
+
+  test('makes existing plan prices version 1, which existing subscriptions pay', async () => {
+    expect(await db.query('SELECT plan_id, version, currency, unit_amount, effective_at FROM plan_price_versions')).toEqual([
+      { plan_id: 'basic', version: 1, currency: 'USD', unit_amount: 999, effective_at: '2024-01-01T08:00:00.000Z' }
+    ]);
+
+    const { subscriptionManager } = await createTestServices({ db });
+    const subscription = await subscriptionManager.getSubscription('sub-1');
+    expect(subscription).toMatchObject({ price_version: 1, currency: 'USD' });
+    expect(await subscriptionManager.getSubscriptionPrice(subscription)).toBe(999);
+  });
+
+  test('renews subscriptions from before any migrations at their old price', async () => {
+    const services = await createTestServices({ db, now: new Date('2024-02-01T12:00:00.000Z') });
+    await services.paymentManager.addPaymentMethod('cust-1', { cardNumber: '4242424242424242', expMonth: 12, expYear: 2030 });
+
+    const summary = await services.renewalRunner.runOnce();
+
+    expect(summary).toMatchObject({ renewed: 1, failed: 0, errors: [] });
+    expect(await db.queryOne(
+      "SELECT amount, currency FROM billing_history WHERE subscription_id = 'sub-1' AND id != 'tx-1'"
+    )).toEqual({ amount: 999, currency: 'USD' });
+  });
+
+  test('repairs a database upgraded before plan prices were versioned after the rebuild', async () => {
+    await db.execute('DELETE FROM plan_price_versions');
+
+    await initializeSchema(db);
+
+    expect(await db.query('SELECT plan_id, version, unit_amount FROM plan_price_versions')).toEqual([
+      { plan_id: 'basic', version: 1, unit_amount: 999 }
+    ]);
+  });
+
+  test('makes usage event IDs unique per customer on databases that had them unique overall', async () => {
+    const fresh = new DatabaseManager(':memory:');
+    await fresh.initialize();
+    await fresh.execute(`CREATE TABLE usage_records (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL UNIQUE,
+      subscription_id TEXT NOT NULL,
+      customer_id TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      quantity INTEGER NOT NULL CHECK(quantity > 0),
+      occurred_at DATETIME NOT NULL,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      billed_transaction_id TEXT
+    )`);
+
+    await initializeSchema(fresh);
+
+    const insert = 'INSERT INTO usage_records (id, event_id, subscription_id, customer_id, metric, quantity, occurred_at) VALUES (?, ?, ?, ?, ?, ?, ?)';
+    await fresh.execute('PRAGMA foreign_keys = OFF');
+    await fresh.execute(insert, ['u-1', '1', 'sub-a', 'cust-a', 'api_calls', 1, '2026-01-01']);
+    await fresh.execute(insert, ['u-2', '1', 'sub-b', 'cust-b', 'api_calls', 1, '2026-01-01']);
+    await expect(fresh.execute(insert, ['u-3', '1', 'sub-a', 'cust-a', 'api_calls', 1, '2026-01-01'])).rejects.toThrow(/UNIQUE/);
+    await fresh.close();
+  });
+
+  test('keeps existing rows and can run again without changing them', async () => {
+    await initializeSchema(db);
+
+    expect(await db.queryOne('SELECT amount FROM billing_history WHERE id = ?', ['tx-1'])).toEqual({ amount: 999 });
+    expect(await db.queryOne('SELECT status, currency FROM subscriptions WHERE id = ?', ['sub-1']))
+      .toEqual({ status: 'active', currency: 'USD' });
+    expect(await db.queryOne('SELECT name FROM customers WHERE id = ?', ['cust-1'])).toEqual({ name: 'Old Customer' });
+  });
+});
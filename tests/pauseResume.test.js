@@ -0,0 +1,69 @@
+import { createTestServices, createCustomer } from './helpers.js';
+
+describe('pausing and resuming subscriptions', () => {
+  let services;
+  let subscription;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    const customer = await createCustomer(services);
+    subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  test('pauses an active subscription with an automatic resume date', async () => {
+    const resumeAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const paused = await services.subscriptionManager.pauseSubscription(subscription.id, resumeAt);
+
+    expect(paused.status).toBe('paused');
+    expect(paused.paused_at).not.toBeNull();
+    expect(paused.resume_at).toBe(resumeAt);
+  });
+
+  test('rejects resume dates in the past and pausing twice', async () => {
+    await expect(services.subscriptionManager.pauseSubscription(subscription.id, '2000-01-01T00:00:00.000Z'))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_DATE' });
+
+    await services.subscriptionManager.pauseSubscription(subscription.id);
+    await expect(services.subscriptionManager.pauseSubscription(subscription.id))
+      .rejects.toMatchObject({ status: 409, code: 'INVALID_SUBSCRIPTION_STATUS' });
+  });
+
+  test('moves the next billing date forward by the time spent paused', async () => {
+    const paused = await services.subscriptionManager.pauseSubscription(subscription.id);
+    const resumedAt = new Date(new Date(paused.paused_at).getTime() + 3 * 24 * 60 * 60 * 1000);
+
+    const resumed = await services.subscriptionManager.resumeSubscription(subscription.id, resumedAt.toISOString());
+
+    expect(resumed.status).toBe('active');
+    expect(resumed.paused_at).toBeNull();
+    expect(new Date(resumed.next_billing_date) - new Date(subscription.next_billing_date))
+      .toBe(3 * 24 * 60 * 60 * 1000);
+  });
+
+  test('only resumes paused subscriptions', async () => {
+    await expect(services.subscriptionManager.resumeSubscription(subscription.id))
+      .rejects.toMatchObject({ status: 409, code: 'INVALID_SUBSCRIPTION_STATUS' });
+  });
+
+  test('resumes subscriptions whose resume date has passed, as of that date', async () => {
+    const resumeAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await services.subscriptionManager.pauseSubscription(subscription.id, resumeAt);
+
+    expect(await services.subscriptionManager.resumeDueSubscriptions(new Date())).toHaveLength(0);
+
+    const resumed = await services.subscriptionManager.resumeDueSubscriptions(new Date(Date.now() + 2 * 60 * 60 * 1000));
+    expect(resumed).toHaveLength(1);
+    expect(resumed[0].status).toBe('active');
+
+    const events = await services.eventLog.getSubscriptionEvents(subscription.id);
+    const resumedEvent = events.find(event => event.type === 'subscription.resumed');
+    expect(resumedEvent.occurred_at).toBe(resumeAt);
+    expect(resumedEvent.actor_type).toBe('scheduler');
+  });
+});
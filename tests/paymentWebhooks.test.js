@@ -0,0 +1,115 @@
+import { createTestServices, createCustomer } from './helpers.js';
+
+const PENDING_CARD = '4000000000000077';
+
+describe('payment webhooks', () => {
+  let services;
+  let charge;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    const customer = await createCustomer(services, {}, PENDING_CARD);
+    const subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+    charge = await getCharge(subscription.id);
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Get a subscription's first charge as it is now
+   */
+  async function getCharge(subscriptionId) {
+    return await services.db.queryOne(
+      'SELECT * FROM billing_history WHERE subscription_id = ? AND refunded_transaction_id IS NULL ORDER BY rowid',
+      [subscriptionId]
+    );
+  }
+
+  /**
+   * Sign and receive a provider event about the charge
+   */
+  async function receive(id, type, data = {}) {
+    const body = JSON.stringify({
+      id,
+      type,
+      createdAt: new Date().toISOString(),
+      data: { chargeReference: charge.gateway_reference, ...data }
+    });
+    const signature = services.paymentManager.provider.signWebhookEvent(body);
+    return await services.paymentWebhookManager.receive(Buffer.from(body), { 'webhook-signature': signature });
+  }
+
+  test('starts with a pending charge', () => {
+    expect(charge).toMatchObject({ status: 'pending' });
+    expect(charge.gateway_reference).toBeTruthy();
+  });
+
+  test('rejects notifications that are unsigned or signed with another secret, and stores nothing', async () => {
+    const body = JSON.stringify({ id: 'evt-1', type: 'charge.succeeded', createdAt: new Date().toISOString(), data: {} });
+
+    await expect(services.paymentWebhookManager.receive(Buffer.from(body), {}))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_SIGNATURE' });
+    await expect(services.paymentWebhookManager.receive(Buffer.from(body), { 'webhook-signature': 't=1,v1=abc' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_SIGNATURE' });
+
+    expect(await services.paymentWebhookManager.listEvents()).toEqual([]);
+  });
+
+  test('settles a pending charge once, however often the event is sent', async () => {
+    const first = await receive('evt-1', 'charge.succeeded');
+    expect(first).toMatchObject({ duplicate: false, event: { status: 'processed' } });
+    expect((await getCharge(charge.subscription_id)).status).toBe('success');
+
+    const repeat = await receive('evt-1', 'charge.succeeded');
+    expect(repeat).toMatchObject({ duplicate: true, event: { id: first.event.id, status: 'processed' } });
+    expect(await services.paymentWebhookManager.listEvents()).toHaveLength(1);
+  });
+
+  test('keeps the first outcome when a later one disagrees', async () => {
+    await receive('evt-1', 'charge.succeeded');
+
+    const late = await receive('evt-2', 'charge.failed', { failureCode: 'card_declined' });
+
+    expect(late.event).toMatchObject({ status: 'ignored', result: `Charge ${charge.id} is already success` });
+    expect((await getCharge(charge.subscription_id)).status).toBe('success');
+  });
+
+  test('sends the subscription to dunning when a pending charge fails', async () => {
+    const { event } = await receive('evt-1', 'charge.failed', { failureCode: 'card_declined' });
+
+    expect(event.status).toBe('processed');
+    expect((await getCharge(charge.subscription_id)).status).toBe('failed');
+    const dunningCase = await services.db.queryOne(
+      'SELECT * FROM dunning_cases WHERE subscription_id = ?',
+      [charge.subscription_id]
+    );
+    expect(dunningCase).toMatchObject({ status: 'retrying' });
+    expect(event.result).toBe(`Charge ${charge.id} failed; dunning case ${dunningCase.id} opened`);
+  });
+
+  test('settles a charge refunded before it settled, and records each refund once', async () => {
+    await receive('evt-1', 'charge.refunded', { refundReference: 're_1', amount: 400, reason: 'Refunded from the dashboard' });
+    // The provider retries under a new event ID
+    const again = await receive('evt-2', 'charge.refunded', { refundReference: 're_1', amount: 400 });
+
+    expect(again.event).toMatchObject({ status: 'ignored', result: 'Refund re_1 is already recorded' });
+    const refunds = await services.db.query('SELECT * FROM billing_history WHERE refunded_transaction_id = ?', [charge.id]);
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0]).toMatchObject({ amount: -400, gateway_reference: 're_1', refund_reason: 'Refunded from the dashboard' });
+    expect((await services.billingManager.getRefundableAmount(charge.id)).remaining).toBe(600);
+  });
+
+  test('ignores a dispute that arrives after it was closed', async () => {
+    await receive('evt-1', 'charge.succeeded');
+    await receive('evt-3', 'charge.dispute_closed', { outcome: 'won' });
+
+    const stale = await receive('evt-2', 'charge.disputed', { reason: 'fraudulent' });
+
+    expect(stale.event).toMatchObject({ status: 'ignored', result: `The dispute on charge ${charge.id} is already closed` });
+    expect((await getCharge(charge.subscription_id)).status).toBe('success');
+    expect((await services.subscriptionManager.getSubscription(charge.subscription_id)).status).toBe('active');
+  });
+});
@@ -0,0 +1,46 @@
+import { createTestServices, createCustomer, setBillingPeriod } from './helpers.js';
+
+const DECLINED_CARD = '4000000000000002';
+const INSUFFICIENT_FUNDS_CARD = '4000000000009995';
+
+describe('simulator test cards', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createTestServices({ now: new Date('2026-05-15T12:00:00.000Z') });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  test('a declined first payment creates no subscription', async () => {
+    const customer = await createCustomer(services, {}, DECLINED_CARD);
+
+    await expect(services.subscriptionManager.createSubscription(customer.id, 'basic'))
+      .rejects.toMatchObject({ status: 402, code: 'PAYMENT_FAILED', message: 'Payment failed: Your card was declined' });
+
+    expect(await services.subscriptionManager.getCustomerSubscriptions(customer.id)).toEqual([]);
+  });
+
+  test('a renewal that fails records why', async () => {
+    const customer = await createCustomer(services);
+    const subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+    await setBillingPeriod(services.db, subscription.id, '2026-04-15T00:00:00.000Z', '2026-05-15T00:00:00.000Z');
+    await services.paymentManager.addPaymentMethod(
+      customer.id,
+      { cardNumber: INSUFFICIENT_FUNDS_CARD, expMonth: 12, expYear: 2029 },
+      { makeDefault: true }
+    );
+
+    const summary = await services.renewalRunner.runOnce();
+
+    expect(summary).toMatchObject({ renewed: 0, failed: 1 });
+    const failed = await services.db.queryOne(
+      "SELECT * FROM billing_history WHERE subscription_id = ? AND status = 'failed'",
+      [subscription.id]
+    );
+    expect(failed).toMatchObject({ amount: 1000, failure_code: 'insufficient_funds' });
+  });
+});
@@ -0,0 +1,183 @@
+import { createTestDatabaseFile, createTestServices, createCustomer, setBillingPeriod, startServer } from './helpers.js';
+
+describe('plan catalog', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createTestServices({ now: new Date('2026-05-15T12:00:00.000Z') });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    await services.planManager.createPlan({ id: 'pro', name: 'Pro Plan', prices: { USD: 25 } });
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  test('archived plans come off sale but keep renewing', async () => {
+    const customer = await createCustomer(services);
+    const subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+    await setBillingPeriod(services.db, subscription.id, '2026-04-15T00:00:00.000Z', '2026-05-15T00:00:00.000Z');
+
+    const archived = await services.planManager.archivePlan('basic');
+
+    expect(archived.archived_at).toBeTruthy();
+    expect((await services.planManager.listPlans({ archived: false })).map(plan => plan.id)).toEqual(['pro']);
+    expect((await services.planManager.listPlans({ archived: true })).map(plan => plan.id)).toEqual(['basic']);
+    await expect(services.subscriptionManager.createSubscription((await createCustomer(services)).id, 'basic'))
+      .rejects.toMatchObject({ status: 409, code: 'PLAN_ARCHIVED' });
+
+    expect(await services.renewalRunner.runOnce()).toMatchObject({ renewed: 1, failed: 0 });
+    expect(await services.subscriptionManager.getSubscription(subscription.id)).toMatchObject({
+      status: 'active',
+      plan_id: 'basic',
+      next_billing_date: '2026-06-15T00:00:00.000Z'
+    });
+
+    await services.planManager.unarchivePlan('basic');
+    expect((await services.planManager.listPlans({ archived: false })).map(plan => plan.id)).toEqual(['basic', 'pro']);
+  });
+
+  test('locks the billing cycle while the plan has subscribers', async () => {
+    const customer = await createCustomer(services);
+    const subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+
+    await expect(services.planManager.updatePlan('basic', { billingCycle: 'yearly' }))
+      .rejects.toMatchObject({ status: 409, code: 'PLAN_IN_USE' });
+    expect((await services.planManager.getPlan('basic')).billing_cycle).toBe('monthly');
+
+    // Other changes still go through, as does the cycle once nobody is subscribed
+    expect(await services.planManager.updatePlan('basic', { name: 'Basic', billingCycle: 'Monthly' }))
+      .toMatchObject({ name: 'Basic', billing_cycle: 'monthly' });
+    await services.subscriptionManager.cancelSubscription(subscription.id, { immediate: true });
+    expect(await services.planManager.updatePlan('basic', { billingCycle: 'yearly' }))
+      .toMatchObject({ billing_cycle: 'yearly' });
+  });
+});
+
+describe('plan features', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  test('reads features back decompressed and refreshes them when the plan changes', async () => {
+    await services.planManager.createPlan({
+      id: 'pro',
+      name: 'Pro Plan',
+      prices: { USD: 25 },
+      features: { storage: '100GB', users: 5, features: ['Priority support'] }
+    });
+    expect((await services.planManager.getPlan('pro')).features)
+      .toEqual({ storage: '100GB', users: 5, features: ['Priority support'] });
+
+    const updated = await services.planManager.updatePlan('pro', { features: { storage: '1TB', users: 10 } });
+
+    expect(updated.features).toEqual({ storage: '1TB', users: 10 });
+    expect((await services.planManager.getPlan('pro')).features).toEqual({ storage: '1TB', users: 10 });
+    expect((await services.planManager.listPlans())[0].features).toEqual({ storage: '1TB', users: 10 });
+  });
+});
+
+describe('GET /api/plans', () => {
+  let database;
+  let server;
+
+  beforeAll(async () => {
+    database = await createTestDatabaseFile();
+    const services = await createTestServices({ db: database.db });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 }, features: { storage: '10GB' } });
+    await services.planManager.createPlan({ id: 'pro', name: 'Pro Plan', prices: { USD: 25, EUR: 23 }, features: { storage: '100GB' } });
+    await services.planManager.archivePlan('basic');
+    await database.db.close();
+
+    server = await startServer(database.path);
+  }, 30000);
+
+  afterAll(async () => {
+    await server?.stop();
+    await database?.remove();
+  });
+
+  test('lists plans on sale with their features, in the requested currency', async () => {
+    const response = await fetch(`${server.url}/api/plans?currency=EUR`);
+    const { plans } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(plans).toEqual([
+      expect.objectContaining({ id: 'pro', currency: 'EUR', amount: 23, features: { storage: '100GB' }, available: true })
+    ]);
+  });
+
+  test('still describes archived plans, as unavailable', async () => {
+    const response = await fetch(`${server.url}/api/plans/basic`);
+    const { plan } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(plan).toMatchObject({ id: 'basic', features: { storage: '10GB' }, available: false });
+    expect((await fetch(`${server.url}/api/plans/missing`)).status).toBe(404);
+  });
+});
+
+describe('comparing plans', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    const meter = included => ({ api_calls: { name: 'API calls', included, packageSize: 100, prices: { USD: 50 } } });
+    await services.planManager.createPlan({
+      id: 'pro',
+      name: 'Pro Plan',
+      prices: { USD: 25 },
+      features: { storage: '100GB', users: 5, features: ['API access'], metered: meter(1000) }
+    });
+    await services.planManager.createPlan({
+      id: 'pro-yearly',
+      name: 'Pro Yearly',
+      billingCycle: 'yearly',
+      prices: { USD: 240 },
+      features: { storage: '100GB', users: 5, features: ['API access', 'Priority support'], metered: meter(12000) }
+    });
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  test('puts monthly and yearly plans on the same footing', async () => {
+    const { plans, rows } = await services.planManager.comparePlans(['pro', 'pro-yearly']);
+    const row = key => rows.find(r => r.key === key);
+
+    expect(plans).toMatchObject([
+      { id: 'pro', billingCycle: 'monthly', amount: 25, perMonth: 25, perYear: 300, formatted: { perMonth: '$25.00', perYear: '$300.00' } },
+      { id: 'pro-yearly', billingCycle: 'yearly', amount: 240, perMonth: 20, perYear: 240, formatted: { perMonth: '$20.00', perYear: '$240.00' } }
+    ]);
+
+    expect(row('billingCycle')).toMatchObject({ values: ['monthly', 'yearly'], same: false });
+    expect(row('price.perMonth')).toMatchObject({ values: ['$25.00', '$20.00'], same: false });
+    expect(row('storage')).toMatchObject({ values: ['100GB', '100GB'], same: true });
+    expect(row('support')).toMatchObject({ values: [null, null], same: true });
+    expect(row('feature:API access')).toMatchObject({ values: [true, true], same: true });
+    expect(row('feature:Priority support')).toMatchObject({ values: [false, true], same: false });
+
+    // The yearly quota covers twelve months
+    expect(row('metered:api_calls')).toMatchObject({ label: 'API calls included per month', values: [1000, 1000], same: true });
+    expect(row('metered:api_calls:overage')).toMatchObject({ values: ['$0.50 per 100', '$0.50 per 100'], same: true });
+  });
+
+  test('compares between 2 and 4 different plans', async () => {
+    for (const id of ['basic', 'team', 'enterprise']) {
+      await services.planManager.createPlan({ id, name: id, prices: { USD: 10 } });
+    }
+
+    for (const ids of [['pro'], ['pro', 'pro'], ['pro', 'pro-yearly', 'basic', 'team', 'enterprise']]) {
+      await expect(services.planManager.comparePlans(ids)).rejects.toMatchObject({ status: 400, code: 'INVALID_COMPARISON' });
+    }
+    expect((await services.planManager.comparePlans(['pro', 'pro-yearly', 'basic', 'team'])).plans).toHaveLength(4);
+    await expect(services.planManager.comparePlans(['pro', 'missing'])).rejects.toMatchObject({ status: 404 });
+  });
+});
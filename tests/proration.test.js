@@ -0,0 +1,191 @@
+import { createTestServices, createCustomer, setBillingPeriod } from './helpers.js';
+import { addBillingCycles } from '../server/billingCalendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('prorated plan changes', () => {
+  let services;
+  let customer;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    await services.planManager.createPlan({ id: 'pro', name: 'Pro Plan', prices: { USD: 30 } });
+    await services.planManager.createPlan({ id: 'pro-yearly', name: 'Yearly Pro', billingCycle: 'yearly', prices: { USD: 300 } });
+    customer = await createCustomer(services);
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Subscribe the customer to a plan, ten days into a monthly period
+   */
+  async function subscribeMidPeriod(planId) {
+    const subscription = await services.subscriptionManager.createSubscription(customer.id, planId);
+    const start = new Date(Date.now() - 10 * DAY_MS);
+    await setBillingPeriod(services.db, subscription.id, start.toISOString(), addBillingCycles(start, 'monthly', 1).toISOString());
+    return subscription;
+  }
+
+  test('quotes the unused time on the old plan against the rest of the period on the new one', async () => {
+    const subscription = await subscribeMidPeriod('basic');
+
+    const quote = await services.subscriptionManager.quotePlanChange(subscription.id, 'pro');
+
+    expect(quote.remainingFraction).toBeGreaterThan(0.6);
+    expect(quote.remainingFraction).toBeLessThan(0.7);
+    expect(quote.credit).toBeCloseTo(1000 * quote.remainingFraction, -1);
+    expect(quote.charge).toBeCloseTo(3000 * quote.remainingFraction, -1);
+    expect(quote.amountDue).toBe(quote.charge - quote.credit);
+    expect(quote.billingPeriodReset).toBe(false);
+    expect(quote.nextBillingDate).toBe(quote.periodEnd);
+  });
+
+  test('charges an upgrade before moving the subscription', async () => {
+    const subscription = await subscribeMidPeriod('basic');
+
+    const { quote, transaction, refunds } = await services.subscriptionManager.changePlan(subscription.id, 'pro');
+
+    expect(quote.totalDue).toBeGreaterThan(0);
+    expect(transaction).toMatchObject({ amount: quote.totalDue, status: 'success' });
+    expect(refunds).toEqual([]);
+    expect((await services.subscriptionManager.getSubscription(subscription.id)).plan_id).toBe('pro');
+  });
+
+  test('refunds a downgrade to the payment that paid for the unused time', async () => {
+    const subscription = await subscribeMidPeriod('pro');
+    const firstPayment = subscription.first_transaction;
+
+    const { quote, transaction, refunds } = await services.subscriptionManager.changePlan(subscription.id, 'basic');
+
+    expect(quote.totalDue).toBeLessThan(0);
+    expect(transaction).toBeNull();
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0]).toMatchObject({
+      amount: quote.totalDue,
+      status: 'refunded',
+      refunded_transaction_id: firstPayment.id
+    });
+
+    const { remaining } = await services.billingManager.getRefundableAmount(firstPayment.id);
+    expect(remaining).toBe(firstPayment.amount + quote.totalDue);
+
+    // Nothing is left behind as a credit that no later charge would use
+    const credits = await services.db.query(
+      "SELECT * FROM billing_history WHERE amount < 0 AND refunded_transaction_id IS NULL"
+    );
+    expect(credits).toHaveLength(0);
+    const events = await services.eventLog.getSubscriptionEvents(subscription.id);
+    expect(events.map(event => event.type)).toEqual(expect.arrayContaining(['refund.issued', 'subscription.plan_changed']));
+    expect(events.map(event => event.type)).not.toContain('credit.issued');
+  });
+
+  test('only refunds what was actually paid for', async () => {
+    const subscription = await subscribeMidPeriod('pro');
+    // Leave $5 of the first payment refundable
+    await services.billingManager.refundTransaction(subscription.first_transaction.id, 25, 'Goodwill');
+
+    const { quote, refunds } = await services.subscriptionManager.changePlan(subscription.id, 'basic');
+
+    expect(-quote.totalDue).toBeGreaterThan(500);
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0].amount).toBe(-500);
+
+    await services.subscriptionManager.changePlan(subscription.id, 'pro');
+    const second = await services.subscriptionManager.changePlan(subscription.id, 'basic');
+    expect(second.refunds.reduce((sum, refund) => sum - refund.amount, 0)).toBe(-second.quote.totalDue);
+  });
+
+  test('starts a new period when switching billing cycles', async () => {
+    const subscription = await subscribeMidPeriod('pro');
+
+    const { quote, subscription: changed } = await services.subscriptionManager.changePlan(subscription.id, 'pro-yearly');
+
+    expect(quote.billingPeriodReset).toBe(true);
+    expect(quote.charge).toBe(30000);
+    expect(quote.amountDue).toBe(30000 - quote.credit);
+    expect(new Date(changed.next_billing_date).getTime())
+      .toBe(addBillingCycles(quote.effectiveDate, 'yearly', 1).getTime());
+  });
+
+  test('changes plans for free during a trial', async () => {
+    await services.planManager.createPlan({ id: 'trial-pro', name: 'Trial Pro', trialDays: 14, prices: { USD: 30 } });
+    const subscription = await services.subscriptionManager.createSubscription(customer.id, 'trial-pro');
+
+    const { quote, transaction, refunds } = await services.subscriptionManager.changePlan(subscription.id, 'basic');
+
+    expect(quote.onTrial).toBe(true);
+    expect(quote.totalDue).toBe(0);
+    expect(transaction).toBeNull();
+    expect(refunds).toEqual([]);
+    expect((await services.subscriptionManager.getSubscription(subscription.id)).next_billing_date)
+      .toBe(subscription.trial_end);
+  });
+
+  describe('seats and add-ons', () => {
+    beforeEach(async () => {
+      await services.db.execute("INSERT INTO addons (id, name, description, unit) VALUES ('seat', 'Extra seat', NULL, 'seat')");
+      await services.db.execute("INSERT INTO addon_prices (addon_id, currency, unit_amount) VALUES ('seat', 'USD', 400)");
+      await services.planManager.createPlan({
+        id: 'team', name: 'Team Plan', prices: { USD: 50 }, features: { users: 5, addons: ['seat'] }
+      });
+    });
+
+    test('charges added seats before adding them', async () => {
+      const subscription = await subscribeMidPeriod('team');
+
+      const { quote, transaction, refunds } = await services.subscriptionManager.changeQuantity(subscription.id, 'seat', 2);
+
+      expect(quote.amountDue).toBe(2 * quote.proratedUnitAmount);
+      expect(quote.seats).toEqual({ included: 5, additional: 2, total: 7 });
+      expect(transaction).toMatchObject({ amount: quote.totalDue, status: 'success' });
+      expect(refunds).toEqual([]);
+
+      const invoice = await services.invoiceManager.getInvoiceByTransaction(transaction.id);
+      expect(invoice.lineItems).toEqual([
+        expect.objectContaining({ description: 'Extra seat (prorated)', quantity: 2, unit_amount: quote.proratedUnitAmount })
+      ]);
+    });
+
+    test('refunds the unused time of removed seats to the payment that paid for them', async () => {
+      const subscription = await subscribeMidPeriod('team');
+      const added = await services.subscriptionManager.changeQuantity(subscription.id, 'seat', 3);
+
+      const { quote, transaction, refunds } = await services.subscriptionManager.changeQuantity(subscription.id, 'seat', 1);
+
+      expect(quote.totalDue).toBe(-2 * quote.proratedUnitAmount);
+      expect(transaction).toBeNull();
+      expect(refunds).toHaveLength(1);
+      expect(refunds[0]).toMatchObject({
+        amount: quote.totalDue,
+        status: 'refunded',
+        refunded_transaction_id: added.transaction.id
+      });
+      expect(await services.addonManager.getQuantity(subscription.id, 'seat')).toBe(1);
+
+      const credits = await services.db.query(
+        "SELECT * FROM billing_history WHERE amount < 0 AND refunded_transaction_id IS NULL"
+      );
+      expect(credits).toHaveLength(0);
+      const events = await services.eventLog.getSubscriptionEvents(subscription.id);
+      expect(events.map(event => event.type)).not.toContain('credit.issued');
+    });
+
+    test('changes seats for free during a trial', async () => {
+      await services.planManager.createPlan({
+        id: 'team-trial', name: 'Team Trial', trialDays: 14, prices: { USD: 50 }, features: { users: 5, addons: ['seat'] }
+      });
+      const subscription = await services.subscriptionManager.createSubscription(customer.id, 'team-trial');
+
+      await services.subscriptionManager.changeQuantity(subscription.id, 'seat', 2);
+      const { quote, transaction, refunds } = await services.subscriptionManager.changeQuantity(subscription.id, 'seat', 0);
+
+      expect(quote.onTrial).toBe(true);
+      expect(quote.totalDue).toBe(0);
+      expect(transaction).toBeNull();
+      expect(refunds).toEqual([]);
+    });
+  });
+});
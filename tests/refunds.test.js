@@ -0,0 +1,119 @@
+import { createTestServices, createCustomer } from './helpers.js';
+
+describe('refunds', () => {
+  let services;
+  let customer;
+  let charge;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    await services.taxManager.saveTaxRule({ country: 'DE', name: 'VAT', rate: 19 });
+    customer = await createCustomer(services);
+    await services.taxManager.setBillingRegion(customer.id, { country: 'DE' });
+
+    const subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+    charge = await services.db.queryOne(
+      "SELECT * FROM billing_history WHERE subscription_id = ? AND status = 'success'",
+      [subscription.id]
+    );
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  test('charges tax on top of the price', () => {
+    expect(charge).toMatchObject({ amount: 1190, net_amount: 1000, tax_amount: 190, tax_name: 'VAT' });
+  });
+
+  test('refunds tax in proportion to a partial refund', async () => {
+    const { refund, remainingRefundable } = await services.billingManager.refundTransaction(charge.id, 5.95, 'Partial refund');
+
+    expect(refund).toMatchObject({
+      amount: -595,
+      net_amount: -500,
+      tax_amount: -95,
+      status: 'refunded',
+      refunded_transaction_id: charge.id,
+      refund_reason: 'Partial refund'
+    });
+    expect(remainingRefundable).toBe(595);
+  });
+
+  test('returns exactly the tax charged once the whole amount is refunded', async () => {
+    await services.billingManager.refundTransaction(charge.id, 3.97, 'First part');
+    await services.billingManager.refundTransaction(charge.id, 3.97, 'Second part');
+    const { original, remainingRefundable } = await services.billingManager.refundTransaction(charge.id, null, 'The rest');
+
+    const { amount, taxAmount } = await services.db.queryOne(
+      `SELECT SUM(amount) as amount, SUM(tax_amount) as taxAmount
+       FROM billing_history WHERE refunded_transaction_id = ?`,
+      [charge.id]
+    );
+    expect(amount).toBe(-1190);
+    expect(taxAmount).toBe(-190);
+    expect(remainingRefundable).toBe(0);
+    expect(original.status).toBe('refunded');
+  });
+
+  test('never refunds more than was paid', async () => {
+    await expect(services.billingManager.refundTransaction(charge.id, 11.91, 'Too much'))
+      .rejects.toMatchObject({ status: 400, code: 'REFUND_EXCEEDS_AMOUNT' });
+
+    await services.billingManager.refundTransaction(charge.id, 10, 'Most of it');
+    await expect(services.billingManager.refundTransaction(charge.id, 2, 'More than is left'))
+      .rejects.toMatchObject({ status: 400, code: 'REFUND_EXCEEDS_AMOUNT' });
+
+    await services.billingManager.refundTransaction(charge.id, null, 'The rest');
+    await expect(services.billingManager.refundTransaction(charge.id, null, 'Again'))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_REFUND_AMOUNT' });
+  });
+
+  test('requires a reason', async () => {
+    await expect(services.billingManager.refundTransaction(charge.id, 1, '  '))
+      .rejects.toMatchObject({ status: 400, code: 'REFUND_REASON_REQUIRED' });
+  });
+
+  describe('refund requests', () => {
+    test('issues the refund when approved and records who reviewed it', async () => {
+      const request = await services.billingManager.createRefundRequest(customer.id, charge.id, 5, 'Did not use it');
+
+      const result = await services.billingManager.approveRefundRequest(request.id, 'agent-1');
+
+      expect(result.request).toMatchObject({ status: 'approved', reviewed_by: 'agent-1', refund_transaction_id: result.refund.id });
+      expect(result.refund.amount).toBe(-500);
+
+      const event = await services.db.queryOne(
+        "SELECT * FROM subscription_events WHERE type = 'refund.issued' AND details LIKE ?",
+        [`%${result.refund.id}%`]
+      );
+      expect(event).toMatchObject({ actor_type: 'admin', actor_id: 'agent-1' });
+
+      await expect(services.billingManager.approveRefundRequest(request.id, 'agent-1'))
+        .rejects.toMatchObject({ status: 409, code: 'REFUND_REQUEST_CLOSED' });
+    });
+
+    test('rejects a request without refunding', async () => {
+      const request = await services.billingManager.createRefundRequest(customer.id, charge.id, null, 'Changed my mind');
+
+      const rejected = await services.billingManager.rejectRefundRequest(request.id, 'admin', 'Used all month');
+
+      expect(rejected).toMatchObject({ status: 'rejected', reviewed_by: 'admin', review_note: 'Used all month' });
+      expect((await services.billingManager.getRefundableAmount(charge.id)).remaining).toBe(1190);
+    });
+
+    test('limits requests to what is refundable on the customer\'s own transactions', async () => {
+      await expect(services.billingManager.createRefundRequest(customer.id, charge.id, 12, 'Too much'))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_REFUND_AMOUNT' });
+
+      const other = await createCustomer(services);
+      await expect(services.billingManager.createRefundRequest(other.id, charge.id, 1, 'Not mine'))
+        .rejects.toMatchObject({ status: 404, code: 'TRANSACTION_NOT_FOUND' });
+
+      await services.billingManager.createRefundRequest(customer.id, charge.id, 1, 'First');
+      await expect(services.billingManager.createRefundRequest(customer.id, charge.id, 1, 'Second'))
+        .rejects.toMatchObject({ status: 409, code: 'REFUND_REQUEST_PENDING' });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { createTestServices, createCustomer, setBillingPeriod } from './helpers.js';
+
+describe('renewal catch-up', () => {
+  let services;
+  let subscription;
+
+  beforeEach(async () => {
+    services = await createTestServices({ now: new Date('2026-05-15T12:00:00.000Z') });
+    await services.planManager.createPlan({ id: 'basic', name: 'Basic Plan', prices: { USD: 10 } });
+    const customer = await createCustomer(services);
+    subscription = await services.subscriptionManager.createSubscription(customer.id, 'basic');
+    await setBillingPeriod(services.db, subscription.id, '2026-01-31T00:00:00.000Z', '2026-02-28T00:00:00.000Z');
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Renewal charges recorded for the subscription, oldest first
+   */
+  function getRenewals() {
+    return services.db.query(
+      `SELECT * FROM billing_history
+       WHERE subscription_id = ? AND description LIKE 'Renewal%'
+       ORDER BY transaction_date`,
+      [subscription.id]
+    );
+  }
+
+  test('charges each missed period once, dated on the billing date it covers', async () => {
+    const summary = await services.renewalRunner.runOnce();
+
+    expect(summary.renewed).toBe(1);
+    expect(summary.errors).toEqual([]);
+
+    const renewals = await getRenewals();
+    expect(renewals.map(row => row.transaction_date)).toEqual([
+      '2026-02-28T00:00:00.000Z',
+      '2026-03-31T00:00:00.000Z',
+      '2026-04-30T00:00:00.000Z'
+    ]);
+    expect(renewals.every(row => row.status === 'success' && row.amount === 1000)).toBe(true);
+
+    const renewed = await services.subscriptionManager.getSubscription(subscription.id);
+    expect(renewed.next_billing_date).toBe('2026-05-31T00:00:00.000Z');
+  });
+
+  test('does not charge again until the next billing date', async () => {
+    await services.renewalRunner.runOnce();
+    const again = await services.renewalRunner.runOnce();
+
+    expect(again.renewed).toBe(0);
+    expect(await getRenewals()).toHaveLength(3);
+
+    services.clock.set(new Date('2026-05-31T00:00:00.000Z'));
+    const due = await services.renewalRunner.runOnce();
+
+    expect(due.renewed).toBe(1);
+    expect(await getRenewals()).toHaveLength(4);
+  });
+
+  test('records an event for every period it advances past', async () => {
+    await services.renewalRunner.runOnce();
+
+    const events = await services.db.query(
+      "SELECT * FROM subscription_events WHERE type = 'subscription.renewed' AND subscription_id = ?",
+      [subscription.id]
+    );
+    expect(events).toHaveLength(3);
+  });
+
+  test('reports subscriptions whose price is missing without charging them', async () => {
+    await services.db.execute('DELETE FROM plan_price_versions WHERE plan_id = ?', ['basic']);
+
+    const summary = await services.renewalRunner.runOnce();
+
+    expect(summary.renewed).toBe(0);
+    expect(summary.errors).toEqual([{
+      subscriptionId: subscription.id,
+      message: `Plan basic has no USD price to renew subscription ${subscription.id} on 2026-02-28T00:00:00.000Z`
+    }]);
+    expect(await getRenewals()).toHaveLength(0);
+  });
+});
+
+describe('free trials', () => {
+  let services;
+  let subscription;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    await services.planManager.createPlan({ id: 'trial', name: 'Trial Plan', prices: { USD: 10 }, trialDays: 14 });
+    const customer = await createCustomer(services);
+    subscription = await services.subscriptionManager.createSubscription(customer.id, 'trial');
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Charges recorded for the subscription, oldest first
+   */
+  function getCharges() {
+    return services.db.query('SELECT * FROM billing_history WHERE subscription_id = ? ORDER BY transaction_date', [subscription.id]);
+  }
+
+  test('starts without a charge, billing first when the trial ends', async () => {
+    expect(subscription).toMatchObject({ status: 'trialing', next_billing_date: subscription.trial_end });
+    expect(subscription.first_transaction).toBeFalsy();
+    expect(await getCharges()).toEqual([]);
+  });
+
+  test('converts at the trial end and records one charge dated then', async () => {
+    services.clock.set(new Date(new Date(subscription.trial_end).getTime() + 60 * 60 * 1000));
+
+    const summary = await services.renewalRunner.runOnce();
+    const again = await services.renewalRunner.runOnce();
+
+    expect(summary).toMatchObject({ trialsConverted: 1, renewed: 1, errors: [] });
+    expect(again).toMatchObject({ trialsConverted: 0, renewed: 0 });
+    const charges = await getCharges();
+    expect(charges).toHaveLength(1);
+    expect(charges[0]).toMatchObject({ status: 'success', amount: 1000, transaction_date: subscription.trial_end });
+    expect((await services.subscriptionManager.getSubscription(subscription.id)).status).toBe('active');
+  });
+
+  test('lapses without a charge when cancelled before the trial ends', async () => {
+    const cancelled = await services.subscriptionManager.cancelSubscription(subscription.id);
+    expect(cancelled).toMatchObject({ status: 'trialing', cancel_at_period_end: 1, end_date: subscription.trial_end });
+
+    services.clock.set(new Date(new Date(subscription.trial_end).getTime() + 60 * 60 * 1000));
+    const summary = await services.renewalRunner.runOnce();
+
+    expect(summary).toMatchObject({ cancelled: 1, trialsConverted: 0, renewed: 0 });
+    expect(await services.subscriptionManager.getSubscription(subscription.id))
+      .toMatchObject({ status: 'cancelled', end_date: subscription.trial_end });
+    expect(await getCharges()).toEqual([]);
+  });
+});
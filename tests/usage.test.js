@@ -0,0 +1,136 @@
+import { createTestServices, createCustomer, setBillingPeriod } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METERED = {
+  metered: { api_calls: { name: 'API calls', included: 1000, packageSize: 100, prices: { USD: 50 } } }
+};
+
+describe('metered usage', () => {
+  let services;
+  let customer;
+  let subscription;
+  let now;
+
+  beforeEach(async () => {
+    now = new Date();
+    services = await createTestServices({ now });
+    await services.planManager.createPlan({ id: 'metered', name: 'Metered Plan', prices: { USD: 10 }, features: METERED });
+    customer = await createCustomer(services);
+    subscription = await services.subscriptionManager.createSubscription(customer.id, 'metered');
+    // The current period started a month ago and renews in an hour
+    await setBillingPeriod(
+      services.db,
+      subscription.id,
+      new Date(now.getTime() - 30 * DAY_MS).toISOString(),
+      new Date(now.getTime() + 60 * 60 * 1000).toISOString()
+    );
+  });
+
+  afterEach(async () => {
+    await services.db.close();
+  });
+
+  /**
+   * Report usage for a subscription, as its customer
+   */
+  function report(eventId, quantity, { subscriptionId = subscription.id, customerId = customer.id, metric = 'api_calls' } = {}) {
+    return services.usageManager.recordUsage({
+      customerId,
+      eventId,
+      subscriptionId,
+      metric,
+      quantity,
+      timestamp: new Date(now.getTime() - DAY_MS).toISOString()
+    });
+  }
+
+  /**
+   * Renew the subscription and return the renewal charge
+   */
+  async function renew() {
+    services.clock.set(new Date(now.getTime() + 2 * 60 * 60 * 1000));
+    await services.renewalRunner.runOnce();
+    return await services.db.queryOne(
+      "SELECT * FROM billing_history WHERE subscription_id = ? AND description LIKE 'Renewal%'",
+      [subscription.id]
+    );
+  }
+
+  test('counts a retried event once', async () => {
+    const first = await report('evt-1', 300);
+    const retry = await report('evt-1', 300);
+
+    expect(first.duplicate).toBe(false);
+    expect(retry).toMatchObject({ duplicate: true, record: { id: first.record.id } });
+    const { used } = await services.db.queryOne('SELECT SUM(quantity) as used FROM usage_records');
+    expect(used).toBe(300);
+  });
+
+  test('rejects an event ID reused for different usage', async () => {
+    await report('evt-1', 300);
+
+    await expect(report('evt-1', 400)).rejects.toMatchObject({ status: 409, code: 'EVENT_ID_CONFLICT' });
+  });
+
+  test('keeps each customer\'s event IDs apart', async () => {
+    const other = await createCustomer(services);
+    const otherSubscription = await services.subscriptionManager.createSubscription(other.id, 'metered');
+    await setBillingPeriod(
+      services.db,
+      otherSubscription.id,
+      new Date(now.getTime() - 30 * DAY_MS).toISOString(),
+      new Date(now.getTime() + 60 * 60 * 1000).toISOString()
+    );
+
+    await report('1', 300);
+    const theirs = await report('1', 400, { subscriptionId: otherSubscription.id, customerId: other.id });
+
+    expect(theirs).toMatchObject({ duplicate: false, record: { customer_id: other.id, quantity: 400 } });
+    await expect(report('2', 100, { subscriptionId: otherSubscription.id }))
+      .rejects.toMatchObject({ status: 404, code: 'SUBSCRIPTION_NOT_FOUND' });
+  });
+
+  test('rejects metrics the plan does not meter', async () => {
+    await expect(report('evt-1', 10, { metric: 'storage_gb' })).rejects.toMatchObject({ status: 400, code: 'UNKNOWN_METRIC' });
+  });
+
+  test('charges overage per started package on renewal, once', async () => {
+    await report('evt-1', 600);
+    await report('evt-2', 550);
+
+    const renewal = await renew();
+
+    // 150 calls over the 1,000 included start two packages of 100
+    expect(renewal).toMatchObject({ status: 'success', amount: 1000 + 2 * 50 });
+    expect(renewal.description).toContain('API calls overage');
+    const records = await services.db.query('SELECT billed_transaction_id FROM usage_records');
+    expect(records.every(record => record.billed_transaction_id === renewal.id)).toBe(true);
+
+    const next = await services.usageManager.getUsageCharges(
+      await services.subscriptionManager.getSubscription(subscription.id),
+      new Date(now.getTime() + 60 * DAY_MS)
+    );
+    expect(next.amount).toBe(0);
+  });
+
+  test('never charges usage from a free trial', async () => {
+    await services.planManager.createPlan({ id: 'trial', name: 'Trial Plan', prices: { USD: 10 }, trialDays: 14, features: METERED });
+    const trialing = await services.subscriptionManager.createSubscription(customer.id, 'trial');
+    await services.usageManager.recordUsage({
+      customerId: customer.id,
+      eventId: 'trial-1',
+      subscriptionId: trialing.id,
+      metric: 'api_calls',
+      quantity: 5000
+    });
+
+    services.clock.set(new Date(new Date(trialing.trial_end).getTime() + 60 * 60 * 1000));
+    await services.renewalRunner.runOnce();
+
+    const charge = await services.db.queryOne('SELECT * FROM billing_history WHERE subscription_id = ?', [trialing.id]);
+    expect(charge).toMatchObject({ status: 'success', amount: 1000 });
+    expect(await services.db.queryOne('SELECT billed_transaction_id FROM usage_records WHERE event_id = ?', ['trial-1']))
+      .toEqual({ billed_transaction_id: charge.id });
+  });
+});
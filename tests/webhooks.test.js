@@ -0,0 +1,144 @@
+import WebhookManager, { signPayload, verifySignature } from '../server/WebhookManager.js';
+import { parseRetrySchedule } from '../server/retrySchedule.js';
+import { createTestDatabase } from './helpers.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('webhook signatures', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ id: 'evt-1', type: 'subscription.created' });
+  const now = new Date('2026-05-15T12:00:00.000Z');
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  test('signs the timestamp together with the body', () => {
+    const header = signPayload(secret, timestamp, body);
+
+    expect(header).toMatch(new RegExp(`^t=${timestamp},v1=[0-9a-f]{64}$`));
+    expect(verifySignature(secret, header, body, { now })).toBe(true);
+  });
+
+  test('rejects tampered bodies, other secrets, replays and malformed headers', () => {
+    const header = signPayload(secret, timestamp, body);
+
+    expect(verifySignature(secret, header, body.replace('created', 'cancelled'), { now })).toBe(false);
+    expect(verifySignature('whsec_other', header, body, { now })).toBe(false);
+    expect(verifySignature(secret, header, body, { now: new Date(now.getTime() + 6 * MINUTE_MS) })).toBe(false);
+    expect(verifySignature(secret, header.replace(`t=${timestamp}`, `t=${timestamp + 1}`), body, { now })).toBe(false);
+    expect(verifySignature(secret, undefined, body, { now })).toBe(false);
+    expect(verifySignature(secret, `t=${timestamp}`, body, { now })).toBe(false);
+  });
+});
+
+describe('retry schedules', () => {
+  test('reads offsets from a setting, sorted, skipping anything that is not a positive number', () => {
+    expect(parseRetrySchedule('1,5,30,120,720')).toEqual([1, 5, 30, 120, 720]);
+    expect(parseRetrySchedule(' 7, 1 ,x,0,-2,3 ')).toEqual([1, 3, 7]);
+    expect(parseRetrySchedule('')).toEqual([]);
+  });
+});
+
+describe('webhook deliveries', () => {
+  let db;
+  let webhookManager;
+  let responses;
+  let requests;
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+    requests = [];
+    responses = [];
+    webhookManager = new WebhookManager(db, {
+      retryMinutes: [1, 5],
+      send: async (url, body, headers) => {
+        requests.push({ url, body, headers });
+        return responses.shift() || { status: 200, body: 'ok' };
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await webhookManager.dispatch();
+    await db.close();
+  });
+
+  /**
+   * Queue an event and wait for the deliveries it starts
+   */
+  async function deliver(event) {
+    const queued = await webhookManager.enqueue({ occurredAt: new Date().toISOString(), ...event });
+    await webhookManager.dispatch();
+    return queued;
+  }
+
+  test('sends signed events to the endpoints subscribed to them', async () => {
+    const all = await webhookManager.createEndpoint({ url: 'https://example.com/all' });
+    await webhookManager.createEndpoint({ url: 'https://example.com/payments', eventTypes: ['payment.*'] });
+
+    expect(await deliver({ id: 'evt-1', type: 'subscription.created' })).toBe(1);
+
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request.url).toBe('https://example.com/all');
+    expect(request.headers['Webhook-Event']).toBe('subscription.created');
+    expect(verifySignature(all.secret, request.headers['Webhook-Signature'], request.body)).toBe(true);
+    expect(JSON.parse(request.body)).toMatchObject({ id: 'evt-1', type: 'subscription.created' });
+
+    await deliver({ id: 'evt-2', type: 'payment.succeeded' });
+    expect(requests.map(r => r.url)).toEqual([
+      'https://example.com/all',
+      'https://example.com/all',
+      'https://example.com/payments'
+    ]);
+  });
+
+  test('queues an event once per endpoint however often it is enqueued', async () => {
+    const endpoint = await webhookManager.createEndpoint({ url: 'https://example.com/hooks' });
+
+    await deliver({ id: 'evt-1', type: 'subscription.created' });
+    await deliver({ id: 'evt-1', type: 'subscription.created' });
+
+    expect(await webhookManager.listDeliveries(endpoint.id)).toHaveLength(1);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('retries failed deliveries on the backoff schedule, then gives up', async () => {
+    const endpoint = await webhookManager.createEndpoint({ url: 'https://example.com/hooks' });
+    responses.push({ status: 500, body: 'down' }, { status: 503, body: 'still down' }, { status: 500, body: 'down' });
+
+    await deliver({ id: 'evt-1', type: 'subscription.created' });
+    let [delivery] = await webhookManager.listDeliveries(endpoint.id);
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1 });
+    const firstRetry = new Date(delivery.next_attempt_at).getTime() - new Date(delivery.last_attempt_at).getTime();
+    expect(firstRetry).toBe(1 * MINUTE_MS);
+
+    // Not due yet
+    expect(await webhookManager.deliverDue()).toEqual({ succeeded: 0, retrying: 0, failed: 0 });
+
+    expect(await webhookManager.deliverDue(new Date(Date.now() + 2 * MINUTE_MS))).toMatchObject({ retrying: 1 });
+    expect(await webhookManager.deliverDue(new Date(Date.now() + 10 * MINUTE_MS))).toMatchObject({ failed: 1 });
+
+    [delivery] = await webhookManager.listDeliveries(endpoint.id);
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 3, next_attempt_at: null });
+    expect(delivery.attemptLog.map(attempt => attempt.response_status)).toEqual([500, 503, 500]);
+    expect(delivery.attemptLog[0].error).toBe('Endpoint responded with HTTP 500');
+  });
+
+  test('redelivers by hand without touching the retry schedule', async () => {
+    const endpoint = await webhookManager.createEndpoint({ url: 'https://example.com/hooks' });
+    responses.push({ status: 500, body: 'down' });
+    await deliver({ id: 'evt-1', type: 'subscription.created' });
+    const [failed] = await webhookManager.listDeliveries(endpoint.id);
+
+    const redelivered = await webhookManager.redeliver(failed.id);
+
+    expect(redelivered).toMatchObject({ status: 'succeeded', attempts: 1 });
+    expect(redelivered.attemptLog.map(attempt => attempt.triggered_by)).toEqual(['schedule', 'manual']);
+  });
+
+  test('validates endpoints', async () => {
+    await expect(webhookManager.createEndpoint({ url: 'ftp://example.com' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_WEBHOOK' });
+    await expect(webhookManager.createEndpoint({ url: 'https://example.com', eventTypes: ['nothing.happened'] }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_WEBHOOK' });
+  });
+});